@@ -1,187 +1,184 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { format as dateFnsFormat, differenceInDays as dateFnsDifferenceInDays, subDays, startOfDay, endOfDay } from 'date-fns/esm';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { differenceInDays as dateFnsDifferenceInDays } from 'date-fns/esm';
 import axios from 'axios';
-import Papa from 'papaparse';
+import RefundTrends from './components/RefundTrends';
+import ProductBreakdown from './components/ProductBreakdown';
+import DateRangePicker from './components/DateRangePicker';
+import RefundsTable from './components/RefundsTable';
+import CohortHeatmap from './components/CohortHeatmap';
+import SerialReturners from './components/SerialReturners';
+import ReasonBreakdown from './components/ReasonBreakdown';
+import GeoBreakdown from './components/GeoBreakdown';
+import ShippingPerformance from './components/ShippingPerformance';
+import AlertsPanel from './components/AlertsPanel';
+import SyncProgress from './components/SyncProgress';
+import { API_URL } from './api';
+import { formatMoney, formatDate } from './format';
+import { findPreset, isDay, todayIn, resolveRange, describeRange } from './dates';
+import { readQuery, writeQuery } from './urlState';
 import './globals.css';
 
-const API_URL = 'https://hearsound-analytics-api.onrender.com';
-
-const predefinedRanges = [
-  { label: 'Today', getValue: () => {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    return [today, new Date(today.getTime() + 24 * 60 * 60 * 1000 - 1)];
-  }},
-  { label: 'Yesterday', getValue: () => {
-    const now = new Date();
-    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-    return [yesterday, new Date(yesterday.getTime() + 24 * 60 * 60 * 1000 - 1)];
-  }},
-  { label: 'Last 7 days', getValue: () => {
-    const end = new Date();
-    const start = new Date(end);
-    start.setDate(end.getDate() - 6);
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
-    console.log('Last 7 days range:', { start, end });
-    return [start, end];
-  }},
-  { label: 'Last 30 days', getValue: () => [subDays(new Date(), 29), new Date()] },
-  { label: 'Last 90 days', getValue: () => [subDays(new Date(), 89), new Date()] },
-  { label: 'Last 365 days', getValue: () => [subDays(new Date(), 364), new Date()] },
-];
-
-function App() {
-  const [orders, setOrders] = useState([]);
-  const [startDate, setStartDate] = useState(subDays(new Date(), 30));
-  const [endDate, setEndDate] = useState(new Date());
-  const [dateRangeText, setDateRangeText] = useState('Last 30 days');
+// Days start and end in the store's timezone. Stores in different
+// timezones have no common day, so the all-stores view falls back to UTC.
+const storeTimezone = (shops, shop) => {
+  const selected = shop === 'all' ? shops : shops.filter(s => s.id === shop);
+  const timezones = [...new Set(selected.map(s => s.timezone))];
+  return timezones.length === 1 ? timezones[0] : 'UTC';
+};
+
+// Range and filters as bookmarked in the URL, falling back to the last 30 days
+function initialState() {
+  const query = readQuery();
+  const range = findPreset(query.range)
+    ? { preset: query.range }
+    : isDay(query.start) && isDay(query.end) && query.start <= query.end
+      ? { preset: 'custom', start: query.start, end: query.end }
+      : { preset: 'last30' };
+  return {
+    shop: query.shop || null,
+    range,
+    table: {
+      search: query.q || '',
+      refundType: ['full', 'partial'].includes(query.type) ? query.type : 'all',
+      policyStatus: query.policy || 'all',
+      transitStatus: query.transit || 'all',
+      daysBucket: query.days || 'all',
+      reason: query.reason || 'all',
+      sort: query.sort || 'refundDate',
+      direction: query.dir === 'asc' ? 'asc' : 'desc',
+      page: 1,
+      pageSize: 25
+    },
+    product: query.product && ['sku', 'product'].includes(query.productGroup)
+      ? { groupBy: query.productGroup, key: query.product, label: query.productLabel || query.product }
+      : null
+  };
+}
+
+function App({ user, onLogout }) {
+  const [initial] = useState(initialState);
+  const [shops, setShops] = useState([]);
+  const [shop, setShop] = useState(null);
+  const [range, setRange] = useState(initial.range);
   const [isLoading, setIsLoading] = useState(false);
+  const [selectedProduct, setSelectedProduct] = useState(initial.product);
+  const [tableFilters, setTableFilters] = useState(initial.table);
+  const [reasonOptions, setReasonOptions] = useState([]);
   const [analytics, setAnalytics] = useState({
     totalOrders: 0,
+    grossRevenue: 0,
+    netRevenue: 0,
+    refundToRevenue: 0,
+    avgOrderValue: 0,
+    avgOrderValueAfterRefunds: 0,
     totalRefunds: 0,
+    fullRefunds: 0,
+    partialRefunds: 0,
     avgDaysToRefund: 0,
     totalRefundAmount: 0,
+    fullRefundAmount: 0,
+    partialRefundAmount: 0,
+    lateRefunds: 0,
+    lateRefundAmount: 0,
     refundRate: 0,
     avgRefundAmount: 0
   });
 
-  // Get unique products from orders
-  const products = useMemo(() => {
-    const productMap = new Map();
-    orders.forEach(order => {
-      order.products?.forEach(product => {
-        productMap.set(product.sku, {
-          sku: product.sku,
-          title: product.title
-        });
-      });
-    });
-    return Array.from(productMap.values());
-  }, [orders]);
-
   useEffect(() => {
-    fetchOrders();
-  }, [startDate, endDate]);
+    const fetchShops = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/shops`);
+        setShops(response.data);
+        const known = initial.shop === 'all' || response.data.some(s => s.id === initial.shop);
+        // With a single store there is nothing to choose between
+        setShop(known ? initial.shop : response.data.length > 1 ? 'all' : response.data[0]?.id);
+      } catch (error) {
+        console.error('Error fetching shops:', error);
+      }
+    };
+    fetchShops();
+  }, [initial.shop]);
 
   useEffect(() => {
-    calculateAnalytics();
-  }, [orders, startDate, endDate]);
-
-  const calculateAnalytics = () => {
-    // Filter orders by date range
-    const filteredOrders = orders.filter(order => {
-      // Only include full refunds, not partial refunds
-      if (order.financial_status !== 'refunded') return false;
-      
-      // Only look at orders that have a refund
-      if (!order.refundDate || order.refundAmount <= 0) return false;
-      
-      // Convert refund date to Date object
-      const refundDate = new Date(order.refundDate);
-      
-      // Check if refund date falls within selected range
-      return refundDate >= startOfDay(startDate) && refundDate <= endOfDay(endDate);
-    });
+    const fetchReasons = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/reasons`);
+        setReasonOptions(response.data.options);
+      } catch (error) {
+        console.error('Error fetching refund reasons:', error);
+      }
+    };
+    fetchReasons();
+  }, []);
 
-    // Calculate total orders in date range (regardless of refund status)
-    const totalOrdersInRange = orders.filter(order => {
-      const orderDate = new Date(order.orderDate);
-      return orderDate >= startOfDay(startDate) && orderDate <= endOfDay(endDate);
-    }).length;
-
-    // Calculate analytics
-    const totalRefunds = filteredOrders.length;
-    const totalRefundAmount = filteredOrders.reduce((sum, order) => sum + order.refundAmount, 0);
-    const avgDaysToRefund = totalRefunds > 0
-      ? filteredOrders.reduce((sum, order) => {
-          const days = order.daysToRefund;
-          return sum + (typeof days === 'number' ? days : 0);
-        }, 0) / totalRefunds
-      : 0;
-
-    setAnalytics({
-      totalOrders: totalOrdersInRange,
-      totalRefunds,
-      avgDaysToRefund: Number(avgDaysToRefund.toFixed(1)),
-      totalRefundAmount,
-      refundRate: totalOrdersInRange > 0 ? (totalRefunds / totalOrdersInRange) * 100 : 0,
-      avgRefundAmount: totalRefunds > 0 ? totalRefundAmount / totalRefunds : 0
-    });
-  };
+  const timezone = storeTimezone(shops, shop);
+  const today = todayIn(timezone);
+  // Presets are resolved against today in the store's timezone
+  const [startDay, endDay] = useMemo(() => resolveRange(range, timezone), [range, timezone]);
+  const dateRangeText = describeRange(range, [startDay, endDay]);
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    }).format(amount);
-  };
-
-  const formatNumber = (number) => {
-    return new Intl.NumberFormat('en-US').format(number);
-  };
-
-  const exportToCSV = async () => {
-    try {
-      // Only export orders that have refunds and are within the selected date range
-      const refundedOrders = orders.filter(order => {
-        if (!order.refundDate) return false;
-        const refundDate = new Date(order.refundDate);
-        return refundDate >= startOfDay(startDate) && refundDate <= endOfDay(endDate);
-      });
+  useEffect(() => {
+    if (!shop) return;
+    writeQuery({
+      shop,
+      range: range.preset === 'custom' ? null : range.preset,
+      start: range.preset === 'custom' ? range.start : null,
+      end: range.preset === 'custom' ? range.end : null,
+      q: tableFilters.search,
+      type: tableFilters.refundType === 'all' ? null : tableFilters.refundType,
+      policy: tableFilters.policyStatus === 'all' ? null : tableFilters.policyStatus,
+      transit: tableFilters.transitStatus === 'all' ? null : tableFilters.transitStatus,
+      days: tableFilters.daysBucket === 'all' ? null : tableFilters.daysBucket,
+      reason: tableFilters.reason === 'all' ? null : tableFilters.reason,
+      sort: tableFilters.sort === 'refundDate' ? null : tableFilters.sort,
+      dir: tableFilters.direction === 'desc' ? null : tableFilters.direction,
+      product: selectedProduct?.key,
+      productGroup: selectedProduct?.groupBy,
+      productLabel: selectedProduct && selectedProduct.label !== selectedProduct.key ? selectedProduct.label : null
+    });
+  }, [shop, range, tableFilters, selectedProduct]);
 
-      // Format the data for CSV
-      const csvData = refundedOrders.map(order => ({
-        'Order Number': order.orderNumber || '',
-        'Order Date': order.orderDate ? new Date(order.orderDate).toLocaleDateString() : '',
-        'Refund Date': order.refundDate ? new Date(order.refundDate).toLocaleDateString() : '',
-        'Days to Refund': order.daysToRefund || '0'
-      }));
-
-      const csv = Papa.unparse(csvData);
-      const csvBlob = new Blob([csv], { type: 'text/csv' });
-      const csvUrl = URL.createObjectURL(csvBlob);
-      const csvLink = document.createElement('a');
-      csvLink.href = csvUrl;
-      csvLink.download = `refunds-${dateRangeText.toLowerCase().replace(/\s+/g, '-')}.csv`;
-      csvLink.click();
+  // Any change other than the page itself starts back at the first page
+  const updateTableFilters = useCallback((changes) => {
+    setTableFilters(current => ({ ...current, page: 1, ...changes }));
+  }, []);
 
-    } catch (error) {
-      console.error('Error exporting to CSV:', error);
-    }
-  };
+  useEffect(() => {
+    setTableFilters(current => (current.page === 1 ? current : { ...current, page: 1 }));
+  }, [shop, startDay, endDay, selectedProduct]);
 
-  const fetchOrders = async () => {
+  const fetchAnalytics = useCallback(async () => {
     try {
       setIsLoading(true);
-      // For orders, we'll fetch a wider date range to catch old orders that might have been refunded recently
-      const start = startOfDay(startDate);
-      const end = new Date(endDate);
-      start.setFullYear(start.getFullYear() - 1); // Get orders from up to 1 year before the start date
-      start.setHours(0, 0, 0, 0);
-      
-      end.setHours(23, 59, 59, 999);
-      
-      const formattedStartDate = dateFnsFormat(start, "yyyy-MM-dd'T'HH:mm:ss.SSSxxx");
-      const formattedEndDate = dateFnsFormat(end, "yyyy-MM-dd'T'HH:mm:ss.SSSxxx");
-      
-      console.log('Fetching orders:', { formattedStartDate, formattedEndDate });
-      
-      const response = await axios.get(`${API_URL}/api/orders`, {
+      const response = await axios.get(`${API_URL}/api/analytics/summary`, {
         params: {
-          startDate: formattedStartDate,
-          endDate: formattedEndDate
+          start: startDay,
+          end: endDay,
+          timezone,
+          basis: 'refund_date',
+          shop
         }
       });
-      
-      setOrders(response.data);
+      setAnalytics(response.data);
     } catch (error) {
-      console.error('Error fetching orders:', error);
+      console.error('Error fetching analytics:', error);
     } finally {
       setIsLoading(false);
     }
+  }, [shop, startDay, endDay, timezone]);
+
+  useEffect(() => {
+    if (shop) fetchAnalytics();
+  }, [shop, fetchAnalytics]);
+
+  const shopsById = Object.fromEntries(shops.map(s => [s.id, s]));
+
+  // In the selection's currency and locale; stores mixing currencies
+  // without rates for them have no single currency
+  const formatCurrency = (amount) => formatMoney(amount, analytics.currency, analytics.locale);
+
+  const formatNumber = (number) => {
+    return new Intl.NumberFormat('en-US').format(number);
   };
 
   return (
@@ -197,50 +194,120 @@ function App() {
             <div className="h-6 w-px bg-gray mx-4" />
             <h1 className="text-xl font-semibold text-navy">Refund Analytics</h1>
           </div>
+          <div className="flex items-center space-x-4">
+            {shops.length > 1 && (
+              <select
+                value={shop || ''}
+                onChange={(e) => {
+                  setShop(e.target.value);
+                  setSelectedProduct(null);
+                }}
+                className="px-3 py-1.5 border border-gray-dark rounded-md text-sm text-navy bg-white"
+                disabled={isLoading}
+              >
+                <option value="all">All stores</option>
+                {shops.map(s => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+            )}
+            <AlertsPanel apiUrl={API_URL} canAcknowledge={user.role === 'admin'} />
+            <span className="text-sm text-navy">
+              {user.username} <span className="text-gray-500">({user.role})</span>
+            </span>
+            <button
+              onClick={onLogout}
+              className="px-3 py-1.5 bg-gray border border-gray-dark text-navy text-sm font-medium rounded-md hover:bg-gray-dark"
+            >
+              Sign out
+            </button>
+          </div>
         </div>
       </nav>
 
       <main className="container mx-auto px-6 py-8">
-        <div className="flex justify-between items-center mb-8">
-          <h1 className="text-2xl font-bold text-navy">Refund Analytics</h1>
-          <div className="flex space-x-2">
-            {predefinedRanges.map(range => (
-              <button
-                key={range.label}
-                onClick={() => {
-                  const [newStart, newEnd] = range.getValue();
-                  setStartDate(newStart);
-                  setEndDate(newEnd);
-                  setDateRangeText(range.label);
-                }}
-                className={`date-button ${
-                  dateRangeText === range.label ? 'date-button-active' : 'date-button-inactive'
-                }`}
-                disabled={isLoading}
-              >
-                {range.label}
-              </button>
-            ))}
+        <div className="flex justify-between items-start mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-navy">Refund Analytics</h1>
+            <p className="text-sm text-gray-500">{dateRangeText} · {timezone}</p>
           </div>
+          <DateRangePicker
+            range={range}
+            days={[startDay, endDay]}
+            today={today}
+            disabled={isLoading}
+            onChange={setRange}
+          />
         </div>
 
+        <SyncProgress apiUrl={API_URL} shop={shop} shopsById={shopsById} />
+
+        {analytics.warning && (
+          <div className="mb-4 px-4 py-2 rounded-md bg-white border border-coral text-sm text-coral">
+            {analytics.warning}. Totals add amounts as-is.
+          </div>
+        )}
+
+        {analytics.conversion && (
+          <p className="mb-4 text-xs text-gray-500">
+            Amounts converted from {analytics.conversion.from.join(', ')} to {analytics.conversion.to} at
+            stored rates{analytics.conversion.ratesUpdatedAt && ` updated ${formatDate(analytics.conversion.ratesUpdatedAt)}`}.
+          </p>
+        )}
+
         {isLoading ? (
           <div className="flex justify-center items-center h-64">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-navy"></div>
           </div>
         ) : (
-          <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3 mb-8">
+          <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-4 mb-8">
             {/* Order Statistics */}
             <div className="stat-card">
               <h3 className="stat-title">Total Orders</h3>
               <p className="stat-value">{analytics.totalOrders}</p>
             </div>
 
+            {/* Revenue */}
+            <div className="stat-card">
+              <h3 className="stat-title">Gross Revenue</h3>
+              <p className="stat-value">{formatCurrency(analytics.grossRevenue)}</p>
+            </div>
+
+            <div className="stat-card">
+              <h3 className="stat-title">Net Revenue</h3>
+              <p className="stat-value">{formatCurrency(analytics.netRevenue)}</p>
+              <p className="text-sm text-navy">After refunds</p>
+            </div>
+
+            <div className="stat-card">
+              <h3 className="stat-title">Average Order Value</h3>
+              <p className="stat-value">{formatCurrency(analytics.avgOrderValue)}</p>
+              <p className="text-sm text-navy">{formatCurrency(analytics.avgOrderValueAfterRefunds)} after refunds</p>
+            </div>
+
             <div className="stat-card">
               <h3 className="stat-title">Total Refunds</h3>
               <p className="stat-value">{analytics.totalRefunds}</p>
             </div>
 
+            <div className="stat-card">
+              <h3 className="stat-title">Full Refunds</h3>
+              <p className="stat-value">{analytics.fullRefunds}</p>
+              <p className="text-sm text-navy">{formatCurrency(analytics.fullRefundAmount)}</p>
+            </div>
+
+            <div className="stat-card">
+              <h3 className="stat-title">Partial Refunds</h3>
+              <p className="stat-value">{analytics.partialRefunds}</p>
+              <p className="text-sm text-navy">{formatCurrency(analytics.partialRefundAmount)}</p>
+            </div>
+
+            <div className="stat-card">
+              <h3 className="stat-title">Out-of-Policy Refunds</h3>
+              <p className="stat-value">{analytics.lateRefunds}</p>
+              <p className="text-sm text-navy">{formatCurrency(analytics.lateRefundAmount)}</p>
+            </div>
+
             <div className="stat-card">
               <h3 className="stat-title">Average Days to Refund</h3>
               <p className="stat-value">{analytics.avgDaysToRefund.toFixed(1)} days</p>
@@ -249,105 +316,100 @@ function App() {
             {/* Financial Statistics */}
             <div className="stat-card">
               <h3 className="stat-title">Total Refund Amount</h3>
-              <p className="stat-value">${analytics.totalRefundAmount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+              <p className="stat-value">{formatCurrency(analytics.totalRefundAmount)}</p>
             </div>
 
             <div className="stat-card">
               <h3 className="stat-title">Average Refund Amount</h3>
-              <p className="stat-value">${analytics.avgRefundAmount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+              <p className="stat-value">{formatCurrency(analytics.avgRefundAmount)}</p>
             </div>
 
             <div className="stat-card">
               <h3 className="stat-title">Refund Rate</h3>
               <p className="stat-value">{analytics.refundRate.toFixed(1)}%</p>
             </div>
+
+            <div className="stat-card">
+              <h3 className="stat-title">Refunds % of Revenue</h3>
+              <p className="stat-value">{analytics.refundToRevenue.toFixed(1)}%</p>
+            </div>
           </div>
         )}
-        <div className="table-container">
-          <div className="px-6 py-4 border-b border-gray flex justify-between items-center">
-            <h2 className="text-lg font-semibold text-navy">Refunds</h2>
-            <button
-              onClick={exportToCSV}
-              disabled={isLoading}
-              className="px-4 py-2 bg-navy text-white rounded hover:bg-navy-dark disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              Export to CSV
-            </button>
-          </div>
-          <div className="overflow-x-auto">
-            <table className="w-full">
-              <thead>
-                <tr>
-                  <th className="table-header w-order">Order #</th>
-                  <th className="table-header w-date">Order Date</th>
-                  <th className="table-header w-name">Name</th>
-                  <th className="table-header w-tracking">Tracking Number</th>
-                  <th className="table-header w-delivery">Delivery Date</th>
-                  <th className="table-header w-refund">Refund Date</th>
-                  <th className="table-header w-days">Days to Refund</th>
-                  <th className="table-header w-actions">Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {orders
-                  .filter(order => {
-                    // Only include full refunds
-                    if (order.financial_status !== 'refunded') return false;
-                    
-                    // Check if refund date is within selected range
-                    if (!order.refundDate) return false;
-                    const refundDate = new Date(order.refundDate);
-                    return refundDate >= startOfDay(startDate) && refundDate <= endOfDay(endDate);
-                  })
-                  .map((order) => (
-                    <tr key={order.id} className="table-row">
-                      <td className="table-cell w-order font-medium">{order.orderNumber}</td>
-                      <td className="table-cell w-date">
-                        {order.orderDate ? dateFnsFormat(new Date(order.orderDate), 'MMM dd, yyyy') : '-'}
-                      </td>
-                      <td className="table-cell w-name">{order.shippingName}</td>
-                      <td className="table-cell w-tracking">
-                        {order.trackingUrl ? (
-                          <a href={order.trackingUrl} target="_blank" rel="noopener noreferrer" className="tracking-link">
-                            {order.trackingNumber}
-                          </a>
-                        ) : (
-                          order.trackingNumber || '-'
-                        )}
-                      </td>
-                      <td className="table-cell w-delivery">
-                        {order.deliveryDate
-                          ? dateFnsFormat(new Date(order.deliveryDate), 'MMM dd, yyyy')
-                          : order.transitStatus === 'delivered' ? 'Delivered' : 'Not delivered'}
-                      </td>
-                      <td className="table-cell w-refund">
-                        {order.refundDate
-                          ? dateFnsFormat(new Date(order.refundDate), 'MMM dd, yyyy')
-                          : '-'}
-                      </td>
-                      <td className="table-cell w-days">
-                        {typeof order.daysToRefund === 'number' ? 
-                          `${order.daysToRefund} days` : 
-                          order.daysToRefund === 'before_delivery' ? 
-                          'Refunded before delivery' :
-                          'Delivery date unknown'}
-                      </td>
-                      <td className="table-cell w-actions">
-                        <a 
-                          href={`https://dc162a-d0.myshopify.com/admin/orders/${order.id}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="inline-flex items-center px-3 py-1.5 bg-gray border border-gray-dark text-navy text-sm font-medium rounded-md hover:bg-gray-dark hover:text-white transition-colors duration-200"
-                        >
-                          View Order
-                        </a>
-                      </td>
-                    </tr>
-                  ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
+
+        <RefundTrends
+          apiUrl={API_URL}
+          start={startDay}
+          end={endDay}
+          timezone={timezone}
+          shop={shop}
+        />
+
+        <ProductBreakdown
+          apiUrl={API_URL}
+          start={startDay}
+          end={endDay}
+          timezone={timezone}
+          shop={shop}
+          selected={selectedProduct}
+          onSelect={setSelectedProduct}
+        />
+
+        <ReasonBreakdown
+          apiUrl={API_URL}
+          start={startDay}
+          end={endDay}
+          timezone={timezone}
+          shop={shop}
+          selected={tableFilters.reason}
+          onSelect={reason => updateTableFilters({ reason })}
+        />
+
+        <GeoBreakdown
+          apiUrl={API_URL}
+          start={startDay}
+          end={endDay}
+          timezone={timezone}
+          shop={shop}
+        />
+
+        <ShippingPerformance
+          apiUrl={API_URL}
+          start={startDay}
+          end={endDay}
+          timezone={timezone}
+          shop={shop}
+        />
+
+        <CohortHeatmap
+          apiUrl={API_URL}
+          start={startDay}
+          end={endDay}
+          timezone={timezone}
+          shop={shop}
+        />
+
+        <SerialReturners
+          apiUrl={API_URL}
+          shop={shop}
+          shopsById={shopsById}
+          reasonOptions={reasonOptions}
+          canEditThresholds={user.role === 'admin'}
+        />
+
+        <RefundsTable
+          apiUrl={API_URL}
+          shop={shop}
+          start={startDay}
+          end={endDay}
+          timezone={timezone}
+          shopsById={shopsById}
+          reasonOptions={reasonOptions}
+          canEditReasons={user.role === 'admin'}
+          filters={tableFilters}
+          onFiltersChange={updateTableFilters}
+          selectedProduct={selectedProduct}
+          onClearProduct={() => setSelectedProduct(null)}
+        />
       </main>
     </div>
   );
@@ -1,8 +1,78 @@
 import { render, screen } from '@testing-library/react';
+import axios from 'axios';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('axios');
+
+const shops = [
+  { id: 'demo', name: 'HearSound Demo', timezone: 'America/New_York', currency: 'EUR', locale: 'de-DE' }
+];
+
+const summary = {
+  shop: 'demo',
+  currency: 'EUR',
+  locale: 'de-DE',
+  totalOrders: 40,
+  grossRevenue: 12345.5,
+  netRevenue: 10000,
+  refundToRevenue: 19,
+  avgOrderValue: 308.64,
+  avgOrderValueAfterRefunds: 250,
+  totalRefunds: 8,
+  fullRefunds: 5,
+  partialRefunds: 3,
+  avgDaysToRefund: 12.5,
+  totalRefundAmount: 2345.5,
+  fullRefundAmount: 2000,
+  partialRefundAmount: 345.5,
+  lateRefunds: 1,
+  lateRefundAmount: 249,
+  refundRate: 20,
+  avgRefundAmount: 293.19
+};
+
+beforeAll(() => {
+  // Neither exists in jsdom; the sync stream and chart sizing only need to construct
+  global.EventSource = class {
+    close() {}
+  };
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  axios.get.mockImplementation((url) => {
+    if (url.endsWith('/api/shops')) return Promise.resolve({ data: shops });
+    if (url.endsWith('/api/reasons')) return Promise.resolve({ data: { options: [] } });
+    if (url.endsWith('/api/analytics/summary')) return Promise.resolve({ data: summary });
+    // Panels below the summary are not under test, they show their empty states
+    return Promise.reject(new Error(`Unexpected request: ${url}`));
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('renders the signed-in user', async () => {
+  render(<App user={{ username: 'ada', role: 'admin' }} onLogout={() => {}} />);
+  expect(screen.getByText('ada')).toBeInTheDocument();
+  expect(await screen.findByRole('heading', { name: 'Gross Revenue' })).toBeInTheDocument();
+});
+
+test('formats summary amounts in the shop currency and locale', async () => {
+  render(<App user={{ username: 'vic', role: 'viewer' }} onLogout={() => {}} />);
+
+  expect(await screen.findByText('12.345,50 €')).toBeInTheDocument();
+  expect(screen.getByText('10.000,00 €')).toBeInTheDocument();
+  expect(screen.getByText('19.0%')).toBeInTheDocument();
+  expect(screen.getByText('250,00 € after refunds')).toBeInTheDocument();
+  expect(axios.get).toHaveBeenCalledWith(
+    expect.stringMatching(/\/api\/analytics\/summary$/),
+    expect.objectContaining({ params: expect.objectContaining({ shop: 'demo', timezone: 'America/New_York' }) })
+  );
 });
@@ -0,0 +1,8 @@
+import axios from 'axios';
+
+// REACT_APP_API_URL comes from the .env files at build time, e.g. a local
+// server in development; without one the app talks to production
+export const API_URL = process.env.REACT_APP_API_URL || 'https://hearsound-analytics-api.onrender.com';
+
+// The API authenticates with a session cookie, send it on every request
+axios.defaults.withCredentials = true;
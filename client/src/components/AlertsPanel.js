@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { formatDateTime } from '../format';
+
+const POLL_INTERVAL = 60 * 1000;
+
+const typeLabels = {
+  refund_rate: 'Refund rate',
+  sku_refund_increase: 'SKU refunds',
+  daily_refund_amount: 'Daily refunds',
+  zscore: 'Anomaly'
+};
+
+// Bell in the nav bar with the count of open alerts; opens the recent history
+function AlertsPanel({ apiUrl, canAcknowledge }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [data, setData] = useState({ open: 0, alerts: [] });
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${apiUrl}/api/alerts`, { params: { limit: 20 } });
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+    }
+  }, [apiUrl]);
+
+  useEffect(() => {
+    fetchAlerts();
+    const timer = setInterval(fetchAlerts, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [fetchAlerts]);
+
+  const acknowledge = async (id) => {
+    try {
+      await axios.post(`${apiUrl}/api/alerts/${id}/acknowledge`);
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="relative px-3 py-1.5 bg-gray border border-gray-dark text-navy text-sm font-medium rounded-md hover:bg-gray-dark"
+      >
+        Alerts
+        {data.open > 0 && (
+          <span className="ml-2 px-1.5 py-0.5 rounded-full bg-coral text-white text-xs">{data.open}</span>
+        )}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-96 max-h-[32rem] overflow-y-auto bg-white rounded-lg shadow-xl border border-gray z-40">
+          {data.alerts.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">No alerts have fired</p>
+          ) : (
+            data.alerts.map(alert => (
+              <div
+                key={alert.id}
+                className={`p-4 border-b border-gray text-sm ${alert.acknowledgedAt ? 'opacity-60' : ''}`}
+              >
+                <div className="flex justify-between items-center mb-1">
+                  <span className="font-medium text-navy">
+                    {alert.ruleName || typeLabels[alert.type] || alert.type}
+                  </span>
+                  <span className="text-xs text-gray-500">{formatDateTime(alert.firedAt)}</span>
+                </div>
+                <p className="text-navy">{alert.message}</p>
+                {alert.deliveryError && (
+                  <p className="text-xs text-coral">Delivery failed: {alert.deliveryError}</p>
+                )}
+                {alert.acknowledgedAt ? (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Acknowledged{alert.acknowledgedBy ? ` by ${alert.acknowledgedBy}` : ''}
+                  </p>
+                ) : canAcknowledge && (
+                  <button
+                    onClick={() => acknowledge(alert.id)}
+                    className="mt-2 text-xs tracking-link"
+                  >
+                    Acknowledge
+                  </button>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,52 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import Login from './Login';
+
+// Renders the login screen until there is a session, and drops back to it
+// whenever the API answers 401
+function AuthGate({ apiUrl, children }) {
+  // undefined while checking, null when signed out
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401) setUser(null);
+        return Promise.reject(error);
+      }
+    );
+
+    axios.get(`${apiUrl}/api/auth/me`)
+      .then(response => setUser(response.data.user))
+      .catch(() => setUser(null));
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [apiUrl]);
+
+  const logout = useCallback(async () => {
+    try {
+      await axios.post(`${apiUrl}/api/auth/logout`);
+    } catch (error) {
+      console.error('Error signing out:', error);
+    } finally {
+      setUser(null);
+    }
+  }, [apiUrl]);
+
+  if (user === undefined) {
+    return (
+      <div className="flex justify-center items-center h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-navy"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login apiUrl={apiUrl} onLogin={setUser} />;
+  }
+
+  return children({ user, logout });
+}
+
+export default AuthGate;
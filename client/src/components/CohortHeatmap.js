@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { format as dateFnsFormat } from 'date-fns/esm';
+import { parseDay } from '../dates';
+
+// Cohort starts carry the store's offset; the calendar day is all we label
+const cohortLabel = (cohort, bucket) => {
+  const day = parseDay(cohort.cohortStart.slice(0, 10));
+  return bucket === 'week' ? `Week of ${dateFnsFormat(day, 'MMM d, yyyy')}` : dateFnsFormat(day, 'MMM yyyy');
+};
+
+// Coral shaded by the cell's rate against the highest rate in the grid
+const cellStyle = (rate, maxRate) => {
+  if (rate === null || maxRate === 0) return undefined;
+  const alpha = 0.08 + 0.82 * (rate / maxRate);
+  return {
+    backgroundColor: `rgba(195, 96, 68, ${alpha.toFixed(2)})`,
+    color: alpha > 0.5 ? '#FFFFFF' : undefined
+  };
+};
+
+// Orders grouped by when they were placed, read across by how many of them
+// had been refunded N days after delivery or purchase
+function CohortHeatmap({ apiUrl, shop, start, end, timezone }) {
+  const [bucket, setBucket] = useState('month');
+  const [anchor, setAnchor] = useState('delivery');
+  const [data, setData] = useState({ marks: [], cohorts: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCohorts = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/analytics/cohorts`, {
+          params: { start, end, timezone, shop, bucket, anchor }
+        });
+        if (!cancelled) setData(response.data);
+      } catch (error) {
+        console.error('Error fetching refund cohorts:', error);
+      }
+    };
+
+    fetchCohorts();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, start, end, timezone, bucket, anchor]);
+
+  const maxRate = Math.max(0, ...data.cohorts.flatMap(cohort =>
+    cohort.cells.map(cell => cell.refundRate || 0)));
+  const excluded = data.cohorts.reduce((total, cohort) => total + cohort.excluded, 0);
+
+  return (
+    <div className="table-container mb-8">
+      <div className="px-6 py-4 border-b border-gray flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-semibold text-navy">Refund Cohorts</h2>
+          <p className="text-sm text-gray-500">
+            Cumulative refund rate by days since {anchor === 'delivery' ? 'delivery' : 'purchase'}
+          </p>
+        </div>
+        <div className="flex space-x-4">
+          <div className="flex space-x-2">
+            {['week', 'month'].map(option => (
+              <button
+                key={option}
+                onClick={() => setBucket(option)}
+                className={`date-button ${bucket === option ? 'date-button-active' : 'date-button-inactive'}`}
+              >
+                By {option === 'week' ? 'Week' : 'Month'}
+              </button>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            {['delivery', 'purchase'].map(option => (
+              <button
+                key={option}
+                onClick={() => setAnchor(option)}
+                className={`date-button ${anchor === option ? 'date-button-active' : 'date-button-inactive'}`}
+              >
+                From {option === 'delivery' ? 'Delivery' : 'Purchase'}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr>
+              <th className="table-header">Cohort</th>
+              <th className="table-header">Orders</th>
+              {data.marks.map(days => (
+                <th key={days} className="table-header text-center">Day {days}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {data.cohorts.map(cohort => (
+              <tr key={cohort.cohortStart} className="table-row">
+                <td className="table-cell whitespace-nowrap">{cohortLabel(cohort, data.bucket)}</td>
+                <td className="table-cell">{cohort.orders}</td>
+                {cohort.cells.map(cell => (
+                  <td
+                    key={cell.days}
+                    className="table-cell text-center"
+                    style={cellStyle(cell.refundRate, maxRate)}
+                    title={cell.refundRate === null
+                      ? 'Not every order in this cohort is this old yet'
+                      : `${cell.refunds} of ${cohort.orders} orders refunded within ${cell.days} days`}
+                  >
+                    {cell.refundRate === null ? '' : `${cell.refundRate.toFixed(1)}%`}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {anchor === 'delivery' && excluded > 0 && (
+        <p className="px-6 py-3 text-xs text-gray-500">
+          {excluded} orders without a delivery date are left out.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default CohortHeatmap;
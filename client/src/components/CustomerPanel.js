@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Section, Detail } from './OrderPanel';
+import { formatMoney, formatDate, policyStatusLabels } from '../format';
+
+export const reasonLabel = (reasonOptions, key) => (reasonOptions.find(option => option.key === key) || {}).label || key;
+
+// Slide-over with one customer's lifetime totals and every order of theirs
+function CustomerPanel({ apiUrl, customerKey, shop, shopsById, reasonOptions, onClose }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCustomer = async () => {
+      try {
+        setData(null);
+        setError(null);
+        const response = await axios.get(`${apiUrl}/api/customers/${encodeURIComponent(customerKey)}`, {
+          params: { shop }
+        });
+        if (!cancelled) setData(response.data);
+      } catch (err) {
+        console.error('Error fetching customer:', err);
+        if (!cancelled) setError(err.response?.data?.error || 'Could not load this customer');
+      }
+    };
+
+    fetchCustomer();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, customerKey, shop]);
+
+  const customer = data?.customer;
+  const currency = data?.currency;
+  const locale = data?.locale;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-navy/30" onClick={onClose} />
+      <aside className="relative w-full max-w-lg h-full bg-white shadow-xl overflow-y-auto p-6 space-y-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-xl font-semibold text-navy">{customer?.name || 'Customer'}</h2>
+            {customer && (
+              <p className="text-sm text-gray-500">
+                {customer.shops.map(id => shopsById[id]?.name || id).join(', ')}
+                {customer.serial && <span className="ml-2 font-medium text-coral">Serial returner</span>}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-navy text-xl leading-none" aria-label="Close">✕</button>
+        </div>
+
+        {error && <p className="text-sm text-coral">{error}</p>}
+        {!data && !error && <p className="text-sm text-gray-500">Loading customer...</p>}
+
+        {customer && (
+          <>
+            <Section title="Lifetime">
+              <Detail label="Orders">{customer.orders}</Detail>
+              <Detail label="Refunded orders">
+                {customer.refundedOrders} ({customer.refundRate.toFixed(1)}%)
+              </Detail>
+              <Detail label="Refunds">{customer.refunds}</Detail>
+              <Detail label="Order total">{formatMoney(customer.orderTotal, currency, locale)}</Detail>
+              <Detail label="Refunded">{formatMoney(customer.refundAmount, currency, locale)}</Detail>
+              <Detail label="First order">{formatDate(customer.firstOrderAt)}</Detail>
+              <Detail label="Last refund">{formatDate(customer.lastRefundAt)}</Detail>
+              {data.coveredFrom && (
+                <p className="text-xs text-gray-500">Order history since {formatDate(data.coveredFrom)}</p>
+              )}
+            </Section>
+
+            {Object.keys(customer.reasons).length > 0 && (
+              <Section title="Refund reasons">
+                <div className="flex flex-wrap gap-1">
+                  {Object.entries(customer.reasons)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([reason, count]) => (
+                      <span key={reason} className="px-2 py-0.5 rounded-full bg-gray text-xs text-navy">
+                        {reasonLabel(reasonOptions, reason)} × {count}
+                      </span>
+                    ))}
+                </div>
+              </Section>
+            )}
+
+            <Section title={`Orders (${data.orders.length})`}>
+              {data.orders.map(order => (
+                <div key={`${order.shop}-${order.id}`} className="border border-gray rounded-lg p-3 space-y-1">
+                  <div className="flex justify-between text-sm font-medium text-navy">
+                    <a href={order.adminUrl} target="_blank" rel="noopener noreferrer" className="tracking-link">
+                      Order {order.orderNumber}
+                    </a>
+                    <span>{formatMoney(order.totalPrice, currency, locale)}</span>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {formatDate(order.orderDate)}
+                    {customer.shops.length > 1 && ` · ${shopsById[order.shop]?.name || order.shop}`}
+                    {' · '}{order.fulfillmentStatus}
+                  </p>
+                  {order.refunds.map(refund => (
+                    <div key={refund.id} className="flex justify-between text-xs text-navy">
+                      <span>
+                        Refunded {formatDate(refund.date)}
+                        {refund.reason && ` · ${reasonLabel(reasonOptions, refund.reason)}`}
+                      </span>
+                      <span className="text-coral">{formatMoney(refund.amount, currency, locale)}</span>
+                    </div>
+                  ))}
+                  {order.refundType && order.policyStatus && (
+                    <p className="text-xs text-gray-500">Return policy: {policyStatusLabels[order.policyStatus] || '-'}</p>
+                  )}
+                </div>
+              ))}
+            </Section>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default CustomerPanel;
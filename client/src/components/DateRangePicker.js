@@ -0,0 +1,58 @@
+import React from 'react';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { isValid } from 'date-fns/esm';
+import { rangePresets, parseDay, formatDay } from '../dates';
+
+// Preset buttons plus a from/to picker for custom ranges. `days` is the
+// resolved [start, end] pair of calendar days for the current range.
+function DateRangePicker({ range, days, today, disabled, onChange }) {
+  const [start, end] = days;
+
+  // Moving one end past the other drags the other end along
+  const handlePick = (which) => (date) => {
+    if (!date || !isValid(date)) return;
+    const day = formatDay(date);
+    if (which === 'start') {
+      onChange({ preset: 'custom', start: day, end: day > end ? day : end });
+    } else {
+      onChange({ preset: 'custom', start: day < start ? day : start, end: day });
+    }
+  };
+
+  const pickerProps = {
+    format: 'MMM d, yyyy',
+    maxDate: parseDay(today),
+    disabled,
+    slotProps: { textField: { size: 'small', sx: { width: 160, backgroundColor: 'white' } } }
+  };
+
+  return (
+    <div className="flex flex-col items-end space-y-3">
+      <div className="flex flex-wrap justify-end gap-2">
+        {rangePresets.map(preset => (
+          <button
+            key={preset.key}
+            onClick={() => onChange({ preset: preset.key })}
+            className={`date-button ${
+              range.preset === preset.key ? 'date-button-active' : 'date-button-inactive'
+            }`}
+            disabled={disabled}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <LocalizationProvider dateAdapter={AdapterDateFns}>
+        <div className="flex items-center space-x-2">
+          <DatePicker label="From" value={parseDay(start)} onChange={handlePick('start')} {...pickerProps} />
+          <span className="text-navy">–</span>
+          <DatePicker label="To" value={parseDay(end)} onChange={handlePick('end')} {...pickerProps} />
+        </div>
+      </LocalizationProvider>
+    </div>
+  );
+}
+
+export default DateRangePicker;
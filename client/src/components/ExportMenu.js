@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const formatLabels = { csv: 'CSV', xlsx: 'Excel (XLSX)', json: 'JSON' };
+
+// Pick a format and columns, then let the browser download the server's
+// export of the current view. Nothing is assembled in the page.
+function ExportMenu({ apiUrl, params, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [options, setOptions] = useState(null);
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState([]);
+
+  useEffect(() => {
+    if (!isOpen || options) return;
+    const fetchColumns = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/export/columns`);
+        setOptions(response.data);
+        setColumns(response.data.columns.filter(column => column.default).map(column => column.key));
+      } catch (error) {
+        console.error('Error fetching export columns:', error);
+      }
+    };
+    fetchColumns();
+  }, [apiUrl, isOpen, options]);
+
+  const toggleColumn = (key) => {
+    setColumns(current => (current.includes(key) ? current.filter(k => k !== key) : [...current, key]));
+  };
+
+  const download = () => {
+    const query = new URLSearchParams();
+    // Keep the server's column order whatever order they were ticked in
+    const picked = options.columns.map(column => column.key).filter(key => columns.includes(key));
+    Object.entries({ ...params, format, columns: picked.join(',') }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    const link = document.createElement('a');
+    link.href = `${apiUrl}/api/export?${query}`;
+    link.click();
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled}
+        className="px-4 py-2 bg-navy text-white rounded hover:bg-navy-dark disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Export
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-xl border border-gray z-40 p-4 space-y-3">
+          {!options ? (
+            <p className="text-sm text-gray-500">Loading columns…</p>
+          ) : (
+            <>
+              <div className="flex space-x-2">
+                {options.formats.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => setFormat(option)}
+                    className={`date-button ${format === option ? 'date-button-active' : 'date-button-inactive'}`}
+                  >
+                    {formatLabels[option] || option}
+                  </button>
+                ))}
+              </div>
+              <div className="max-h-64 overflow-y-auto grid grid-cols-2 gap-1">
+                {options.columns.map(column => (
+                  <label key={column.key} className="flex items-center space-x-2 text-sm text-navy">
+                    <input
+                      type="checkbox"
+                      checked={columns.includes(column.key)}
+                      onChange={() => toggleColumn(column.key)}
+                    />
+                    <span>{column.label}</span>
+                  </label>
+                ))}
+              </div>
+              <button
+                onClick={download}
+                disabled={columns.length === 0}
+                className="w-full px-4 py-2 bg-coral text-white rounded disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Download {formatLabels[format] || format}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import RegionMap from './RegionMap';
+import { formatMoney } from '../format';
+
+const levelLabels = { country: 'Country', province: 'State / Province', zip3: 'ZIP Prefix' };
+
+const metrics = {
+  refundRate: { label: 'Refund rate', format: value => `${value.toFixed(1)}%` },
+  refundAmount: { label: 'Refund amount', format: (value, data) => formatMoney(value, data.currency, data.locale) },
+  medianDaysToRefund: { label: 'Median days to refund', format: value => `${value} days` }
+};
+
+const columns = [
+  { key: 'name', label: 'Region' },
+  { key: 'orders', label: 'Orders' },
+  { key: 'refunds', label: 'Refunds' },
+  { key: 'refundRate', label: 'Refund Rate' },
+  { key: 'refundAmount', label: 'Refund Amount' },
+  { key: 'medianDaysToRefund', label: 'Median Days to Refund' },
+  { key: 'avgDaysToRefund', label: 'Avg Days to Refund' }
+];
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  // Missing values always sort last
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return typeof a === 'string' ? a.localeCompare(b) : a - b;
+}
+
+const regionName = (row, level) => {
+  if (level === 'country') return row.name || row.countryCode || 'Unknown';
+  if (!row.code) return `Unknown (${row.countryCode || '?'})`;
+  return level === 'province' && row.name ? `${row.name} (${row.code})` : row.code;
+};
+
+// Refunds by where orders shipped: a map for countries and US states, and
+// a sortable table at every level
+function GeoBreakdown({ apiUrl, shop, start, end, timezone }) {
+  const [level, setLevel] = useState('country');
+  const [country, setCountry] = useState('US');
+  const [metric, setMetric] = useState('refundRate');
+  const [data, setData] = useState({ regions: [] });
+  const [countryOptions, setCountryOptions] = useState([]);
+  const [sort, setSort] = useState({ key: 'orders', direction: 'desc' });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRegions = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/analytics/geo`, {
+          params: {
+            start,
+            end,
+            timezone,
+            shop,
+            level,
+            country: level === 'country' ? undefined : country,
+            basis: 'refund_date'
+          }
+        });
+        if (cancelled) return;
+        setData(response.data);
+        // The country list comes from the country view, where every country shows up
+        if (level === 'country') {
+          setCountryOptions(response.data.regions.filter(row => row.countryCode));
+        }
+      } catch (error) {
+        console.error('Error fetching geographic breakdown:', error);
+      }
+    };
+
+    fetchRegions();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, start, end, timezone, level, country]);
+
+  const rows = data.regions.map(row => ({ ...row, name: regionName(row, level) }));
+  const sortedRows = [...rows].sort((a, b) => {
+    const result = compareValues(a[sort.key], b[sort.key]);
+    return sort.direction === 'asc' ? result : -result;
+  });
+
+  const toggleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const format = (key, value) => {
+    if (value === null || value === undefined) return '-';
+    if (key === 'avgDaysToRefund') return `${value} days`;
+    return metrics[key] ? metrics[key].format(value, data) : value;
+  };
+
+  const hasMap = level === 'country' || (level === 'province' && country === 'US');
+
+  return (
+    <div className="table-container mb-8">
+      <div className="px-6 py-4 border-b border-gray flex flex-wrap gap-2 justify-between items-center">
+        <h2 className="text-lg font-semibold text-navy">Refunds by Region</h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          {Object.entries(levelLabels).map(([option, label]) => (
+            <button
+              key={option}
+              onClick={() => setLevel(option)}
+              className={`date-button ${level === option ? 'date-button-active' : 'date-button-inactive'}`}
+            >
+              {label}
+            </button>
+          ))}
+          {level !== 'country' && (
+            <select
+              value={country}
+              onChange={event => setCountry(event.target.value)}
+              className="px-3 py-2 rounded-lg text-sm bg-white text-navy border border-gray-dark"
+            >
+              {!countryOptions.some(row => row.countryCode === country) && <option value={country}>{country}</option>}
+              {countryOptions.map(row => (
+                <option key={row.countryCode} value={row.countryCode}>{row.name || row.countryCode}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+      {hasMap && (
+        <div className="px-6 py-4 border-b border-gray">
+          <div className="flex justify-end space-x-2 mb-2">
+            {Object.entries(metrics).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setMetric(key)}
+                className={`date-button ${metric === key ? 'date-button-active' : 'date-button-inactive'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <RegionMap
+            level={level}
+            regions={data.regions}
+            metric={metric}
+            formatValue={value => format(metric, value)}
+          />
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => toggleSort(column.key)}
+                  className="table-header cursor-pointer select-none"
+                >
+                  {column.key === 'name' ? levelLabels[level] : column.label}
+                  {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map(row => (
+              <tr key={row.key} className="table-row">
+                {columns.map(column => (
+                  <td key={column.key} className="table-cell">
+                    {column.key === 'name' || column.key === 'orders' || column.key === 'refunds'
+                      ? row[column.key]
+                      : format(column.key, row[column.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {sortedRows.length === 0 && (
+              <tr>
+                <td colSpan={columns.length} className="table-cell text-center text-gray-500">No orders in this range</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default GeoBreakdown;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+function Login({ apiUrl, onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      const response = await axios.post(`${apiUrl}/api/auth/login`, { username, password });
+      onLogin(response.data.user);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Unable to sign in');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray flex items-center justify-center">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-8 w-full max-w-sm space-y-4">
+        <img
+          src="https://cdn.shopify.com/s/files/1/0688/0179/0181/files/hearsound-2.png?v=1727719149"
+          alt="HearSound Logo"
+          className="h-8 w-auto mx-auto"
+        />
+        <h1 className="text-xl font-semibold text-navy text-center">Refund Analytics</h1>
+        <label className="block text-sm font-medium text-navy">
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={event => setUsername(event.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-dark rounded"
+            required
+          />
+        </label>
+        <label className="block text-sm font-medium text-navy">
+          Password
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={event => setPassword(event.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-dark rounded"
+            required
+          />
+        </label>
+        {error && <p className="text-sm text-coral">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 bg-navy text-white rounded hover:bg-navy-dark disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
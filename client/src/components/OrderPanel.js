@@ -0,0 +1,304 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { formatMoney, formatDate, formatDateTime, policyStatusLabels } from '../format';
+
+const restockLabels = {
+  no_restock: 'Not restocked',
+  cancel: 'Cancelled',
+  return: 'Returned',
+  legacy_restock: 'Restocked'
+};
+
+const reasonSourceLabels = {
+  manual: 'set manually',
+  return_reason: 'from return reason',
+  note: 'from refund note',
+  tags: 'from order tags'
+};
+
+// The refund's reason, which admins can override; choosing the matched
+// reason again still pins it, clearing goes back to the taxonomy's verdict
+function RefundReason({ apiUrl, order, refund, reasonOptions, canEdit, onOrderChange }) {
+  const [isSaving, setIsSaving] = useState(false);
+  const label = (reasonOptions.find(option => option.key === refund.reason) || {}).label || refund.reason;
+
+  const saveReason = async (reason) => {
+    try {
+      setIsSaving(true);
+      // Back in the currency the table converted the order to
+      const response = await axios.put(
+        `${apiUrl}/api/orders/${order.shop}/${order.id}/refunds/${refund.id}/reason`,
+        { reason: reason || null },
+        { params: { currency: order.currency || undefined } }
+      );
+      onOrderChange(response.data);
+    } catch (error) {
+      console.error('Error saving refund reason:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!canEdit) {
+    return (
+      <p className="text-xs text-navy">
+        Reason: {label}
+        {refund.reasonSource && <span className="text-gray-500"> ({reasonSourceLabels[refund.reasonSource]})</span>}
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex items-center space-x-2 text-xs text-navy">
+      <span>Reason:</span>
+      <select
+        value={refund.reasonSource === 'manual' ? refund.reason : ''}
+        onChange={event => saveReason(event.target.value)}
+        disabled={isSaving}
+        className="px-2 py-1 rounded-md bg-white border border-gray-dark"
+      >
+        <option value="">Automatic{refund.reasonSource === 'manual' ? '' : ` (${label})`}</option>
+        {reasonOptions.map(option => (
+          <option key={option.key} value={option.key}>{option.label}</option>
+        ))}
+      </select>
+      {refund.reasonSource && (
+        <span className="text-gray-500">
+          {reasonSourceLabels[refund.reasonSource]}
+          {refund.reasonSetBy && ` by ${refund.reasonSetBy}`}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export function Section({ title, children }) {
+  return (
+    <section className="space-y-2">
+      <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+export function Detail({ label, children }) {
+  return (
+    <div className="flex justify-between text-sm">
+      <span className="text-gray-500">{label}</span>
+      <span className="text-navy text-right">{children}</span>
+    </div>
+  );
+}
+
+// Carrier timeline for one fulfillment. Without tracking events we can
+// only show when it shipped and its last known status.
+function FulfillmentTimeline({ fulfillment }) {
+  const events = fulfillment.events.length > 0
+    ? fulfillment.events
+    : [{ status: 'shipped', happenedAt: fulfillment.createdAt, message: null }];
+
+  return (
+    <div className="border border-gray rounded-lg p-3 space-y-2">
+      <div className="flex justify-between text-sm">
+        <span className="font-medium text-navy">{fulfillment.trackingCompany || 'Unknown carrier'}</span>
+        {fulfillment.trackingUrl ? (
+          <a href={fulfillment.trackingUrl} target="_blank" rel="noopener noreferrer" className="tracking-link">
+            {fulfillment.trackingNumber}
+          </a>
+        ) : (
+          <span className="text-navy">{fulfillment.trackingNumber || 'No tracking'}</span>
+        )}
+      </div>
+      <ol className="border-l-2 border-gray-dark ml-1 space-y-2">
+        {events.map((event, index) => (
+          <li key={index} className="pl-3 text-sm">
+            <span className={`font-medium ${['failure', 'attempted_delivery'].includes(event.status) ? 'text-coral' : 'text-navy'}`}>
+              {event.status.replace(/_/g, ' ')}
+            </span>
+            <span className="block text-xs text-gray-500">{formatDateTime(event.happenedAt)}</span>
+            {event.message && <span className="block text-xs text-gray-500">{event.message}</span>}
+          </li>
+        ))}
+      </ol>
+      {fulfillment.events.length === 0 && (
+        <p className="text-xs text-gray-500">
+          No carrier events recorded, last status: {fulfillment.shipmentStatus || fulfillment.status}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// The customer's record across every shop, so a refund or trial request
+// can be weighed against their history
+function CustomerHistory({ apiUrl, customerKey }) {
+  const [customer, setCustomer] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCustomer = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/customers/${encodeURIComponent(customerKey)}`, {
+          params: { shop: 'all' }
+        });
+        if (!cancelled) setCustomer(response.data.customer);
+      } catch (error) {
+        console.error('Error fetching customer history:', error);
+      }
+    };
+
+    fetchCustomer();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, customerKey]);
+
+  if (!customer) return null;
+
+  return (
+    <Section title="Customer">
+      <Detail label="Orders">{customer.orders}</Detail>
+      <Detail label="Refunded orders">
+        {customer.refundedOrders} ({customer.refundRate.toFixed(1)}%)
+      </Detail>
+      <Detail label="Last refund">{formatDate(customer.lastRefundAt)}</Detail>
+      {customer.serial && <p className="text-sm font-medium text-coral">Serial returner</p>}
+    </Section>
+  );
+}
+
+// Slide-over with everything we hold for one order
+function OrderPanel({ apiUrl, order, shop, reasonOptions, canEditReasons, onOrderChange, onClose }) {
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  // Orders in an all-stores view may come converted to the reporting currency
+  const currency = order.currency || shop?.currency;
+  const money = (amount) => formatMoney(amount, currency, shop?.locale);
+  const charged = order.presentmentCurrency && order.presentmentCurrency !== currency && order.presentmentTotal !== null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-navy/30" onClick={onClose} />
+      <aside className="relative w-full max-w-lg h-full bg-white shadow-xl overflow-y-auto p-6 space-y-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-xl font-semibold text-navy">Order {order.orderNumber}</h2>
+            <p className="text-sm text-gray-500">
+              {order.shippingName}{shop ? ` · ${shop.name}` : ''}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-navy text-xl leading-none" aria-label="Close">✕</button>
+        </div>
+
+        <Section title="Summary">
+          <Detail label="Ordered">{formatDate(order.orderDate)}</Detail>
+          <Detail label="Delivered">
+            {formatDate(order.deliveryDate)}
+            {order.deliverySource === 'shipment_status' && ' (estimated)'}
+          </Detail>
+          <Detail label="Order total">
+            {money(order.totalPrice)}
+            {charged && ` (${formatMoney(order.presentmentTotal, order.presentmentCurrency, shop?.locale)} charged)`}
+          </Detail>
+          <Detail label="Refunded">
+            {money(order.refundAmount)} ({order.refundType === 'full' ? 'full' : 'partial'})
+          </Detail>
+          <Detail label="Return policy">
+            {policyStatusLabels[order.policyStatus] || '-'}
+            {order.policyStatus === 'late' && ` by ${order.policy.daysOver} days`}
+          </Detail>
+          <a
+            href={order.adminUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-block text-sm tracking-link"
+          >
+            View in Shopify
+          </a>
+        </Section>
+
+        {order.customerKey && <CustomerHistory apiUrl={apiUrl} customerKey={order.customerKey} />}
+
+        {order.tags?.length > 0 && (
+          <Section title="Tags">
+            <div className="flex flex-wrap gap-1">
+              {order.tags.map(tag => (
+                <span key={tag} className="px-2 py-0.5 rounded-full bg-gray text-xs text-navy">{tag}</span>
+              ))}
+            </div>
+          </Section>
+        )}
+
+        <Section title="Line items">
+          {order.products.map(product => (
+            <div key={product.lineItemId} className="flex justify-between text-sm">
+              <span className="text-navy">
+                {product.title}
+                <span className="block text-xs text-gray-500">{product.sku}</span>
+              </span>
+              <span className="text-navy text-right">
+                {product.quantity} × {money(product.price)}
+              </span>
+            </div>
+          ))}
+        </Section>
+
+        <Section title={`Refunds (${order.refunds.length})`}>
+          {order.refunds.map(refund => (
+            <div key={refund.id} className="border border-gray rounded-lg p-3 space-y-1">
+              <div className="flex justify-between text-sm font-medium text-navy">
+                <span>{formatDateTime(refund.date)}</span>
+                <span>
+                  {money(refund.amount)}
+                  {refund.presentment && (
+                    <span className="block text-xs font-normal text-gray-500 text-right">
+                      {formatMoney(refund.presentment.amount, refund.presentment.currency, shop?.locale)} paid out
+                    </span>
+                  )}
+                </span>
+              </div>
+              <p className="text-xs text-gray-500">
+                Merchandise {money(refund.merchandise)} · Shipping {money(refund.shipping)} · Tax {money(refund.tax)}
+                {typeof refund.daysToRefund === 'number' && ` · ${refund.daysToRefund} days after delivery`}
+              </p>
+              {refund.lineItems.map(line => (
+                <div key={line.lineItemId} className="flex justify-between text-xs text-navy">
+                  <span>{line.quantity} × {line.title || line.sku}</span>
+                  <span>{restockLabels[line.restockType] || line.restockType}</span>
+                </div>
+              ))}
+              {refund.note && <p className="text-xs italic text-navy">“{refund.note}”</p>}
+              <RefundReason
+                apiUrl={apiUrl}
+                order={order}
+                refund={refund}
+                reasonOptions={reasonOptions}
+                canEdit={canEditReasons}
+                onOrderChange={onOrderChange}
+              />
+            </div>
+          ))}
+        </Section>
+
+        <Section title="Fulfillment">
+          {order.fulfillments.length === 0 ? (
+            <p className="text-sm text-gray-500">Not fulfilled</p>
+          ) : (
+            order.fulfillments.map(fulfillment => (
+              <FulfillmentTimeline key={fulfillment.id} fulfillment={fulfillment} />
+            ))
+          )}
+        </Section>
+      </aside>
+    </div>
+  );
+}
+
+export default OrderPanel;
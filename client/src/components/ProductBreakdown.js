@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatMoney } from '../format';
+
+const columns = [
+  { key: 'title', label: 'Product', render: row => row.title },
+  { key: 'sku', label: 'SKU', render: row => row.sku || '-' },
+  { key: 'unitsSold', label: 'Units Sold', render: row => row.unitsSold },
+  { key: 'unitsRefunded', label: 'Units Refunded', render: row => row.unitsRefunded },
+  { key: 'refundRate', label: 'Refund Rate', render: row => `${row.refundRate.toFixed(1)}%` },
+  { key: 'refundedRevenue', label: 'Refunded Revenue', render: (row, { currency, locale }) => formatMoney(row.refundedRevenue, currency, locale) },
+  {
+    key: 'medianDaysToRefund',
+    label: 'Median Days to Refund',
+    render: row => (row.medianDaysToRefund === null ? '-' : `${row.medianDaysToRefund} days`)
+  }
+];
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  // Missing values always sort last
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return typeof a === 'string' ? a.localeCompare(b) : a - b;
+}
+
+function ProductBreakdown({ apiUrl, shop, start, end, timezone, selected, onSelect }) {
+  const [groupBy, setGroupBy] = useState('sku');
+  const [products, setProducts] = useState([]);
+  const [money, setMoney] = useState({ currency: null, locale: undefined });
+  const [sort, setSort] = useState({ key: 'unitsRefunded', direction: 'desc' });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchProducts = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/analytics/products`, {
+          params: {
+            start,
+            end,
+            timezone,
+            shop,
+            groupBy,
+            basis: 'refund_date'
+          }
+        });
+        if (!cancelled) {
+          setProducts(response.data.products);
+          setMoney({ currency: response.data.currency, locale: response.data.locale });
+        }
+      } catch (error) {
+        console.error('Error fetching product breakdown:', error);
+      }
+    };
+
+    fetchProducts();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, start, end, timezone, groupBy]);
+
+  const sortedProducts = [...products].sort((a, b) => {
+    const result = compareValues(a[sort.key], b[sort.key]);
+    return sort.direction === 'asc' ? result : -result;
+  });
+
+  const toggleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const isSelected = (row) => selected && selected.groupBy === groupBy && selected.key === row.key;
+
+  return (
+    <div className="table-container mb-8">
+      <div className="px-6 py-4 border-b border-gray flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-navy">Refunds by Product</h2>
+        <div className="flex space-x-2">
+          {['sku', 'product'].map(option => (
+            <button
+              key={option}
+              onClick={() => setGroupBy(option)}
+              className={`date-button ${groupBy === option ? 'date-button-active' : 'date-button-inactive'}`}
+            >
+              By {option === 'sku' ? 'SKU' : 'Product'}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => toggleSort(column.key)}
+                  className="table-header cursor-pointer select-none"
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedProducts.map(row => (
+              <tr
+                key={row.key}
+                onClick={() => onSelect(isSelected(row) ? null : { groupBy, key: row.key, label: row.sku || row.title })}
+                className={`table-row cursor-pointer ${isSelected(row) ? 'bg-coral/10' : ''}`}
+              >
+                {columns.map(column => (
+                  <td key={column.key} className="table-cell">{column.render(row, money)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ProductBreakdown;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatMoney } from '../format';
+
+// Why refunds happened: totals per reason, then each SKU split by reason.
+// Clicking a reason filters the refunds table to it.
+function ReasonBreakdown({ apiUrl, shop, start, end, timezone, selected, onSelect }) {
+  const [data, setData] = useState({ categories: [], reasons: [], skus: [] });
+  const [view, setView] = useState('overall');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchReasons = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/analytics/reasons`, {
+          params: { start, end, timezone, shop, basis: 'refund_date' }
+        });
+        if (!cancelled) setData(response.data);
+      } catch (error) {
+        console.error('Error fetching refund reasons:', error);
+      }
+    };
+
+    fetchReasons();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, start, end, timezone]);
+
+  const labels = Object.fromEntries(data.categories.map(category => [category.key, category.label]));
+  const totalRefunds = data.reasons.reduce((total, row) => total + row.refunds, 0);
+  // Reasons as columns of the SKU view, in taxonomy order, only those present
+  const present = data.categories.filter(category => data.reasons.some(row => row.reason === category.key));
+  const skuRows = Object.values(data.skus.reduce((rows, row) => {
+    rows[row.sku] = rows[row.sku] || { sku: row.sku, title: row.title, unitsRefunded: 0, byReason: {} };
+    rows[row.sku].unitsRefunded += row.unitsRefunded;
+    rows[row.sku].byReason[row.reason] = row;
+    return rows;
+  }, {})).sort((a, b) => b.unitsRefunded - a.unitsRefunded);
+
+  return (
+    <div className="table-container mb-8">
+      <div className="px-6 py-4 border-b border-gray flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-navy">Refunds by Reason</h2>
+        <div className="flex space-x-2">
+          {['overall', 'sku'].map(option => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`date-button ${view === option ? 'date-button-active' : 'date-button-inactive'}`}
+            >
+              {option === 'overall' ? 'Overall' : 'By SKU'}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        {view === 'overall' ? (
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="table-header">Reason</th>
+                <th className="table-header">Refunds</th>
+                <th className="table-header">Share</th>
+                <th className="table-header">Orders</th>
+                <th className="table-header">Units</th>
+                <th className="table-header">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.reasons.map(row => (
+                <tr
+                  key={row.reason}
+                  onClick={() => onSelect(selected === row.reason ? 'all' : row.reason)}
+                  className={`table-row cursor-pointer ${selected === row.reason ? 'bg-coral/10' : ''}`}
+                >
+                  <td className="table-cell font-medium">{labels[row.reason] || row.reason}</td>
+                  <td className="table-cell">{row.refunds}</td>
+                  <td className="table-cell">
+                    <div className="flex items-center space-x-2">
+                      <div className="w-24 h-2 bg-gray rounded-full">
+                        <div
+                          className="h-2 bg-coral rounded-full"
+                          style={{ width: `${(row.refunds / totalRefunds) * 100}%` }}
+                        />
+                      </div>
+                      <span>{((row.refunds / totalRefunds) * 100).toFixed(0)}%</span>
+                    </div>
+                  </td>
+                  <td className="table-cell">{row.orders}</td>
+                  <td className="table-cell">{row.unitsRefunded}</td>
+                  <td className="table-cell">{formatMoney(row.refundAmount, data.currency, data.locale)}</td>
+                </tr>
+              ))}
+              {data.reasons.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="table-cell text-center text-gray-500">No refunds in this range</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        ) : (
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="table-header">SKU</th>
+                {present.map(category => (
+                  <th key={category.key} className="table-header">{category.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {skuRows.map(row => (
+                <tr key={row.sku} className="table-row">
+                  <td className="table-cell font-medium">
+                    {row.sku}
+                    <span className="block text-xs font-normal text-gray-500">{row.title}</span>
+                  </td>
+                  {present.map(category => {
+                    const cell = row.byReason[category.key];
+                    return (
+                      <td key={category.key} className="table-cell">
+                        {cell ? (
+                          <>
+                            {cell.unitsRefunded} units
+                            <span className="block text-xs text-gray-500">
+                              {formatMoney(cell.refundAmount, data.currency, data.locale)}
+                            </span>
+                          </>
+                        ) : '-'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReasonBreakdown;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { format as dateFnsFormat } from 'date-fns/esm';
+import axios from 'axios';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { formatMoney } from '../format';
+
+const metrics = [
+  { key: 'refundRate', label: 'Refund Rate', format: value => `${value.toFixed(1)}%` },
+  { key: 'refunds', label: 'Refunds', format: value => value },
+  { key: 'fullRefunds', label: 'Full Refunds', format: value => value },
+  { key: 'partialRefunds', label: 'Partial Refunds', format: value => value },
+  { key: 'refundAmount', label: 'Refund Amount', format: (value, data) => formatMoney(value, data.currency, data.locale) },
+  { key: 'orders', label: 'Orders', format: value => value },
+  { key: 'grossRevenue', label: 'Gross Revenue', format: (value, data) => formatMoney(value, data.currency, data.locale) },
+  { key: 'netRevenue', label: 'Net Revenue', format: (value, data) => formatMoney(value, data.currency, data.locale) },
+  { key: 'refundToRevenue', label: 'Refunds % of Revenue', format: value => `${value.toFixed(1)}%` },
+  { key: 'avgDaysToRefund', label: 'Avg Days to Refund', format: value => `${value.toFixed(1)} days` }
+];
+
+const buckets = [
+  { key: 'day', label: 'Daily' },
+  { key: 'week', label: 'Weekly' },
+  { key: 'month', label: 'Monthly' }
+];
+
+const bucketLabelFormat = {
+  day: 'MMM dd',
+  week: 'MMM dd',
+  month: 'MMM yyyy'
+};
+
+function RefundTrends({ apiUrl, shop, start, end, timezone }) {
+  const [metric, setMetric] = useState('refundRate');
+  const [bucket, setBucket] = useState('week');
+  const [compare, setCompare] = useState(true);
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTimeseries = async () => {
+      try {
+        setIsLoading(true);
+        const response = await axios.get(`${apiUrl}/api/analytics/timeseries`, {
+          params: {
+            start,
+            end,
+            timezone,
+            shop,
+            bucket,
+            basis: 'refund_date',
+            ...(compare && { compare: 'previous' })
+          }
+        });
+        if (!cancelled) setData(response.data);
+      } catch (error) {
+        console.error('Error fetching refund trends:', error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchTimeseries();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, start, end, timezone, bucket, compare]);
+
+  const selectedMetric = metrics.find(m => m.key === metric);
+
+  // Previous period points line up with current ones by position
+  const chartData = data ? data.series.map((point, index) => {
+    const previousPoint = data.previous && data.previous.series[index];
+    return {
+      // Drop the offset so the label shows the store-local date
+      label: dateFnsFormat(new Date(point.bucketStart.slice(0, 10) + 'T00:00:00'), bucketLabelFormat[bucket]),
+      current: point[metric],
+      previous: previousPoint ? previousPoint[metric] : null
+    };
+  }) : [];
+
+  return (
+    <div className="table-container mb-8">
+      <div className="px-6 py-4 border-b border-gray flex flex-wrap justify-between items-center gap-4">
+        <h2 className="text-lg font-semibold text-navy">Refund Trends</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {metrics.map(m => (
+            <button
+              key={m.key}
+              onClick={() => setMetric(m.key)}
+              className={`date-button ${metric === m.key ? 'date-button-active' : 'date-button-inactive'}`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          {buckets.map(b => (
+            <button
+              key={b.key}
+              onClick={() => setBucket(b.key)}
+              className={`date-button ${bucket === b.key ? 'date-button-active' : 'date-button-inactive'}`}
+            >
+              {b.label}
+            </button>
+          ))}
+          <label className="flex items-center gap-2 text-sm text-navy ml-2">
+            <input
+              type="checkbox"
+              checked={compare}
+              onChange={event => setCompare(event.target.checked)}
+            />
+            Compare to previous period
+          </label>
+        </div>
+      </div>
+      <div className="px-6 py-4 h-80">
+        {isLoading && !data ? (
+          <div className="flex justify-center items-center h-full">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-navy"></div>
+          </div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#DDDDDD" />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <YAxis tick={{ fontSize: 12 }} />
+              <Tooltip formatter={value => (value === null ? '-' : selectedMetric.format(value, data))} />
+              <Legend />
+              <Line
+                type="monotone"
+                dataKey="current"
+                name={`${selectedMetric.label} (this period)`}
+                stroke="#C36044"
+                strokeWidth={2}
+                dot={false}
+              />
+              {compare && (
+                <Line
+                  type="monotone"
+                  dataKey="previous"
+                  name={`${selectedMetric.label} (previous period)`}
+                  stroke="#132842"
+                  strokeDasharray="5 5"
+                  dot={false}
+                />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RefundTrends;
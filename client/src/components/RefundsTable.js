@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import OrderPanel from './OrderPanel';
+import ExportMenu from './ExportMenu';
+import { formatMoney, formatDate, policyStatusLabels } from '../format';
+
+// Same buckets as the server's orderQuery.DAYS_BUCKETS
+const daysBucketLabels = {
+  '0-7': '0–7 days',
+  '8-14': '8–14 days',
+  '15-30': '15–30 days',
+  '31-60': '31–60 days',
+  '60+': 'Over 60 days',
+  before_delivery: 'Before delivery',
+  unknown: 'Delivery unknown'
+};
+
+const transitStatusLabel = (status) => status.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+const columns = [
+  { key: 'orderNumber', label: 'Order #', className: 'w-order' },
+  { key: 'orderDate', label: 'Order Date', className: 'w-date' },
+  { key: 'shippingName', label: 'Name', className: 'w-name' },
+  { key: 'trackingNumber', label: 'Tracking Number', className: 'w-tracking', sortable: false },
+  { key: 'deliveryDate', label: 'Delivery Date', className: 'w-delivery' },
+  { key: 'refundDate', label: 'Refund Date', className: 'w-refund' },
+  { key: 'daysToRefund', label: 'Days to Refund', className: 'w-days' },
+  { key: 'refundAmount', label: 'Refunded', className: 'w-amount' }
+];
+
+// Refunded orders in the range, filtered, sorted and paged on the server.
+// Filters are owned by the parent so they can live in the URL.
+function RefundsTable({
+  apiUrl,
+  shop,
+  start,
+  end,
+  timezone,
+  shopsById,
+  reasonOptions,
+  canEditReasons,
+  filters,
+  onFiltersChange,
+  selectedProduct,
+  onClearProduct
+}) {
+  const [result, setResult] = useState({ orders: [], total: 0, transitStatuses: [] });
+  const [isLoading, setIsLoading] = useState(false);
+  const [search, setSearch] = useState(filters.search);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+
+  // Query parameters for the current view, shared by the table and the export
+  const params = {
+    shop,
+    start,
+    end,
+    timezone,
+    basis: 'refund_date',
+    search: filters.search || undefined,
+    refundType: filters.refundType === 'all' ? undefined : filters.refundType,
+    policyStatus: filters.policyStatus === 'all' ? undefined : filters.policyStatus,
+    transitStatus: filters.transitStatus === 'all' ? undefined : filters.transitStatus,
+    daysBucket: filters.daysBucket === 'all' ? undefined : filters.daysBucket,
+    reason: filters.reason === 'all' ? undefined : filters.reason,
+    product: selectedProduct?.key,
+    productGroup: selectedProduct?.groupBy,
+    sort: filters.sort,
+    direction: filters.direction
+  };
+  const paramsKey = JSON.stringify(params);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    if (search === filters.search) return undefined;
+    const timer = setTimeout(() => onFiltersChange({ search }), 300);
+    return () => clearTimeout(timer);
+  }, [search, filters.search, onFiltersChange]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchOrders = async () => {
+      try {
+        setIsLoading(true);
+        const response = await axios.get(`${apiUrl}/api/orders`, {
+          params: { ...JSON.parse(paramsKey), page: filters.page, pageSize: filters.pageSize }
+        });
+        if (!cancelled) setResult(response.data);
+      } catch (error) {
+        console.error('Error fetching orders:', error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchOrders();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, paramsKey, filters.page, filters.pageSize]);
+
+  const handleSort = (key) => {
+    onFiltersChange({
+      sort: key,
+      direction: filters.sort === key && filters.direction === 'desc' ? 'asc' : 'desc'
+    });
+  };
+
+  // A re-tagged order replaces its row without refetching the page
+  const handleOrderChange = (order) => {
+    setSelectedOrder(order);
+    setResult(current => ({
+      ...current,
+      orders: current.orders.map(row => (row.shop === order.shop && row.id === order.id ? order : row))
+    }));
+  };
+
+  const pageCount = Math.max(1, Math.ceil(result.total / filters.pageSize));
+  const firstRow = result.total === 0 ? 0 : (filters.page - 1) * filters.pageSize + 1;
+  const lastRow = Math.min(filters.page * filters.pageSize, result.total);
+  const selectClass = 'px-3 py-2 rounded-lg text-sm bg-white text-navy border border-gray-dark';
+
+  return (
+    <div className="table-container">
+      <div className="px-6 py-4 border-b border-gray space-y-3">
+        <div className="flex justify-between items-center">
+          <div className="flex items-center space-x-4">
+            <h2 className="text-lg font-semibold text-navy">Refunds</h2>
+            {selectedProduct && (
+              <button
+                onClick={onClearProduct}
+                className="px-3 py-1 rounded-full bg-coral text-white text-sm"
+              >
+                {selectedProduct.label} ✕
+              </button>
+            )}
+          </div>
+          <div className="flex items-center space-x-2">
+            {['all', 'full', 'partial'].map(type => (
+              <button
+                key={type}
+                onClick={() => onFiltersChange({ refundType: type })}
+                className={`date-button ${filters.refundType === type ? 'date-button-active' : 'date-button-inactive'}`}
+              >
+                {type === 'all' ? 'All refunds' : type === 'full' ? 'Full' : 'Partial'}
+              </button>
+            ))}
+            <ExportMenu apiUrl={apiUrl} params={params} disabled={isLoading || result.total === 0} />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            value={search}
+            onChange={event => setSearch(event.target.value)}
+            placeholder="Search order #, name or tracking number"
+            className={`${selectClass} w-80`}
+          />
+          <select
+            value={filters.transitStatus}
+            onChange={event => onFiltersChange({ transitStatus: event.target.value })}
+            className={selectClass}
+          >
+            <option value="all">Any transit status</option>
+            {result.transitStatuses.map(status => (
+              <option key={status} value={status}>{transitStatusLabel(status)}</option>
+            ))}
+          </select>
+          <select
+            value={filters.daysBucket}
+            onChange={event => onFiltersChange({ daysBucket: event.target.value })}
+            className={selectClass}
+          >
+            <option value="all">Any days to refund</option>
+            {Object.entries(daysBucketLabels).map(([bucket, label]) => (
+              <option key={bucket} value={bucket}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.policyStatus}
+            onChange={event => onFiltersChange({ policyStatus: event.target.value })}
+            className={selectClass}
+          >
+            <option value="all">Any policy status</option>
+            {Object.entries(policyStatusLabels).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.reason}
+            onChange={event => onFiltersChange({ reason: event.target.value })}
+            className={selectClass}
+          >
+            <option value="all">Any reason</option>
+            {reasonOptions.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className={`overflow-x-auto ${isLoading ? 'opacity-50' : ''}`}>
+        <table className="w-full">
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  onClick={column.sortable === false ? undefined : () => handleSort(column.key)}
+                  className={`table-header ${column.className} ${column.sortable === false ? '' : 'cursor-pointer select-none'}`}
+                >
+                  {column.label}
+                  {filters.sort === column.key && (filters.direction === 'desc' ? ' ▼' : ' ▲')}
+                </th>
+              ))}
+              <th className="table-header w-actions">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.orders.map((order) => {
+              const orderShop = shopsById[order.shop];
+              return (
+                <tr
+                  key={`${order.shop}-${order.id}`}
+                  onClick={() => setSelectedOrder(order)}
+                  className="table-row cursor-pointer"
+                >
+                  <td className="table-cell w-order font-medium">
+                    {order.orderNumber}
+                    {order.refundType === 'partial' && (
+                      <span className="block text-xs font-normal text-coral">Partial</span>
+                    )}
+                    {shop === 'all' && (
+                      <span className="block text-xs font-normal text-gray-500">
+                        {orderShop?.name || order.shop}
+                      </span>
+                    )}
+                  </td>
+                  <td className="table-cell w-date">{formatDate(order.orderDate)}</td>
+                  <td className="table-cell w-name">{order.shippingName}</td>
+                  <td className="table-cell w-tracking">
+                    {order.trackingUrl ? (
+                      <a
+                        href={order.trackingUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        onClick={event => event.stopPropagation()}
+                        className="tracking-link"
+                      >
+                        {order.trackingNumber}
+                      </a>
+                    ) : (
+                      order.trackingNumber || '-'
+                    )}
+                  </td>
+                  <td className="table-cell w-delivery">
+                    {order.deliveryDate
+                      ? formatDate(order.deliveryDate)
+                      : order.transitStatus === 'delivered' ? 'Delivered' : 'Not delivered'}
+                    {order.deliverySource === 'shipment_status' && (
+                      <span className="block text-xs text-gray-500" title="No carrier delivery event, date is when Shopify last updated the shipment">
+                        estimated
+                      </span>
+                    )}
+                    {order.fulfillments?.length > 1 && (
+                      <span className="block text-xs text-gray-500">
+                        {order.fulfillments.length} shipments
+                      </span>
+                    )}
+                  </td>
+                  <td className="table-cell w-refund">{formatDate(order.refundDate)}</td>
+                  <td className="table-cell w-days">
+                    {typeof order.daysToRefund === 'number' ?
+                      `${order.daysToRefund} days` :
+                      order.daysToRefund === 'before_delivery' ?
+                      'Refunded before delivery' :
+                      'Delivery date unknown'}
+                    {order.policyStatus === 'late' && (
+                      <span className="block text-xs font-medium text-coral">
+                        {order.policy.daysOver} days past {order.policy.windowDays}-day window
+                      </span>
+                    )}
+                  </td>
+                  <td className="table-cell w-amount">{formatMoney(order.refundAmount, order.currency || orderShop?.currency, result.locale)}</td>
+                  <td className="table-cell w-actions">
+                    <a
+                      href={order.adminUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      onClick={event => event.stopPropagation()}
+                      className="inline-flex items-center px-3 py-1.5 bg-gray border border-gray-dark text-navy text-sm font-medium rounded-md hover:bg-gray-dark hover:text-white transition-colors duration-200"
+                    >
+                      View Order
+                    </a>
+                  </td>
+                </tr>
+              );
+            })}
+            {!isLoading && result.orders.length === 0 && (
+              <tr>
+                <td colSpan={columns.length + 1} className="table-cell text-center text-gray-500">
+                  No refunds match these filters
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div className="px-6 py-3 flex justify-between items-center text-sm text-navy">
+        <span>{firstRow}–{lastRow} of {result.total}</span>
+        <div className="flex items-center space-x-2">
+          <select
+            value={filters.pageSize}
+            onChange={event => onFiltersChange({ pageSize: Number(event.target.value) })}
+            className={selectClass}
+          >
+            {[25, 50, 100].map(size => (
+              <option key={size} value={size}>{size} per page</option>
+            ))}
+          </select>
+          <button
+            onClick={() => onFiltersChange({ page: filters.page - 1 })}
+            disabled={filters.page <= 1 || isLoading}
+            className="date-button date-button-inactive disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {pageCount}</span>
+          <button
+            onClick={() => onFiltersChange({ page: filters.page + 1 })}
+            disabled={filters.page >= pageCount || isLoading}
+            className="date-button date-button-inactive disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+      {selectedOrder && (
+        <OrderPanel
+          apiUrl={apiUrl}
+          order={selectedOrder}
+          shop={shopsById[selectedOrder.shop]}
+          reasonOptions={reasonOptions}
+          canEditReasons={canEditReasons}
+          onOrderChange={handleOrderChange}
+          onClose={() => setSelectedOrder(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default RefundsTable;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { geoPath, geoNaturalEarth1 } from 'd3-geo';
+import { feature } from 'topojson-client';
+import countries from 'i18n-iso-countries';
+import worldTopology from 'world-atlas/countries-110m.json';
+import statesTopology from 'us-atlas/states-albers-10m.json';
+
+// Boundaries ship with the bundle, the map needs no tile server or network
+
+const WIDTH = 960;
+const WORLD_HEIGHT = 480;
+const STATES_HEIGHT = 600;
+
+// us-atlas identifies states by FIPS code, Shopify by postal abbreviation
+const STATE_FIPS = {
+  AL: '01', AK: '02', AZ: '04', AR: '05', CA: '06', CO: '08', CT: '09', DE: '10', DC: '11', FL: '12',
+  GA: '13', HI: '15', ID: '16', IL: '17', IN: '18', IA: '19', KS: '20', KY: '21', LA: '22', ME: '23',
+  MD: '24', MA: '25', MI: '26', MN: '27', MS: '28', MO: '29', MT: '30', NE: '31', NV: '32', NH: '33',
+  NJ: '34', NM: '35', NY: '36', NC: '37', ND: '38', OH: '39', OK: '40', OR: '41', PA: '42', RI: '44',
+  SC: '45', SD: '46', TN: '47', TX: '48', UT: '49', VT: '50', VA: '51', WA: '53', WV: '54', WI: '55',
+  WY: '56', PR: '72'
+};
+
+const worldFeatures = feature(worldTopology, worldTopology.objects.countries).features;
+const stateFeatures = feature(statesTopology, statesTopology.objects.states).features;
+
+// The states file is already projected to Albers USA, with Alaska and Hawaii inset
+const statesPath = geoPath();
+const worldPath = geoPath(geoNaturalEarth1().fitSize([WIDTH, WORLD_HEIGHT], { type: 'Sphere' }));
+
+// Same coral scale as the cohort heatmap
+const fillFor = (value, max) => {
+  if (value === null || value === undefined) return '#EEEEEE';
+  const alpha = max > 0 ? 0.08 + 0.82 * (value / max) : 0.08;
+  return `rgba(195, 96, 68, ${alpha.toFixed(2)})`;
+};
+
+// Choropleth of one metric, for countries or for US states.
+// `regions` are rows from /api/analytics/geo at the matching level.
+function RegionMap({ level, regions, metric, formatValue }) {
+  const { features, path, height, idFor } = level === 'country'
+    ? { features: worldFeatures, path: worldPath, height: WORLD_HEIGHT, idFor: row => countries.alpha2ToNumeric(row.countryCode) }
+    : { features: stateFeatures, path: statesPath, height: STATES_HEIGHT, idFor: row => STATE_FIPS[row.code] };
+
+  const byId = new Map(regions
+    .filter(row => row.countryCode && idFor(row))
+    .map(row => [idFor(row), row]));
+  const values = regions.map(row => row[metric]).filter(value => typeof value === 'number');
+  const max = values.length > 0 ? Math.max(...values) : 0;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto">
+        {features.map(shape => {
+          const row = byId.get(shape.id);
+          const value = row ? row[metric] : null;
+          return (
+            <path
+              key={shape.id || shape.properties.name}
+              d={path(shape)}
+              fill={fillFor(value, max)}
+              stroke="#FFFFFF"
+              strokeWidth={0.5}
+            >
+              <title>
+                {shape.properties.name}
+                {row ? `: ${formatValue(value)} (${row.orders} orders)` : ': no orders'}
+              </title>
+            </path>
+          );
+        })}
+      </svg>
+      <div className="flex items-center justify-end space-x-2 text-xs text-gray-500">
+        <span>{formatValue(0)}</span>
+        <div className="w-32 h-2 rounded-full" style={{ background: `linear-gradient(to right, ${fillFor(0, max)}, ${fillFor(max, max)})` }} />
+        <span>{formatValue(max)}</span>
+      </div>
+    </div>
+  );
+}
+
+export default RegionMap;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import CustomerPanel, { reasonLabel } from './CustomerPanel';
+import { formatMoney, formatDate } from '../format';
+
+const inputClass = 'px-3 py-2 rounded-lg text-sm bg-white text-navy border border-gray-dark';
+
+const thresholdFields = [
+  { key: 'minRefundedOrders', label: 'Refunded orders', min: 1, step: 1 },
+  { key: 'minRefundRate', label: 'Refund rate %', min: 0, max: 100, step: 1 },
+  { key: 'minRefundAmount', label: 'Refunded amount', min: 0, step: 1 }
+];
+
+const topReason = (reasons) => {
+  const entries = Object.entries(reasons);
+  return entries.length > 0 ? entries.sort((a, b) => b[1] - a[1])[0][0] : null;
+};
+
+// Admins move the bar for who gets flagged; everyone else sees where it is
+function Thresholds({ apiUrl, thresholds, canEdit, onSaved }) {
+  const [draft, setDraft] = useState(thresholds);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(thresholds);
+  }, [thresholds]);
+
+  if (!canEdit) {
+    return (
+      <p className="text-xs text-gray-500">
+        Flagged at {thresholds.minRefundedOrders}+ refunded orders, {thresholds.minRefundRate}%+ of their orders
+        {thresholds.minRefundAmount > 0 && ` and ${thresholds.minRefundAmount}+ refunded`}
+      </p>
+    );
+  }
+
+  const save = async () => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      const response = await axios.put(`${apiUrl}/api/customers/thresholds`, draft);
+      onSaved(response.data);
+    } catch (err) {
+      console.error('Error saving serial returner thresholds:', err);
+      setError(err.response?.data?.error || 'Could not save thresholds');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const changed = thresholdFields.some(field => draft[field.key] !== thresholds[field.key]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-navy">
+      <span className="text-gray-500">Flag at least</span>
+      {thresholdFields.map(field => (
+        <label key={field.key} className="flex items-center space-x-1">
+          <input
+            type="number"
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            value={draft[field.key]}
+            onChange={event => setDraft(current => ({ ...current, [field.key]: Number(event.target.value) }))}
+            className={`${inputClass} w-20 py-1.5`}
+          />
+          <span>{field.label}</span>
+        </label>
+      ))}
+      <button
+        onClick={save}
+        disabled={!changed || isSaving}
+        className="date-button date-button-active disabled:opacity-50"
+      >
+        {isSaving ? 'Saving...' : 'Save'}
+      </button>
+      {error && <span className="text-xs text-coral">{error}</span>}
+    </div>
+  );
+}
+
+// Customers who refund again and again, over every order we hold. A search
+// by email, name or customer id finds anyone, flagged or not, so support can
+// check a trial request before approving it.
+function SerialReturners({ apiUrl, shop, shopsById, reasonOptions, canEditThresholds }) {
+  const [view, setView] = useState('serial');
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [data, setData] = useState({ customers: [], total: 0, serialReturners: 0, thresholds: null });
+  const [isLoading, setIsLoading] = useState(false);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCustomers = async () => {
+      try {
+        setIsLoading(true);
+        const response = await axios.get(`${apiUrl}/api/customers`, {
+          params: { shop, view, search: query || undefined }
+        });
+        if (!cancelled) setData(response.data);
+      } catch (error) {
+        console.error('Error fetching customers:', error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchCustomers();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, view, query, version]);
+
+  return (
+    <div className="table-container mb-8">
+      <div className="px-6 py-4 border-b border-gray space-y-3">
+        <div className="flex flex-wrap gap-2 justify-between items-center">
+          <h2 className="text-lg font-semibold text-navy">
+            Serial Returners
+            <span className="ml-2 text-sm font-normal text-gray-500">{data.serialReturners} flagged</span>
+          </h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="search"
+              value={search}
+              onChange={event => setSearch(event.target.value)}
+              placeholder="Look up email, name or customer id"
+              className={`${inputClass} w-72`}
+            />
+            {[['serial', 'Flagged'], ['all', 'All customers']].map(([option, label]) => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                disabled={Boolean(query)}
+                className={`date-button ${view === option && !query ? 'date-button-active' : 'date-button-inactive'} disabled:opacity-50`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {data.thresholds && (
+          <Thresholds
+            apiUrl={apiUrl}
+            thresholds={data.thresholds}
+            canEdit={canEditThresholds}
+            onSaved={() => setVersion(current => current + 1)}
+          />
+        )}
+      </div>
+      <div className="overflow-x-auto max-h-96">
+        <table className="w-full">
+          <thead>
+            <tr>
+              <th className="table-header">Customer</th>
+              <th className="table-header">Orders</th>
+              <th className="table-header">Refunded Orders</th>
+              <th className="table-header">Refund Rate</th>
+              <th className="table-header">Refunded</th>
+              <th className="table-header">Top Reason</th>
+              <th className="table-header">Last Refund</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.customers.map(customer => {
+              const reason = topReason(customer.reasons);
+              return (
+                <tr
+                  key={customer.key}
+                  onClick={() => setSelectedKey(customer.key)}
+                  className="table-row cursor-pointer"
+                >
+                  <td className="table-cell font-medium">
+                    {customer.name || 'Unknown'}
+                    {customer.serial && <span className="ml-2 text-xs font-medium text-coral">Flagged</span>}
+                    {customer.shops.length > 1 && (
+                      <span className="block text-xs text-gray-500">
+                        {customer.shops.map(id => shopsById[id]?.name || id).join(', ')}
+                      </span>
+                    )}
+                  </td>
+                  <td className="table-cell">{customer.orders}</td>
+                  <td className="table-cell">{customer.refundedOrders}</td>
+                  <td className="table-cell">{customer.refundRate.toFixed(1)}%</td>
+                  <td className="table-cell">{formatMoney(customer.refundAmount, data.currency, data.locale)}</td>
+                  <td className="table-cell">{reason ? reasonLabel(reasonOptions, reason) : '-'}</td>
+                  <td className="table-cell">{formatDate(customer.lastRefundAt)}</td>
+                </tr>
+              );
+            })}
+            {data.customers.length === 0 && !isLoading && (
+              <tr>
+                <td colSpan={7} className="table-cell text-center text-gray-500">
+                  {query ? 'No customer matches this search' : 'No customers reach the thresholds'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {data.total > data.customers.length && (
+        <p className="px-6 py-2 text-xs text-gray-500 border-t border-gray">
+          Showing {data.customers.length} of {data.total} customers
+        </p>
+      )}
+      {selectedKey && (
+        <CustomerPanel
+          apiUrl={apiUrl}
+          customerKey={selectedKey}
+          shop={shop}
+          shopsById={shopsById}
+          reasonOptions={reasonOptions}
+          onClose={() => setSelectedKey(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SerialReturners;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatDate } from '../format';
+
+const formatDays = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)} d`);
+const formatRate = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+
+const columns = [
+  { key: 'shipments', label: 'Shipments', render: row => row.shipments },
+  { key: 'medianOrderToShipDays', label: 'Order to Ship (median)', render: row => formatDays(row.medianOrderToShipDays) },
+  { key: 'medianTransitDays', label: 'Transit (median)', render: row => formatDays(row.medianTransitDays) },
+  { key: 'p90TransitDays', label: 'Transit (p90)', render: row => formatDays(row.p90TransitDays) },
+  { key: 'stuckRate', label: 'Stuck', render: row => `${formatRate(row.stuckRate)} (${row.stuck})` },
+  { key: 'failingRate', label: 'Failing', render: row => `${formatRate(row.failingRate)} (${row.failing})` },
+  { key: 'onTimeRefundRate', label: 'Refund Rate On Time', render: row => formatRate(row.onTimeRefundRate) },
+  { key: 'lateRefundRate', label: 'Refund Rate Late', render: row => formatRate(row.lateRefundRate) }
+];
+
+// Carrier performance for orders placed in the range, and the shipments
+// that are stuck or failing right now so support can reach out first
+function ShippingPerformance({ apiUrl, shop, start, end, timezone }) {
+  const [groupBy, setGroupBy] = useState('carrier');
+  const [stuckDays, setStuckDays] = useState(7);
+  const [performance, setPerformance] = useState({ totals: null, carriers: [] });
+  const [stuck, setStuck] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchPerformance = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/analytics/shipping`, {
+          params: { start, end, timezone, shop, groupBy, stuckDays }
+        });
+        if (!cancelled) setPerformance(response.data);
+      } catch (error) {
+        console.error('Error fetching shipping performance:', error);
+      }
+    };
+
+    fetchPerformance();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, start, end, timezone, groupBy, stuckDays]);
+
+  useEffect(() => {
+    if (!shop) return undefined;
+    let cancelled = false;
+
+    const fetchStuck = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/shipments/stuck`, { params: { shop, stuckDays } });
+        if (!cancelled) setStuck(response.data.shipments);
+      } catch (error) {
+        console.error('Error fetching stuck shipments:', error);
+      }
+    };
+
+    fetchStuck();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiUrl, shop, stuckDays]);
+
+  const rows = performance.totals
+    ? [...performance.carriers, { carrier: 'All carriers', service: null, isTotal: true, ...performance.totals }]
+    : performance.carriers;
+
+  return (
+    <div className="table-container mb-8">
+      <div className="px-6 py-4 border-b border-gray flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-navy">Shipping Performance</h2>
+        <div className="flex items-center space-x-2">
+          {['carrier', 'service'].map(option => (
+            <button
+              key={option}
+              onClick={() => setGroupBy(option)}
+              className={`date-button ${groupBy === option ? 'date-button-active' : 'date-button-inactive'}`}
+            >
+              {option === 'carrier' ? 'By Carrier' : 'By Carrier & Service'}
+            </button>
+          ))}
+          <label className="text-sm text-navy flex items-center space-x-2">
+            <span>Stuck after</span>
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={stuckDays}
+              onChange={event => {
+                const value = parseInt(event.target.value, 10);
+                if (value >= 1 && value <= 365) setStuckDays(value);
+              }}
+              className="w-16 px-2 py-1.5 rounded-lg text-sm bg-white text-navy border border-gray-dark"
+            />
+            <span>days</span>
+          </label>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr>
+              <th className="table-header">{groupBy === 'carrier' ? 'Carrier' : 'Carrier / Service'}</th>
+              {columns.map(column => (
+                <th key={column.key} className="table-header">{column.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr
+                key={`${row.carrier}-${row.service}-${row.isTotal ? 'total' : ''}`}
+                className={`table-row ${row.isTotal ? 'font-semibold' : ''}`}
+              >
+                <td className="table-cell">
+                  {row.carrier}
+                  {row.service && <span className="block text-xs text-gray-500">{row.service}</span>}
+                </td>
+                {columns.map(column => (
+                  <td key={column.key} className="table-cell">{column.render(row)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-6 py-4 border-t border-gray">
+        <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-2">
+          Stuck or failing now ({stuck.length})
+        </h3>
+        {stuck.length === 0 ? (
+          <p className="text-sm text-gray-500">No open shipments past {stuckDays} days or with failed deliveries</p>
+        ) : (
+          <div className="overflow-x-auto max-h-96">
+            <table className="w-full">
+              <thead>
+                <tr>
+                  <th className="table-header">Order #</th>
+                  <th className="table-header">Name</th>
+                  <th className="table-header">Carrier</th>
+                  <th className="table-header">Tracking Number</th>
+                  <th className="table-header">Shipped</th>
+                  <th className="table-header">Days</th>
+                  <th className="table-header">Last Update</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stuck.map(shipment => (
+                  <tr key={`${shipment.shop}-${shipment.orderId}-${shipment.trackingNumber}`} className="table-row">
+                    <td className="table-cell font-medium">
+                      <a href={shipment.adminUrl} target="_blank" rel="noopener noreferrer" className="tracking-link">
+                        {shipment.orderNumber}
+                      </a>
+                    </td>
+                    <td className="table-cell">{shipment.shippingName}</td>
+                    <td className="table-cell">
+                      {shipment.carrier}
+                      <span className="block text-xs text-gray-500">{shipment.service}</span>
+                    </td>
+                    <td className="table-cell">
+                      {shipment.trackingUrl ? (
+                        <a href={shipment.trackingUrl} target="_blank" rel="noopener noreferrer" className="tracking-link">
+                          {shipment.trackingNumber}
+                        </a>
+                      ) : (
+                        shipment.trackingNumber || '-'
+                      )}
+                    </td>
+                    <td className="table-cell">{formatDate(shipment.shippedAt)}</td>
+                    <td className="table-cell">
+                      {shipment.daysSinceShipped}
+                      {shipment.issue === 'failing' && (
+                        <span className="block text-xs font-medium text-coral">Delivery failed</span>
+                      )}
+                    </td>
+                    <td className="table-cell">
+                      {shipment.status ? shipment.status.replace(/_/g, ' ') : '-'}
+                      {shipment.lastEventAt && (
+                        <span className="block text-xs text-gray-500">
+                          {formatDate(shipment.lastEventAt)}{shipment.lastEventMessage ? ` · ${shipment.lastEventMessage}` : ''}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ShippingPerformance;
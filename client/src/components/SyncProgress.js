@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+
+// Progress of order syncs for the selected shops, streamed from the server.
+// Renders nothing while every shop is idle and healthy. A range older than
+// a shop holds is answered while its history loads in the background, so a
+// finished backfill offers to reload the page and include it.
+function SyncProgress({ apiUrl, shop, shopsById }) {
+  const [progress, setProgress] = useState({});
+
+  useEffect(() => {
+    if (!shop) return undefined;
+    setProgress({});
+    const source = new EventSource(`${apiUrl}/api/sync/progress?shop=${encodeURIComponent(shop)}`, {
+      withCredentials: true
+    });
+    source.onmessage = (event) => {
+      const update = JSON.parse(event.data);
+      setProgress(current => {
+        const previous = current[update.shop] || {};
+        // A sync that backfilled goes on with new orders before it ends
+        const loadingHistory = update.running && (previous.loadingHistory || update.kind === 'backfill');
+        const backfilled = update.running
+          ? false
+          : previous.backfilled || (previous.loadingHistory && !update.error);
+        return { ...current, [update.shop]: { ...previous, ...update, loadingHistory, backfilled } };
+      });
+    };
+    source.onerror = () => {
+      // EventSource reconnects by itself
+      console.error('Sync progress stream interrupted');
+    };
+    return () => source.close();
+  }, [apiUrl, shop]);
+
+  const visible = Object.values(progress).filter(p => p.running || p.error || p.backfilled);
+  if (visible.length === 0) return null;
+
+  return (
+    <div className="mb-4 space-y-2">
+      {visible.map(p => {
+        const name = shopsById[p.shop]?.name || p.shop;
+        const percent = p.total ? Math.min(100, (p.orders / p.total) * 100) : null;
+        return (
+          <div key={p.shop} className="px-4 py-3 rounded-md bg-white border border-gray-dark text-sm text-navy">
+            {p.running ? (
+              <>
+                <div className="flex justify-between mb-2">
+                  <span>
+                    {p.kind === 'backfill' ? 'Loading order history' : 'Syncing new orders'} for {name}
+                  </span>
+                  <span className="text-gray-500">
+                    Page {p.pages} · {p.orders.toLocaleString('en-US')}
+                    {p.total ? ` of ${p.total.toLocaleString('en-US')}` : ''} orders
+                  </span>
+                </div>
+                <div className="h-2 bg-gray rounded-full overflow-hidden">
+                  <div
+                    className={`h-2 bg-navy rounded-full ${percent === null ? 'animate-pulse w-full' : ''}`}
+                    style={percent === null ? undefined : { width: `${percent}%` }}
+                  />
+                </div>
+                {p.retry && (
+                  <p className="mt-1 text-xs text-coral">
+                    Shopify answered {p.retry.reason}, retry {p.retry.attempt} of {p.retry.maxRetries} in{' '}
+                    {Math.ceil(p.retry.delayMs / 1000)}s
+                  </p>
+                )}
+              </>
+            ) : p.error ? (
+              <p className="text-coral">
+                Syncing {name} failed: {p.error}
+                {p.resumeFrom && ` It will resume from page ${p.resumeFrom.pages + 1}.`}
+              </p>
+            ) : (
+              <p>
+                Order history for {name} has loaded.{' '}
+                <button onClick={() => window.location.reload()} className="underline">
+                  Refresh to include it
+                </button>
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default SyncProgress;
@@ -0,0 +1,67 @@
+import {
+  format as dateFnsFormat,
+  parseISO,
+  subDays,
+  startOfMonth,
+  startOfQuarter,
+  startOfYear,
+  isValid
+} from 'date-fns/esm';
+
+// Ranges are kept as calendar days ('yyyy-MM-dd') and only turned into
+// instants by the server, in the store's timezone, so a day means the same
+// thing to the dashboard, the server and Shopify whatever timezone the
+// browser is in.
+
+const DAY_FORMAT = 'yyyy-MM-dd';
+
+// Calendar days are parsed as local midnight purely for date-fns arithmetic
+export const parseDay = (day) => parseISO(day);
+export const formatDay = (date) => dateFnsFormat(date, DAY_FORMAT);
+export const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && isValid(parseISO(value));
+
+// Today's calendar day in the given timezone
+export function todayIn(timezone) {
+  // en-CA formats as yyyy-mm-dd
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date());
+}
+
+const lastDays = (count) => (today) => [formatDay(subDays(parseDay(today), count - 1)), today];
+const since = (startOf) => (today) => [formatDay(startOf(parseDay(today))), today];
+
+// Each preset maps today's calendar day to a [start, end] pair of days
+export const rangePresets = [
+  { key: 'today', label: 'Today', getRange: (today) => [today, today] },
+  { key: 'yesterday', label: 'Yesterday', getRange: (today) => {
+    const yesterday = formatDay(subDays(parseDay(today), 1));
+    return [yesterday, yesterday];
+  }},
+  { key: 'last7', label: 'Last 7 days', getRange: lastDays(7) },
+  { key: 'last30', label: 'Last 30 days', getRange: lastDays(30) },
+  { key: 'last90', label: 'Last 90 days', getRange: lastDays(90) },
+  { key: 'last365', label: 'Last 365 days', getRange: lastDays(365) },
+  { key: 'mtd', label: 'Month to date', getRange: since(startOfMonth) },
+  { key: 'qtd', label: 'Quarter to date', getRange: since(startOfQuarter) },
+  { key: 'ytd', label: 'Year to date', getRange: since(startOfYear) }
+];
+
+export const findPreset = (key) => rangePresets.find(preset => preset.key === key) || null;
+
+// Start and end days for a range: presets move with today, custom ranges are fixed
+export function resolveRange(range, timezone) {
+  const preset = findPreset(range.preset);
+  if (preset) return preset.getRange(todayIn(timezone));
+  return [range.start, range.end];
+}
+
+export function describeRange(range, [start, end]) {
+  const preset = findPreset(range.preset);
+  if (preset) return preset.label;
+  const label = (day) => dateFnsFormat(parseDay(day), 'MMM d, yyyy');
+  return start === end ? label(start) : `${label(start)} – ${label(end)}`;
+}
@@ -0,0 +1,38 @@
+import { resolveRange, describeRange, isDay } from './dates';
+
+describe('resolveRange', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // Late evening of the 15th in New York is already the 16th in UTC
+    jest.setSystemTime(new Date('2025-01-16T03:30:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('presets count back from today in the store timezone', () => {
+    expect(resolveRange({ preset: 'today' }, 'America/New_York')).toEqual(['2025-01-15', '2025-01-15']);
+    expect(resolveRange({ preset: 'today' }, 'UTC')).toEqual(['2025-01-16', '2025-01-16']);
+    expect(resolveRange({ preset: 'last7' }, 'America/New_York')).toEqual(['2025-01-09', '2025-01-15']);
+    expect(resolveRange({ preset: 'mtd' }, 'America/New_York')).toEqual(['2025-01-01', '2025-01-15']);
+  });
+
+  test('custom ranges stay as chosen', () => {
+    expect(resolveRange({ preset: 'custom', start: '2024-12-01', end: '2024-12-31' }, 'Asia/Tokyo'))
+      .toEqual(['2024-12-01', '2024-12-31']);
+  });
+});
+
+test('describeRange names presets and spells out custom ranges', () => {
+  expect(describeRange({ preset: 'last30' }, ['2025-01-01', '2025-01-30'])).toBe('Last 30 days');
+  expect(describeRange({ preset: 'custom' }, ['2025-01-01', '2025-01-01'])).toBe('Jan 1, 2025');
+  expect(describeRange({ preset: 'custom' }, ['2025-01-01', '2025-01-31'])).toBe('Jan 1, 2025 – Jan 31, 2025');
+});
+
+test('isDay accepts calendar days only', () => {
+  expect(isDay('2025-02-28')).toBe(true);
+  expect(isDay('2025-02-30')).toBe(false);
+  expect(isDay('2025-2-3')).toBe(false);
+  expect(isDay(undefined)).toBe(false);
+});
@@ -0,0 +1,18 @@
+import { format as dateFnsFormat } from 'date-fns/esm';
+
+// Amounts in the shop's locale, e.g. 1.234,50 € for de-DE. Without a
+// currency (stores mixing currencies) amounts show as plain numbers.
+export const formatMoney = (amount, currency, locale = 'en-US') => (currency
+  ? new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount)
+  : amount.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+export const formatDate = (date) => (date ? dateFnsFormat(new Date(date), 'MMM dd, yyyy') : '-');
+
+export const formatDateTime = (date) => (date ? dateFnsFormat(new Date(date), 'MMM dd, yyyy h:mm a') : '-');
+
+export const policyStatusLabels = {
+  within_window: 'Within window',
+  late: 'Late',
+  before_delivery: 'Refunded before delivery',
+  delivery_unknown: 'Delivery unknown'
+};
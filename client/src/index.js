@@ -2,11 +2,15 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './globals.css';
 import App from './App';
+import AuthGate from './components/AuthGate';
+import { API_URL } from './api';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <AuthGate apiUrl={API_URL}>
+      {({ user, logout }) => <App user={user} onLogout={logout} />}
+    </AuthGate>
   </React.StrictMode>
 );
 
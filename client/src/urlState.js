@@ -0,0 +1,18 @@
+// Dashboard state lives in the query string so a view can be bookmarked
+// and shared. Empty values are left out to keep links short.
+
+export function readQuery() {
+  return Object.fromEntries(new URLSearchParams(window.location.search));
+}
+
+export function writeQuery(values) {
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') params.set(key, value);
+  });
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(null, '', url);
+  }
+}
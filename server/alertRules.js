@@ -0,0 +1,170 @@
+const moment = require('moment-timezone');
+const analytics = require('./analytics');
+const { badRequest } = require('./errors');
+const { round2 } = require('./numbers');
+
+const RULE_TYPES = ['refund_rate', 'sku_refund_increase', 'daily_refund_amount', 'zscore'];
+const ZSCORE_METRICS = ['refunds', 'refundAmount', 'refundRate'];
+
+const DEFAULTS = {
+  refund_rate: { windowDays: 7, threshold: 10, minOrders: 20 },
+  sku_refund_increase: { windowDays: 7, baselineDays: 28, threshold: 50, minUnits: 3 },
+  daily_refund_amount: { threshold: 1000 },
+  zscore: { metric: 'refunds', windowDays: 28, threshold: 3 }
+};
+
+function validateRule(input) {
+  if (!input || typeof input !== 'object') throw badRequest('Rule must be an object');
+  if (!RULE_TYPES.includes(input.type)) throw badRequest(`type must be one of: ${RULE_TYPES.join(', ')}`);
+
+  const rule = { ...DEFAULTS[input.type], ...input };
+  const positive = (key) => {
+    if (typeof rule[key] !== 'number' || !(rule[key] > 0)) throw badRequest(`${key} must be a positive number`);
+  };
+  positive('threshold');
+  ['windowDays', 'baselineDays'].forEach(key => {
+    if (rule[key] !== undefined && (!Number.isInteger(rule[key]) || rule[key] < 1 || rule[key] > 365)) {
+      throw badRequest(`${key} must be 1 to 365 days`);
+    }
+  });
+  ['minOrders', 'minUnits'].forEach(key => {
+    if (rule[key] !== undefined && (!Number.isInteger(rule[key]) || rule[key] < 0)) {
+      throw badRequest(`${key} must be a whole number`);
+    }
+  });
+  if (rule.type === 'zscore' && !ZSCORE_METRICS.includes(rule.metric)) {
+    throw badRequest(`metric must be one of: ${ZSCORE_METRICS.join(', ')}`);
+  }
+  if (rule.cooldownHours !== undefined && (typeof rule.cooldownHours !== 'number' || !(rule.cooldownHours >= 0))) {
+    throw badRequest('cooldownHours must be a number, not negative');
+  }
+
+  return {
+    type: rule.type,
+    name: rule.name || null,
+    shop: rule.shop || 'all',
+    threshold: rule.threshold,
+    ...(rule.windowDays !== undefined && { windowDays: rule.windowDays }),
+    ...(rule.baselineDays !== undefined && { baselineDays: rule.baselineDays }),
+    ...(rule.minOrders !== undefined && { minOrders: rule.minOrders }),
+    ...(rule.minUnits !== undefined && { minUnits: rule.minUnits }),
+    ...(rule.metric !== undefined && { metric: rule.metric }),
+    cooldownHours: rule.cooldownHours === undefined ? 24 : rule.cooldownHours,
+    transport: rule.transport || null,
+    recipients: Array.isArray(rule.recipients) ? rule.recipients.map(String) : [],
+    enabled: rule.enabled !== false
+  };
+}
+
+// Whole days ending with today, today included
+const trailingDays = (now, timezone, days) => ({
+  timezone,
+  start: moment.tz(now, timezone).startOf('day').subtract(days - 1, 'days'),
+  end: moment.tz(now, timezone).endOf('day')
+});
+
+// How far back orders must go for a rule, so refunds of older orders count
+function lookbackFor(rule, now, timezone) {
+  const days = (rule.windowDays || 1) + (rule.baselineDays || 0) + 1;
+  return analytics.lookbackStart(trailingDays(now, timezone, days), 'refund_date');
+}
+
+function evaluateRefundRate(rule, orders, now, timezone) {
+  const range = trailingDays(now, timezone, rule.windowDays);
+  const summary = analytics.summarize(orders, range, { basis: 'refund_date' });
+  if (summary.totalOrders < (rule.minOrders || 0) || summary.refundRate <= rule.threshold) return [];
+  return [{
+    subject: null,
+    value: round2(summary.refundRate),
+    message: `Refund rate over the last ${rule.windowDays} days is ${summary.refundRate.toFixed(1)}% ` +
+      `(${summary.totalRefunds} of ${summary.totalOrders} orders), above ${rule.threshold}%`
+  }];
+}
+
+// Refunded units per SKU in the window against the daily average of the
+// baseline period before it
+function evaluateSkuIncrease(rule, orders, now, timezone) {
+  const window = trailingDays(now, timezone, rule.windowDays);
+  const baseline = {
+    timezone,
+    start: window.start.clone().subtract(rule.baselineDays, 'days'),
+    end: window.start.clone().subtract(1, 'ms')
+  };
+  const options = { basis: 'refund_date', groupBy: 'sku' };
+  const baselineUnits = new Map(analytics.productBreakdown(orders, baseline, options)
+    .map(row => [row.key, row.unitsRefunded]));
+
+  return analytics.productBreakdown(orders, window, options)
+    .filter(row => row.unitsRefunded >= (rule.minUnits || 0))
+    .map(row => {
+      const expected = ((baselineUnits.get(row.key) || 0) / rule.baselineDays) * rule.windowDays;
+      // A SKU with no baseline refunds counts as an infinite increase
+      const increase = expected > 0 ? ((row.unitsRefunded - expected) / expected) * 100 : Infinity;
+      return { row, expected, increase };
+    })
+    .filter(({ increase }) => increase > rule.threshold)
+    .map(({ row, expected, increase }) => ({
+      subject: row.key,
+      value: Number.isFinite(increase) ? round2(increase) : null,
+      message: `${row.key} refunds are up ${Number.isFinite(increase) ? `${increase.toFixed(0)}%` : 'from none'}: ` +
+        `${row.unitsRefunded} units in the last ${rule.windowDays} days against ${expected.toFixed(1)} expected`
+    }));
+}
+
+function evaluateDailyAmount(rule, orders, now, timezone) {
+  const range = trailingDays(now, timezone, 1);
+  const { totalRefundAmount } = analytics.summarize(orders, range, { basis: 'refund_date' });
+  if (totalRefundAmount <= rule.threshold) return [];
+  const day = range.start.format('YYYY-MM-DD');
+  return [{
+    // One alert per day at most
+    subject: day,
+    value: totalRefundAmount,
+    message: `Refunds on ${day} total ${totalRefundAmount.toFixed(2)}, above ${rule.threshold}`
+  }];
+}
+
+// Yesterday's value against the mean and standard deviation of the days
+// before it. Yesterday rather than today, a day in progress looks low.
+function evaluateZscore(rule, orders, now, timezone) {
+  const yesterday = moment.tz(now, timezone).startOf('day').subtract(1, 'day');
+  const range = {
+    timezone,
+    start: yesterday.clone().subtract(rule.windowDays, 'days'),
+    end: yesterday.clone().endOf('day')
+  };
+  const points = analytics.timeseries(orders, range, { bucket: 'day', basis: 'refund_date' });
+  const values = points.map(point => point[rule.metric]);
+  const latest = values.pop();
+  if (values.length < 2) return [];
+
+  const mean = values.reduce((total, value) => total + value, 0) / values.length;
+  const deviation = Math.sqrt(values.reduce((total, value) => total + (value - mean) ** 2, 0) / (values.length - 1));
+  // A flat history has no spread to measure against
+  if (deviation === 0) return [];
+
+  const zscore = (latest - mean) / deviation;
+  if (zscore <= rule.threshold) return [];
+  const day = yesterday.format('YYYY-MM-DD');
+  return [{
+    subject: day,
+    value: round2(zscore),
+    message: `${rule.metric} on ${day} was ${round2(latest)}, ${zscore.toFixed(1)} standard deviations ` +
+      `above the ${rule.windowDays}-day mean of ${round2(mean)}`
+  }];
+}
+
+const evaluators = {
+  refund_rate: evaluateRefundRate,
+  sku_refund_increase: evaluateSkuIncrease,
+  daily_refund_amount: evaluateDailyAmount,
+  zscore: evaluateZscore
+};
+
+// Conditions the rule currently detects, each with a subject (SKU, day or
+// null) that tells repeated firings of the same condition apart
+function evaluateRule(rule, orders, now, timezone) {
+  return evaluators[rule.type](rule, orders, now, timezone);
+}
+
+module.exports = { RULE_TYPES, ZSCORE_METRICS, validateRule, evaluateRule, lookbackFor };
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const express = require('express');
+const { RULE_TYPES, validateRule, evaluateRule, lookbackFor } = require('./alertRules');
+const { escapeHtml } = require('./digest');
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { HOUR_MS } = require('./numbers');
+
+const MAX_HISTORY = 500;
+
+// Alert rules and fired alerts live in one JSON file. Rules are evaluated
+// on a timer; a condition that already fired stays quiet for the rule's
+// cooldown, so each spike alerts once rather than on every evaluation.
+// When each condition last fired is kept apart from the history, which is
+// truncated and could otherwise drop a firing whose cooldown still runs.
+function createAlertManager({ file, transports, shops, loadOrders, interval }) {
+  let state = { rules: [], history: [], lastFiredAt: {} };
+  let timer = null;
+  let evaluating = null;
+
+  function load() {
+    state = { rules: [], history: [], lastFiredAt: {}, ...readJsonFile(file, { fallback: state, name: 'alerts' }) };
+    // Files written before lastFiredAt was kept carry it in their history
+    for (const alert of [...state.history].reverse()) {
+      if (!(alert.key in state.lastFiredAt)) state.lastFiredAt[alert.key] = alert.firedAt;
+    }
+  }
+
+  function save() {
+    writeJsonFile(file, state);
+  }
+
+  function validate(input, existing = {}) {
+    const rule = validateRule({ ...existing, ...input });
+    shops.resolve(rule.shop);
+    if (rule.transport) transports.get(rule.transport).validate(rule.recipients);
+    return rule;
+  }
+
+  function addRule(input) {
+    const rule = { id: crypto.randomUUID(), ...validate(input), createdAt: new Date().toISOString() };
+    state.rules.push(rule);
+    save();
+    return rule;
+  }
+
+  function updateRule(id, input) {
+    const index = state.rules.findIndex(rule => rule.id === id);
+    if (index === -1) return null;
+    const { id: ruleId, createdAt, ...existing } = state.rules[index];
+    state.rules[index] = { id: ruleId, ...validate(input, existing), createdAt };
+    save();
+    return state.rules[index];
+  }
+
+  function removeRule(id) {
+    const before = state.rules.length;
+    state.rules = state.rules.filter(rule => rule.id !== id);
+    if (state.rules.length === before) return false;
+    save();
+    return true;
+  }
+
+  const alertKey = (rule, subject) => `${rule.id}:${subject || ''}`;
+
+  const ruleFor = (key) => state.rules.find(rule => key.startsWith(`${rule.id}:`));
+
+  function inCooldown(rule, key, now) {
+    const firedAt = state.lastFiredAt[key];
+    return Boolean(firedAt) && now - new Date(firedAt) < rule.cooldownHours * HOUR_MS;
+  }
+
+  // Forget firings whose cooldown is over or whose rule is gone, so
+  // per-day subjects do not pile up
+  function pruneLastFired(now) {
+    for (const key of Object.keys(state.lastFiredAt)) {
+      const rule = ruleFor(key);
+      if (!rule || !inCooldown(rule, key, now)) delete state.lastFiredAt[key];
+    }
+  }
+
+  async function notify(rule, alert) {
+    if (!rule.transport) return;
+    try {
+      await transports.get(rule.transport).send({
+        id: alert.id,
+        subject: `Refund alert: ${rule.name || rule.type}`,
+        text: alert.message,
+        html: `<p>${escapeHtml(alert.message)}</p>`,
+        data: alert
+      }, rule.recipients);
+      alert.deliveredAt = new Date().toISOString();
+    } catch (error) {
+      alert.deliveryError = error.message;
+      logger.error('Alert delivery failed', { rule: rule.id, error: error.message });
+    }
+  }
+
+  async function evaluateOne(rule, now) {
+    const info = shops.info(rule.shop);
+    const from = lookbackFor(rule, now, info.timezone);
+    const orders = await loadOrders(rule.shop, from.toISOString(), now.toISOString());
+    const fired = [];
+
+    for (const finding of evaluateRule(rule, orders, now, info.timezone)) {
+      const key = alertKey(rule, finding.subject);
+      if (inCooldown(rule, key, now)) continue;
+
+      const alert = {
+        id: crypto.randomUUID(),
+        key,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        type: rule.type,
+        shop: rule.shop,
+        subject: finding.subject,
+        value: finding.value,
+        threshold: rule.threshold,
+        message: finding.message,
+        cooldownHours: rule.cooldownHours,
+        firedAt: now.toISOString(),
+        acknowledgedAt: null,
+        acknowledgedBy: null
+      };
+      await notify(rule, alert);
+      state.history.unshift(alert);
+      state.lastFiredAt[key] = alert.firedAt;
+      fired.push(alert);
+      logger.warn('Alert fired', { rule: rule.id, type: rule.type, message: alert.message });
+    }
+    return fired;
+  }
+
+  // Evaluate every enabled rule once; overlapping calls share one run
+  function evaluate(now = new Date()) {
+    if (evaluating) return evaluating;
+    evaluating = (async () => {
+      const fired = [];
+      for (const rule of state.rules.filter(r => r.enabled)) {
+        try {
+          fired.push(...await evaluateOne(rule, now));
+        } catch (error) {
+          logger.error('Alert rule failed', { rule: rule.id, error: error.message });
+        }
+      }
+      state.history = state.history.slice(0, MAX_HISTORY);
+      pruneLastFired(now);
+      if (fired.length > 0) save();
+      return fired;
+    })().finally(() => {
+      evaluating = null;
+    });
+    return evaluating;
+  }
+
+  function acknowledge(id, user) {
+    const alert = state.history.find(a => a.id === id);
+    if (!alert) return null;
+    if (!alert.acknowledgedAt) {
+      alert.acknowledgedAt = new Date().toISOString();
+      alert.acknowledgedBy = user ? user.username : null;
+      save();
+    }
+    return alert;
+  }
+
+  function start() {
+    load();
+    // A failed save must not become an unhandled rejection, which ends the process
+    timer = setInterval(() => evaluate().catch(error => {
+      logger.error('Alert evaluation failed', { error: error.message });
+    }), interval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  const router = express.Router();
+
+  router.get('/alerts', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_HISTORY);
+    const alerts = req.query.status === 'open'
+      ? state.history.filter(alert => !alert.acknowledgedAt)
+      : state.history;
+    res.json({
+      open: state.history.filter(alert => !alert.acknowledgedAt).length,
+      alerts: alerts.slice(0, limit)
+    });
+  });
+
+  router.post('/alerts/:id/acknowledge', (req, res) => {
+    const alert = acknowledge(req.params.id, req.user);
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    res.json(alert);
+  });
+
+  router.post('/alerts/evaluate', async (req, res) => {
+    try {
+      res.json({ fired: await evaluate() });
+    } catch (error) {
+      sendError(res, error, 'evaluating alerts');
+    }
+  });
+
+  router.get('/alerts/rules', (req, res) => {
+    res.json({ types: RULE_TYPES, transports: transports.names(), rules: state.rules });
+  });
+
+  router.post('/alerts/rules', (req, res) => {
+    try {
+      res.status(201).json(addRule(req.body || {}));
+    } catch (error) {
+      sendError(res, error, 'creating alert rule');
+    }
+  });
+
+  router.put('/alerts/rules/:id', (req, res) => {
+    try {
+      const rule = updateRule(req.params.id, req.body || {});
+      if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+      res.json(rule);
+    } catch (error) {
+      sendError(res, error, 'updating alert rule');
+    }
+  });
+
+  router.delete('/alerts/rules/:id', (req, res) => {
+    if (!removeRule(req.params.id)) return res.status(404).json({ error: 'Alert rule not found' });
+    res.json({ ok: true });
+  });
+
+  return { start, stop, evaluate, router };
+}
+
+module.exports = { createAlertManager };
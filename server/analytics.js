@@ -0,0 +1,426 @@
+const moment = require('moment-timezone');
+const { badRequest } = require('./errors');
+const { DAY_MS, round2, sumBy, median } = require('./numbers');
+
+const REFUND_BASES = ['refund_date', 'order_date'];
+const BUCKETS = ['day', 'week', 'month'];
+
+// Weekly buckets are ISO weeks, Monday through Sunday
+const bucketUnit = (bucket) => (bucket === 'week' ? 'isoWeek' : bucket);
+
+// Orders refunded in a window can be much older than the window itself
+const REFUND_LOOKBACK_DAYS = 365;
+
+function assertOneOf(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw badRequest(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+// Turn start/end query values into whole-day boundaries in the given timezone
+function resolveRange({ start, end, timezone = 'UTC' }) {
+  if (!moment.tz.zone(timezone)) throw badRequest(`Unknown timezone: ${timezone}`);
+  if (!start || !end) throw badRequest('start and end are required');
+
+  const startMoment = moment.tz(start, moment.ISO_8601, timezone);
+  const endMoment = moment.tz(end, moment.ISO_8601, timezone);
+  if (!startMoment.isValid() || !endMoment.isValid()) throw badRequest('start and end must be ISO dates');
+  if (endMoment.isBefore(startMoment)) throw badRequest('end must not be before start');
+
+  return {
+    timezone,
+    start: startMoment.clone().startOf('day'),
+    end: endMoment.clone().endOf('day')
+  };
+}
+
+// The query parameters every analytics endpoint shares
+function parseQuery(query, { defaultTimezone = 'UTC' } = {}) {
+  const { start, end, timezone = defaultTimezone, basis = 'refund_date' } = query;
+  assertOneOf('basis', basis, REFUND_BASES);
+  return { range: resolveRange({ start, end, timezone }), timezone, basis };
+}
+
+const inRange = (date, range) => {
+  if (!date) return false;
+  const time = new Date(date).getTime();
+  return time >= range.start.valueOf() && time <= range.end.valueOf();
+};
+
+// Refund events attributed to the window, each paired with its order. With
+// the `refund_date` basis an event counts in the window it was issued, with
+// `order_date` every event counts against the window the order was placed in.
+function refundEventsInRange(orders, range, basis) {
+  const events = [];
+  orders.forEach(order => {
+    if (basis === 'order_date' && !inRange(order.orderDate, range)) return;
+    (order.refunds || []).forEach(event => {
+      if (basis === 'order_date' || inRange(event.date, range)) {
+        events.push({ order, event });
+      }
+    });
+  });
+  return events;
+}
+
+// A fully refunded order counts once, in the window of the refund that
+// completed it. Partially refunded orders count in every window one of
+// their refunds lands in.
+function refundedOrdersInRange(orders, range, basis) {
+  return orders.filter(order => {
+    if (!order.refundType) return false;
+    if (basis === 'order_date') return inRange(order.orderDate, range);
+    if (order.refundType === 'full') return inRange(order.lastRefundDate, range);
+    return (order.refunds || []).some(event => inRange(event.date, range));
+  });
+}
+
+// Headline KPIs for normalized orders, with full and partial refunds
+// reported separately and combined
+function summarize(orders, range, { basis = 'refund_date' } = {}) {
+  const placed = orders.filter(order => inRange(order.orderDate, range));
+  const totalOrders = placed.length;
+
+  const refunded = refundedOrdersInRange(orders, range, basis);
+  const fullRefunds = refunded.filter(order => order.refundType === 'full').length;
+  const partialRefunds = refunded.length - fullRefunds;
+
+  const events = refundEventsInRange(orders, range, basis);
+  const amountFor = (type) => round2(sumBy(
+    events.filter(({ order }) => order.refundType === type),
+    ({ event }) => event.amount
+  ));
+  const fullRefundAmount = amountFor('full');
+  const partialRefundAmount = amountFor('partial');
+
+  const totalRefunds = refunded.length;
+  const totalRefundAmount = round2(fullRefundAmount + partialRefundAmount);
+
+  // Refunds without a usable delivery date have no days to refund, leave them out
+  const timed = refunded.filter(order => typeof order.daysToRefund === 'number');
+  const avgDaysToRefund = timed.length > 0
+    ? sumBy(timed, order => order.daysToRefund) / timed.length
+    : 0;
+
+  const rate = (count) => (totalOrders > 0 ? (count / totalOrders) * 100 : 0);
+
+  // Return-window verdicts, present once the policy has been applied
+  const withPolicyStatus = (status) => refunded.filter(order => order.policyStatus === status).length;
+  const lateRefundAmount = round2(sumBy(
+    events.filter(({ order }) => order.policyStatus === 'late'),
+    ({ event }) => event.amount
+  ));
+
+  // Revenue is what orders placed in the range took; net takes off the
+  // refunds counted in the range by the chosen basis
+  const grossRevenue = round2(sumBy(placed, order => order.totalPrice));
+  const netRevenue = round2(grossRevenue - totalRefundAmount);
+
+  return {
+    totalOrders,
+    grossRevenue,
+    netRevenue,
+    refundToRevenue: grossRevenue > 0 ? (totalRefundAmount / grossRevenue) * 100 : 0,
+    avgOrderValue: totalOrders > 0 ? grossRevenue / totalOrders : 0,
+    avgOrderValueAfterRefunds: totalOrders > 0 ? netRevenue / totalOrders : 0,
+    totalRefunds,
+    fullRefunds,
+    partialRefunds,
+    avgDaysToRefund: Number(avgDaysToRefund.toFixed(1)),
+    totalRefundAmount,
+    fullRefundAmount,
+    partialRefundAmount,
+    refundedShipping: round2(sumBy(events, ({ event }) => event.shipping)),
+    refundedTax: round2(sumBy(events, ({ event }) => event.tax)),
+    unitsRefunded: sumBy(events, ({ event }) => event.quantity),
+    unitsRestocked: sumBy(events, ({ event }) => event.restocked),
+    refundRate: rate(totalRefunds),
+    fullRefundRate: rate(fullRefunds),
+    partialRefundRate: rate(partialRefunds),
+    lateRefunds: withPolicyStatus('late'),
+    lateRefundAmount,
+    beforeDeliveryRefunds: withPolicyStatus('before_delivery'),
+    deliveryUnknownRefunds: withPolicyStatus('delivery_unknown'),
+    avgRefundAmount: totalRefunds > 0 ? totalRefundAmount / totalRefunds : 0
+  };
+}
+
+// Summaries per day/week/month across the range. Edge buckets are clipped
+// to the range so partial weeks and months only count days inside it.
+function timeseries(orders, range, { bucket = 'day', basis = 'refund_date' } = {}) {
+  const unit = bucketUnit(bucket);
+  const points = [];
+  let cursor = range.start.clone().startOf(unit);
+
+  while (cursor.isSameOrBefore(range.end)) {
+    const bucketRange = {
+      start: moment.max(cursor, range.start).clone(),
+      end: moment.min(cursor.clone().endOf(unit), range.end).clone()
+    };
+    const summary = summarize(orders, bucketRange, { basis });
+    points.push({
+      bucketStart: bucketRange.start.toISOString(true),
+      bucketEnd: bucketRange.end.toISOString(true),
+      orders: summary.totalOrders,
+      refunds: summary.totalRefunds,
+      fullRefunds: summary.fullRefunds,
+      partialRefunds: summary.partialRefunds,
+      refundAmount: summary.totalRefundAmount,
+      refundRate: summary.refundRate,
+      grossRevenue: summary.grossRevenue,
+      netRevenue: summary.netRevenue,
+      refundToRevenue: summary.refundToRevenue,
+      avgDaysToRefund: summary.avgDaysToRefund
+    });
+    cursor = cursor.clone().add(1, bucket);
+  }
+
+  return points;
+}
+
+const PRODUCT_GROUPINGS = ['sku', 'product'];
+const GEO_LEVELS = ['country', 'province', 'zip3'];
+const COHORT_BUCKETS = ['week', 'month'];
+const COHORT_ANCHORS = ['delivery', 'purchase'];
+// Days since the anchor at which each cohort's cumulative refund rate is read
+const COHORT_MARKS = [7, 14, 21, 30, 45, 60, 90, 120, 180];
+
+// Units sold and refunded per SKU or product. Units sold count orders placed
+// in the window, refunded units come from the refund line items attributed
+// to it.
+function productBreakdown(orders, range, { basis = 'refund_date', groupBy = 'sku' } = {}) {
+  const groups = new Map();
+
+  const groupFor = ({ sku, productId, title }) => {
+    const key = groupBy === 'product' ? String(productId || title) : sku;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        sku: groupBy === 'sku' ? sku : null,
+        productId: productId || null,
+        title,
+        unitsSold: 0,
+        unitsRefunded: 0,
+        unitsRestocked: 0,
+        refundedRevenue: 0,
+        days: []
+      });
+    }
+    return groups.get(key);
+  };
+
+  orders.forEach(order => {
+    if (!inRange(order.orderDate, range)) return;
+    (order.products || []).forEach(product => {
+      groupFor({ sku: product.sku, productId: product.id, title: product.title }).unitsSold += product.quantity;
+    });
+  });
+
+  refundEventsInRange(orders, range, basis).forEach(({ event }) => {
+    event.lineItems.forEach(line => {
+      const group = groupFor(line);
+      group.unitsRefunded += line.quantity;
+      if (line.restockType !== 'no_restock') group.unitsRestocked += line.quantity;
+      group.refundedRevenue += line.subtotal;
+      if (typeof event.daysToRefund === 'number') group.days.push(event.daysToRefund);
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(({ days, ...group }) => ({
+      ...group,
+      refundedRevenue: round2(group.refundedRevenue),
+      refundRate: group.unitsSold > 0 ? (group.unitsRefunded / group.unitsSold) * 100 : 0,
+      medianDaysToRefund: median(days)
+    }))
+    .sort((a, b) => b.unitsRefunded - a.unitsRefunded);
+}
+
+// Orders grouped by the week or month they were placed in, each cohort with
+// the share of its orders refunded within N days of delivery or purchase.
+// A cell stays null until every order in the cohort is at least N days past
+// its anchor, which leaves newer cohorts short and the grid a triangle.
+function cohorts(orders, range, { bucket = 'month', anchor = 'delivery', marks = COHORT_MARKS, now = new Date() } = {}) {
+  const unit = bucketUnit(bucket);
+  const anchorDate = (order) => (anchor === 'delivery' ? order.deliveryDate : order.orderDate);
+  const rows = [];
+  let cursor = range.start.clone().startOf(unit);
+
+  while (cursor.isSameOrBefore(range.end)) {
+    const cohortRange = {
+      start: moment.max(cursor, range.start).clone(),
+      end: moment.min(cursor.clone().endOf(unit), range.end).clone()
+    };
+    const placed = orders.filter(order => inRange(order.orderDate, cohortRange));
+    // Without a delivery date there is nothing to count days from
+    const members = placed.filter(order => anchorDate(order));
+
+    // Days from the anchor to the first refund; refunds before delivery count as day 0
+    const refundDays = members
+      .filter(order => (order.refunds || []).length > 0)
+      .map(order => ({
+        days: Math.max(0, Math.floor((new Date(order.refunds[0].date) - new Date(anchorDate(order))) / DAY_MS)),
+        amount: sumBy(order.refunds, event => event.amount)
+      }));
+    const latestAnchor = members.reduce((latest, order) => Math.max(latest, new Date(anchorDate(order)).getTime()), 0);
+
+    rows.push({
+      cohortStart: cohortRange.start.toISOString(true),
+      cohortEnd: cohortRange.end.toISOString(true),
+      orders: members.length,
+      excluded: placed.length - members.length,
+      cells: marks.map(days => {
+        if (members.length === 0 || latestAnchor + days * DAY_MS > now.getTime()) {
+          return { days, refunds: null, refundAmount: null, refundRate: null };
+        }
+        const within = refundDays.filter(refund => refund.days <= days);
+        return {
+          days,
+          refunds: within.length,
+          refundAmount: round2(sumBy(within, refund => refund.amount)),
+          refundRate: (within.length / members.length) * 100
+        };
+      })
+    });
+    cursor = cursor.clone().add(1, bucket);
+  }
+
+  return rows;
+}
+
+// Refund counts and amounts per reason, overall and per SKU. Reasons are
+// per refund event, so an order refunded twice for different reasons counts
+// under both. Refunds of shipping alone have no SKU and only count overall.
+function reasonBreakdown(orders, range, { basis = 'refund_date' } = {}) {
+  const reasons = new Map();
+  const skus = new Map();
+
+  refundEventsInRange(orders, range, basis).forEach(({ order, event }) => {
+    const reason = event.reason || 'uncategorized';
+    if (!reasons.has(reason)) {
+      reasons.set(reason, { reason, refunds: 0, orders: new Set(), refundAmount: 0, unitsRefunded: 0 });
+    }
+    const overall = reasons.get(reason);
+    overall.refunds += 1;
+    overall.orders.add(`${order.shop}:${order.id}`);
+    overall.refundAmount += event.amount;
+    overall.unitsRefunded += event.quantity;
+
+    event.lineItems.forEach(line => {
+      const key = `${line.sku}:${reason}`;
+      if (!skus.has(key)) {
+        skus.set(key, { sku: line.sku, title: line.title, reason, refunds: new Set(), refundAmount: 0, unitsRefunded: 0 });
+      }
+      const group = skus.get(key);
+      group.refunds.add(event.id);
+      group.refundAmount += line.subtotal + line.tax;
+      group.unitsRefunded += line.quantity;
+    });
+  });
+
+  return {
+    reasons: Array.from(reasons.values())
+      .map(({ orders: ordersWithReason, ...row }) => ({
+        ...row,
+        orders: ordersWithReason.size,
+        refundAmount: round2(row.refundAmount)
+      }))
+      .sort((a, b) => b.refunds - a.refunds),
+    skus: Array.from(skus.values())
+      .map(({ refunds, ...row }) => ({ ...row, refunds: refunds.size, refundAmount: round2(row.refundAmount) }))
+      .sort((a, b) => a.sku.localeCompare(b.sku) || b.unitsRefunded - a.unitsRefunded)
+  };
+}
+
+// Region an order counts under at each level; provinces and ZIP prefixes
+// only mean something within their country
+function regionFor(order, level) {
+  const address = order.shippingAddress || {};
+  const country = address.countryCode || 'unknown';
+  if (level === 'country') return { key: country, countryCode: address.countryCode || null, name: address.country };
+  const code = level === 'province' ? address.provinceCode : address.zip3;
+  return {
+    key: `${country}-${code || 'unknown'}`,
+    countryCode: address.countryCode || null,
+    code: code || null,
+    name: level === 'province' ? address.province : code
+  };
+}
+
+// Orders, refund rate, refund amount and days from delivery to refund per
+// country, state/province or ZIP prefix. `country` narrows to one country.
+function geoBreakdown(orders, range, { basis = 'refund_date', level = 'country', country = null } = {}) {
+  const inCountry = country
+    ? orders.filter(order => (order.shippingAddress || {}).countryCode === country)
+    : orders;
+  const regions = new Map();
+  const regionOf = (order) => {
+    const region = regionFor(order, level);
+    if (!regions.has(region.key)) {
+      regions.set(region.key, { ...region, name: region.name || null, orders: 0, refunds: 0, refundAmount: 0, days: [] });
+    }
+    return regions.get(region.key);
+  };
+
+  inCountry.forEach(order => {
+    if (inRange(order.orderDate, range)) regionOf(order).orders += 1;
+  });
+  refundedOrdersInRange(inCountry, range, basis).forEach(order => {
+    const region = regionOf(order);
+    region.refunds += 1;
+    if (typeof order.daysToRefund === 'number') region.days.push(order.daysToRefund);
+  });
+  refundEventsInRange(inCountry, range, basis).forEach(({ order, event }) => {
+    regionOf(order).refundAmount += event.amount;
+  });
+
+  return Array.from(regions.values())
+    .map(({ days, ...region }) => ({
+      ...region,
+      refundAmount: round2(region.refundAmount),
+      refundRate: region.orders > 0 ? (region.refunds / region.orders) * 100 : 0,
+      avgDaysToRefund: days.length > 0 ? Number((sumBy(days, day => day) / days.length).toFixed(1)) : null,
+      medianDaysToRefund: median(days)
+    }))
+    .sort((a, b) => b.orders - a.orders);
+}
+
+// The window of equal length that ends right before this one
+function previousRange(range) {
+  const days = range.end.clone().startOf('day').diff(range.start, 'days') + 1;
+  return {
+    timezone: range.timezone,
+    start: range.start.clone().subtract(days, 'days'),
+    end: range.end.clone().subtract(days, 'days')
+  };
+}
+
+// Earliest order creation date that can contribute to a window
+function lookbackStart(range, basis) {
+  return basis === 'order_date'
+    ? range.start.clone()
+    : range.start.clone().subtract(REFUND_LOOKBACK_DAYS, 'days');
+}
+
+module.exports = {
+  REFUND_BASES,
+  BUCKETS,
+  PRODUCT_GROUPINGS,
+  GEO_LEVELS,
+  COHORT_BUCKETS,
+  COHORT_ANCHORS,
+  COHORT_MARKS,
+  assertOneOf,
+  resolveRange,
+  parseQuery,
+  refundedOrdersInRange,
+  summarize,
+  timeseries,
+  productBreakdown,
+  cohorts,
+  reasonBreakdown,
+  geoBreakdown,
+  previousRange,
+  lookbackStart
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const express = require('express');
+const { httpError, badRequest, sendError } = require('./errors');
+const { logger } = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'viewer'];
+const COOKIE_NAME = 'hs_session';
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 12) * 60 * 60 * 1000;
+
+// Lock a username out for a while after repeated bad passwords
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  // A hash that decodes to nothing would match any password
+  if (expected.length === 0) return false;
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when no user matches, so a login for a username that does
+// not exist takes as long as a wrong password for one that does
+let dummyHash = null;
+const dummyPasswordHash = () => {
+  dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+};
+
+// Password hashes and session ids, private to the server user
+const readJson = (file, fallback) => readJsonFile(file, { fallback, name: path.basename(file, '.json') });
+const writeJson = (file, data) => writeJsonFile(file, data, { mode: 0o600 });
+
+// A cookie whose value does not decode counts as not sent, so a mangled
+// session cookie signs the browser out rather than failing every request
+function decodeCookie(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...rest]) => [name, decodeCookie(rest.join('='))])
+    .filter(([, value]) => value !== null));
+}
+
+const publicUser = ({ id, username, role, createdAt }) => ({ id, username, role, createdAt });
+
+// Users and sessions live in files under the data directory. Sessions are
+// opaque random ids in an HttpOnly cookie.
+function createAuth({ dataDir, cookie = {} }) {
+  const usersFile = path.join(dataDir, 'users.json');
+  const sessionsFile = path.join(dataDir, 'sessions.json');
+
+  let users = readJson(usersFile, []);
+  const sessions = new Map(Object.entries(readJson(sessionsFile, {})));
+  const failedLogins = new Map();
+
+  const saveUsers = () => writeJson(usersFile, users);
+  const saveSessions = () => writeJson(sessionsFile, Object.fromEntries(sessions));
+
+  const cookieOptions = {
+    secure: process.env.NODE_ENV === 'production',
+    // The dashboard and API are on different sites in production
+    sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
+    ...cookie
+  };
+
+  function setSessionCookie(res, id, maxAgeMs) {
+    const parts = [
+      `${COOKIE_NAME}=${encodeURIComponent(id)}`,
+      'Path=/',
+      'HttpOnly',
+      `SameSite=${cookieOptions.sameSite}`,
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (cookieOptions.secure) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+  }
+
+  async function createUser({ username, password, role = 'viewer' }) {
+    if (!username || typeof username !== 'string') throw badRequest('username is required');
+    if (!password || String(password).length < 10) throw badRequest('password must be at least 10 characters');
+    if (!ROLES.includes(role)) throw badRequest(`role must be one of: ${ROLES.join(', ')}`);
+    if (users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+      throw httpError(409, 'username is already taken');
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      passwordHash: await hashPassword(String(password)),
+      createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    saveUsers();
+    return publicUser(user);
+  }
+
+  function deleteUser(id) {
+    const before = users.length;
+    users = users.filter(user => user.id !== id);
+    if (users.length === before) return false;
+    saveUsers();
+    // Sign the user out everywhere
+    for (const [sessionId, session] of sessions.entries()) {
+      if (session.userId === id) sessions.delete(sessionId);
+    }
+    saveSessions();
+    return true;
+  }
+
+  // First start: create the admin named in the environment, or `admin`
+  // when the caller has one of its own
+  async function bootstrap(admin = { username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD }) {
+    if (users.length === 0 && admin.username && admin.password) {
+      await createUser({ username: admin.username, password: admin.password, role: 'admin' });
+      logger.info('Created initial admin user', { username: admin.username });
+    } else if (users.length === 0) {
+      logger.warn('No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD or run server/scripts/create-user.js');
+    }
+  }
+
+  function currentSession(req) {
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    if (Date.now() > session.expiresAt) {
+      sessions.delete(id);
+      saveSessions();
+      return null;
+    }
+    const user = users.find(u => u.id === session.userId);
+    return user ? { id, user: publicUser(user) } : null;
+  }
+
+  // 401 for anyone without a live session
+  function requireAuth(req, res, next) {
+    const session = currentSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = session.user;
+    req.sessionId = session.id;
+    next();
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user || req.user.role !== role) {
+        return res.status(403).json({ error: `${role} role required` });
+      }
+      next();
+    };
+  }
+
+  // Viewers can read everything but change nothing
+  function requireAdminForWrites(req, res, next) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    return requireRole('admin')(req, res, next);
+  }
+
+  const router = express.Router();
+
+  router.post('/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    const key = String(username || '').toLowerCase();
+    const now = Date.now();
+    const failures = failedLogins.get(key);
+    // Failures older than the lockout no longer count towards the next one
+    const recentFailures = failures && now - failures.last < LOCKOUT_MS ? failures.count : 0;
+    if (recentFailures >= MAX_FAILED_LOGINS) {
+      return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+    // Count the attempt before hashing, so logins racing through the awaits
+    // below each use up one of the allowed failures
+    failedLogins.set(key, { count: recentFailures + 1, last: now });
+
+    try {
+      const user = users.find(u => u.username.toLowerCase() === key);
+      const passwordHash = user ? user.passwordHash : await dummyPasswordHash();
+      const matches = await verifyPassword(String(password || ''), passwordHash);
+      const valid = user && password && matches;
+      if (!valid) {
+        logger.warn('Failed login attempt', { username: key });
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      failedLogins.delete(key);
+      const id = crypto.randomBytes(32).toString('hex');
+      sessions.set(id, { userId: user.id, createdAt: Date.now(), expiresAt: Date.now() + SESSION_TTL });
+      saveSessions();
+      setSessionCookie(res, id, SESSION_TTL);
+      res.json({ user: publicUser(user) });
+    } catch (error) {
+      sendError(res, error, 'logging in');
+    }
+  });
+
+  router.post('/auth/logout', (req, res) => {
+    const session = currentSession(req);
+    if (session) {
+      sessions.delete(session.id);
+      saveSessions();
+    }
+    setSessionCookie(res, '', 0);
+    res.json({ ok: true });
+  });
+
+  router.get('/auth/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  router.get('/users', requireAuth, requireRole('admin'), (req, res) => {
+    res.json(users.map(publicUser));
+  });
+
+  router.post('/users', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+      res.status(201).json(await createUser(req.body || {}));
+    } catch (error) {
+      sendError(res, error, 'creating user');
+    }
+  });
+
+  router.delete('/users/:id', requireAuth, requireRole('admin'), (req, res) => {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (!deleteUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ok: true });
+  });
+
+  // Drop expired sessions now and then, and failure counts that no longer
+  // count, so logins for made-up usernames do not pile up
+  setInterval(() => {
+    const now = Date.now();
+    let removed = false;
+    for (const [id, session] of sessions.entries()) {
+      if (now > session.expiresAt) {
+        sessions.delete(id);
+        removed = true;
+      }
+    }
+    if (removed) saveSessions();
+    for (const [key, failures] of failedLogins.entries()) {
+      if (now - failures.last >= LOCKOUT_MS) failedLogins.delete(key);
+    }
+  }, 60 * 60 * 1000).unref();
+
+  return { router, bootstrap, createUser, requireAuth, requireRole, requireAdminForWrites };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword, ROLES };
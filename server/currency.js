@@ -0,0 +1,70 @@
+const { badRequest } = require('./errors');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { round2 } = require('./numbers');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Units of each currency per one unit of `base`, entered by an admin. Used
+// where Shopify gives no rate of its own: refunds paid out in a currency
+// other than the order's, and totals across shops with different currencies.
+const DEFAULT_RATES = {
+  base: process.env.REPORTING_CURRENCY || 'USD',
+  rates: {},
+  updatedAt: null
+};
+
+function validateRates(input) {
+  if (!input || typeof input !== 'object') throw badRequest('Rates must be an object');
+  if (!CURRENCY_PATTERN.test(input.base || '')) throw badRequest('base must be a 3-letter ISO code');
+  if (!input.rates || typeof input.rates !== 'object' || Array.isArray(input.rates)) {
+    throw badRequest('rates must map currency codes to numbers');
+  }
+  Object.entries(input.rates).forEach(([code, rate]) => {
+    if (!CURRENCY_PATTERN.test(code)) throw badRequest(`Invalid currency code: ${code}`);
+    if (typeof rate !== 'number' || !(rate > 0)) throw badRequest(`Rate for ${code} must be a positive number`);
+  });
+
+  const rates = { ...input.rates };
+  delete rates[input.base];
+  return { base: input.base, rates, updatedAt: input.updatedAt || new Date().toISOString() };
+}
+
+function loadRates(file) {
+  return readJsonFile(file, { fallback: DEFAULT_RATES, validate: validateRates, name: 'currency rates' });
+}
+
+function saveRates(file, rates) {
+  writeJsonFile(file, rates);
+}
+
+// Units of `to` per one `from`, or null when the stored rates lack either
+function rateBetween(rates, from, to) {
+  if (from === to) return 1;
+  const perBase = (code) => (code === rates.base ? 1 : rates.rates[code]);
+  return perBase(from) && perBase(to) ? perBase(to) / perBase(from) : null;
+}
+
+// A normalized order with every shop-currency amount multiplied by `rate`
+// and relabelled as `currency`. Presentment amounts stay as the customer saw them.
+function convertOrder(order, rate, currency) {
+  const times = (value) => round2(value * rate);
+  return {
+    ...order,
+    currency,
+    totalPrice: times(order.totalPrice),
+    refundAmount: times(order.refundAmount),
+    refundedShipping: times(order.refundedShipping),
+    refundedTax: times(order.refundedTax),
+    products: order.products.map(product => ({ ...product, price: times(product.price) })),
+    refunds: order.refunds.map(refund => ({
+      ...refund,
+      amount: times(refund.amount),
+      merchandise: times(refund.merchandise),
+      shipping: times(refund.shipping),
+      tax: times(refund.tax),
+      lineItems: refund.lineItems.map(line => ({ ...line, subtotal: times(line.subtotal), tax: times(line.tax) }))
+    }))
+  };
+}
+
+module.exports = { DEFAULT_RATES, validateRates, loadRates, saveRates, rateBetween, convertOrder };
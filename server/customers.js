@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { assertOneOf } = require('./analytics');
+const { badRequest } = require('./errors');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { round2 } = require('./numbers');
+
+const CUSTOMER_VIEWS = ['serial', 'all'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// A customer is a serial returner once all three are reached
+const DEFAULT_THRESHOLDS = {
+  minRefundedOrders: 2,
+  minRefundRate: 50, // percent of their orders
+  minRefundAmount: 0
+};
+
+// Emails are hashed with a key of this server's, kept private like the
+// password hashes and sessions, so nobody holding a store file can check
+// whether a known address bought something
+let emailKey = null;
+
+function loadEmailKey(file) {
+  const stored = readJsonFile(file, { name: 'email hash key' });
+  if (stored && typeof stored.key === 'string') {
+    emailKey = Buffer.from(stored.key, 'hex');
+  } else {
+    emailKey = crypto.randomBytes(32);
+    writeJsonFile(file, { key: emailKey.toString('hex') }, { mode: 0o600 });
+  }
+}
+
+// Names the key without revealing it, so stores can tell when their hashes
+// were made with another one. Null until a key is loaded.
+const emailKeyId = () => (emailKey
+  ? crypto.createHmac('sha256', emailKey).update('email-key-id').digest('hex').slice(0, 16)
+  : null);
+
+// Trimmed and lowercased so one address always hashes the same. The hash
+// links a customer's orders, including guest checkouts, without keeping
+// the address itself.
+function hashEmail(email) {
+  if (typeof email !== 'string' || !email.trim()) return null;
+  if (!emailKey) throw new Error('Email hash key is not loaded');
+  return crypto.createHmac('sha256', emailKey).update(email.trim().toLowerCase()).digest('hex');
+}
+
+// A raw Shopify order with its customer reduced to an id and its email to a
+// hash, applied before an order is stored. Fields the payload leaves out
+// are left alone so partial updates keep what is stored, unless the order
+// is `complete` as a sync lists it, where no address means there is none.
+function scrubCustomer(order, { complete = false } = {}) {
+  const { email, contact_email: contactEmail, customer, ...rest } = order;
+  const address = email || contactEmail || (customer && customer.email);
+  return {
+    ...rest,
+    ...(customer !== undefined && { customer: customer && customer.id ? { id: customer.id } : null }),
+    ...((address !== undefined || complete) && { email_hash: hashEmail(address) })
+  };
+}
+
+// Orders are grouped by email hash, which also spans shops; orders without
+// an email fall back to the shop's customer id
+function customerKey(order, shopId) {
+  if (order.emailHash) return order.emailHash;
+  return order.customerId ? `${shopId}-${order.customerId}` : null;
+}
+
+function validateThresholds(thresholds) {
+  if (!thresholds || typeof thresholds !== 'object') throw badRequest('Thresholds must be an object');
+  const { minRefundedOrders, minRefundRate, minRefundAmount } = thresholds;
+  if (!Number.isInteger(minRefundedOrders) || minRefundedOrders < 1) {
+    throw badRequest('minRefundedOrders must be a whole number of at least 1');
+  }
+  if (typeof minRefundRate !== 'number' || minRefundRate < 0 || minRefundRate > 100) {
+    throw badRequest('minRefundRate must be a percentage from 0 to 100');
+  }
+  if (typeof minRefundAmount !== 'number' || minRefundAmount < 0) {
+    throw badRequest('minRefundAmount must be zero or more');
+  }
+  return { minRefundedOrders, minRefundRate, minRefundAmount };
+}
+
+function loadThresholds(file) {
+  return readJsonFile(file, { fallback: DEFAULT_THRESHOLDS, validate: validateThresholds, name: 'serial returner thresholds' });
+}
+
+function saveThresholds(file, thresholds) {
+  writeJsonFile(file, thresholds);
+}
+
+function parseCustomerQuery(query) {
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw badRequest(`limit must be 1 to ${MAX_LIMIT}`);
+  return {
+    view: assertOneOf('view', query.view || 'serial', CUSTOMER_VIEWS),
+    search: query.search ? String(query.search).trim() : '',
+    limit
+  };
+}
+
+const isSerialReturner = (customer, thresholds) =>
+  customer.refundedOrders >= thresholds.minRefundedOrders &&
+  customer.refundRate >= thresholds.minRefundRate &&
+  customer.refundAmount >= thresholds.minRefundAmount;
+
+// Lifetime totals per customer over the given prepared orders, most
+// refunded orders first. Orders without an email or customer are left out.
+function customerDimension(orders, thresholds = DEFAULT_THRESHOLDS) {
+  const customers = new Map();
+
+  [...orders]
+    .sort((a, b) => new Date(a.orderDate) - new Date(b.orderDate))
+    .forEach(order => {
+      if (!order.customerKey) return;
+      if (!customers.has(order.customerKey)) {
+        customers.set(order.customerKey, {
+          key: order.customerKey,
+          emailHash: order.emailHash || null,
+          customerIds: [],
+          name: null,
+          shops: [],
+          orders: 0,
+          refundedOrders: 0,
+          refunds: 0,
+          orderTotal: 0,
+          refundAmount: 0,
+          firstOrderAt: order.orderDate,
+          lastOrderAt: null,
+          lastRefundAt: null,
+          reasons: {}
+        });
+      }
+      const customer = customers.get(order.customerKey);
+      customer.orders += 1;
+      customer.orderTotal += order.totalPrice;
+      customer.lastOrderAt = order.orderDate;
+      // The latest order's name, orders come oldest first
+      if (order.shippingName && order.shippingName !== 'N/A') customer.name = order.shippingName;
+      if (!customer.shops.includes(order.shop)) customer.shops.push(order.shop);
+      if (order.customerId && !customer.customerIds.some(id => id.shop === order.shop && id.id === order.customerId)) {
+        customer.customerIds.push({ shop: order.shop, id: order.customerId });
+      }
+      if (order.refundType) {
+        customer.refundedOrders += 1;
+        customer.refundAmount += order.refundAmount;
+      }
+      order.refunds.forEach(refund => {
+        customer.refunds += 1;
+        if (refund.reason) customer.reasons[refund.reason] = (customer.reasons[refund.reason] || 0) + 1;
+        if (!customer.lastRefundAt || new Date(refund.date) > new Date(customer.lastRefundAt)) {
+          customer.lastRefundAt = refund.date;
+        }
+      });
+    });
+
+  return Array.from(customers.values())
+    .map(customer => {
+      const row = {
+        ...customer,
+        orderTotal: round2(customer.orderTotal),
+        refundAmount: round2(customer.refundAmount),
+        refundRate: (customer.refundedOrders / customer.orders) * 100
+      };
+      return { ...row, serial: isSerialReturner(row, thresholds) };
+    })
+    .sort((a, b) => b.refundedOrders - a.refundedOrders || b.refundAmount - a.refundAmount || b.orders - a.orders);
+}
+
+// An email finds its customer by hash; anything else matches the name or
+// a Shopify customer id
+function matchesSearch(customer, search) {
+  const term = search.toLowerCase();
+  if (term.includes('@')) return customer.emailHash === hashEmail(term);
+  return (customer.name || '').toLowerCase().includes(term) ||
+    customer.customerIds.some(({ id }) => String(id) === term);
+}
+
+// Serial returners, or with a search every matching customer whether
+// flagged or not, so support can look anyone up
+function listCustomers(customers, { view = 'serial', search = '', limit = DEFAULT_LIMIT } = {}) {
+  const matching = search
+    ? customers.filter(customer => matchesSearch(customer, search))
+    : customers.filter(customer => view === 'all' || customer.serial);
+  return { total: matching.length, customers: matching.slice(0, limit) };
+}
+
+module.exports = {
+  CUSTOMER_VIEWS,
+  DEFAULT_THRESHOLDS,
+  loadEmailKey,
+  emailKeyId,
+  hashEmail,
+  scrubCustomer,
+  customerKey,
+  validateThresholds,
+  loadThresholds,
+  saveThresholds,
+  parseCustomerQuery,
+  customerDimension,
+  listCustomers
+};
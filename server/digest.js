@@ -0,0 +1,164 @@
+const moment = require('moment-timezone');
+const analytics = require('./analytics');
+
+const FREQUENCIES = ['weekly', 'monthly'];
+
+// Headline numbers a digest reports, the same ones as the dashboard's stat cards
+const KPIS = [
+  { key: 'totalOrders', label: 'Orders', format: 'number' },
+  { key: 'grossRevenue', label: 'Gross revenue', format: 'money' },
+  { key: 'netRevenue', label: 'Net revenue after refunds', format: 'money' },
+  { key: 'refundToRevenue', label: 'Refunds as % of revenue', format: 'percent' },
+  { key: 'totalRefunds', label: 'Refunded orders', format: 'number' },
+  { key: 'refundRate', label: 'Refund rate', format: 'percent' },
+  { key: 'totalRefundAmount', label: 'Refund amount', format: 'money' },
+  { key: 'avgRefundAmount', label: 'Average refund', format: 'money' },
+  { key: 'avgDaysToRefund', label: 'Average days to refund', format: 'days' },
+  { key: 'lateRefunds', label: 'Out-of-window refunds', format: 'number' }
+];
+
+const TOP_SKUS = 5;
+const MAX_LATE_ORDERS = 10;
+
+// ISO weeks start on Monday, like the analytics week buckets
+const UNITS = { weekly: 'isoWeek', monthly: 'month' };
+
+// The last complete week or month before `now` in the timezone, and the one before it
+function periodFor(frequency, now, timezone) {
+  const unit = UNITS[frequency];
+  const span = frequency === 'weekly' ? 'week' : 'month';
+  const start = moment.tz(now, timezone).startOf(unit).subtract(1, span);
+  const range = { timezone, start, end: start.clone().endOf(unit) };
+  const previousStart = start.clone().subtract(1, span);
+  return {
+    key: `${frequency}:${start.format('YYYY-MM-DD')}`,
+    range,
+    previous: { timezone, start: previousStart, end: previousStart.clone().endOf(unit) }
+  };
+}
+
+function change(current, previous) {
+  return {
+    delta: Math.round((current - previous) * 100) / 100,
+    percent: previous === 0 ? null : Math.round(((current - previous) / previous) * 1000) / 10
+  };
+}
+
+// Digest content for one period from normalized orders covering both periods
+function buildDigest({ orders, period, frequency, shopName, currency, locale = 'en-US' }) {
+  const basis = 'refund_date';
+  const current = analytics.summarize(orders, period.range, { basis });
+  const previous = analytics.summarize(orders, period.previous, { basis });
+
+  const topSkus = analytics.productBreakdown(orders, period.range, { basis, groupBy: 'sku' })
+    .filter(row => row.unitsRefunded > 0)
+    .sort((a, b) => b.unitsRefunded - a.unitsRefunded || b.refundedRevenue - a.refundedRevenue)
+    .slice(0, TOP_SKUS);
+
+  const lateOrders = analytics.refundedOrdersInRange(orders, period.range, basis)
+    .filter(order => order.policyStatus === 'late')
+    .sort((a, b) => b.policy.daysOver - a.policy.daysOver);
+
+  return {
+    frequency,
+    shopName,
+    currency,
+    locale,
+    start: period.range.start.toISOString(true),
+    end: period.range.end.toISOString(true),
+    timezone: period.range.timezone,
+    kpis: KPIS.map(kpi => ({
+      ...kpi,
+      value: current[kpi.key],
+      previous: previous[kpi.key],
+      ...change(current[kpi.key], previous[kpi.key])
+    })),
+    topSkus: topSkus.map(row => ({
+      sku: row.sku,
+      title: row.title,
+      unitsRefunded: row.unitsRefunded,
+      refundedRevenue: row.refundedRevenue,
+      refundRate: row.refundRate
+    })),
+    lateRefunds: {
+      count: lateOrders.length,
+      amount: Math.round(lateOrders.reduce((total, order) => total + order.refundAmount, 0) * 100) / 100,
+      orders: lateOrders.slice(0, MAX_LATE_ORDERS).map(order => ({
+        orderNumber: order.orderNumber,
+        shop: order.shop,
+        refundDate: order.refundDate,
+        refundAmount: order.refundAmount,
+        daysOver: order.policy.daysOver,
+        windowDays: order.policy.windowDays,
+        adminUrl: order.adminUrl
+      }))
+    }
+  };
+}
+
+// Money in the digest's currency, everything in its locale
+function formatValue(value, format, { currency, locale = 'en-US' } = {}) {
+  if (format === 'percent') return `${value.toFixed(1)}%`;
+  if (format === 'days') return `${value.toFixed(1)} days`;
+  if (format === 'money') {
+    return currency
+      ? new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value)
+      : value.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+  return value.toLocaleString(locale);
+}
+
+function formatChange({ delta, percent }, format, context) {
+  if (delta === 0) return 'no change';
+  const sign = delta > 0 ? '+' : '-';
+  const amount = format === 'percent'
+    ? `${Math.abs(delta).toFixed(1)} pts`
+    : formatValue(Math.abs(delta), format, context);
+  return percent === null || format === 'percent' ? `${sign}${amount}` : `${sign}${amount} (${sign}${Math.abs(percent)}%)`;
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// Subject, plain text and HTML bodies for a digest
+function renderDigest(digest) {
+  const period = `${moment.parseZone(digest.start).format('MMM D')} – ${moment.parseZone(digest.end).format('MMM D, YYYY')}`;
+  const title = `${digest.frequency === 'weekly' ? 'Weekly' : 'Monthly'} refund digest`;
+  const subject = `${title}: ${digest.shopName}, ${period}`;
+  const money = (value) => formatValue(value, 'money', digest);
+
+  const kpiLines = digest.kpis.map(kpi =>
+    `${kpi.label}: ${formatValue(kpi.value, kpi.format, digest)} (${formatChange(kpi, kpi.format, digest)} vs previous ${digest.frequency === 'weekly' ? 'week' : 'month'})`);
+  const skuLines = digest.topSkus.length > 0
+    ? digest.topSkus.map(row => `${row.sku} ${row.title || ''}: ${row.unitsRefunded} units, ${money(row.refundedRevenue)}, ${row.refundRate.toFixed(1)}% refund rate`)
+    : ['No refunded SKUs'];
+  const lateLines = digest.lateRefunds.orders.map(order =>
+    `#${order.orderNumber}: ${money(order.refundAmount)}, ${order.daysOver} days past the ${order.windowDays}-day window`);
+
+  const text = [
+    subject,
+    '',
+    ...kpiLines,
+    '',
+    'Top refunded SKUs',
+    ...skuLines,
+    '',
+    `Out-of-window refunds: ${digest.lateRefunds.count} (${money(digest.lateRefunds.amount)})`,
+    ...lateLines
+  ].join('\n');
+
+  const html = `
+<h2>${escapeHtml(subject)}</h2>
+<table cellpadding="4">
+${digest.kpis.map(kpi => `<tr><td>${escapeHtml(kpi.label)}</td><td><b>${escapeHtml(formatValue(kpi.value, kpi.format, digest))}</b></td><td>${escapeHtml(formatChange(kpi, kpi.format, digest))}</td></tr>`).join('\n')}
+</table>
+<h3>Top refunded SKUs</h3>
+<ul>${skuLines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+<h3>Out-of-window refunds: ${digest.lateRefunds.count} (${escapeHtml(money(digest.lateRefunds.amount))})</h3>
+<ul>${digest.lateRefunds.orders.map((order, index) => `<li><a href="${escapeHtml(order.adminUrl)}">${escapeHtml(lateLines[index])}</a></li>`).join('')}</ul>
+`.trim();
+
+  return { subject, text, html };
+}
+
+module.exports = { FREQUENCIES, periodFor, buildDigest, renderDigest, escapeHtml };
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const express = require('express');
+const moment = require('moment-timezone');
+const analytics = require('./analytics');
+const { FREQUENCIES, periodFor, buildDigest, renderDigest } = require('./digest');
+const { badRequest, sendError } = require('./errors');
+const { logger } = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const CHECK_INTERVAL = 60 * 1000;
+// After a failed delivery wait this long before trying the same period again
+const RETRY_MS = 15 * 60 * 1000;
+
+const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// The moment this period's digest becomes due: the configured weekday or
+// day of the month, at the configured hour in the shop's timezone. The hour
+// is set as wall-clock time, so one skipped by a DST change falls forward.
+function dueAt(schedule, now, timezone) {
+  const local = moment.tz(now, timezone);
+  const day = schedule.frequency === 'weekly'
+    ? local.clone().startOf('isoWeek').isoWeekday(schedule.dayOfWeek)
+    : local.clone().startOf('month').date(schedule.dayOfMonth);
+  return moment.tz({ year: day.year(), month: day.month(), date: day.date(), hour: schedule.hour }, timezone);
+}
+
+// Digest schedules live in a JSON file; a timer checks once a minute for
+// schedules whose send time has passed and sends the last complete period.
+function createDigestScheduler({ file, transports, shops, loadOrders }) {
+  let schedules = [];
+  let timer = null;
+  const running = new Set();
+
+  function load() {
+    schedules = readJsonFile(file, { fallback: schedules, name: 'digest schedules' });
+  }
+
+  function save() {
+    writeJsonFile(file, schedules);
+  }
+
+  function validateSchedule(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const frequency = merged.frequency;
+    if (!FREQUENCIES.includes(frequency)) throw badRequest(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+
+    const schedule = {
+      name: merged.name || `${frequency} digest`,
+      frequency,
+      dayOfWeek: merged.dayOfWeek === undefined ? 1 : merged.dayOfWeek,
+      dayOfMonth: merged.dayOfMonth === undefined ? 1 : merged.dayOfMonth,
+      hour: merged.hour === undefined ? 8 : merged.hour,
+      shop: merged.shop || 'all',
+      transport: merged.transport,
+      recipients: Array.isArray(merged.recipients) ? merged.recipients.map(String) : [],
+      enabled: merged.enabled !== false
+    };
+
+    if (!isInt(schedule.dayOfWeek, 1, 7)) throw badRequest('dayOfWeek must be 1 (Monday) to 7 (Sunday)');
+    // Every month has a 28th
+    if (!isInt(schedule.dayOfMonth, 1, 28)) throw badRequest('dayOfMonth must be 1 to 28');
+    if (!isInt(schedule.hour, 0, 23)) throw badRequest('hour must be 0 to 23');
+    shops.resolve(schedule.shop);
+    transports.get(schedule.transport).validate(schedule.recipients);
+    return schedule;
+  }
+
+  const timezoneFor = (schedule) => shops.info(schedule.shop).timezone;
+
+  function create(input) {
+    const schedule = {
+      id: crypto.randomUUID(),
+      ...validateSchedule(input),
+      // Start with the next period rather than sending one straight away
+      lastPeriod: null,
+      lastSentAt: null,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+    schedule.lastPeriod = periodFor(schedule.frequency, new Date(), timezoneFor(schedule)).key;
+    schedules.push(schedule);
+    save();
+    return schedule;
+  }
+
+  function update(id, input) {
+    const index = schedules.findIndex(schedule => schedule.id === id);
+    if (index === -1) return null;
+    const schedule = { ...schedules[index], ...validateSchedule(input, schedules[index]) };
+    // A new frequency starts with its next period too
+    if (schedule.frequency !== schedules[index].frequency) {
+      schedule.lastPeriod = periodFor(schedule.frequency, new Date(), timezoneFor(schedule)).key;
+    }
+    schedules[index] = schedule;
+    save();
+    return schedules[index];
+  }
+
+  function remove(id) {
+    const before = schedules.length;
+    schedules = schedules.filter(schedule => schedule.id !== id);
+    if (schedules.length === before) return false;
+    save();
+    return true;
+  }
+
+  async function build(schedule, now = new Date()) {
+    const info = shops.info(schedule.shop);
+    const period = periodFor(schedule.frequency, now, info.timezone);
+    const from = analytics.lookbackStart(period.previous, 'refund_date');
+    const orders = await loadOrders(schedule.shop, from.toISOString(), period.range.end.toISOString());
+    const digest = buildDigest({
+      orders,
+      period,
+      frequency: schedule.frequency,
+      shopName: info.name,
+      currency: info.currency,
+      locale: info.locale
+    });
+    return { period, digest, message: { id: schedule.id, ...renderDigest(digest), data: digest } };
+  }
+
+  // Build and deliver the last complete period's digest, recording the outcome
+  async function send(schedule, now = new Date()) {
+    let message;
+    try {
+      const built = await build(schedule, now);
+      const { period } = built;
+      message = built.message;
+      await transports.get(schedule.transport).send(message, schedule.recipients);
+      Object.assign(schedule, { lastPeriod: period.key, lastSentAt: new Date().toISOString(), lastError: null, lastErrorAt: null });
+      logger.info('Digest sent', { id: schedule.id, transport: schedule.transport, period: period.key });
+    } catch (error) {
+      Object.assign(schedule, { lastError: error.message, lastErrorAt: new Date().toISOString() });
+      logger.error('Digest failed', { digest: schedule.id, error: error.message });
+      throw error;
+    } finally {
+      save();
+    }
+    return message;
+  }
+
+  function isDue(schedule, now) {
+    if (!schedule.enabled || running.has(schedule.id)) return false;
+    if (schedule.lastErrorAt && now - new Date(schedule.lastErrorAt) < RETRY_MS) return false;
+    const timezone = timezoneFor(schedule);
+    const period = periodFor(schedule.frequency, now, timezone);
+    return schedule.lastPeriod !== period.key && !dueAt(schedule, now, timezone).isAfter(now);
+  }
+
+  async function tick() {
+    const now = new Date();
+    for (const schedule of schedules) {
+      let due = false;
+      try {
+        due = isDue(schedule, now);
+      } catch (error) {
+        // A schedule for a shop that has since been removed
+        logger.error('Skipping digest', { digest: schedule.id, error: error.message });
+      }
+      if (!due) continue;
+
+      running.add(schedule.id);
+      try {
+        await send(schedule, now);
+      } catch (error) {
+        // Already recorded on the schedule
+      } finally {
+        running.delete(schedule.id);
+      }
+    }
+  }
+
+  function start() {
+    load();
+    timer = setInterval(tick, CHECK_INTERVAL);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  const findOr404 = (req, res) => {
+    const schedule = schedules.find(s => s.id === req.params.id);
+    if (!schedule) res.status(404).json({ error: 'Digest schedule not found' });
+    return schedule;
+  };
+
+  const router = express.Router();
+
+  router.get('/digests', (req, res) => {
+    res.json({ transports: transports.names(), frequencies: FREQUENCIES, schedules });
+  });
+
+  router.post('/digests', (req, res) => {
+    try {
+      res.status(201).json(create(req.body || {}));
+    } catch (error) {
+      sendError(res, error, 'creating digest schedule');
+    }
+  });
+
+  router.put('/digests/:id', (req, res) => {
+    try {
+      const schedule = update(req.params.id, req.body || {});
+      if (!schedule) return res.status(404).json({ error: 'Digest schedule not found' });
+      res.json(schedule);
+    } catch (error) {
+      sendError(res, error, 'updating digest schedule');
+    }
+  });
+
+  router.delete('/digests/:id', (req, res) => {
+    if (!remove(req.params.id)) return res.status(404).json({ error: 'Digest schedule not found' });
+    res.json({ ok: true });
+  });
+
+  // What the next delivery would contain, without sending it
+  router.get('/digests/:id/preview', async (req, res) => {
+    const schedule = findOr404(req, res);
+    if (!schedule) return;
+    try {
+      const { message } = await build(schedule);
+      res.json(message);
+    } catch (error) {
+      sendError(res, error, 'previewing digest');
+    }
+  });
+
+  router.post('/digests/:id/send', async (req, res) => {
+    const schedule = findOr404(req, res);
+    if (!schedule) return;
+    try {
+      const message = await send(schedule);
+      res.json({ ok: true, subject: message.subject, lastSentAt: schedule.lastSentAt });
+    } catch (error) {
+      sendError(res, error, 'sending digest');
+    }
+  });
+
+  return { start, stop, tick, router };
+}
+
+module.exports = { createDigestScheduler, dueAt };
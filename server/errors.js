@@ -0,0 +1,18 @@
+const { logger } = require('./logger');
+
+// Errors carrying a `status` are passed through to the client by routes,
+// anything else is logged and answered with a 500
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const badRequest = (message) => httpError(400, message);
+
+// Send an error from a route's catch block
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`Error ${context}`, error);
+  res.status(500).json({ error: error.message });
+}
+
+module.exports = { httpError, badRequest, sendError };
@@ -0,0 +1,174 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const { badRequest } = require('./errors');
+const { assertOneOf } = require('./analytics');
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+const firstFulfillment = (order) => order.fulfillments[0] || {};
+const join = (values) => values.filter(Boolean).join('; ');
+
+// Every column an export can hold. `value` returns a string, number or null;
+// dates are ISO 8601 in UTC so spreadsheets and scripts read them the same way.
+const COLUMNS = [
+  { key: 'shop', label: 'Shop', value: order => order.shop },
+  { key: 'orderNumber', label: 'Order Number', value: order => order.orderNumber, default: true },
+  { key: 'orderId', label: 'Order ID', value: order => String(order.id) },
+  { key: 'orderDate', label: 'Order Date', value: order => isoDate(order.orderDate), default: true },
+  { key: 'shippingName', label: 'Name', value: order => order.shippingName, default: true },
+  { key: 'country', label: 'Country', value: order => (order.shippingAddress || {}).countryCode || null },
+  { key: 'province', label: 'State/Province', value: order => (order.shippingAddress || {}).provinceCode || null },
+  { key: 'zip3', label: 'ZIP Prefix', value: order => (order.shippingAddress || {}).zip3 || null },
+  { key: 'refundType', label: 'Refund Type', value: order => order.refundType, default: true },
+  { key: 'refundDate', label: 'Refund Date', value: order => isoDate(order.refundDate), default: true },
+  { key: 'lastRefundDate', label: 'Last Refund Date', value: order => isoDate(order.lastRefundDate) },
+  { key: 'refundCount', label: 'Refunds', value: order => order.refunds.length },
+  { key: 'refundAmount', label: 'Refund Amount', value: order => order.refundAmount, default: true },
+  { key: 'refundedShipping', label: 'Refunded Shipping', value: order => order.refundedShipping },
+  { key: 'refundedTax', label: 'Refunded Tax', value: order => order.refundedTax },
+  { key: 'totalPrice', label: 'Order Total', value: order => order.totalPrice },
+  { key: 'currency', label: 'Currency', value: (order, context) => context.currencyFor(order) },
+  { key: 'products', label: 'Products', value: order => join(order.products.map(p => `${p.quantity} x ${p.title}`)), default: true },
+  { key: 'skus', label: 'SKUs', value: order => join(order.products.map(p => p.sku)), default: true },
+  {
+    key: 'refundedSkus',
+    label: 'Refunded SKUs',
+    value: order => join([...new Set(order.refunds.flatMap(refund => refund.lineItems.map(line => line.sku)))])
+  },
+  { key: 'unitsRefunded', label: 'Units Refunded', value: order => order.refunds.reduce((total, refund) => total + refund.quantity, 0) },
+  { key: 'refundNotes', label: 'Refund Notes', value: order => join(order.refunds.map(refund => refund.note)) },
+  { key: 'refundReasons', label: 'Refund Reasons', value: order => join(order.reasons || []) },
+  { key: 'tags', label: 'Order Tags', value: order => join(order.tags || []) },
+  { key: 'trackingCompany', label: 'Carrier', value: order => firstFulfillment(order).trackingCompany || null },
+  { key: 'trackingNumber', label: 'Tracking Number', value: order => order.trackingNumber, default: true },
+  { key: 'trackingUrl', label: 'Tracking URL', value: order => order.trackingUrl },
+  { key: 'transitStatus', label: 'Transit Status', value: order => order.transitStatus },
+  { key: 'fulfillmentDate', label: 'Fulfillment Date', value: order => isoDate(order.fulfillmentDate) },
+  { key: 'deliveryDate', label: 'Delivery Date', value: order => isoDate(order.deliveryDate), default: true },
+  { key: 'deliverySource', label: 'Delivery Source', value: order => order.deliverySource },
+  // Only a real count of days goes in this column, the timing column says why it is empty
+  {
+    key: 'daysToRefund',
+    label: 'Days to Refund',
+    value: order => (typeof order.daysToRefund === 'number' ? order.daysToRefund : null),
+    default: true
+  },
+  {
+    key: 'refundTiming',
+    label: 'Refund Timing',
+    value: order => (typeof order.daysToRefund === 'number' ? 'after_delivery' : order.daysToRefund || 'delivery_unknown'),
+    default: true
+  },
+  { key: 'policyStatus', label: 'Policy Status', value: order => order.policyStatus, default: true },
+  { key: 'policyDeadline', label: 'Policy Deadline', value: order => isoDate(order.policy.deadline) },
+  { key: 'daysOverWindow', label: 'Days Over Window', value: order => order.policy.daysOver },
+  { key: 'adminUrl', label: 'Shopify Admin URL', value: order => order.adminUrl }
+];
+
+const COLUMNS_BY_KEY = new Map(COLUMNS.map(column => [column.key, column]));
+
+function parseExportQuery(query) {
+  const format = assertOneOf('format', query.format || 'csv', FORMATS);
+  const keys = query.columns
+    ? String(query.columns).split(',').filter(Boolean)
+    : COLUMNS.filter(column => column.default).map(column => column.key);
+  keys.forEach(key => {
+    if (!COLUMNS_BY_KEY.has(key)) throw badRequest(`Unknown export column: ${key}`);
+  });
+  if (keys.length === 0) throw badRequest('Pick at least one column');
+  return { format, columns: keys.map(key => COLUMNS_BY_KEY.get(key)) };
+}
+
+const describeColumns = () => COLUMNS.map(column => ({ key: column.key, label: column.label, default: Boolean(column.default) }));
+
+// Text a spreadsheet would take for a formula. Names, notes and tags come
+// from customers, so these are never handed over as anything but text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ExcelJS writes JS strings as string cells but turns objects such as
+// { formula } into formulas, so anything that is not a number, date or
+// boolean goes in as a string
+function xlsxCell(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) return value;
+  return String(value);
+}
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+function* csvChunks(orders, columns, context) {
+  yield csvLine(columns.map(column => column.label));
+  for (const order of orders) {
+    yield csvLine(columns.map(column => column.value(order, context)));
+  }
+}
+
+// One object per order keyed by column key, wrapped with the summary
+function* jsonChunks(orders, columns, context, summary) {
+  yield `{"summary":${JSON.stringify(Object.fromEntries(summary.map(row => [row.key, row.value])))},"orders":[`;
+  let first = true;
+  for (const order of orders) {
+    const row = Object.fromEntries(columns.map(column => [column.key, column.value(order, context)]));
+    yield `${first ? '' : ','}\n${JSON.stringify(row)}`;
+    first = false;
+  }
+  yield '\n]}\n';
+}
+
+// Rows are committed as they are written, so the workbook never sits in memory whole
+async function writeXlsx(res, orders, columns, context, summary) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+
+  const sheet = workbook.addWorksheet('Refunds');
+  sheet.columns = columns.map(column => ({ header: column.label, key: column.key, width: Math.max(12, column.label.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  for (const order of orders) {
+    sheet.addRow(columns.map(column => xlsxCell(column.value(order, context)))).commit();
+  }
+  sheet.commit();
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [{ header: 'Metric', key: 'label', width: 32 }, { header: 'Value', key: 'value', width: 32 }];
+  summarySheet.getRow(1).font = { bold: true };
+  summarySheet.getRow(1).commit();
+  summary.forEach(row => summarySheet.addRow({ label: row.label, value: xlsxCell(row.value) }).commit());
+  summarySheet.commit();
+
+  await workbook.commit();
+}
+
+// Write the export to the response in the requested format. `summary` is a
+// list of { key, label, value } rows describing the view.
+async function streamExport(res, { format, columns, orders, summary, context, filename }) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'xlsx') {
+    await writeXlsx(res, orders, columns, context, summary);
+    return;
+  }
+
+  const chunks = format === 'csv'
+    ? csvChunks(orders, columns, context)
+    : jsonChunks(orders, columns, context, summary);
+  // Settles on an aborted request too, releasing the orders
+  await pipeline(Readable.from(chunks), res);
+}
+
+module.exports = { FORMATS, COLUMNS, parseExportQuery, describeColumns, streamExport };
@@ -1,63 +1,142 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const Shopify = require('shopify-api-node');
 const path = require('path');
-
-// Add simple in-memory cache
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
-
-// Clear old cache entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of cache.entries()) {
-    if (now - value.timestamp > CACHE_TTL) {
-      cache.delete(key);
-    }
-  }
-}, CACHE_TTL);
+const { createShopRegistry, DEFAULT_LOCALE } = require('./shops');
+const { createWebhookRouter } = require('./webhooks');
+const analytics = require('./analytics');
+const returnPolicy = require('./policy');
+const refundReasons = require('./reasons');
+const orderQuery = require('./orderQuery');
+const shipping = require('./shipping');
+const customers = require('./customers');
+const prepare = require('./prepare');
+const currency = require('./currency');
+const exporter = require('./export');
+const { createDigestScheduler } = require('./digestScheduler');
+const { createTransports } = require('./transports');
+const { createAlertManager } = require('./alerts');
+const { badRequest, sendError } = require('./errors');
+const { createAuth } = require('./auth');
+const { logger, withContext } = require('./logger');
+const { metrics, toPrometheus } = require('./metrics');
+const { DAY_MS } = require('./numbers');
+const { DEFAULT_ACCESS_TOKEN, startMockShopify } = require('./mockShopify');
+const { generateShopData } = require('./synthetic');
+
+// DATA_SOURCE=fixture runs without store credentials: one demo shop backed by
+// a local Shopify stand-in serving seeded synthetic orders (or the stand-in at
+// SHOPIFY_API_URL), with its data kept apart under data/fixture
+const FIXTURE_MODE = process.env.DATA_SOURCE === 'fixture';
+const MOCK_SHOPIFY_PORT = parseInt(process.env.MOCK_SHOPIFY_PORT, 10) || 3005;
+// Shops may name an Admin API host other than *.myshopify.com, such as a
+// local stand-in; for development only
+const ALLOW_CUSTOM_API_URL = FIXTURE_MODE || process.env.ALLOW_CUSTOM_API_URL === 'true';
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, FIXTURE_MODE ? '../data/fixture' : '../data');
+const SYNC_INTERVAL = parseInt(process.env.SYNC_INTERVAL_MS, 10) || 5 * 60 * 1000; // 5 minutes in milliseconds
+const ALERT_INTERVAL = parseInt(process.env.ALERT_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const BACKFILL_DAYS = parseInt(process.env.BACKFILL_DAYS, 10) || 730;
+// How far back a request may make the order stores reach
+const MAX_LOOKBACK_DAYS = parseInt(process.env.MAX_LOOKBACK_DAYS, 10) || 5 * 365;
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || 'UTC';
+
+const ORDER_FIELDS = 'id,order_number,created_at,updated_at,fulfillments,refunds,financial_status,shipping_address,fulfillment_status,total_price,total_price_set,currency,presentment_currency,tags,shipping_lines,email,customer.id,line_items.id,line_items.product_id,line_items.title,line_items.sku,line_items.quantity,line_items.price,line_items.price_set';
 
 const app = express();
 const port = process.env.PORT || 3002;
 
-// Log startup information
-console.log('Starting server with config:', {
-  NODE_ENV: process.env.NODE_ENV,
-  PORT: port,
-  SHOP_NAME: process.env.SHOP_NAME,
+logger.info('Starting server', {
+  env: process.env.NODE_ENV,
+  port,
+  logLevel: logger.level,
   currentDir: __dirname
 });
 
 const allowedOrigins = [
   'https://hearsound-analytics.onrender.com',
   'http://localhost:3000',
-  'https://hearsound-analytics-api.onrender.com'
+  'http://localhost:3003',
+  'https://hearsound-analytics-api.onrender.com',
+  // Extra deployments, comma separated
+  ...(process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : [])
 ];
 
-// Debug incoming requests
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Every request gets an id, the caller's X-Request-Id when it sends a sane
+// one, that is echoed back and carried by each line logged while handling it
 app.use((req, res, next) => {
-  console.log('Incoming request:', {
-    method: req.method,
-    path: req.path,
-    origin: req.headers.origin,
-    host: req.headers.host
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  res.set('X-Request-Id', requestId);
+
+  res.on('close', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    // The matched pattern keeps order ids out of metric series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metrics.recordRequest({ method: req.method, route, status: res.statusCode, durationMs });
+    // The query string is left out, searches hold customer names and emails
+    logger.info('Request handled', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ...(!res.writableFinished && { aborted: true })
+    });
   });
-  next();
+
+  withContext({ requestId }, next);
 });
 
-app.use(cors({
-  origin: true, // Allow all origins during testing
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: false,
+const corsOptions = {
+  origin: allowedOrigins,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
+  credentials: true, // The session cookie has to ride along
   optionsSuccessStatus: 200
-}));
+};
 
-app.use(express.json());
+app.use(cors(corsOptions));
+
+app.use(express.json({
+  limit: '5mb',
+  // Webhook signatures are computed over the exact bytes Shopify sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Handle OPTIONS preflight requests
-app.options('*', cors());
+app.options('*', cors(corsOptions));
+
+// CORS only hides responses, refuse cross-site writes outright
+app.use('/api', (req, res, next) => {
+  const origin = req.headers.origin;
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && origin && !allowedOrigins.includes(origin)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  next();
+});
+
+// Customer emails are only ever stored hashed with this key
+customers.loadEmailKey(path.join(DATA_DIR, 'email-hash-key.json'));
+
+// Login and user management, then a session for everything else under /api
+const auth = createAuth({ dataDir: DATA_DIR });
+auth.bootstrap(FIXTURE_MODE ? {
+  username: process.env.ADMIN_USERNAME || 'demo',
+  password: process.env.ADMIN_PASSWORD || 'demo-password'
+} : undefined).catch(error => {
+  logger.error('Failed to create initial admin user', error);
+});
+app.use('/api', auth.router);
+app.use('/api', auth.requireAuth, auth.requireAdminForWrites);
 
 // Root route for basic health check
 app.get('/', (req, res) => {
@@ -71,212 +150,679 @@ app.get('/', (req, res) => {
 
 // Test route
 app.get('/api/test', (req, res) => {
-  console.log('Test endpoint hit');
   res.json({ message: 'API is working' });
 });
 
-// Validate environment variables
-console.log('Environment check:', {
-  SHOP_NAME: process.env.SHOP_NAME,
-  ACCESS_TOKEN: process.env.ACCESS_TOKEN ? '✓ Present' : '✗ Missing'
+const fixtureShop = {
+  id: 'demo',
+  name: 'HearSound Demo',
+  shopName: 'hearsound-demo',
+  accessToken: DEFAULT_ACCESS_TOKEN,
+  apiUrl: process.env.SHOPIFY_API_URL || `http://127.0.0.1:${MOCK_SHOPIFY_PORT}`,
+  webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET
+};
+
+// Register shops, from the shops file or on first run SHOP_NAME/ACCESS_TOKEN
+// (the demo shop in fixture mode)
+const shops = createShopRegistry({
+  file: process.env.SHOPS_FILE || path.join(DATA_DIR, 'shops.json'),
+  dataDir: DATA_DIR,
+  fields: ORDER_FIELDS,
+  backfillDays: BACKFILL_DAYS,
+  maxLookbackDays: MAX_LOOKBACK_DAYS,
+  syncInterval: SYNC_INTERVAL,
+  defaults: FIXTURE_MODE ? [fixtureShop] : undefined,
+  allowCustomApiUrl: ALLOW_CUSTOM_API_URL
+});
+
+logger.info('Shops configured', {
+  shops: shops.list().map(shop => ({
+    id: shop.id,
+    shopName: shop.config.shopName,
+    hasAccessToken: Boolean(shop.config.accessToken)
+  }))
 });
 
-if (!process.env.SHOP_NAME || !process.env.ACCESS_TOKEN) {
-  console.error('Missing required environment variables');
+if (shops.list().length === 0) {
+  logger.error('No shops configured. Set SHOP_NAME and ACCESS_TOKEN, provide a shops file or set DATA_SOURCE=fixture');
   process.exit(1);
 }
 
-// Initialize Shopify client
-let shopify;
-try {
-  shopify = new Shopify({
-    shopName: process.env.SHOP_NAME,
-    accessToken: process.env.ACCESS_TOKEN,
-    apiVersion: '2024-01',
-    autoLimit: true
-  });
-  console.log('Shopify client initialized successfully');
-} catch (error) {
-  console.error('Failed to initialize Shopify client:', error);
+// In fixture mode the stand-in has to be listening before the first sync
+const shopifyReady = FIXTURE_MODE && !process.env.SHOPIFY_API_URL
+  ? startMockShopify({
+    port: MOCK_SHOPIFY_PORT,
+    data: generateShopData({
+      seed: parseInt(process.env.FIXTURE_SEED, 10) || 1,
+      orders: parseInt(process.env.FIXTURE_ORDERS, 10) || 500
+    }),
+    // Leaks faster than Shopify's bucket so the demo store syncs in seconds
+    leakPerSecond: 20,
+    throttleEvery: parseInt(process.env.MOCK_SHOPIFY_THROTTLE_EVERY, 10) || 0
+  })
+  : Promise.resolve();
+
+shopifyReady.then(() => shops.startAll(), error => {
+  logger.error('Failed to start mock Shopify', error);
   process.exit(1);
+});
+
+// Scrapers send METRICS_TOKEN as a bearer token; without one configured,
+// /metrics takes a signed-in session like the API
+function requireMetricsAccess(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return auth.requireAuth(req, res, next);
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+  if (received.length === expected.length && crypto.timingSafeEqual(received, expected)) return next();
+  res.status(401).json({ error: 'Invalid metrics token' });
 }
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Request and Shopify call latencies, order store hit rate and how far each
+// shop's sync lags behind. JSON, or Prometheus text with ?format=prometheus.
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+  const now = Date.now();
+  const sync = shops.list().map(shop => {
+    const status = shop.store.status();
+    return {
+      shop: shop.id,
+      lastSyncedAt: status.lastSyncedAt,
+      lastUpdatedAt: status.lastUpdatedAt,
+      lagSeconds: status.lastSyncedAt ? Math.round((now - new Date(status.lastSyncedAt).getTime()) / 1000) : null,
+      syncing: status.syncing,
+      lastError: status.progress.error || null
+    };
+  });
+  const snapshot = metrics.snapshot();
 
-// Function to fetch all orders using cursor-based pagination
-async function fetchAllOrders(params) {
-  // Check cache first
-  const cacheKey = JSON.stringify(params);
-  const cachedResult = cache.get(cacheKey);
-  if (cachedResult && Date.now() - cachedResult.timestamp < CACHE_TTL) {
-    console.log('Returning cached orders');
-    return cachedResult.data;
+  if (req.query.format === 'prometheus') {
+    return res.type('text/plain; version=0.0.4').send(toPrometheus(snapshot, sync));
   }
+  res.json({ ...snapshot, sync });
+});
 
-  const allOrders = [];
-  let hasNextPage = true;
-  let currentPage = 1;
-
-  while (hasNextPage) {
-    console.log(`Fetching page ${currentPage}. Current total: ${allOrders.length} orders`);
-    const orders = await shopify.order.list(params);
-    
-    allOrders.push(...orders);
-    
-    if (orders.nextPageParameters) {
-      params = orders.nextPageParameters;
-      currentPage++;
-      await sleep(100); // Reduced delay to 100ms
-    } else {
-      hasNextPage = false;
-    }
+const POLICY_FILE = path.join(DATA_DIR, 'return-policy.json');
+let policy = returnPolicy.loadPolicy(POLICY_FILE);
+
+const REASONS_FILE = path.join(DATA_DIR, 'refund-reasons.json');
+const REASON_OVERRIDES_FILE = path.join(DATA_DIR, 'refund-reason-overrides.json');
+let reasonTaxonomy = refundReasons.loadTaxonomy(REASONS_FILE);
+let compiledReasons = refundReasons.compile(reasonTaxonomy);
+const reasonOverrides = refundReasons.loadOverrides(REASON_OVERRIDES_FILE);
+
+const RATES_FILE = path.join(DATA_DIR, 'currency-rates.json');
+let currencyRates = currency.loadRates(RATES_FILE);
+
+const THRESHOLDS_FILE = path.join(DATA_DIR, 'serial-returners.json');
+let serialThresholds = customers.loadThresholds(THRESHOLDS_FILE);
+
+// Orders from `shop` as the API serves them, under the current settings
+const prepareOrder = (shop) => (order) => prepare.prepareOrder(order, {
+  shop: { id: shop.id, currency: shop.info().currency, adminOrderUrl: shop.adminOrderUrl },
+  policy,
+  productTypes: shop.store.productTypes(),
+  reasons: { taxonomy: reasonTaxonomy, compiled: compiledReasons, overrides: reasonOverrides },
+  rates: currencyRates
+});
+
+shops.list()
+  .filter(shop => !shop.config.webhookSecret)
+  .forEach(shop => logger.warn('No webhook secret, the shop\'s webhooks will be rejected', { shop: shop.id }));
+
+app.use('/webhooks', createWebhookRouter({
+  // Shopify names the sending shop in X-Shopify-Shop-Domain
+  resolveShop: (domain) => {
+    const shop = shops.byDomain(domain);
+    return shop && { store: shop.store, secret: shop.config.webhookSecret };
+  },
+  fields: ORDER_FIELDS
+}));
+
+// Shops selected by the `shop` query parameter: an id, "all", or the first shop
+const selectedShops = (req) => shops.resolve(req.query.shop);
+
+// Prepared orders created within [start, end] across the given shops, in
+// the selection's currency
+async function loadOrders(selected, start, end) {
+  const target = selectionInfo(selected).currency;
+  const perShop = await Promise.all(selected.map(async shop =>
+    (await shop.loadOrders(start, end)).map(order => prepare.inCurrency(prepareOrder(shop)(order), target, currencyRates))));
+  return perShop.flat();
+}
+
+const selectionInfo = (selected) => prepare.selectionInfo(selected.map(shop => shop.info()), {
+  rates: currencyRates,
+  timezone: SHOP_TIMEZONE,
+  locale: DEFAULT_LOCALE
+});
+
+// Selection details every analytics response carries
+const selectionMeta = (info) => ({
+  currency: info.currency,
+  locale: info.locale,
+  ...(info.conversion && { conversion: info.conversion }),
+  ...(info.warning && { warning: info.warning })
+});
+
+// What digests and alerts need to know about a `shop` value
+const shopSelection = {
+  resolve: (param) => shops.resolve(param),
+  info: (param) => {
+    const selected = shops.resolve(param);
+    return {
+      name: selected.length === 1 ? selected[0].info().name : 'All stores',
+      ...selectionInfo(selected)
+    };
+  }
+};
+const loadSelectedOrders = (param, start, end) => loadOrders(shops.resolve(param), start, end);
+const transports = createTransports({ outboxDir: process.env.DIGEST_OUTBOX_DIR || path.join(DATA_DIR, 'outbox') });
+
+const digests = createDigestScheduler({
+  file: path.join(DATA_DIR, 'digests.json'),
+  transports,
+  shops: shopSelection,
+  loadOrders: loadSelectedOrders
+});
+digests.start();
+app.use('/api', digests.router);
+
+const alerts = createAlertManager({
+  file: path.join(DATA_DIR, 'alerts.json'),
+  transports,
+  shops: shopSelection,
+  loadOrders: loadSelectedOrders,
+  interval: ALERT_INTERVAL
+});
+alerts.start();
+app.use('/api', alerts.router);
+
+app.get('/api/shops', (req, res) => {
+  res.json(shops.list().map(shop => shop.info()));
+});
+
+app.post('/api/shops', (req, res) => {
+  try {
+    const shop = shops.add(req.body);
+    logger.info('Shop added', { shop: shop.id });
+    res.status(201).json(shop.info());
+  } catch (error) {
+    sendError(res, error, 'adding shop');
   }
+});
 
-  console.log(`Finished fetching all orders. Total: ${allOrders.length}`);
-  
-  // Store in cache
-  cache.set(cacheKey, {
-    data: allOrders,
-    timestamp: Date.now()
+app.delete('/api/shops/:id', (req, res) => {
+  if (!shops.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Shop not found' });
+  }
+  logger.info('Shop removed', { shop: req.params.id });
+  res.json({ ok: true });
+});
+
+app.get('/api/sync', (req, res) => {
+  try {
+    res.json(selectedShops(req).map(shop => ({ shop: shop.id, ...shop.store.status() })));
+  } catch (error) {
+    sendError(res, error, 'reading sync status');
+  }
+});
+
+app.post('/api/sync', async (req, res) => {
+  try {
+    const results = await Promise.all(selectedShops(req).map(async shop => ({
+      shop: shop.id,
+      fetched: await shop.store.sync(),
+      ...shop.store.status()
+    })));
+    res.json(results);
+  } catch (error) {
+    sendError(res, error, 'running manual sync');
+  }
+});
+
+const PROGRESS_HEARTBEAT_MS = 25 * 1000;
+
+// Server-sent events with each selected shop's sync progress: the current
+// state straight away, then every page fetched and every retry
+app.get('/api/sync/progress', (req, res) => {
+  let selected;
+  try {
+    selected = selectedShops(req);
+  } catch (error) {
+    return sendError(res, error, 'streaming sync progress');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
   });
-  
-  return allOrders;
-}
+  res.flushHeaders();
+
+  const send = (shop, progress) => {
+    const { resumeFrom } = shop.store.status();
+    res.write(`data: ${JSON.stringify({ shop: shop.id, ...progress, resumeFrom })}\n\n`);
+  };
+  const unsubscribers = selected.map(shop => {
+    send(shop, shop.store.status().progress);
+    return shop.store.subscribe(progress => send(shop, progress));
+  });
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(':\n\n'), PROGRESS_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+});
 
+// Refunded orders for the refunds table: the same range and basis as the
+// analytics endpoints, then search, filters, sorting and one page
 app.get('/api/orders', async (req, res) => {
-  console.log('----- /api/orders endpoint hit ------');
-  console.log('Query params:', req.query);
-  
   try {
-    const { startDate, endDate } = req.query;
-    
-    // Parse the ISO dates directly - they already include timezone info
-    const startDateISO = new Date(startDate).toISOString();
-    const endDateISO = new Date(endDate).toISOString();
-    
-    console.log('Querying orders with timestamps:', {
-      start: startDateISO,
-      end: endDateISO,
-      current: new Date().toISOString()
+    const options = orderQuery.parseOrderQuery(req.query);
+    const { orders, range, basis, meta } = await loadAnalytics(req);
+    const refunded = analytics.refundedOrdersInRange(orders, range, basis);
+    const result = orderQuery.queryOrders(refunded, options);
+
+    logger.debug('Orders query', {
+      shop: meta.shop,
+      start: meta.start,
+      end: meta.end,
+      matched: result.total,
+      page: result.page
     });
+    res.json({ ...meta, ...result });
+  } catch (error) {
+    sendError(res, error, 'processing orders');
+  }
+});
 
-    // Initial query parameters
-    let params = {
-      status: 'any',
-      created_at_min: startDateISO,
-      created_at_max: endDateISO,
-      limit: 250,
-      fields: 'id,order_number,created_at,fulfillments,refunds,financial_status,shipping_address,fulfillment_status,total_price,line_items.product_id,line_items.title,line_items.sku,line_items.quantity,line_items.price'
-    };
+// Manually re-tag one refund; a null reason goes back to the taxonomy's verdict.
+// The order comes back in `currency`, the one the table shows it in.
+app.put('/api/orders/:shop/:orderId/refunds/:refundId/reason', (req, res) => {
+  try {
+    const target = req.query.currency;
+    if (target && !/^[A-Z]{3}$/.test(target)) throw badRequest('currency must be a 3-letter ISO code');
+    const shop = shops.get(req.params.shop);
+    const raw = shop && shop.store.get(req.params.orderId);
+    if (!raw || !(raw.refunds || []).some(refund => String(refund.id) === req.params.refundId)) {
+      return res.status(404).json({ error: 'Refund not found' });
+    }
+
+    const reason = (req.body || {}).reason;
+    const key = refundReasons.overrideKey(shop.id, req.params.refundId);
+    if (reason === null || reason === undefined) {
+      delete reasonOverrides[key];
+    } else if (refundReasons.categoryKeys(reasonTaxonomy).includes(reason)) {
+      reasonOverrides[key] = { reason, by: req.user.username, at: new Date().toISOString() };
+    } else {
+      throw badRequest(`reason must be one of: ${refundReasons.categoryKeys(reasonTaxonomy).join(', ')}`);
+    }
+    refundReasons.saveOverrides(REASON_OVERRIDES_FILE, reasonOverrides);
+
+    logger.info('Refund reason set', { shop: shop.id, refund: req.params.refundId, reason: reason || null });
+    res.json(prepare.inCurrency(prepareOrder(shop)(raw), target, currencyRates));
+  } catch (error) {
+    sendError(res, error, 'setting refund reason');
+  }
+});
 
-    const orders = await fetchAllOrders(params);
-    console.log(`Retrieved ${orders.length} orders`);
+app.get('/api/export/columns', (req, res) => {
+  res.json({ formats: exporter.FORMATS, columns: exporter.describeColumns() });
+});
 
-    // Debug a sample order
-    if (orders.length > 0) {
-      console.log('Sample order data:', JSON.stringify(orders[0], null, 2));
+// The refunds table's current view, every page of it, as a download
+app.get('/api/export', async (req, res) => {
+  try {
+    const { format, columns } = exporter.parseExportQuery(req.query);
+    const options = orderQuery.parseOrderQuery(req.query);
+    const { orders, range, basis, meta } = await loadAnalytics(req);
+    const matching = orderQuery.matchingOrders(analytics.refundedOrdersInRange(orders, range, basis), options);
+    const totals = analytics.summarize(orders, range, { basis });
+
+    const summary = [
+      { key: 'shop', label: 'Shop', value: meta.shop },
+      { key: 'start', label: 'Range start', value: range.start.format() },
+      { key: 'end', label: 'Range end', value: range.end.format() },
+      { key: 'timezone', label: 'Timezone', value: meta.timezone },
+      { key: 'basis', label: 'Refunds counted by', value: basis },
+      { key: 'currency', label: 'Currency', value: meta.currency || 'mixed' },
+      { key: 'filters', label: 'Filters', value: exportFilters(req.query) },
+      { key: 'exportedOrders', label: 'Orders exported', value: matching.length },
+      {
+        key: 'exportedRefundAmount',
+        label: 'Refund amount exported',
+        value: Math.round(matching.reduce((total, order) => total + order.refundAmount, 0) * 100) / 100
+      },
+      { key: 'totalOrders', label: 'Orders in range', value: totals.totalOrders },
+      { key: 'grossRevenue', label: 'Gross revenue in range', value: totals.grossRevenue },
+      { key: 'netRevenue', label: 'Net revenue in range', value: totals.netRevenue },
+      { key: 'totalRefunds', label: 'Refunded orders in range', value: totals.totalRefunds },
+      { key: 'refundRate', label: 'Refund rate %', value: totals.refundRate },
+      { key: 'totalRefundAmount', label: 'Refund amount in range', value: totals.totalRefundAmount },
+      { key: 'avgDaysToRefund', label: 'Average days to refund', value: totals.avgDaysToRefund },
+      { key: 'lateRefunds', label: 'Out-of-policy refunds', value: totals.lateRefunds },
+      { key: 'generatedAt', label: 'Generated at', value: new Date().toISOString() }
+    ];
+
+    logger.info('Exporting orders', { shop: meta.shop, format, rows: matching.length, columns: columns.length });
+    await exporter.streamExport(res, {
+      format,
+      columns,
+      orders: matching,
+      summary,
+      context: { currencyFor: order => order.currency || null },
+      filename: `refunds-${range.start.format('YYYY-MM-DD')}-to-${range.end.format('YYYY-MM-DD')}`
+    });
+  } catch (error) {
+    // Once streaming has started the status line is gone, all we can do is cut the download short
+    if (res.headersSent) {
+      logger.error('Error streaming export', error);
+      return res.destroy(error);
     }
+    sendError(res, error, 'exporting orders');
+  }
+});
 
-    // Debug refund statuses
-    const refundStatuses = orders.map(order => ({
-      id: order.id,
-      financial_status: order.financial_status,
-      refunds: order.refunds ? order.refunds.length : 0
-    }));
-    console.log('Order statuses:', refundStatuses);
-
-    const ordersWithFulfillment = orders.map(order => {
-      // Get the first fulfillment
-      const fulfillment = order.fulfillments && order.fulfillments[0];
-      
-      // Calculate refund amount
-      let refundAmount = 0;
-      if (order.refunds && order.refunds.length > 0) {
-        refundAmount = order.refunds.reduce((total, refund) => {
-          if (refund.transactions && refund.transactions.length > 0) {
-            return total + refund.transactions.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0);
-          }
-          return total;
-        }, 0);
-      }
+// Table filters that narrowed an export, for its summary
+const exportFilters = (query) =>
+  ['search', 'refundType', 'policyStatus', 'transitStatus', 'daysBucket', 'reason', 'product', 'productGroup']
+    .filter(key => query[key])
+    .map(key => `${key}=${query[key]}`)
+    .join(', ') || 'none';
+
+// Shops, range and normalized orders for an analytics request
+async function loadAnalytics(req, { withPrevious = false, basis: fixedBasis } = {}) {
+  const selected = selectedShops(req);
+  const info = selectionInfo(selected);
+  const query = fixedBasis ? { ...req.query, basis: fixedBasis } : req.query;
+  const { range, timezone, basis } = analytics.parseQuery(query, { defaultTimezone: info.timezone });
+  if (range.start.valueOf() < Date.now() - MAX_LOOKBACK_DAYS * DAY_MS) {
+    throw badRequest(`start must be within the last ${MAX_LOOKBACK_DAYS} days`);
+  }
+  const previous = withPrevious ? analytics.previousRange(range) : null;
+
+  // The previous period starts earliest, load enough history for both
+  const from = analytics.lookbackStart({ ...range, start: (previous || range).start }, basis);
+  const orders = await loadOrders(selected, from.toISOString(), range.end.toISOString());
+
+  return {
+    orders,
+    range,
+    previous,
+    basis,
+    meta: {
+      shop: req.query.shop || selected[0].id,
+      start: range.start.toISOString(true),
+      end: range.end.toISOString(true),
+      timezone,
+      basis,
+      ...selectionMeta(info)
+    }
+  };
+}
 
-      // Get product details from line items
-      const products = order.line_items ? order.line_items.map(item => ({
-        id: item.product_id,
-        title: item.title,
-        sku: item.sku || 'N/A',
-        quantity: item.quantity,
-        price: parseFloat(item.price)
-      })) : [];
-
-      // Debug log for this specific order
-      console.log('Processing order:', {
-        id: order.id,
-        financial_status: order.financial_status,
-        refunds: order.refunds ? order.refunds.length : 0,
-        created_at: order.created_at,
-        total_price: parseFloat(order.total_price || 0),
-        refund_amount: refundAmount,
-        has_line_items: order.line_items ? order.line_items.length : 0,
-        products: products.length
-      });
-
-      // Get delivery date - try different methods
-      let deliveryDate = null;
-      if (fulfillment) {
-        if (fulfillment.shipment_status === 'delivered') {
-          deliveryDate = fulfillment.updated_at;
-        } else if (fulfillment.status === 'success') {
-          deliveryDate = fulfillment.created_at;
-        }
-      }
+const rangeInfo = (range) => ({
+  start: range.start.toISOString(true),
+  end: range.end.toISOString(true)
+});
 
-      // Get refund date from refunds
-      let refundDate = null;
-      if (order.refunds && order.refunds.length > 0) {
-        refundDate = order.refunds[0].created_at;
-      }
+app.get('/api/analytics/summary', async (req, res) => {
+  try {
+    const { orders, range, basis, meta } = await loadAnalytics(req);
+    res.json({ ...meta, ...analytics.summarize(orders, range, { basis }) });
+  } catch (error) {
+    sendError(res, error, 'computing analytics summary');
+  }
+});
 
-      // Calculate days to refund if we have both dates
-      let daysToRefund = null;
-      if (deliveryDate && refundDate) {
-        const deliveryTime = new Date(deliveryDate);
-        const refundTime = new Date(refundDate);
-        const days = Math.round((refundTime - deliveryTime) / (1000 * 60 * 60 * 24));
-        // Only set daysToRefund if it's positive (refunded after delivery)
-        daysToRefund = days > 0 ? days : 'before_delivery';
+app.get('/api/analytics/timeseries', async (req, res) => {
+  try {
+    const bucket = analytics.assertOneOf('bucket', req.query.bucket || 'day', analytics.BUCKETS);
+    const { orders, range, previous, basis, meta } = await loadAnalytics(req, {
+      withPrevious: req.query.compare === 'previous'
+    });
+
+    res.json({
+      ...meta,
+      bucket,
+      series: analytics.timeseries(orders, range, { bucket, basis }),
+      previous: previous && {
+        ...rangeInfo(previous),
+        series: analytics.timeseries(orders, previous, { bucket, basis })
       }
+    });
+  } catch (error) {
+    sendError(res, error, 'computing analytics timeseries');
+  }
+});
+
+app.get('/api/analytics/products', async (req, res) => {
+  try {
+    const groupBy = analytics.assertOneOf('groupBy', req.query.groupBy || 'sku', analytics.PRODUCT_GROUPINGS);
+    const { orders, range, basis, meta } = await loadAnalytics(req);
+
+    res.json({
+      ...meta,
+      groupBy,
+      products: analytics.productBreakdown(orders, range, { basis, groupBy })
+    });
+  } catch (error) {
+    sendError(res, error, 'computing product breakdown');
+  }
+});
 
-      return {
-        id: order.id,
-        orderNumber: order.order_number,
-        orderDate: order.created_at,
-        shippingName: order.shipping_address ? order.shipping_address.name : 'N/A',
-        fulfillmentStatus: order.fulfillment_status || 'unfulfilled',
-        fulfillmentDate: fulfillment ? fulfillment.created_at : null,
-        trackingNumber: fulfillment ? fulfillment.tracking_number : null,
-        trackingUrl: fulfillment ? fulfillment.tracking_url : null,
-        financial_status: order.financial_status,
-        refundStatus: order.financial_status === 'refunded' ? 'Refunded' : 
-                     order.financial_status === 'partially_refunded' ? 'Partially Refunded' : 
-                     'Not Refunded',
-        deliveryDate: deliveryDate,
-        transitStatus: fulfillment ? fulfillment.shipment_status || fulfillment.status || 'unknown' : null,
-        refundDate: refundDate,
-        daysToRefund: daysToRefund,
-        hasRefunds: order.refunds && order.refunds.length > 0,
-        totalPrice: parseFloat(order.total_price || 0),
-        refundAmount: refundAmount,
-        products: products
-      };
+app.get('/api/analytics/geo', async (req, res) => {
+  try {
+    const level = analytics.assertOneOf('level', req.query.level || 'country', analytics.GEO_LEVELS);
+    const country = req.query.country ? String(req.query.country).toUpperCase() : null;
+    const { orders, range, basis, meta } = await loadAnalytics(req);
+
+    res.json({
+      ...meta,
+      level,
+      country,
+      regions: analytics.geoBreakdown(orders, range, { basis, level, country })
     });
+  } catch (error) {
+    sendError(res, error, 'computing geographic breakdown');
+  }
+});
 
-    console.log(`Successfully processed ${ordersWithFulfillment.length} orders`);
-    res.json(ordersWithFulfillment);
+// Shipments of orders placed in the range, per carrier or carrier and service
+app.get('/api/analytics/shipping', async (req, res) => {
+  try {
+    const options = shipping.parseShippingQuery(req.query);
+    const { orders, range, meta } = await loadAnalytics(req, { basis: 'order_date' });
+    res.json({ ...meta, ...options, ...shipping.carrierPerformance(orders, range, options) });
+  } catch (error) {
+    sendError(res, error, 'computing shipping performance');
+  }
+});
 
+// Shipments stuck or failing right now, whatever range the dashboard shows
+app.get('/api/shipments/stuck', async (req, res) => {
+  try {
+    const { stuckDays } = shipping.parseShippingQuery(req.query);
+    const now = new Date();
+    const from = new Date(now.getTime() - shipping.STUCK_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const orders = await loadOrders(selectedShops(req), from.toISOString(), now.toISOString());
+    const shipments = shipping.stuckShipments(orders, { stuckDays, now });
+
+    logger.debug('Stuck shipments', { shop: req.query.shop, stuckDays, found: shipments.length });
+    res.json({ stuckDays, lookbackDays: shipping.STUCK_LOOKBACK_DAYS, shipments });
   } catch (error) {
-    console.error('Error processing orders:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'listing stuck shipments');
+  }
+});
+
+// Cohorts are defined by order date, so orders placed in the range are
+// all that is needed; their later refunds come along with them
+app.get('/api/analytics/cohorts', async (req, res) => {
+  try {
+    const bucket = analytics.assertOneOf('bucket', req.query.bucket || 'month', analytics.COHORT_BUCKETS);
+    const anchor = analytics.assertOneOf('anchor', req.query.anchor || 'delivery', analytics.COHORT_ANCHORS);
+    const marks = parseMarks(req.query.marks);
+    const { orders, range, meta } = await loadAnalytics(req, { basis: 'order_date' });
+
+    res.json({
+      ...meta,
+      bucket,
+      anchor,
+      marks,
+      cohorts: analytics.cohorts(orders, range, { bucket, anchor, marks })
+    });
+  } catch (error) {
+    sendError(res, error, 'computing refund cohorts');
+  }
+});
+
+// Comma-separated day counts, defaulting to the standard marks
+function parseMarks(value) {
+  if (!value) return analytics.COHORT_MARKS;
+  const marks = String(value).split(',').map(Number);
+  if (marks.some(days => !Number.isInteger(days) || days < 0 || days > 730)) {
+    throw badRequest('marks must be whole days from 0 to 730');
+  }
+  return [...new Set(marks)].sort((a, b) => a - b);
+}
+
+app.get('/api/analytics/reasons', async (req, res) => {
+  try {
+    const { orders, range, basis, meta } = await loadAnalytics(req);
+    res.json({
+      ...meta,
+      categories: reasonCategories(),
+      ...analytics.reasonBreakdown(orders, range, { basis })
+    });
+  } catch (error) {
+    sendError(res, error, 'computing refund reasons');
+  }
+});
+
+// Every order the selected shops hold, whatever range the dashboard shows,
+// for lifetime customer totals
+async function loadCustomers(req) {
+  const selected = selectedShops(req);
+  const info = selectionInfo(selected);
+  const orders = await loadOrders(selected);
+  const coveredFrom = selected
+    .map(shop => shop.store.status().coveredFrom)
+    .reduce((latest, from) => (!latest || (from && new Date(from) > new Date(latest)) ? from : latest), null);
+  return {
+    orders,
+    dimension: customers.customerDimension(orders, serialThresholds),
+    meta: {
+      shop: req.query.shop || selected[0].id,
+      ...selectionMeta(info),
+      // Lifetime only reaches back as far as every selected shop's history
+      coveredFrom,
+      thresholds: serialThresholds
+    }
+  };
+}
+
+// Serial returners, or any customer when searching by email, name or id
+app.get('/api/customers', async (req, res) => {
+  try {
+    const options = customers.parseCustomerQuery(req.query);
+    const { dimension, meta } = await loadCustomers(req);
+    res.json({
+      ...meta,
+      ...options,
+      serialReturners: dimension.filter(customer => customer.serial).length,
+      ...customers.listCustomers(dimension, options)
+    });
+  } catch (error) {
+    sendError(res, error, 'listing customers');
+  }
+});
+
+app.get('/api/customers/thresholds', (req, res) => {
+  res.json(serialThresholds);
+});
+
+app.put('/api/customers/thresholds', (req, res) => {
+  try {
+    serialThresholds = customers.validateThresholds(req.body);
+    customers.saveThresholds(THRESHOLDS_FILE, serialThresholds);
+    logger.info('Serial returner thresholds updated', { thresholds: serialThresholds });
+    res.json(serialThresholds);
+  } catch (error) {
+    sendError(res, error, 'saving serial returner thresholds');
+  }
+});
+
+// One customer's totals and every order of theirs, newest first
+app.get('/api/customers/:key', async (req, res) => {
+  try {
+    const { orders, dimension, meta } = await loadCustomers(req);
+    const customer = dimension.find(row => row.key === req.params.key);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json({
+      ...meta,
+      customer,
+      orders: orders
+        .filter(order => order.customerKey === customer.key)
+        .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate))
+    });
+  } catch (error) {
+    sendError(res, error, 'loading customer');
+  }
+});
+
+// Taxonomy keys and labels, with the fallback for unmatched refunds last
+const reasonCategories = () => [
+  ...reasonTaxonomy.categories.map(({ key, label }) => ({ key, label })),
+  { key: refundReasons.UNCATEGORIZED, label: 'Uncategorized' }
+];
+
+app.get('/api/reasons', (req, res) => {
+  res.json({ ...reasonTaxonomy, options: reasonCategories(), sources: refundReasons.REASON_SOURCES });
+});
+
+app.put('/api/reasons', (req, res) => {
+  try {
+    reasonTaxonomy = refundReasons.validateTaxonomy(req.body);
+    compiledReasons = refundReasons.compile(reasonTaxonomy);
+    refundReasons.saveTaxonomy(REASONS_FILE, reasonTaxonomy);
+    logger.info('Refund reason taxonomy updated', { categories: reasonTaxonomy.categories.map(category => category.key) });
+    res.json(reasonTaxonomy);
+  } catch (error) {
+    sendError(res, error, 'saving refund reason taxonomy');
+  }
+});
+
+app.get('/api/currency-rates', (req, res) => {
+  res.json(currencyRates);
+});
+
+app.put('/api/currency-rates', (req, res) => {
+  try {
+    currencyRates = currency.validateRates({ ...req.body, updatedAt: undefined });
+    currency.saveRates(RATES_FILE, currencyRates);
+    logger.info('Currency rates updated', { base: currencyRates.base, currencies: Object.keys(currencyRates.rates) });
+    res.json(currencyRates);
+  } catch (error) {
+    sendError(res, error, 'saving currency rates');
+  }
+});
+
+app.get('/api/policy', (req, res) => {
+  res.json({ ...policy, startBases: returnPolicy.START_BASES, statuses: returnPolicy.POLICY_STATUSES });
+});
+
+app.put('/api/policy', (req, res) => {
+  try {
+    policy = returnPolicy.validatePolicy(req.body);
+    returnPolicy.savePolicy(POLICY_FILE, policy);
+    logger.info('Return policy updated', { policy });
+    res.json(policy);
+  } catch (error) {
+    sendError(res, error, 'saving return policy');
   }
 });
 
@@ -292,7 +838,7 @@ if (process.env.NODE_ENV === 'production') {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
+  logger.error('Unhandled route error', err);
   res.status(500).json({
     error: err.message,
     path: req.path,
@@ -302,24 +848,30 @@ app.use((err, req, res, next) => {
 
 // Start the server
 const server = app.listen(port, () => {
-  console.log(`Server is running on port ${port}`);
-  console.log('Environment:', process.env.NODE_ENV);
-  console.log('Current directory:', __dirname);
+  logger.info('Server is running', { port });
 }).on('error', (err) => {
-  console.error('Failed to start server:', err);
+  logger.error('Failed to start server', err);
   process.exit(1);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
+  logger.error('Uncaught exception', err);
   process.exit(1);
 });
 
 process.on('unhandledRejection', (err) => {
-  console.error('Unhandled Rejection:', err);
+  logger.error('Unhandled rejection', err);
   process.exit(1);
 });
 
+// Stop syncing, scheduling and listening so the process can exit, for tests
+function close() {
+  shops.stopAll();
+  digests.stop();
+  alerts.stop();
+  return new Promise(resolve => server.close(resolve));
+}
+
 // Export app for testing
-module.exports = { app, server };
+module.exports = { app, server, shops, close };
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Settings and state kept as JSON files under the data dir
+
+// The parsed file passed through `validate`, or `fallback` when the file is
+// missing, unreadable or rejected. `name` says what it is in the log.
+function readJsonFile(file, { fallback, validate = value => value, name = 'settings' } = {}) {
+  try {
+    if (fs.existsSync(file)) return validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    logger.error(`Invalid ${name} file, using defaults`, { file, error: error.message });
+  }
+  return fallback;
+}
+
+// Written to a temp file first and renamed over the old one, so a crash
+// never leaves a half-written file. `mode` 0o600 keeps files holding
+// secrets private to the server user; `space: 0` writes compact JSON.
+function writeJsonFile(file, value, { mode, space = 2 } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, space), mode ? { mode } : undefined);
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,93 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[redacted]';
+
+// Fields that name, locate or contact a customer, or grant access. Keys are
+// compared lowercased with separators dropped, so first_name and firstName
+// both match. Objects under these keys are dropped whole, which covers the
+// plain `name` inside addresses and customers.
+const PII_KEYS = new Set([
+  'firstname', 'lastname', 'shippingname', 'email', 'contactemail', 'phone',
+  'address', 'address1', 'address2', 'street', 'zip', 'latitude', 'longitude',
+  'shippingaddress', 'billingaddress', 'customer', 'note', 'browserip',
+  'password', 'passwordhash', 'accesstoken', 'xshopifyaccesstoken', 'token', 'secret', 'webhooksecret',
+  'shopifywebhooksecret', 'cookie', 'setcookie', 'authorization'
+]);
+
+// Addresses turn up inside free text too, such as error messages
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+
+const MAX_DEPTH = 6;
+
+const isPiiKey = (key) => PII_KEYS.has(String(key).toLowerCase().replace(/[_-]/g, ''));
+
+// A copy of `value` safe to write out: PII fields replaced, emails masked,
+// errors reduced to what helps debugging
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return value.replace(EMAIL_PATTERN, REDACTED);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.status && { status: value.status }),
+      ...(value.code && { code: value.code }),
+      stack: value.stack
+    }, depth);
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isPiiKey(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+function parseLevel(value) {
+  const level = String(value || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+// Request-scoped fields, such as the request id, picked up by every line
+// logged while that request is handled
+const context = new AsyncLocalStorage();
+
+// One JSON object per line on stdout, below LOG_LEVEL dropped
+function createLogger({ level = parseLevel(process.env.LOG_LEVEL), fields = {}, write = line => process.stdout.write(line) } = {}) {
+  const threshold = LEVELS[parseLevel(level)];
+
+  function log(lineLevel, message, details) {
+    if (LEVELS[lineLevel] < threshold) return;
+    // An error passed on its own is logged under `error`
+    const extra = details instanceof Error ? { error: details } : details;
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: redact(message),
+      ...context.getStore(),
+      ...redact({ ...fields, ...extra })
+    };
+    write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    level: parseLevel(level),
+    debug: (message, details) => log('debug', message, details),
+    info: (message, details) => log('info', message, details),
+    warn: (message, details) => log('warn', message, details),
+    error: (message, details) => log('error', message, details),
+    // Same output with `extra` fields on every line
+    child: (extra) => createLogger({ level, fields: { ...fields, ...extra }, write })
+  };
+}
+
+// Run `fn` with `fields` added to every line it logs, including from
+// callbacks and promises it starts
+const withContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, withContext, redact, LEVELS };
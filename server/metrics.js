@@ -0,0 +1,138 @@
+// In-process counters and latencies behind /metrics. They reset when the
+// server restarts; scrape them if you need history.
+
+const { round1, percentile } = require('./numbers');
+
+// Recent samples kept per series for percentiles
+const SAMPLE_WINDOW = 1000;
+
+function createSeries() {
+  return { count: 0, errors: 0, totalMs: 0, maxMs: 0, samples: [] };
+}
+
+function observe(series, durationMs, failed) {
+  series.count += 1;
+  if (failed) series.errors += 1;
+  series.totalMs += durationMs;
+  series.maxMs = Math.max(series.maxMs, durationMs);
+  series.samples.push(durationMs);
+  if (series.samples.length > SAMPLE_WINDOW) series.samples.shift();
+}
+
+function summarizeSeries({ count, errors, totalMs, maxMs, samples }) {
+  return {
+    count,
+    errors,
+    avgMs: count > 0 ? round1(totalMs / count) : null,
+    p50Ms: percentile(samples, 50),
+    p90Ms: percentile(samples, 90),
+    p99Ms: percentile(samples, 99),
+    maxMs: round1(maxMs)
+  };
+}
+
+function createMetrics() {
+  const startedAt = new Date();
+  const requests = new Map(); // "GET /api/orders" -> series
+  const shopifyCalls = new Map(); // "shop order.list" -> series and status counts
+  const cache = new Map(); // shop -> { hits, misses }
+
+  function seriesFor(map, key, fields) {
+    if (!map.has(key)) map.set(key, { ...fields, ...createSeries() });
+    return map.get(key);
+  }
+
+  // `route` is the matched route pattern, never the raw path, so ids and
+  // query strings neither multiply series nor leak into the output
+  function recordRequest({ method, route, status, durationMs }) {
+    observe(seriesFor(requests, `${method} ${route}`, { method, route }), durationMs, status >= 500);
+  }
+
+  // One attempt at a Shopify Admin API call; `status` is the HTTP status or
+  // an error code when there was no response
+  function recordShopifyCall({ shop, resource, status, durationMs }) {
+    const series = seriesFor(shopifyCalls, `${shop} ${resource}`, { shop, resource, statuses: {} });
+    series.statuses[status] = (series.statuses[status] || 0) + 1;
+    observe(series, durationMs, status !== 200);
+  }
+
+  // Whether a read was answered from the local order store (hit) or had to
+  // wait on Shopify first (miss)
+  function recordCacheLookup(shop, hit) {
+    const counts = cache.get(shop) || { hits: 0, misses: 0 };
+    counts[hit ? 'hits' : 'misses'] += 1;
+    cache.set(shop, counts);
+  }
+
+  function snapshot() {
+    const cacheRows = Array.from(cache.entries()).map(([shop, { hits, misses }]) => ({
+      shop,
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? round1((hits / (hits + misses)) * 100) : null
+    }));
+    const totalHits = cacheRows.reduce((sum, row) => sum + row.hits, 0);
+    const totalLookups = cacheRows.reduce((sum, row) => sum + row.hits + row.misses, 0);
+
+    return {
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+      requests: Array.from(requests.values()).map(({ method, route, ...series }) => ({
+        method,
+        route,
+        ...summarizeSeries(series)
+      })),
+      shopify: Array.from(shopifyCalls.values()).map(({ shop, resource, statuses, ...series }) => ({
+        shop,
+        resource,
+        statuses: { ...statuses },
+        ...summarizeSeries(series)
+      })),
+      cache: {
+        hitRate: totalLookups > 0 ? round1((totalHits / totalLookups) * 100) : null,
+        shops: cacheRows
+      }
+    };
+  }
+
+  return { recordRequest, recordShopifyCall, recordCacheLookup, snapshot };
+}
+
+// Prometheus text exposition of a snapshot plus per-shop sync state
+function toPrometheus({ requests, shopify, cache }, sync) {
+  const lines = [];
+  const label = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const labels = (fields) => `{${Object.entries(fields).map(([key, value]) => `${key}="${label(value)}"`).join(',')}}`;
+  const metric = (name, type, help, rows) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    rows.filter(([, value]) => value !== null && value !== undefined)
+      .forEach(([fields, value]) => lines.push(`${name}${labels(fields)} ${value}`));
+  };
+  const quantileRows = (rows, fieldsOf) => rows.flatMap(row => [
+    [{ ...fieldsOf(row), quantile: '0.5' }, row.p50Ms],
+    [{ ...fieldsOf(row), quantile: '0.9' }, row.p90Ms],
+    [{ ...fieldsOf(row), quantile: '0.99' }, row.p99Ms]
+  ]);
+
+  const requestFields = row => ({ method: row.method, route: row.route });
+  metric('http_requests_total', 'counter', 'Requests handled', requests.map(row => [requestFields(row), row.count]));
+  metric('http_request_errors_total', 'counter', 'Requests answered with a 5xx', requests.map(row => [requestFields(row), row.errors]));
+  metric('http_request_duration_ms', 'gauge', 'Request latency over recent requests', quantileRows(requests, requestFields));
+
+  const callFields = row => ({ shop: row.shop, resource: row.resource });
+  metric('shopify_calls_total', 'counter', 'Shopify Admin API call attempts by status',
+    shopify.flatMap(row => Object.entries(row.statuses).map(([status, count]) => [{ ...callFields(row), status }, count])));
+  metric('shopify_call_duration_ms', 'gauge', 'Shopify call latency over recent calls', quantileRows(shopify, callFields));
+
+  metric('order_cache_hits_total', 'counter', 'Order reads answered from the local store', cache.shops.map(row => [{ shop: row.shop }, row.hits]));
+  metric('order_cache_misses_total', 'counter', 'Order reads that waited on Shopify', cache.shops.map(row => [{ shop: row.shop }, row.misses]));
+
+  metric('sync_lag_seconds', 'gauge', 'Seconds since the last completed order sync', sync.map(row => [{ shop: row.shop }, row.lagSeconds]));
+  metric('sync_running', 'gauge', 'Whether an order sync is running', sync.map(row => [{ shop: row.shop }, row.syncing ? 1 : 0]));
+
+  return `${lines.join('\n')}\n`;
+}
+
+const metrics = createMetrics();
+
+module.exports = { metrics, createMetrics, toPrometheus };
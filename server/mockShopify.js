@@ -0,0 +1,168 @@
+const express = require('express');
+const { generateShopData } = require('./synthetic');
+const { logger } = require('./logger');
+
+const DEFAULT_ACCESS_TOKEN = 'fixture-token';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 250;
+
+// Filters Shopify accepts on order listings and counts
+const ORDER_FILTERS = ['status', 'created_at_min', 'created_at_max', 'updated_at_min', 'updated_at_max', 'ids'];
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+function decodeCursor(pageInfo) {
+  try {
+    return JSON.parse(Buffer.from(pageInfo, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Like the real API, `fields` picks top-level keys; "line_items.sku" keeps line_items
+function pickFields(record, fields) {
+  if (!fields) return record;
+  const keys = [...new Set(fields.split(',').map(field => field.trim().split('.')[0]).filter(Boolean))];
+  return Object.fromEntries(keys.filter(key => key in record).map(key => [key, record[key]]));
+}
+
+function matchesOrderFilters(order, filters) {
+  const time = (value) => new Date(value).getTime();
+  if (filters.ids && !String(filters.ids).split(',').map(Number).includes(order.id)) return false;
+  if (filters.created_at_min && time(order.created_at) < time(filters.created_at_min)) return false;
+  if (filters.created_at_max && time(order.created_at) > time(filters.created_at_max)) return false;
+  if (filters.updated_at_min && time(order.updated_at) < time(filters.updated_at_min)) return false;
+  if (filters.updated_at_max && time(order.updated_at) > time(filters.updated_at_max)) return false;
+  return true;
+}
+
+// A stand-in for the parts of the Shopify Admin REST API the server uses:
+// orders with cursor pagination in Link headers, order counts, fulfillment
+// events, products and the shop. Calls go through a leaky bucket like
+// Shopify's, answering 429 with Retry-After once it is full, and
+// `throttleEvery` throttles every nth call regardless to exercise retries.
+function createMockShopify({
+  data = generateShopData(),
+  accessToken = DEFAULT_ACCESS_TOKEN,
+  bucketSize = 40,
+  leakPerSecond = 2,
+  throttleEvery = 0,
+  retryAfterSeconds = 2
+} = {}) {
+  const app = express();
+  const stats = { requests: 0, throttled: 0 };
+  let bucket = 0;
+  let leakedAt = Date.now();
+
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (req.get('X-Shopify-Access-Token') !== accessToken) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+    next();
+  });
+
+  app.use((req, res, next) => {
+    const now = Date.now();
+    bucket = Math.max(0, bucket - ((now - leakedAt) / 1000) * leakPerSecond);
+    leakedAt = now;
+    stats.requests += 1;
+
+    const forced = throttleEvery > 0 && stats.requests % throttleEvery === 0;
+    if (forced || bucket + 1 > bucketSize) {
+      stats.throttled += 1;
+      res.set('Retry-After', retryAfterSeconds.toFixed(1));
+      return res.status(429).json({ errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' });
+    }
+    bucket += 1;
+    res.set('X-Shopify-Shop-Api-Call-Limit', `${Math.ceil(bucket)}/${bucketSize}`);
+    next();
+  });
+
+  const api = express.Router();
+
+  // One page of `records` and a Link header pointing at its neighbours.
+  // Cursors carry the filters, so follow-up pages take only page_info and limit.
+  function sendPage(req, res, { key, records }) {
+    const { page_info: pageInfo, limit: limitParam, fields, ...filters } = req.query;
+    const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ errors: { limit: `must be between 1 and ${MAX_LIMIT}` } });
+    }
+
+    let cursor = { filters, fields: fields || null, offset: 0 };
+    if (pageInfo) {
+      if (Object.keys(filters).length > 0) {
+        return res.status(400).json({ errors: { page_info: 'cannot be combined with other filters' } });
+      }
+      cursor = decodeCursor(pageInfo);
+      if (!cursor) return res.status(400).json({ errors: { page_info: 'Invalid value.' } });
+    }
+
+    const matching = records(cursor.filters);
+    const page = matching.slice(cursor.offset, cursor.offset + limit);
+    const link = (offset, rel) => {
+      const url = new URL(req.originalUrl.split('?')[0], `${req.protocol}://${req.get('host')}`);
+      url.searchParams.set('limit', String(limit));
+      url.searchParams.set('page_info', encodeCursor({ ...cursor, offset }));
+      return `<${url}>; rel="${rel}"`;
+    };
+    const links = [
+      cursor.offset > 0 && link(Math.max(0, cursor.offset - limit), 'previous'),
+      cursor.offset + limit < matching.length && link(cursor.offset + limit, 'next')
+    ].filter(Boolean);
+    if (links.length > 0) res.set('Link', links.join(', '));
+
+    res.json({ [key]: page.map(record => pickFields(record, cursor.fields)) });
+  }
+
+  // Newest first, as Shopify lists them
+  const ordersMatching = (filters) => data.orders
+    .filter(order => matchesOrderFilters(order, filters))
+    .sort((a, b) => b.id - a.id);
+
+  const orderFilters = (query) => Object.fromEntries(ORDER_FILTERS.filter(key => query[key]).map(key => [key, query[key]]));
+
+  api.get('/orders.json', (req, res) => sendPage(req, res, { key: 'orders', records: ordersMatching }));
+
+  api.get('/orders/count.json', (req, res) => {
+    res.json({ count: ordersMatching(orderFilters(req.query)).length });
+  });
+
+  api.get('/orders/:orderId/fulfillments/:fulfillmentId/events.json', (req, res) => {
+    const order = data.orders.find(candidate => String(candidate.id) === req.params.orderId);
+    const fulfillment = order && order.fulfillments.find(candidate => String(candidate.id) === req.params.fulfillmentId);
+    if (!fulfillment) return res.status(404).json({ errors: 'Not Found' });
+    res.json({ fulfillment_events: data.fulfillmentEvents[fulfillment.id] || [] });
+  });
+
+  api.get('/products.json', (req, res) => sendPage(req, res, { key: 'products', records: () => data.products }));
+
+  api.get('/shop.json', (req, res) => {
+    res.json({ shop: pickFields(data.shop, req.query.fields) });
+  });
+
+  app.use('/admin/api/:version', api);
+
+  app.use((req, res) => {
+    res.status(404).json({ errors: 'Not Found' });
+  });
+
+  return { app, data, stats };
+}
+
+// Listen on `port` (0 picks a free one) and resolve with the base URL to
+// give a shop as its apiUrl
+function startMockShopify({ port = 0, host = '127.0.0.1', ...options } = {}) {
+  const mock = createMockShopify(options);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      logger.info('Mock Shopify listening', { url, orders: mock.data.orders.length });
+      resolve({ ...mock, server, url });
+    }).on('error', reject);
+  });
+}
+
+module.exports = { DEFAULT_ACCESS_TOKEN, createMockShopify, startMockShopify };
@@ -0,0 +1,272 @@
+const { rateBetween } = require('./currency');
+const { DAY_MS, round2, sumBy } = require('./numbers');
+
+const toAmount = (value) => Math.abs(parseFloat(value) || 0);
+// The shop-currency side of a Shopify price set, else the bare amount,
+// which Shopify also gives in the shop's currency
+const shopMoney = (set, fallback) => toAmount(set && set.shop_money ? set.shop_money.amount : fallback);
+
+// A refund came before delivery only when it was issued before the delivery
+// timestamp. The return policy and the days to refund both go by this.
+const refundedBeforeDelivery = (deliveryDate, refundDate) => new Date(refundDate) < new Date(deliveryDate);
+
+// Whole days from delivery to refund, 0 for a refund hours after delivery,
+// or 'before_delivery' when the refund came first
+function daysBetween(deliveryDate, refundDate) {
+  if (!deliveryDate || !refundDate) return null;
+  if (refundedBeforeDelivery(deliveryDate, refundDate)) return 'before_delivery';
+  return Math.round((new Date(refundDate) - new Date(deliveryDate)) / DAY_MS);
+}
+
+// Tracking event statuses that mean the carrier could not deliver
+const FAILURE_STATUSES = ['failure', 'attempted_delivery'];
+const INACTIVE_FULFILLMENTS = ['cancelled', 'error', 'failure'];
+// Transaction statuses for a payout that did not go through
+const FAILED_TRANSACTIONS = ['failure', 'error'];
+
+const firstEventAt = (events, statuses) => {
+  const match = events.find(event => statuses.includes(event.status));
+  return match ? match.happenedAt : null;
+};
+
+// A fulfillment with its carrier timeline. Delivery comes from the
+// `delivered` tracking event; without events we only trust a delivered
+// shipment status, and then its updated_at is an estimate.
+function normalizeFulfillment(fulfillment) {
+  const events = (fulfillment.events || [])
+    .map(event => ({
+      status: event.status,
+      happenedAt: event.happened_at || event.created_at,
+      message: event.message || null,
+      estimatedDeliveryAt: event.estimated_delivery_at || null
+    }))
+    .sort((a, b) => new Date(a.happenedAt) - new Date(b.happenedAt));
+
+  let deliveredAt = firstEventAt(events, ['delivered']);
+  let deliverySource = deliveredAt ? 'event' : null;
+  if (!deliveredAt && fulfillment.shipment_status === 'delivered') {
+    deliveredAt = fulfillment.updated_at;
+    deliverySource = 'shipment_status';
+  }
+
+  return {
+    id: fulfillment.id,
+    status: fulfillment.status,
+    shipmentStatus: fulfillment.shipment_status || null,
+    trackingCompany: fulfillment.tracking_company || null,
+    trackingNumber: fulfillment.tracking_number || null,
+    trackingUrl: fulfillment.tracking_url || null,
+    createdAt: fulfillment.created_at,
+    inTransitAt: firstEventAt(events, ['in_transit']),
+    outForDeliveryAt: firstEventAt(events, ['out_for_delivery']),
+    deliveredAt,
+    deliverySource,
+    // The carrier's latest promise, when its events carry one
+    estimatedDeliveryAt: [...events].reverse().map(event => event.estimatedDeliveryAt).find(Boolean) || null,
+    failures: events.filter(event => FAILURE_STATUSES.includes(event.status)),
+    events
+  };
+}
+
+// An order counts as delivered once every live fulfillment has arrived,
+// on the date the last one did
+function orderDelivery(fulfillments) {
+  const live = fulfillments.filter(f => !INACTIVE_FULFILLMENTS.includes(f.status));
+  if (live.length === 0 || live.some(f => !f.deliveredAt)) {
+    return { deliveryDate: null, deliverySource: null };
+  }
+  const last = live.reduce((latest, f) =>
+    (new Date(f.deliveredAt) > new Date(latest.deliveredAt) ? f : latest));
+  return {
+    deliveryDate: last.deliveredAt,
+    // Only as reliable as the weakest fulfillment
+    deliverySource: live.every(f => f.deliverySource === 'event') ? 'event' : 'shipment_status'
+  };
+}
+
+// Shop-currency units per unit of a refund transaction's currency.
+// Transactions are in the currency the customer paid in: the order's own
+// checkout rate converts those best, then stored rates; null without either.
+function transactionRate(order, currency, rates) {
+  if (!currency || !order.currency || currency === order.currency) return 1;
+  const set = order.total_price_set;
+  if (currency === order.presentment_currency && set && set.shop_money && set.presentment_money &&
+      parseFloat(set.presentment_money.amount) > 0) {
+    return parseFloat(set.shop_money.amount) / parseFloat(set.presentment_money.amount);
+  }
+  return rates ? rateBetween(rates, currency, order.currency) : null;
+}
+
+// Shopify tried to pay the refund out and every attempt failed, so nothing
+// went back to the customer. A refund with no transactions at all is a
+// restock or a record-only refund and still counts.
+function refundFailed(refund) {
+  const attempts = (refund.transactions || []).filter(t => !t.kind || t.kind === 'refund');
+  return attempts.length > 0 && attempts.every(t => FAILED_TRANSACTIONS.includes(t.status));
+}
+
+// One Shopify refund as a refund event: what was refunded, when, and how
+// the money splits between merchandise, shipping and tax, all in the shop's
+// currency
+function normalizeRefund(refund, order, deliveryDate, rates) {
+  const lineItemsById = new Map((order.line_items || []).map(item => [item.id, item]));
+
+  const lineItems = (refund.refund_line_items || []).map(refundLine => {
+    const item = refundLine.line_item || lineItemsById.get(refundLine.line_item_id) || {};
+    return {
+      lineItemId: refundLine.line_item_id,
+      productId: item.product_id || null,
+      title: item.title || null,
+      sku: item.sku || 'N/A',
+      quantity: refundLine.quantity || 0,
+      restockType: refundLine.restock_type || 'no_restock',
+      returnReason: refundLine.return_reason || null,
+      subtotal: shopMoney(refundLine.subtotal_set, refundLine.subtotal),
+      tax: shopMoney(refundLine.total_tax_set, refundLine.total_tax)
+    };
+  });
+
+  // Shipping comes back as negative order adjustments on older API versions
+  // and as refund_shipping_lines on newer ones
+  const adjustments = refund.order_adjustments || [];
+  const shippingAdjustments = adjustments.filter(adjustment => adjustment.kind === 'shipping_refund');
+  const shippingLines = refund.refund_shipping_lines || [];
+  const shipping = sumBy(shippingAdjustments, a => shopMoney(a.amount_set, a.amount)) +
+    sumBy(shippingLines, line => shopMoney(line.subtotal_amount_set));
+  const shippingTax = sumBy(shippingAdjustments, a => shopMoney(a.tax_amount_set, a.tax_amount));
+
+  // Only money that actually went back to the customer counts towards the amount
+  const transactions = (refund.transactions || []).filter(t =>
+    (!t.kind || t.kind === 'refund') && (!t.status || t.status === 'success'));
+  const merchandise = sumBy(lineItems, line => line.subtotal);
+  const tax = sumBy(lineItems, line => line.tax) + shippingTax;
+  const rateFor = transactions.map(t => transactionRate(order, t.currency, rates));
+  // The itemized amounts stand in when the payload carries no transactions,
+  // or lacks a rate for one. None that succeeded means nothing paid back yet.
+  let amount = merchandise + tax + shipping;
+  if (refund.transactions && transactions.length === 0) {
+    amount = 0;
+  } else if (transactions.length > 0 && rateFor.every(rate => rate !== null)) {
+    amount = sumBy(transactions.map((t, index) => toAmount(t.amount) * rateFor[index]), value => value);
+  }
+  // What the customer got back in their own currency, when that differs
+  const paidIn = [...new Set(transactions.map(t => t.currency).filter(Boolean))];
+  const presentment = paidIn.length === 1 && order.currency && paidIn[0] !== order.currency
+    ? { amount: round2(sumBy(transactions, t => toAmount(t.amount))), currency: paidIn[0] }
+    : null;
+
+  const date = refund.processed_at || refund.created_at;
+  return {
+    id: refund.id,
+    date,
+    amount: round2(amount),
+    presentment,
+    merchandise: round2(merchandise),
+    shipping: round2(shipping),
+    tax: round2(tax),
+    quantity: sumBy(lineItems, line => line.quantity),
+    restocked: sumBy(lineItems.filter(line => line.restockType !== 'no_restock'), line => line.quantity),
+    lineItems,
+    note: refund.note || null,
+    // Present when the refund came from a return
+    returnReasons: [...new Set(lineItems.map(line => line.returnReason).filter(Boolean))],
+    daysToRefund: daysBetween(deliveryDate, date)
+  };
+}
+
+// Where an order shipped, down to the ZIP/postal prefix. Street, city and
+// coordinates are left behind, regional reporting does not need them.
+function shippingRegion(address) {
+  if (!address) return null;
+  const postal = (address.zip || '').replace(/\s/g, '').toUpperCase();
+  return {
+    countryCode: address.country_code || null,
+    country: address.country || null,
+    provinceCode: address.province_code || null,
+    province: address.province || null,
+    zip3: postal.length >= 3 ? postal.slice(0, 3) : null
+  };
+}
+
+// Turn a raw Shopify order into the shape the dashboard and analytics work
+// with. Amounts are in the shop's currency; `rates` converts refunds paid
+// out in another currency when the order itself carries no rate.
+function normalizeOrder(order, { rates } = {}) {
+  const fulfillments = (order.fulfillments || []).map(normalizeFulfillment);
+  // The first fulfillment carries the tracking shown in the table
+  const fulfillment = fulfillments[0];
+
+  // Get product details from line items
+  const products = order.line_items ? order.line_items.map(item => ({
+    id: item.product_id,
+    lineItemId: item.id,
+    title: item.title,
+    sku: item.sku || 'N/A',
+    quantity: item.quantity,
+    price: shopMoney(item.price_set, item.price)
+  })) : [];
+
+  const { deliveryDate, deliverySource } = orderDelivery(fulfillments);
+
+  // Every refund is its own event, oldest first
+  const refunds = (order.refunds || [])
+    .filter(refund => !refundFailed(refund))
+    .map(refund => normalizeRefund(refund, order, deliveryDate, rates))
+    .filter(refund => refund.amount > 0 || refund.quantity > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const refundAmount = round2(sumBy(refunds, refund => refund.amount));
+
+  // Shopify's financial status is the authority on full vs partial
+  let refundType = null;
+  if (order.financial_status === 'refunded') {
+    refundType = 'full';
+  } else if (refunds.length > 0) {
+    refundType = 'partial';
+  }
+
+  // The first refund starts the clock for days to refund
+  const refundDate = refunds.length > 0 ? refunds[0].date : null;
+
+  return {
+    id: order.id,
+    orderNumber: order.order_number,
+    orderDate: order.created_at,
+    shippingName: order.shipping_address ? order.shipping_address.name : 'N/A',
+    customerId: order.customer ? order.customer.id : null,
+    emailHash: order.email_hash || null,
+    shippingAddress: shippingRegion(order.shipping_address),
+    fulfillmentStatus: order.fulfillment_status || 'unfulfilled',
+    shippingService: order.shipping_lines && order.shipping_lines[0] ? order.shipping_lines[0].title : null,
+    fulfillmentDate: fulfillment ? fulfillment.createdAt : null,
+    trackingNumber: fulfillment ? fulfillment.trackingNumber : null,
+    trackingUrl: fulfillment ? fulfillment.trackingUrl : null,
+    financial_status: order.financial_status,
+    refundStatus: order.financial_status === 'refunded' ? 'Refunded' :
+                 order.financial_status === 'partially_refunded' ? 'Partially Refunded' :
+                 'Not Refunded',
+    refundType: refundType,
+    deliveryDate: deliveryDate,
+    deliverySource: deliverySource,
+    transitStatus: fulfillment ? fulfillment.shipmentStatus || fulfillment.status || 'unknown' : null,
+    refundDate: refundDate,
+    lastRefundDate: refunds.length > 0 ? refunds[refunds.length - 1].date : null,
+    daysToRefund: daysBetween(deliveryDate, refundDate),
+    hasRefunds: refunds.length > 0,
+    currency: order.currency || null,
+    presentmentCurrency: order.presentment_currency || order.currency || null,
+    totalPrice: shopMoney(order.total_price_set, order.total_price),
+    presentmentTotal: order.total_price_set && order.total_price_set.presentment_money
+      ? toAmount(order.total_price_set.presentment_money.amount)
+      : null,
+    refundAmount: refundAmount,
+    refundedShipping: round2(sumBy(refunds, refund => refund.shipping)),
+    refundedTax: round2(sumBy(refunds, refund => refund.tax)),
+    refunds: refunds,
+    tags: order.tags ? order.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    fulfillments: fulfillments,
+    products: products
+  };
+}
+
+module.exports = { normalizeOrder, normalizeRefund, normalizeFulfillment, refundedBeforeDelivery, FAILURE_STATUSES, INACTIVE_FULFILLMENTS };
@@ -0,0 +1,26 @@
+// Rounding, sums and order statistics shared by the reporting modules
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sumBy = (items, pick) => items.reduce((total, item) => total + pick(item), 0);
+
+// Nearest-rank percentile (0-100) of an unsorted list to one decimal, null when empty
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return round1(sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]);
+}
+
+// Middle value, the mean of the middle two for an even count, null when empty
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = { HOUR_MS, DAY_MS, round1, round2, sumBy, percentile, median };
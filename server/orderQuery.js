@@ -0,0 +1,137 @@
+const { badRequest } = require('./errors');
+const { assertOneOf } = require('./analytics');
+
+const SORT_KEYS = ['orderNumber', 'orderDate', 'shippingName', 'deliveryDate', 'refundDate', 'daysToRefund', 'refundAmount'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const REFUND_TYPES = ['full', 'partial'];
+
+// Days-to-refund buckets offered by the table filter, upper bound inclusive
+const DAYS_BUCKETS = [
+  { key: '0-7', max: 7 },
+  { key: '8-14', max: 14 },
+  { key: '15-30', max: 30 },
+  { key: '31-60', max: 60 },
+  { key: '60+', max: Infinity },
+  { key: 'before_delivery' },
+  { key: 'unknown' }
+];
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+function daysBucket(order) {
+  if (order.daysToRefund === 'before_delivery') return 'before_delivery';
+  if (typeof order.daysToRefund !== 'number') return 'unknown';
+  return DAYS_BUCKETS.find(bucket => order.daysToRefund <= bucket.max).key;
+}
+
+const list = (value) => (value ? String(value).split(',').filter(Boolean) : []);
+
+function positiveInt(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw badRequest(`${name} must be a positive whole number`);
+  return number;
+}
+
+// Table filters, sort and page from the request query. Multi-valued
+// filters take comma-separated values.
+function parseOrderQuery(query) {
+  const refundTypes = list(query.refundType);
+  refundTypes.forEach(type => assertOneOf('refundType', type, REFUND_TYPES));
+  const daysBuckets = list(query.daysBucket);
+  daysBuckets.forEach(bucket => assertOneOf('daysBucket', bucket, DAYS_BUCKETS.map(b => b.key)));
+
+  const product = query.product
+    ? { groupBy: assertOneOf('productGroup', query.productGroup || 'sku', ['sku', 'product']), key: String(query.product) }
+    : null;
+
+  return {
+    search: String(query.search || '').trim().toLowerCase(),
+    refundTypes,
+    transitStatuses: list(query.transitStatus),
+    daysBuckets,
+    policyStatuses: list(query.policyStatus),
+    reasons: list(query.reason),
+    product,
+    sort: {
+      key: assertOneOf('sort', query.sort || 'refundDate', SORT_KEYS),
+      direction: assertOneOf('direction', query.direction || 'desc', SORT_DIRECTIONS)
+    },
+    page: positiveInt('page', query.page, 1),
+    pageSize: Math.min(positiveInt('pageSize', query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)
+  };
+}
+
+// Same grouping keys as analytics.productBreakdown
+const matchesProduct = (order, { groupBy, key }) => order.products.some(product =>
+  (groupBy === 'sku' ? product.sku : String(product.id || product.title)) === key);
+
+function matchesSearch(order, search) {
+  if (!search) return true;
+  return [order.orderNumber, order.shippingName, ...order.fulfillments.map(f => f.trackingNumber)]
+    .some(value => value !== null && value !== undefined && String(value).toLowerCase().includes(search));
+}
+
+function filterOrders(orders, filters) {
+  return orders.filter(order =>
+    matchesSearch(order, filters.search) &&
+    (filters.refundTypes.length === 0 || filters.refundTypes.includes(order.refundType)) &&
+    (filters.transitStatuses.length === 0 || filters.transitStatuses.includes(order.transitStatus || 'unknown')) &&
+    (filters.daysBuckets.length === 0 || filters.daysBuckets.includes(daysBucket(order))) &&
+    (filters.policyStatuses.length === 0 || filters.policyStatuses.includes(order.policyStatus)) &&
+    (filters.reasons.length === 0 || (order.reasons || []).some(reason => filters.reasons.includes(reason))) &&
+    (!filters.product || matchesProduct(order, filters.product)));
+}
+
+// Value used for sorting; missing values sort last whatever the direction
+function sortValue(order, key) {
+  const value = order[key];
+  if (value === null || value === undefined) return null;
+  if (['orderDate', 'deliveryDate', 'refundDate'].includes(key)) return new Date(value).getTime();
+  // Refunds before delivery come before any count of days
+  if (key === 'daysToRefund') return value === 'before_delivery' ? -1 : value;
+  if (key === 'shippingName') return String(value).toLowerCase();
+  return value;
+}
+
+function sortOrders(orders, { key, direction }) {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...orders].sort((a, b) => {
+    const x = sortValue(a, key);
+    const y = sortValue(b, key);
+    if (x === null || y === null) return (x === null) - (y === null);
+    if (x < y) return -sign;
+    if (x > y) return sign;
+    return 0;
+  });
+}
+
+const matchingOrders = (orders, options) => sortOrders(filterOrders(orders, options), options.sort);
+
+// One page of the filtered, sorted orders plus what the filters can offer.
+// A page past the end gives the last page, and says so.
+function queryOrders(orders, options) {
+  const matching = matchingOrders(orders, options);
+  const page = Math.min(options.page, Math.max(1, Math.ceil(matching.length / options.pageSize)));
+  const start = (page - 1) * options.pageSize;
+  return {
+    total: matching.length,
+    page,
+    pageSize: options.pageSize,
+    sort: options.sort,
+    transitStatuses: [...new Set(orders.map(order => order.transitStatus || 'unknown'))].sort(),
+    orders: matching.slice(start, start + options.pageSize)
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  DAYS_BUCKETS: DAYS_BUCKETS.map(bucket => bucket.key),
+  daysBucket,
+  parseOrderQuery,
+  filterOrders,
+  sortOrders,
+  matchingOrders,
+  queryOrders
+};
@@ -0,0 +1,146 @@
+const { badRequest } = require('./errors');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { logger } = require('./logger');
+const { refundedBeforeDelivery } = require('./normalize');
+const { DAY_MS } = require('./numbers');
+
+const START_BASES = ['delivery', 'fulfillment', 'order'];
+const POLICY_STATUSES = ['within_window', 'late', 'before_delivery', 'delivery_unknown', 'not_refunded'];
+
+// The store default from RETURN_WINDOW_DAYS and RETURN_WINDOW_BASIS. A basis
+// we do not know would leave every refund without a start date, so a typo
+// is reported and the default basis used instead.
+function envPolicy(env = process.env) {
+  const windowDays = parseInt(env.RETURN_WINDOW_DAYS, 10);
+  const startBasis = env.RETURN_WINDOW_BASIS || 'delivery';
+  if (env.RETURN_WINDOW_DAYS !== undefined && !(windowDays >= 0)) {
+    logger.warn('Invalid RETURN_WINDOW_DAYS, using 30 days', { value: env.RETURN_WINDOW_DAYS });
+  }
+  if (!START_BASES.includes(startBasis)) {
+    logger.warn('Invalid RETURN_WINDOW_BASIS, using delivery', { value: startBasis, allowed: START_BASES });
+  }
+  return {
+    windowDays: windowDays >= 0 ? windowDays : 30,
+    startBasis: START_BASES.includes(startBasis) ? startBasis : 'delivery',
+    // Per-SKU or per-product-type overrides, first match wins
+    rules: []
+  };
+}
+
+const DEFAULT_POLICY = envPolicy();
+
+function validatePolicy(policy) {
+  const checkWindow = (value, where) => {
+    if (!Number.isInteger(value) || value < 0) throw badRequest(`${where}windowDays must be a whole number of days`);
+  };
+  const checkBasis = (value, where) => {
+    if (!START_BASES.includes(value)) throw badRequest(`${where}startBasis must be one of: ${START_BASES.join(', ')}`);
+  };
+
+  if (!policy || typeof policy !== 'object') throw badRequest('Policy must be an object');
+  checkWindow(policy.windowDays, '');
+  checkBasis(policy.startBasis, '');
+  if (!Array.isArray(policy.rules || [])) throw badRequest('rules must be an array');
+
+  (policy.rules || []).forEach((rule, index) => {
+    const where = `rules[${index}].`;
+    if (!rule.sku && !rule.productType) throw badRequest(`rules[${index}] needs a sku or productType`);
+    if (rule.windowDays !== undefined) checkWindow(rule.windowDays, where);
+    if (rule.startBasis !== undefined) checkBasis(rule.startBasis, where);
+  });
+
+  return {
+    windowDays: policy.windowDays,
+    startBasis: policy.startBasis,
+    rules: (policy.rules || []).map(({ sku, productType, windowDays, startBasis }) => ({
+      ...(sku && { sku }),
+      ...(productType && { productType }),
+      ...(windowDays !== undefined && { windowDays }),
+      ...(startBasis !== undefined && { startBasis })
+    }))
+  };
+}
+
+function loadPolicy(file) {
+  return readJsonFile(file, { fallback: DEFAULT_POLICY, validate: validatePolicy, name: 'return policy' });
+}
+
+function savePolicy(file, policy) {
+  writeJsonFile(file, policy);
+}
+
+// Window and start basis for one product, falling back to the store default
+function termsFor(product, policy, productTypes) {
+  const productType = productTypes[product.id];
+  const rule = policy.rules.find(r =>
+    (r.sku && r.sku === product.sku) || (r.productType && r.productType === productType));
+  return {
+    windowDays: rule && rule.windowDays !== undefined ? rule.windowDays : policy.windowDays,
+    startBasis: rule && rule.startBasis ? rule.startBasis : policy.startBasis
+  };
+}
+
+// Refunded items decide the terms. When several apply the most generous
+// window wins, so we never flag a refund the customer was entitled to.
+function termsForOrder(order, policy, productTypes) {
+  const refundedLineIds = new Set((order.refunds || [])
+    .flatMap(refund => refund.lineItems.map(line => line.lineItemId)));
+  const refundedProducts = order.products.filter(product => refundedLineIds.has(product.lineItemId));
+  const products = refundedProducts.length > 0 ? refundedProducts : order.products;
+
+  if (products.length === 0) {
+    return { windowDays: policy.windowDays, startBasis: policy.startBasis };
+  }
+  return products
+    .map(product => termsFor(product, policy, productTypes))
+    .reduce((best, terms) => (terms.windowDays > best.windowDays ? terms : best));
+}
+
+const startDateFor = (order, startBasis) => ({
+  delivery: order.deliveryDate,
+  fulfillment: order.fulfillmentDate,
+  order: order.orderDate
+}[startBasis]);
+
+// Return-window verdict for a normalized order, measured at its first refund
+function evaluateOrder(order, policy, productTypes = {}) {
+  const { windowDays, startBasis } = termsForOrder(order, policy, productTypes);
+  const result = { windowDays, startBasis, startDate: null, deadline: null, daysOver: null };
+
+  if (!order.refundDate) return { status: 'not_refunded', ...result };
+
+  if (order.deliveryDate && refundedBeforeDelivery(order.deliveryDate, order.refundDate)) {
+    return { status: 'before_delivery', ...result };
+  }
+
+  const startDate = startDateFor(order, startBasis);
+  if (!startDate) return { status: 'delivery_unknown', ...result };
+
+  const deadline = new Date(new Date(startDate).getTime() + windowDays * DAY_MS);
+  const daysOver = Math.ceil((new Date(order.refundDate).getTime() - deadline.getTime()) / DAY_MS);
+  return {
+    status: daysOver > 0 ? 'late' : 'within_window',
+    ...result,
+    startDate,
+    deadline: deadline.toISOString(),
+    daysOver: daysOver > 0 ? daysOver : 0
+  };
+}
+
+// Attach the policy verdict to a normalized order
+function applyPolicy(order, policy, productTypes) {
+  const { status, ...details } = evaluateOrder(order, policy, productTypes);
+  return { ...order, policyStatus: status, policy: details };
+}
+
+module.exports = {
+  START_BASES,
+  POLICY_STATUSES,
+  DEFAULT_POLICY,
+  envPolicy,
+  validatePolicy,
+  loadPolicy,
+  savePolicy,
+  evaluateOrder,
+  applyPolicy
+};
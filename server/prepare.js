@@ -0,0 +1,56 @@
+const { normalizeOrder } = require('./normalize');
+const returnPolicy = require('./policy');
+const refundReasons = require('./reasons');
+const customers = require('./customers');
+const currency = require('./currency');
+
+// Normalized order with its return-window verdict, refund reasons, the shop
+// it came from and the customer it belongs to. Everything it depends on is
+// passed in: `shop` ({ id, currency, adminOrderUrl }), the return `policy`
+// with the shop's `productTypes`, `reasons` ({ taxonomy, compiled,
+// overrides }) and the stored currency `rates`.
+function prepareOrder(order, { shop, policy, productTypes, reasons, rates }) {
+  const normalized = normalizeOrder(order, { rates });
+  return {
+    ...refundReasons.applyReasons(
+      returnPolicy.applyPolicy(normalized, policy, productTypes),
+      { ...reasons, shopId: shop.id }
+    ),
+    // Orders stored before their currency was fetched are in the shop's
+    currency: normalized.currency || shop.currency,
+    shop: shop.id,
+    adminUrl: shop.adminOrderUrl(order.id),
+    customerKey: customers.customerKey(normalized, shop.id)
+  };
+}
+
+// An order's amounts in `target`, unchanged when no stored rate covers it
+function inCurrency(order, target, rates) {
+  if (!target || order.currency === target) return order;
+  const rate = currency.rateBetween(rates, order.currency, target);
+  return rate === null ? order : currency.convertOrder(order, rate, target);
+}
+
+// Timezone, currency and locale for the selected shops' infos. Shops with
+// different currencies are reported in the stored rates' base currency once
+// rates cover all of them; until then their amounts cannot be added up.
+function selectionInfo(infos, { rates, timezone, locale }) {
+  const currencies = [...new Set(infos.map(info => info.currency))];
+  const locales = [...new Set(infos.map(info => info.locale))];
+  const info = {
+    timezone: infos.length === 1 ? infos[0].timezone : timezone,
+    locale: locales.length === 1 ? locales[0] : locale
+  };
+
+  if (currencies.length <= 1) return { ...info, currency: currencies[0] || null };
+  if (currencies.every(code => currency.rateBetween(rates, code, rates.base) !== null)) {
+    return {
+      ...info,
+      currency: rates.base,
+      conversion: { from: currencies, to: rates.base, ratesUpdatedAt: rates.updatedAt }
+    };
+  }
+  return { ...info, currency: null, warning: `Amounts mix currencies: ${currencies.join(', ')}` };
+}
+
+module.exports = { prepareOrder, inCurrency, selectionInfo };
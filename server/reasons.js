@@ -0,0 +1,182 @@
+const { badRequest } = require('./errors');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// What a refund falls back to when no rule matches
+const UNCATEGORIZED = 'uncategorized';
+
+// Where a refund's reason came from, strongest first: an admin's re-tag,
+// then the return reasons on its line items, its note, and the order tags
+const REASON_SOURCES = ['manual', 'return_reason', 'note', 'tags'];
+
+const DEFAULT_TAXONOMY = {
+  // First matching category wins, so order matters. Keywords match whole
+  // words; a trailing * matches any word starting with the rest.
+  categories: [
+    {
+      key: 'battery',
+      label: 'Battery',
+      keywords: ['battery', 'batteries', 'charge', 'charging', 'charger'],
+      patterns: []
+    },
+    {
+      key: 'defect',
+      label: 'Defect',
+      keywords: ['defective', 'defect', 'broken', 'stopped working', 'not working', 'dead', 'faulty', 'damaged'],
+      patterns: []
+    },
+    {
+      key: 'sound_quality',
+      label: 'Sound quality',
+      keywords: ['sound', 'sounds', 'feedback', 'whistl*', 'static', 'muffled', 'tinny', 'volume', 'noise', 'too quiet'],
+      patterns: []
+    },
+    {
+      key: 'fit_comfort',
+      label: 'Fit / comfort',
+      keywords: ['fit', 'fits', 'fitting', 'comfort', 'uncomfortable', 'hurt*', 'sore', 'falls out', 'size too'],
+      patterns: ['too (big|small|large|tight|loose)']
+    },
+    {
+      key: 'changed_mind',
+      label: 'Changed mind',
+      keywords: ['changed mind', 'change of mind', 'unwanted', 'no longer need', 'not needed', 'ordered by mistake'],
+      patterns: []
+    }
+  ]
+};
+
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+function validateTaxonomy(taxonomy) {
+  if (!taxonomy || typeof taxonomy !== 'object') throw badRequest('Taxonomy must be an object');
+  if (!Array.isArray(taxonomy.categories)) throw badRequest('categories must be an array');
+
+  const seen = new Set();
+  const categories = taxonomy.categories.map((category, index) => {
+    const where = `categories[${index}]`;
+    if (!category || !KEY_PATTERN.test(category.key || '')) {
+      throw badRequest(`${where}.key must be lowercase letters, digits and underscores`);
+    }
+    if (category.key === UNCATEGORIZED) throw badRequest(`${where}.key ${UNCATEGORIZED} is reserved`);
+    if (seen.has(category.key)) throw badRequest(`${where}.key ${category.key} is used twice`);
+    seen.add(category.key);
+
+    ['keywords', 'patterns'].forEach(field => {
+      const values = category[field] || [];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value.trim())) {
+        throw badRequest(`${where}.${field} must be a list of non-empty strings`);
+      }
+    });
+    if ((category.keywords || []).some(keyword => !keyword.replace(/\*$/, '').trim())) {
+      throw badRequest(`${where}.keywords needs text before a trailing *`);
+    }
+    (category.patterns || []).forEach(pattern => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw badRequest(`${where}.patterns has an invalid regular expression: ${pattern}`);
+      }
+    });
+
+    return {
+      key: category.key,
+      label: category.label || category.key,
+      keywords: (category.keywords || []).map(keyword => keyword.trim().toLowerCase()),
+      patterns: category.patterns || []
+    };
+  });
+
+  return { categories };
+}
+
+function loadTaxonomy(file) {
+  return readJsonFile(file, { fallback: DEFAULT_TAXONOMY, validate: validateTaxonomy, name: 'refund reason taxonomy' });
+}
+
+function saveTaxonomy(file, taxonomy) {
+  writeJsonFile(file, taxonomy);
+}
+
+// Manual re-tags, keyed by shop and refund id
+function loadOverrides(file) {
+  return readJsonFile(file, { fallback: {}, name: 'refund reason overrides' });
+}
+
+function saveOverrides(file, overrides) {
+  writeJsonFile(file, overrides);
+}
+
+const overrideKey = (shopId, refundId) => `${shopId}:${refundId}`;
+
+const categoryKeys = (taxonomy) => [...taxonomy.categories.map(category => category.key), UNCATEGORIZED];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords match whole words, so "charge" leaves out "charged twice";
+// "whistl*" is a prefix and catches "whistling"
+function keywordMatcher(keyword) {
+  const prefix = keyword.endsWith('*');
+  const word = escapeRegExp(prefix ? keyword.slice(0, -1) : keyword);
+  return new RegExp(prefix ? `\\b${word}` : `\\b${word}\\b`, 'i');
+}
+
+function compile(taxonomy) {
+  return taxonomy.categories.map(category => ({
+    key: category.key,
+    matchers: [
+      ...category.keywords.map(keywordMatcher),
+      ...category.patterns.map(pattern => new RegExp(pattern, 'i'))
+    ]
+  }));
+}
+
+// Shopify return reasons are enums like SIZE_TOO_SMALL; match them as words
+const readable = (value) => String(value).replace(/_/g, ' ').toLowerCase();
+
+function categorize(texts, compiled) {
+  for (const text of texts) {
+    const match = compiled.find(category => category.matchers.some(matcher => matcher.test(text)));
+    if (match) return match.key;
+  }
+  return null;
+}
+
+// Reason for each refund event of a normalized order, plus the order's
+// distinct reasons. Matching compiles the taxonomy once per call, callers
+// categorizing many orders should pass `compiled` from `compile`.
+function applyReasons(order, { taxonomy, overrides = {}, shopId, compiled = compile(taxonomy) }) {
+  const refunds = (order.refunds || []).map(refund => {
+    const override = overrides[overrideKey(shopId, refund.id)];
+    if (override) {
+      return { ...refund, reason: override.reason, reasonSource: 'manual', reasonSetBy: override.by || null };
+    }
+
+    const candidates = [
+      ['return_reason', refund.returnReasons.map(readable)],
+      ['note', refund.note ? [refund.note] : []],
+      ['tags', order.tags || []]
+    ];
+    for (const [source, texts] of candidates) {
+      const reason = categorize(texts, compiled);
+      if (reason) return { ...refund, reason, reasonSource: source, reasonSetBy: null };
+    }
+    return { ...refund, reason: UNCATEGORIZED, reasonSource: null, reasonSetBy: null };
+  });
+
+  return { ...order, refunds, reasons: [...new Set(refunds.map(refund => refund.reason))] };
+}
+
+module.exports = {
+  UNCATEGORIZED,
+  REASON_SOURCES,
+  DEFAULT_TAXONOMY,
+  validateTaxonomy,
+  loadTaxonomy,
+  saveTaxonomy,
+  loadOverrides,
+  saveOverrides,
+  overrideKey,
+  categoryKeys,
+  compile,
+  applyReasons
+};
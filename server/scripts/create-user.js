@@ -0,0 +1,33 @@
+// Add a dashboard user, e.g.
+//   USER_PASSWORD='...' node server/scripts/create-user.js alice admin
+//   node server/scripts/create-user.js bob viewer   (reads the password from stdin)
+require('dotenv').config();
+const path = require('path');
+const readline = require('readline');
+const { createAuth } = require('../auth');
+
+const [username, role = 'viewer'] = process.argv.slice(2);
+if (!username) {
+  console.error('Usage: create-user.js <username> [admin|viewer]');
+  process.exit(1);
+}
+
+async function readPassword() {
+  if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const password = await new Promise(resolve => rl.question('Password: ', resolve));
+  rl.close();
+  return password;
+}
+
+(async () => {
+  const auth = createAuth({ dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data') });
+  try {
+    const user = await auth.createUser({ username, password: await readPassword(), role });
+    console.log(`Created ${user.role} user ${user.username}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Failed to create user:', error.message);
+    process.exit(1);
+  }
+})();
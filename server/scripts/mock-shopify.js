@@ -0,0 +1,22 @@
+// Serve seeded synthetic orders through a local Shopify Admin API stand-in, e.g.
+//   node server/scripts/mock-shopify.js
+//   node server/scripts/mock-shopify.js --port=3005 --seed=7 --orders=2000 --throttle-every=10
+// then point the server at it with DATA_SOURCE=fixture SHOPIFY_API_URL=http://127.0.0.1:3005
+const { startMockShopify } = require('../mockShopify');
+const { generateShopData } = require('../synthetic');
+
+const option = (name, fallback) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? parseInt(arg.slice(name.length + 3), 10) : fallback;
+};
+
+startMockShopify({
+  port: option('port', 3005),
+  data: generateShopData({ seed: option('seed', 1), orders: option('orders', 500) }),
+  throttleEvery: option('throttle-every', 0)
+}).then(({ url, data }) => {
+  console.log(`Mock Shopify serving ${data.orders.length} orders at ${url}`);
+}, error => {
+  console.error('Failed to start mock Shopify:', error.message);
+  process.exit(1);
+});
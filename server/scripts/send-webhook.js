@@ -0,0 +1,56 @@
+// Sign a fixture payload and post it to a running server, e.g.
+//   node server/scripts/send-webhook.js refunds/create
+//   node server/scripts/send-webhook.js orders/updated http://localhost:3002 --id=fixed-id
+//   node server/scripts/send-webhook.js refunds/create --shop=other-store.myshopify.com
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const [topic, baseUrl = `http://localhost:${process.env.PORT || 3002}`] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const idArg = process.argv.find(arg => arg.startsWith('--id='));
+const shopArg = process.argv.find(arg => arg.startsWith('--shop='));
+const shopName = shopArg ? shopArg.slice('--shop='.length) : process.env.SHOP_NAME;
+
+if (!topic) {
+  console.error('Usage: send-webhook.js <topic> [baseUrl] [--id=<webhook id>] [--shop=<shop domain>]');
+  process.exit(1);
+}
+
+const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+if (!secret || !shopName) {
+  console.error('SHOPIFY_WEBHOOK_SECRET and SHOP_NAME (or --shop) must be set to sign and address the payload');
+  process.exit(1);
+}
+
+const fixture = path.join(__dirname, '../fixtures/webhooks', `${topic.replace('/', '-')}.json`);
+const body = fs.readFileSync(fixture);
+const hmac = crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const url = new URL(`/webhooks/${topic}`, baseUrl);
+const request = (url.protocol === 'https:' ? https : http).request(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Content-Length': body.length,
+    'X-Shopify-Topic': topic,
+    'X-Shopify-Hmac-Sha256': hmac,
+    'X-Shopify-Shop-Domain': shopName.includes('.') ? shopName : `${shopName}.myshopify.com`,
+    'X-Shopify-Webhook-Id': idArg ? idArg.slice('--id='.length) : crypto.randomUUID()
+  }
+}, (res) => {
+  let data = '';
+  res.on('data', chunk => { data += chunk; });
+  res.on('end', () => {
+    console.log(res.statusCode, data);
+    process.exit(res.statusCode < 300 ? 0 : 1);
+  });
+});
+
+request.on('error', (error) => {
+  console.error('Failed to send webhook:', error.message);
+  process.exit(1);
+});
+request.end(body);
@@ -0,0 +1,156 @@
+const { assertOneOf } = require('./analytics');
+const { FAILURE_STATUSES, INACTIVE_FULFILLMENTS } = require('./normalize');
+const { badRequest } = require('./errors');
+const { DAY_MS, percentile } = require('./numbers');
+
+const SHIPPING_GROUPINGS = ['carrier', 'service'];
+const DEFAULT_STUCK_DAYS = 7;
+// Without a carrier estimate, deliveries slower than this count as late
+const DEFAULT_LATE_AFTER_DAYS = 5;
+// How far back the stuck shipments list looks for open shipments
+const STUCK_LOOKBACK_DAYS = 90;
+
+const days = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+function wholeDays(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > 365) throw badRequest(`${name} must be 1 to 365 days`);
+  return number;
+}
+
+function parseShippingQuery(query) {
+  return {
+    groupBy: assertOneOf('groupBy', query.groupBy || 'carrier', SHIPPING_GROUPINGS),
+    stuckDays: wholeDays('stuckDays', query.stuckDays, DEFAULT_STUCK_DAYS),
+    lateAfterDays: wholeDays('lateAfterDays', query.lateAfterDays, DEFAULT_LATE_AFTER_DAYS)
+  };
+}
+
+// A delivery is late against the carrier's estimate when it has one, a day
+// of grace for estimates given as a date, and against lateAfterDays otherwise
+function isLate(fulfillment, transitDays, lateAfterDays) {
+  if (fulfillment.estimatedDeliveryAt) {
+    return days(fulfillment.estimatedDeliveryAt, fulfillment.deliveredAt) > 1;
+  }
+  return transitDays > lateAfterDays;
+}
+
+// Every live fulfillment of an order as a shipment with its timings. Shipped
+// means the fulfillment was created; stuck means still not delivered
+// `stuckDays` after that.
+function shipmentsOf(order, { now, stuckDays, lateAfterDays }) {
+  return (order.fulfillments || [])
+    .filter(fulfillment => !INACTIVE_FULFILLMENTS.includes(fulfillment.status))
+    .map(fulfillment => {
+      const delivered = Boolean(fulfillment.deliveredAt);
+      const transitDays = delivered ? days(fulfillment.createdAt, fulfillment.deliveredAt) : null;
+      const lastEvent = fulfillment.events[fulfillment.events.length - 1] || null;
+      return {
+        order,
+        fulfillment,
+        carrier: fulfillment.trackingCompany || 'Unknown',
+        service: order.shippingService || 'Unknown',
+        orderToShipDays: days(order.orderDate, fulfillment.createdAt),
+        transitDays,
+        daysSinceShipped: days(fulfillment.createdAt, now),
+        lastEvent,
+        delivered,
+        late: delivered ? isLate(fulfillment, transitDays, lateAfterDays) : null,
+        failing: fulfillment.failures.length > 0 || FAILURE_STATUSES.includes(fulfillment.shipmentStatus),
+        stuck: !delivered && days(fulfillment.createdAt, now) > stuckDays
+      };
+    });
+}
+
+const refundRate = (shipments) => (shipments.length > 0
+  ? (shipments.filter(shipment => shipment.order.refundType).length / shipments.length) * 100
+  : null);
+
+function summarizeShipments(shipments) {
+  const delivered = shipments.filter(shipment => shipment.delivered);
+  const late = delivered.filter(shipment => shipment.late);
+  const onTime = delivered.filter(shipment => !shipment.late);
+  const orderToShip = shipments.map(shipment => shipment.orderToShipDays).filter(value => value >= 0);
+  const transit = delivered.map(shipment => shipment.transitDays);
+  const share = (count) => (shipments.length > 0 ? (count / shipments.length) * 100 : 0);
+  const stuck = shipments.filter(shipment => shipment.stuck).length;
+  const failing = shipments.filter(shipment => shipment.failing).length;
+
+  return {
+    shipments: shipments.length,
+    delivered: delivered.length,
+    medianOrderToShipDays: percentile(orderToShip, 50),
+    p90OrderToShipDays: percentile(orderToShip, 90),
+    medianTransitDays: percentile(transit, 50),
+    p90TransitDays: percentile(transit, 90),
+    stuck,
+    stuckRate: share(stuck),
+    failing,
+    failingRate: share(failing),
+    late: late.length,
+    onTime: onTime.length,
+    lateRefundRate: refundRate(late),
+    onTimeRefundRate: refundRate(onTime)
+  };
+}
+
+// Shipping performance per carrier, or per carrier and shipping service,
+// for orders placed in the range. Stuck and failing reflect `now`.
+function carrierPerformance(orders, range, { groupBy = 'carrier', stuckDays = DEFAULT_STUCK_DAYS, lateAfterDays = DEFAULT_LATE_AFTER_DAYS, now = new Date() } = {}) {
+  const placed = orders.filter(order => {
+    const time = new Date(order.orderDate).getTime();
+    return time >= range.start.valueOf() && time <= range.end.valueOf();
+  });
+  const shipments = placed.flatMap(order => shipmentsOf(order, { now, stuckDays, lateAfterDays }));
+
+  const groups = new Map();
+  shipments.forEach(shipment => {
+    const key = groupBy === 'service' ? `${shipment.carrier}\u0000${shipment.service}` : shipment.carrier;
+    if (!groups.has(key)) groups.set(key, { carrier: shipment.carrier, service: groupBy === 'service' ? shipment.service : null, shipments: [] });
+    groups.get(key).shipments.push(shipment);
+  });
+
+  return {
+    totals: summarizeShipments(shipments),
+    carriers: Array.from(groups.values())
+      .map(({ shipments: grouped, ...group }) => ({ ...group, ...summarizeShipments(grouped) }))
+      .sort((a, b) => b.shipments - a.shipments)
+  };
+}
+
+// Open shipments support should chase: not delivered `stuckDays` after
+// shipping, or with a failed delivery attempt. Fully refunded orders are
+// already settled and left out.
+function stuckShipments(orders, { stuckDays = DEFAULT_STUCK_DAYS, now = new Date() } = {}) {
+  return orders
+    .filter(order => order.refundType !== 'full')
+    .flatMap(order => shipmentsOf(order, { now, stuckDays, lateAfterDays: DEFAULT_LATE_AFTER_DAYS }))
+    .filter(shipment => !shipment.delivered && (shipment.stuck || shipment.failing))
+    .map(({ order, fulfillment, ...shipment }) => ({
+      shop: order.shop,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      shippingName: order.shippingName,
+      adminUrl: order.adminUrl,
+      carrier: shipment.carrier,
+      service: shipment.service,
+      trackingNumber: fulfillment.trackingNumber,
+      trackingUrl: fulfillment.trackingUrl,
+      shippedAt: fulfillment.createdAt,
+      daysSinceShipped: Math.floor(shipment.daysSinceShipped),
+      status: fulfillment.shipmentStatus || fulfillment.status,
+      lastEventAt: shipment.lastEvent ? shipment.lastEvent.happenedAt : null,
+      lastEventMessage: shipment.lastEvent ? shipment.lastEvent.message : null,
+      issue: shipment.failing ? 'failing' : 'stuck'
+    }))
+    .sort((a, b) => b.daysSinceShipped - a.daysSinceShipped);
+}
+
+module.exports = {
+  SHIPPING_GROUPINGS,
+  STUCK_LOOKBACK_DAYS,
+  parseShippingQuery,
+  carrierPerformance,
+  stuckShipments
+};
@@ -0,0 +1,128 @@
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES, 10) || 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+// Keep a few calls in the bucket for webhooks, other apps and the admin
+const MIN_REMAINING_CALLS = 4;
+// The REST bucket leaks two calls a second
+const LEAK_MS = 500;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 520, 521, 522, 524];
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const statusOf = (error) => (error.response && error.response.statusCode) || error.statusCode || null;
+
+function isRetryable(error) {
+  const status = statusOf(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+  return RETRYABLE_CODES.includes(error.code) || error.name === 'TimeoutError';
+}
+
+// Exponential backoff with full jitter, never shorter than Retry-After
+function retryDelay(error, attempt) {
+  const backoff = Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  const retryAfter = error.response && error.response.headers && parseFloat(error.response.headers['retry-after']);
+  return Math.round(Math.max(backoff, retryAfter > 0 ? retryAfter * 1000 : 0));
+}
+
+// Calls to one shop's Admin API with retries on throttling, server errors
+// and dropped connections, paced by the call limit Shopify reports back.
+// Every attempt is timed into metrics under its `resource`.
+function createShopifyFetcher(shopify, { label = shopify.options && shopify.options.shopName } = {}) {
+  const log = logger.child({ shop: label });
+  // Latest X-Shopify-Shop-Api-Call-Limit, as shopify-api-node reports it
+  let callLimits = null;
+  shopify.on('callLimits', limits => {
+    callLimits = { ...limits };
+  });
+
+  async function waitForBucket() {
+    if (!callLimits || callLimits.remaining === undefined || callLimits.remaining >= MIN_REMAINING_CALLS) return;
+    const wait = (MIN_REMAINING_CALLS - callLimits.remaining) * LEAK_MS;
+    // Assume the wait drained the bucket until the next response says otherwise
+    callLimits = { ...callLimits, remaining: MIN_REMAINING_CALLS };
+    await sleep(wait);
+  }
+
+  async function timed(request, resource) {
+    const startedAt = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e6;
+    try {
+      const result = await request();
+      metrics.recordShopifyCall({ shop: label, resource, status: 200, durationMs: elapsed() });
+      return result;
+    } catch (error) {
+      const status = statusOf(error) || error.code || error.name;
+      metrics.recordShopifyCall({ shop: label, resource, status, durationMs: elapsed() });
+      throw error;
+    }
+  }
+
+  async function call(request, { onRetry, resource = 'other' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForBucket();
+      try {
+        return await timed(request, resource);
+      } catch (error) {
+        if (attempt >= MAX_RETRIES || !isRetryable(error)) throw error;
+        const delayMs = retryDelay(error, attempt);
+        const reason = statusOf(error) ? `HTTP ${statusOf(error)}` : error.code || error.message;
+        log.warn('Retrying Shopify call', { resource, reason, retry: attempt + 1, maxRetries: MAX_RETRIES, delayMs });
+        if (onRetry) onRetry({ attempt: attempt + 1, maxRetries: MAX_RETRIES, delayMs, reason });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  // Every page of an order listing. `onPage` gets each page with the cursor
+  // for the next one (null on the last page) before the next is requested,
+  // so callers can save progress and later resume from that cursor.
+  async function listOrders(params, { onPage, onRetry } = {}) {
+    let next = params;
+    let total = 0;
+    while (next) {
+      const page = next;
+      const orders = await call(() => shopify.order.list(page), { onRetry, resource: 'order.list' });
+      next = orders.nextPageParameters || null;
+      total += orders.length;
+      if (onPage) await onPage(Array.from(orders), next);
+    }
+    return total;
+  }
+
+  // Number of orders a listing will return, for progress reporting
+  const countOrders = (params, options) => call(() => shopify.order.count(params), { ...options, resource: 'order.count' });
+
+  const fetchFulfillmentEvents = (orderId, fulfillmentId, options) =>
+    call(() => shopify.fulfillmentEvent.list(orderId, fulfillmentId), { ...options, resource: 'fulfillment_event.list' });
+
+  // Product types for per-type return policies, line items do not carry them
+  async function fetchProductTypes(options) {
+    const types = {};
+    let params = { limit: 250, fields: 'id,product_type' };
+    while (params) {
+      const page = params;
+      const products = await call(() => shopify.product.list(page), { ...options, resource: 'product.list' });
+      products.forEach(product => {
+        types[product.id] = product.product_type || null;
+      });
+      params = products.nextPageParameters;
+    }
+    return types;
+  }
+
+  return {
+    call,
+    listOrders,
+    countOrders,
+    fetchFulfillmentEvents,
+    fetchProductTypes,
+    callLimits: () => callLimits
+  };
+}
+
+module.exports = { createShopifyFetcher, isRetryable, retryDelay, statusOf };
@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const Shopify = require('shopify-api-node');
+const moment = require('moment-timezone');
+const { createOrderStore } = require('./store');
+const { createShopifyFetcher } = require('./shopifyFetch');
+const { badRequest, httpError } = require('./errors');
+const { logger } = require('./logger');
+const { writeJsonFile } = require('./jsonFile');
+const { metrics } = require('./metrics');
+
+const ALL_SHOPS = 'all';
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+const SHOP_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// "my-store" and "my-store.myshopify.com" name the same shop
+const shopDomain = (shopName) => (shopName.includes('.') ? shopName : `${shopName}.myshopify.com`);
+
+const isSupportedLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Shopify's primary locale is often only a language, the shop's country
+// makes it a region so amounts and dates format the way the shop does
+function localeFor(primaryLocale, countryCode) {
+  if (!primaryLocale) return null;
+  const locale = primaryLocale.includes('-') || !countryCode ? primaryLocale : `${primaryLocale}-${countryCode}`;
+  return isSupportedLocale(locale) ? locale : null;
+}
+
+// A Shopify Admin API stand-in such as mockShopify, in place of the shop's
+// own myshopify.com host
+function parseApiUrl(apiUrl) {
+  try {
+    const url = new URL(apiUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Calls carry the shop's access token, so unless a stand-in is allowed they
+// may only go to Shopify itself
+const isShopifyUrl = (url) => url.protocol === 'https:' && url.hostname.endsWith('.myshopify.com');
+
+function validateShopConfig(config, { allowCustomApiUrl = false } = {}) {
+  if (!config || typeof config !== 'object') throw badRequest('Shop must be an object');
+  const { id, name, shopName, accessToken, timezone, currency, locale, webhookSecret, apiUrl } = config;
+  if (!id || !SHOP_ID_PATTERN.test(id) || id === ALL_SHOPS) {
+    throw badRequest('id must be lowercase letters, digits and dashes, and not "all"');
+  }
+  if (!shopName) throw badRequest('shopName is required');
+  if (!accessToken) throw badRequest('accessToken is required');
+  if (timezone && !moment.tz.zone(timezone)) throw badRequest(`Unknown timezone: ${timezone}`);
+  if (currency && !/^[A-Z]{3}$/.test(currency)) throw badRequest('currency must be a 3-letter ISO code');
+  if (locale && !isSupportedLocale(locale)) throw badRequest(`Unsupported locale: ${locale}`);
+  if (apiUrl && !parseApiUrl(apiUrl)) throw badRequest('apiUrl must be an http(s) URL');
+  if (apiUrl && !allowCustomApiUrl && !isShopifyUrl(parseApiUrl(apiUrl))) {
+    throw badRequest('apiUrl must be an https://*.myshopify.com URL unless ALLOW_CUSTOM_API_URL is set');
+  }
+
+  return {
+    id,
+    name: name || shopName,
+    shopName: shopName.replace(/^https?:\/\//, '').replace(/\/$/, ''),
+    accessToken,
+    timezone: timezone || null,
+    currency: currency || null,
+    locale: locale || null,
+    webhookSecret: webhookSecret || null,
+    apiUrl: apiUrl || null
+  };
+}
+
+// The single store configured through SHOP_NAME and ACCESS_TOKEN
+function envShopConfigs() {
+  if (process.env.SHOP_NAME && process.env.ACCESS_TOKEN) {
+    return [{
+      id: 'default',
+      name: process.env.SHOP_DISPLAY_NAME || process.env.SHOP_NAME,
+      shopName: process.env.SHOP_NAME,
+      accessToken: process.env.ACCESS_TOKEN,
+      timezone: process.env.SHOP_TIMEZONE,
+      currency: process.env.SHOP_CURRENCY,
+      locale: process.env.SHOP_LOCALE,
+      webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+      apiUrl: process.env.SHOPIFY_API_URL
+    }];
+  }
+  return [];
+}
+
+// The stored shop with `fallback`'s id takes the values set there, so
+// changing SHOP_NAME or ACCESS_TOKEN takes effect once the shops file exists
+function applyDefaults(config, fallback) {
+  const set = Object.fromEntries(Object.entries(fallback).filter(([, value]) => value !== undefined && value !== null));
+  const changed = Object.keys(set).filter(key => set[key] !== config[key]);
+  if (changed.length > 0) {
+    logger.info('Stored shop updated from the environment', { shop: config.id, fields: changed });
+  }
+  return { ...config, ...set };
+}
+
+// Shops come from the shops file; the first run falls back to `defaults`,
+// the env-configured store unless given, which later runs apply over the
+// stored shop of the same id
+function loadShopConfigs(file, { defaults = envShopConfigs(), allowCustomApiUrl } = {}) {
+  const validate = config => validateShopConfig(config, { allowCustomApiUrl });
+  if (fs.existsSync(file)) {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).map(config => {
+      const fallback = defaults.find(entry => entry.id === config.id);
+      return validate(fallback ? applyDefaults(config, fallback) : config);
+    });
+  }
+  return defaults.map(validate);
+}
+
+function saveShopConfigs(file, configs) {
+  // Holds access tokens, keep it private to the server user
+  writeJsonFile(file, configs, { mode: 0o600 });
+}
+
+// Everything the server holds for one shop: its Shopify client, its order
+// store and how to sync it
+function createShopContext(config, { dataDir, fields, backfillDays, maxLookbackDays, syncInterval }) {
+  const shopify = new Shopify({
+    shopName: config.shopName,
+    accessToken: config.accessToken,
+    apiVersion: '2024-01',
+    // A stand-in paces calls through the call limit header alone, which the fetcher follows
+    autoLimit: !config.apiUrl
+  });
+  if (config.apiUrl) {
+    const url = parseApiUrl(config.apiUrl);
+    shopify.baseUrl = { protocol: url.protocol, hostname: url.hostname, ...(url.port && { port: url.port }) };
+  }
+
+  const fetcher = createShopifyFetcher(shopify, { label: config.id });
+  const log = logger.child({ shop: config.id });
+
+  const store = createOrderStore({
+    file: path.join(dataDir, `orders-${config.id}.json`),
+    fetchOrders: fetcher.listOrders,
+    countOrders: fetcher.countOrders,
+    fetchFulfillmentEvents: fetcher.fetchFulfillmentEvents,
+    fetchProductTypes: fetcher.fetchProductTypes,
+    fields,
+    backfillDays,
+    maxLookbackDays,
+    logger: log
+  });
+  store.load();
+
+  const runSync = () => store.sync().catch(error => {
+    log.error('Order sync failed', error);
+  });
+
+  // Fill in timezone, currency and locale from Shopify when the config leaves them out
+  async function refreshShopInfo() {
+    if (config.timezone && config.currency && config.locale) return;
+    try {
+      const shop = await fetcher.call(
+        () => shopify.shop.get({ fields: 'iana_timezone,currency,primary_locale,country_code' }),
+        { resource: 'shop.get' }
+      );
+      config.timezone = config.timezone || shop.iana_timezone;
+      config.currency = config.currency || shop.currency;
+      config.locale = config.locale || localeFor(shop.primary_locale, shop.country_code);
+    } catch (error) {
+      log.error('Failed to load shop info', { error: error.message });
+    }
+  }
+
+  // Raw orders created within [start, end] from the local store
+  async function loadOrders(start, end) {
+    // Waits only on first run or when the range reaches past what we hold
+    try {
+      metrics.recordCacheLookup(config.id, await store.ensureCoverage(start));
+    } catch (error) {
+      metrics.recordCacheLookup(config.id, false);
+      // Retries are spent; what was fetched is kept and the next try resumes from it
+      const { resumeFrom } = store.status();
+      throw httpError(503, `Fetching orders from Shopify failed (${error.message}). ` +
+        (resumeFrom ? `${resumeFrom.orders} orders are in, the next request resumes from page ${resumeFrom.pages + 1}.` : 'Try again shortly.'));
+    }
+    if (store.isStale(syncInterval)) {
+      runSync();
+    }
+    return store.query({ start, end });
+  }
+
+  let timer = null;
+  function start() {
+    refreshShopInfo();
+    runSync();
+    timer = setInterval(runSync, syncInterval);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    store.flush();
+  }
+
+  const info = () => ({
+    id: config.id,
+    name: config.name,
+    shopName: config.shopName,
+    timezone: config.timezone || 'UTC',
+    currency: config.currency || 'USD',
+    locale: config.locale || DEFAULT_LOCALE
+  });
+
+  return {
+    id: config.id,
+    config,
+    shopify,
+    store,
+    info,
+    loadOrders,
+    runSync,
+    start,
+    stop,
+    domain: shopDomain(config.shopName),
+    adminOrderUrl: (orderId) => `https://${shopDomain(config.shopName)}/admin/orders/${orderId}`
+  };
+}
+
+function createShopRegistry({
+  file, dataDir, fields, backfillDays, maxLookbackDays, syncInterval, defaults, allowCustomApiUrl = false
+}) {
+  const options = { dataDir, fields, backfillDays, maxLookbackDays, syncInterval };
+  const shops = new Map();
+
+  loadShopConfigs(file, { defaults, allowCustomApiUrl }).forEach(config => {
+    shops.set(config.id, createShopContext(config, options));
+  });
+
+  const save = () => saveShopConfigs(file, Array.from(shops.values()).map(shop => shop.config));
+
+  function list() {
+    return Array.from(shops.values());
+  }
+
+  function get(id) {
+    return shops.get(id) || null;
+  }
+
+  // `shop` query value to the shops it covers; no value means the first shop
+  function resolve(param) {
+    if (param === ALL_SHOPS) return list();
+    if (!param) {
+      const first = list()[0];
+      if (!first) throw httpError(503, 'No shops are configured');
+      return [first];
+    }
+    const shop = get(param);
+    if (!shop) throw badRequest(`Unknown shop: ${param}`);
+    return [shop];
+  }
+
+  function byDomain(domain) {
+    return list().find(shop => shop.domain === domain) || null;
+  }
+
+  function add(config) {
+    const valid = validateShopConfig(config, { allowCustomApiUrl });
+    if (shops.has(valid.id)) throw httpError(409, `Shop ${valid.id} already exists`);
+    const shop = createShopContext(valid, options);
+    shops.set(valid.id, shop);
+    save();
+    shop.start();
+    return shop;
+  }
+
+  function remove(id) {
+    const shop = get(id);
+    if (!shop) return false;
+    shop.stop();
+    shops.delete(id);
+    save();
+    return true;
+  }
+
+  function startAll() {
+    // Persist the env-seeded shop so later additions do not drop it
+    if (!fs.existsSync(file) && shops.size > 0) save();
+    list().forEach(shop => shop.start());
+  }
+
+  function stopAll() {
+    list().forEach(shop => shop.stop());
+  }
+
+  return { list, get, resolve, byDomain, add, remove, startAll, stopAll };
+}
+
+module.exports = { ALL_SHOPS, DEFAULT_LOCALE, createShopRegistry, validateShopConfig };
@@ -0,0 +1,404 @@
+const fs = require('fs');
+const { logger: rootLogger } = require('./logger');
+const { scrubCustomer, emailKeyId } = require('./customers');
+const { writeJsonFile } = require('./jsonFile');
+const { isRetryable, statusOf } = require('./shopifyFetch');
+const { DAY_MS } = require('./numbers');
+
+// Re-read a little before the last seen updated_at so clock skew between
+// Shopify and us never drops an update
+const SYNC_OVERLAP_MS = 60 * 1000;
+// How long a change from a webhook waits for others before the store is written
+const SAVE_DELAY_MS = 2000;
+
+const earliest = (a, b) => (!a || (b && new Date(b) < new Date(a)) ? b : a);
+
+// File-backed store of raw Shopify orders. One backfill seeds it, after that
+// only orders updated since the last sync are pulled from Shopify.
+//
+// `fetchOrders(params, { onPage, onRetry })` pages through a listing and
+// hands each page over with the cursor for the next; `countOrders` sizes a
+// listing up front so progress can show a total. Queries never make the
+// store reach back further than `maxLookbackDays`.
+function createOrderStore({ file, fetchOrders, countOrders, fetchFulfillmentEvents, fetchProductTypes, fields, backfillDays = 730, maxLookbackDays = 5 * 365, logger = rootLogger }) {
+  let state = {
+    orders: {},
+    coveredFrom: null, // earliest created_at we have fully backfilled
+    lastUpdatedAt: null, // highest updated_at seen, cursor for incremental sync
+    lastSyncedAt: null,
+    crawl: null, // checkpoint of a listing still being paged through
+    fields: null, // order fields the stored orders were fetched with
+    emailKeyId: null, // key the stored email hashes were made with
+    productTypes: {} // product id -> product type, line items do not carry it
+  };
+  let syncing = null;
+  let saveTimer = null;
+  let progress = { running: false };
+  const listeners = new Set();
+
+  function load() {
+    try {
+      if (fs.existsSync(file)) {
+        state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        logger.info('Loaded order store', { file, orders: Object.keys(state.orders).length });
+      }
+    } catch (error) {
+      logger.error('Failed to load order store, starting empty', error);
+    }
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    // The store is large, skip the indentation
+    writeJsonFile(file, state, { space: 0 });
+  }
+
+  // Write the store shortly, once for a whole burst of changes such as the
+  // webhooks of a bulk edit. Webhooks never move the sync cursor, so what an
+  // exit before the write loses is fetched again by the next sync.
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      try {
+        save();
+      } catch (error) {
+        logger.error('Failed to save order store', { file, error: error.message });
+      }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  // Write now if a save is pending, e.g. before shutting down
+  function flush() {
+    if (saveTimer) save();
+  }
+
+  // `complete` when the order is Shopify's whole copy rather than a webhook
+  // payload that may leave fields out
+  function upsert(order, { complete = false } = {}) {
+    const existing = state.orders[order.id];
+    // Never let an older copy of an order overwrite a newer one
+    if (existing && existing.updated_at && order.updated_at &&
+        new Date(existing.updated_at) > new Date(order.updated_at)) {
+      return false;
+    }
+    // Only a customer id and an email hash are ever stored
+    const merged = { ...existing, ...scrubCustomer(order, { complete }) };
+    // Order payloads do not carry fulfillment events, keep the ones we recorded
+    if (existing && existing.fulfillments && order.fulfillments) {
+      merged.fulfillments = order.fulfillments.map(fulfillment => {
+        const previous = existing.fulfillments.find(f => f.id === fulfillment.id);
+        return !fulfillment.events && previous && previous.events
+          ? { ...fulfillment, events: previous.events, events_synced_for: previous.events_synced_for }
+          : fulfillment;
+      });
+    }
+    state.orders[order.id] = merged;
+    return true;
+  }
+
+  // Only orders a sync listed move the cursor. A webhook can bring a newer
+  // order while older changes whose webhooks were dropped are still unsynced.
+  function advanceCursor(orders) {
+    orders.forEach(({ updated_at: updatedAt }) => {
+      if (updatedAt && (!state.lastUpdatedAt || new Date(updatedAt) > new Date(state.lastUpdatedAt))) {
+        state.lastUpdatedAt = updatedAt;
+      }
+    });
+  }
+
+  // Apply an in-place change to a stored order, e.g. from a webhook.
+  // Returns false when we do not hold the order yet.
+  function update(id, mutate) {
+    const order = state.orders[id];
+    if (!order) return false;
+    mutate(order);
+    return true;
+  }
+
+  function get(id) {
+    return state.orders[id] || null;
+  }
+
+  function productTypes() {
+    return state.productTypes;
+  }
+
+  // Pull the tracking event history for fulfillments that changed since we
+  // last looked. Delivery dates come from these events.
+  async function refreshFulfillmentEvents(orders) {
+    if (!fetchFulfillmentEvents) return;
+
+    const pending = [];
+    orders.forEach(({ id }) => {
+      const order = state.orders[id];
+      (order && order.fulfillments || []).forEach(fulfillment => {
+        if (!fulfillment.events || fulfillment.events_synced_for !== fulfillment.updated_at) {
+          pending.push({ order, fulfillment });
+        }
+      });
+    });
+    if (pending.length === 0) return;
+
+    logger.info('Fetching fulfillment events', { fulfillments: pending.length });
+    for (const { order, fulfillment } of pending) {
+      try {
+        fulfillment.events = await fetchFulfillmentEvents(order.id, fulfillment.id, { onRetry });
+        fulfillment.events_synced_for = fulfillment.updated_at;
+      } catch (error) {
+        // Leave it pending, the next sync tries again
+        logger.error('Failed to fetch fulfillment events', {
+          orderId: order.id,
+          fulfillmentId: fulfillment.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // What the running sync has done so far, pushed to subscribers as it changes
+  function report(changes) {
+    progress = { ...progress, ...changes, updatedAt: new Date().toISOString() };
+    listeners.forEach(listener => listener(progress));
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  const onRetry = (retry) => report({ retry });
+
+  // Whether an order falls in the backfilled window. Orders created before
+  // it are left out of incremental syncs and webhooks alike, so a range the
+  // store does not cover reads as empty rather than partly filled.
+  const covers = (order) => Boolean(state.coveredFrom) && new Date(order.created_at) >= new Date(state.coveredFrom);
+
+  const acceptFor = (kind) => (kind === 'incremental' ? covers : () => true);
+
+  // Page through a listing from the checkpoint's cursor, storing each page
+  // and saving the cursor for the next one. A crawl that fails partway is
+  // picked up from its checkpoint by the next sync instead of starting over.
+  async function crawl(checkpoint) {
+    const accept = acceptFor(checkpoint.kind);
+    const before = checkpoint.orders;
+    state.crawl = checkpoint;
+    report({
+      running: true,
+      kind: checkpoint.kind,
+      pages: checkpoint.pages,
+      orders: checkpoint.orders,
+      total: checkpoint.total,
+      retry: null,
+      error: null
+    });
+
+    await fetchOrders(checkpoint.next, {
+      onRetry,
+      onPage: async (orders, next) => {
+        const kept = orders.filter(accept);
+        kept.forEach(order => upsert(order, { complete: true }));
+        advanceCursor(kept);
+        await refreshFulfillmentEvents(kept);
+        Object.assign(checkpoint, { next, pages: checkpoint.pages + 1, orders: checkpoint.orders + orders.length });
+        save();
+        report({ pages: checkpoint.pages, orders: checkpoint.orders, retry: null });
+      }
+    });
+
+    state.crawl = null;
+    return checkpoint.orders - before;
+  }
+
+  async function startCrawl(kind, params, extra = {}) {
+    let total = null;
+    if (countOrders) {
+      const filters = { ...params };
+      delete filters.limit;
+      delete filters.fields;
+      try {
+        total = await countOrders(filters, { onRetry });
+      } catch (error) {
+        // Progress without a total still counts pages
+        logger.warn('Failed to count orders', { error: error.message });
+      }
+    }
+    return crawl({ kind, ...extra, params, next: params, pages: 0, orders: 0, total, startedAt: new Date().toISOString() });
+  }
+
+  const backfillParams = (createdMin, createdMax) => ({
+    status: 'any',
+    created_at_min: createdMin,
+    ...(createdMax && { created_at_max: createdMax }),
+    limit: 250,
+    fields
+  });
+
+  // With no orders seen yet, anything updated since the window start counts
+  function incrementalParams() {
+    const cursor = state.lastUpdatedAt || state.coveredFrom;
+    return {
+      status: 'any',
+      updated_at_min: new Date(new Date(cursor).getTime() - SYNC_OVERLAP_MS).toISOString(),
+      limit: 250,
+      fields
+    };
+  }
+
+  function backfill(createdMin, createdMax) {
+    logger.info('Backfilling orders', { createdMin, createdMax });
+    return startCrawl('backfill', backfillParams(createdMin, createdMax), { coverFrom: createdMin });
+  }
+
+  // A cursor Shopify has stopped accepting fails the same way on every
+  // retry, so a checkpoint rejected outright starts its listing over.
+  // Checkpoints saved before they kept their params rebuild them.
+  async function resume(checkpoint) {
+    try {
+      return await crawl(checkpoint);
+    } catch (error) {
+      if (!statusOf(error) || isRetryable(error)) throw error;
+      logger.warn('Order crawl checkpoint rejected, starting the crawl over', {
+        kind: checkpoint.kind,
+        pages: checkpoint.pages,
+        error: error.message
+      });
+      state.crawl = null;
+      const { kind, coverFrom } = checkpoint;
+      const params = checkpoint.params || (kind === 'backfill' ? backfillParams(coverFrom) : incrementalParams());
+      return startCrawl(kind, params, coverFrom ? { coverFrom } : {});
+    }
+  }
+
+  async function runSync({ coverFrom } = {}) {
+    const now = new Date();
+    let fetched = 0;
+
+    // Finish whatever an earlier sync left halfway before anything else
+    if (state.crawl) {
+      const checkpoint = state.crawl;
+      logger.info('Resuming order crawl', { kind: checkpoint.kind, pages: checkpoint.pages, orders: checkpoint.orders });
+      fetched += await resume(checkpoint);
+      if (checkpoint.kind === 'backfill') state.coveredFrom = earliest(state.coveredFrom, checkpoint.coverFrom);
+    }
+
+    if (!state.coveredFrom) {
+      const start = coverFrom || new Date(now.getTime() - backfillDays * DAY_MS).toISOString();
+      state.fields = fields;
+      state.emailKeyId = emailKeyId();
+      fetched += await backfill(start);
+      state.coveredFrom = start;
+    } else {
+      // Orders stored before a field was added lack it, and emails hashed
+      // with another key no longer match; fetch everything we cover once
+      // more. Should that stop partway, its checkpoint resumes it.
+      if (state.fields !== fields || state.emailKeyId !== emailKeyId()) {
+        state.fields = fields;
+        state.emailKeyId = emailKeyId();
+        fetched += await backfill(state.coveredFrom);
+      }
+
+      // Extend the backfill when someone asks for data older than we hold
+      if (coverFrom && new Date(coverFrom) < new Date(state.coveredFrom)) {
+        fetched += await backfill(coverFrom, state.coveredFrom);
+        state.coveredFrom = coverFrom;
+      }
+
+      fetched += await startCrawl('incremental', incrementalParams());
+    }
+
+    if (fetchProductTypes) {
+      try {
+        state.productTypes = await fetchProductTypes({ onRetry });
+      } catch (error) {
+        // Stale types only affect per-type return policies, keep going
+        logger.warn('Failed to refresh product types', { error: error.message });
+      }
+    }
+
+    state.lastSyncedAt = now.toISOString();
+    save();
+    logger.info('Order sync finished', { fetched, stored: Object.keys(state.orders).length });
+    return fetched;
+  }
+
+  // Only one sync runs at a time, concurrent callers share it
+  function sync(options) {
+    if (!syncing) {
+      report({ running: true, kind: null, pages: 0, orders: 0, total: null, retry: null, error: null });
+      syncing = runSync(options)
+        .then(fetched => {
+          report({ running: false, retry: null, error: null });
+          return fetched;
+        }, error => {
+          report({ running: false, retry: null, error: error.message });
+          throw error;
+        })
+        .finally(() => {
+          syncing = null;
+        });
+    }
+    return syncing;
+  }
+
+  // Resolve once the store can answer queries starting at `from`, clamped
+  // to the maximum look-back. Only the first backfill is waited for; a range
+  // reaching back past what the store holds is answered from what it has
+  // while a backfill of the rest runs in the background, its progress
+  // streamed to subscribers. A sync already running is left to finish, the
+  // next request starts the backfill then. Resolves true when the store
+  // already held the range.
+  async function ensureCoverage(from) {
+    let held = true;
+    if (!state.coveredFrom) {
+      held = false;
+      await sync();
+    }
+    const oldest = new Date(Date.now() - maxLookbackDays * DAY_MS);
+    const wanted = from && new Date(Math.max(new Date(from).getTime(), oldest.getTime()));
+    if (wanted && wanted < new Date(state.coveredFrom)) {
+      held = false;
+      if (!syncing) {
+        logger.info('Backfilling older orders in the background', { coverFrom: wanted.toISOString() });
+        sync({ coverFrom: wanted.toISOString() }).catch(error => {
+          logger.error('Background backfill failed', { error: error.message });
+        });
+      }
+    }
+    return held;
+  }
+
+  function isStale(maxAgeMs) {
+    return !state.lastSyncedAt || Date.now() - new Date(state.lastSyncedAt).getTime() > maxAgeMs;
+  }
+
+  // Orders created within [start, end], newest first
+  function query({ start, end } = {}) {
+    const startTime = start ? new Date(start).getTime() : -Infinity;
+    const endTime = end ? new Date(end).getTime() : Infinity;
+    return Object.values(state.orders)
+      .filter(order => {
+        const created = new Date(order.created_at).getTime();
+        return created >= startTime && created <= endTime;
+      })
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  function status() {
+    return {
+      orders: Object.keys(state.orders).length,
+      coveredFrom: state.coveredFrom,
+      lastUpdatedAt: state.lastUpdatedAt,
+      lastSyncedAt: state.lastSyncedAt,
+      syncing: Boolean(syncing),
+      // Set while a crawl has pages left, including one that failed and will resume
+      resumeFrom: state.crawl && { kind: state.crawl.kind, pages: state.crawl.pages, orders: state.crawl.orders },
+      progress
+    };
+  }
+
+  return { load, save, saveSoon, flush, covers, sync, ensureCoverage, isStale, query, upsert, update, get, productTypes, status, subscribe };
+}
+
+module.exports = { createOrderStore };
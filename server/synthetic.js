@@ -0,0 +1,340 @@
+// Synthetic store data in the shape the Shopify Admin REST API returns it,
+// for fixture mode and tests. The same seed always gives the same store.
+
+const { DAY_MS, HOUR_MS, round2 } = require('./numbers');
+
+const PRODUCTS = [
+  { id: 8123456789012, title: 'HearSound Pro', sku: 'HS-PRO-01', price: 249, product_type: 'Hearing Aid' },
+  { id: 8123456789013, title: 'HearSound Lite', sku: 'HS-LITE-01', price: 149, product_type: 'Hearing Aid' },
+  { id: 8123456789014, title: 'Charging Case', sku: 'HS-CASE-01', price: 49, product_type: 'Accessory' },
+  { id: 8123456789015, title: 'Ear Tips (6 pack)', sku: 'HS-TIPS-06', price: 19, product_type: 'Accessory' },
+  { id: 8123456789016, title: 'Cleaning Kit', sku: 'HS-CLEAN-01', price: 15, product_type: 'Accessory' }
+];
+
+const PLACES = [
+  { city: 'Springfield', province: 'Illinois', province_code: 'IL', zip: '62704', country: 'United States', country_code: 'US' },
+  { city: 'Austin', province: 'Texas', province_code: 'TX', zip: '73301', country: 'United States', country_code: 'US' },
+  { city: 'Portland', province: 'Oregon', province_code: 'OR', zip: '97201', country: 'United States', country_code: 'US' },
+  { city: 'Brooklyn', province: 'New York', province_code: 'NY', zip: '11201', country: 'United States', country_code: 'US' },
+  { city: 'Miami', province: 'Florida', province_code: 'FL', zip: '33101', country: 'United States', country_code: 'US' },
+  { city: 'Denver', province: 'Colorado', province_code: 'CO', zip: '80202', country: 'United States', country_code: 'US' },
+  { city: 'Toronto', province: 'Ontario', province_code: 'ON', zip: 'M5V 2T6', country: 'Canada', country_code: 'CA' },
+  { city: 'Berlin', province: 'Berlin', province_code: 'BE', zip: '10115', country: 'Germany', country_code: 'DE' }
+];
+
+// Customers abroad pay in their own currency, units per US dollar
+const PRESENTMENT = { CA: { currency: 'CAD', rate: 1.36 }, DE: { currency: 'EUR', rate: 0.92 } };
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Okafor', 'Weber', 'Novak', 'Patel', 'Kim', 'Rossi', 'Dubois'];
+
+const CARRIERS = [
+  { company: 'USPS', url: (number) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}` },
+  { company: 'UPS', url: (number) => `https://www.ups.com/track?tracknum=${number}` },
+  { company: 'FedEx', url: (number) => `https://www.fedex.com/fedextrack/?trknbr=${number}` }
+];
+
+const SHIPPING = [
+  { title: 'Standard Shipping', price: 0, days: [3, 7] },
+  { title: 'Express Shipping', price: 14.95, days: [1, 3] }
+];
+
+const REFUND_NOTES = [
+  'Customer returned within trial',
+  'Too loud in one ear',
+  'Could not pair with phone',
+  'Arrived damaged',
+  'Ordered the wrong model',
+  'Changed mind',
+  null
+];
+
+const RETURN_REASONS = ['DEFECTIVE', 'NOT_AS_DESCRIBED', 'UNWANTED', 'WRONG_ITEM', 'SIZE_TOO_SMALL', 'OTHER', null];
+
+// mulberry32, small and good enough for shuffling fixtures
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    chance: (p) => next() < p,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
+
+const money = (value) => round2(value).toFixed(2);
+const iso = (ms) => new Date(ms).toISOString();
+
+// Shopify price set: the amount in the shop's currency and in the customer's
+const priceSet = (amount, presentment) => ({
+  shop_money: { amount: money(amount), currency_code: 'USD' },
+  presentment_money: { amount: money(amount * presentment.rate), currency_code: presentment.currency }
+});
+
+function createCustomers(random, count) {
+  return Array.from({ length: count }, (item, index) => {
+    const firstName = random.pick(FIRST_NAMES);
+    const lastName = random.pick(LAST_NAMES);
+    return {
+      // Guests check out with only an email
+      id: random.chance(0.85) ? 7000000000000 + index : null,
+      name: `${firstName} ${lastName}`,
+      email: `${firstName}.${lastName}.${index}@example.com`.toLowerCase(),
+      place: random.pick(PLACES),
+      // A few customers send nearly everything back
+      refundRate: index % 25 === 0 ? 0.8 : 0.18
+    };
+  });
+}
+
+// Carrier scans from pickup to the door. Some parcels never arrive, some
+// stall in transit, and some miss a delivery attempt first.
+function trackingEvents(random, fulfillment, shippedAt, transitDays, now) {
+  const events = [];
+  let id = fulfillment.id * 10;
+  const add = (status, at, extra = {}) => {
+    if (at > now) return false;
+    events.push({
+      id: id++,
+      fulfillment_id: fulfillment.id,
+      order_id: fulfillment.order_id,
+      status,
+      message: status.replace(/_/g, ' '),
+      happened_at: iso(at),
+      created_at: iso(at + 5 * 60 * 1000),
+      estimated_delivery_at: extra.estimated || null
+    });
+    return true;
+  };
+
+  const arrival = shippedAt + transitDays * DAY_MS + random.int(8, 18) * HOUR_MS;
+  // Most parcels keep the carrier's estimate, some come in days after it
+  const estimated = random.chance(0.2) ? arrival - random.int(2, 4) * DAY_MS : arrival;
+  if (!add('in_transit', shippedAt + random.int(4, 20) * HOUR_MS, { estimated: iso(estimated) })) return events;
+  if (random.chance(0.04)) return events; // stuck, no scan since
+  if (random.chance(0.06) && !add('attempted_delivery', arrival - DAY_MS)) return events;
+  if (!add('out_for_delivery', arrival - 6 * HOUR_MS)) return events;
+  if (random.chance(0.02)) {
+    add('failure', arrival);
+    return events;
+  }
+  add('delivered', arrival);
+  return events;
+}
+
+function createFulfillment(random, order, createdAt, shipping, now) {
+  const carrier = random.pick(CARRIERS);
+  const trackingNumber = `94001${String(order.id).slice(-8)}${random.int(10000, 99999)}`;
+  const shippedAt = createdAt + random.int(4, 36) * HOUR_MS;
+  const fulfillment = {
+    id: order.id * 10 + 1,
+    order_id: order.id,
+    status: 'success',
+    created_at: iso(shippedAt),
+    tracking_company: carrier.company,
+    tracking_number: trackingNumber,
+    tracking_url: carrier.url(trackingNumber)
+  };
+
+  const events = trackingEvents(random, fulfillment, shippedAt, random.int(...shipping.days), now);
+  const last = events[events.length - 1];
+  const shipmentStatus = last ? last.status : 'label_printed';
+  return {
+    fulfillment: {
+      ...fulfillment,
+      shipment_status: shipmentStatus,
+      updated_at: last ? last.created_at : fulfillment.created_at
+    },
+    events,
+    deliveredAt: shipmentStatus === 'delivered' ? Date.parse(last.happened_at) : null
+  };
+}
+
+// One refund of `lines` (each { item, quantity }), plus shipping when given.
+// Transactions are in the customer's currency, as Shopify records them.
+function createRefund(random, order, { id, at, lines, shipping = 0, adjustment = 0, presentment }) {
+  const merchandise = lines.reduce((total, { item, quantity }) => total + parseFloat(item.price) * quantity, 0);
+  const amount = merchandise + shipping + adjustment;
+  const returnReason = random.pick(RETURN_REASONS);
+  return {
+    id,
+    order_id: order.id,
+    created_at: iso(at),
+    processed_at: iso(at),
+    note: random.pick(REFUND_NOTES),
+    restock: lines.length > 0,
+    refund_line_items: lines.map(({ item, quantity }, index) => ({
+      id: id * 10 + index,
+      line_item_id: item.id,
+      quantity,
+      restock_type: random.chance(0.8) ? 'return' : 'no_restock',
+      return_reason: returnReason,
+      subtotal: round2(parseFloat(item.price) * quantity),
+      subtotal_set: priceSet(parseFloat(item.price) * quantity, presentment),
+      total_tax: 0,
+      total_tax_set: priceSet(0, presentment)
+    })),
+    refund_shipping_lines: shipping > 0
+      ? [{ id: id * 10 + 9, subtotal_amount_set: priceSet(shipping, presentment) }]
+      : [],
+    order_adjustments: adjustment > 0
+      ? [{ id: id * 10 + 8, kind: 'refund_discrepancy', amount: money(-adjustment), amount_set: priceSet(-adjustment, presentment) }]
+      : [],
+    transactions: [{
+      id: id * 10 + 7,
+      order_id: order.id,
+      kind: 'refund',
+      status: 'success',
+      gateway: 'shopify_payments',
+      amount: money(amount * presentment.rate),
+      currency: presentment.currency,
+      created_at: iso(at)
+    }]
+  };
+}
+
+// Refunds for one order: mostly one full refund, sometimes a partial one,
+// occasionally a second partial later. A few come before delivery, some
+// after the 30-day window.
+function createRefunds(random, order, { deliveredAt, createdAt, shippingPrice, presentment, now }) {
+  const lines = order.line_items.map(item => ({ item, quantity: item.quantity }));
+  const anchor = deliveredAt || createdAt + random.int(1, 3) * DAY_MS;
+  const firstAt = deliveredAt && random.chance(0.1)
+    ? createdAt + random.int(2, 20) * HOUR_MS
+    : anchor + random.int(1, random.chance(0.15) ? 60 : 28) * DAY_MS + random.int(0, 23) * HOUR_MS;
+  if (firstAt > now) return [];
+
+  const refundId = (index) => order.id * 100 + index;
+  const kind = random.next();
+  if (kind < 0.6) {
+    return [createRefund(random, order, { id: refundId(1), at: firstAt, lines, shipping: shippingPrice, presentment })];
+  }
+  if (kind < 0.8 || lines.length === 1) {
+    // A goodwill credit without anything coming back
+    const credit = round2(Math.min(parseFloat(order.subtotal_price), random.int(10, 60)));
+    return [createRefund(random, order, { id: refundId(1), at: firstAt, lines: [], adjustment: credit, presentment })];
+  }
+  const [first, ...rest] = lines;
+  const refunds = [createRefund(random, order, { id: refundId(1), at: firstAt, lines: [first], presentment })];
+  const secondAt = firstAt + random.int(2, 14) * DAY_MS;
+  if (random.chance(0.5) && secondAt <= now) {
+    refunds.push(createRefund(random, order, { id: refundId(2), at: secondAt, lines: rest, shipping: shippingPrice, presentment }));
+  }
+  return refunds;
+}
+
+function createOrder(random, index, { createdAt, customer, now }) {
+  const id = 5891000000000 + index * 17;
+  const items = Array.from({ length: random.chance(0.7) ? 1 : random.int(2, 3) }, () => random.pick(PRODUCTS))
+    .filter((product, position, all) => all.indexOf(product) === position);
+  const presentment = PRESENTMENT[customer.place.country_code] || { currency: 'USD', rate: 1 };
+  const shipping = random.chance(0.8) ? SHIPPING[0] : SHIPPING[1];
+
+  const lineItems = items.map((product, position) => {
+    const quantity = product.product_type === 'Accessory' ? random.int(1, 3) : 1;
+    return {
+      id: id * 10 + position,
+      product_id: product.id,
+      title: product.title,
+      sku: product.sku,
+      quantity,
+      price: money(product.price),
+      price_set: priceSet(product.price, presentment)
+    };
+  });
+  const subtotal = lineItems.reduce((total, item) => total + parseFloat(item.price) * item.quantity, 0);
+  const total = subtotal + shipping.price;
+
+  const order = {
+    id,
+    order_number: 1001 + index,
+    created_at: iso(createdAt),
+    email: customer.email,
+    customer: customer.id ? { id: customer.id } : null,
+    currency: 'USD',
+    presentment_currency: presentment.currency,
+    subtotal_price: money(subtotal),
+    total_price: money(total),
+    total_price_set: priceSet(total, presentment),
+    financial_status: 'paid',
+    fulfillment_status: null,
+    tags: random.chance(0.3) ? 'trial' : '',
+    shipping_address: { name: customer.name, address1: `${random.int(1, 999)} Main St`, ...customer.place },
+    shipping_lines: [{ title: shipping.title, price: money(shipping.price) }],
+    line_items: lineItems,
+    fulfillments: [],
+    refunds: []
+  };
+
+  const events = {};
+  let deliveredAt = null;
+  // Orders from the last few hours may not have shipped yet
+  if (createdAt < now - 6 * HOUR_MS && random.chance(0.97)) {
+    const shipped = createFulfillment(random, order, createdAt, shipping, now);
+    if (Date.parse(shipped.fulfillment.created_at) <= now) {
+      order.fulfillments.push(shipped.fulfillment);
+      order.fulfillment_status = 'fulfilled';
+      events[shipped.fulfillment.id] = shipped.events;
+      deliveredAt = shipped.deliveredAt;
+    }
+  }
+
+  if (random.chance(customer.refundRate)) {
+    order.refunds = createRefunds(random, order, { deliveredAt, createdAt, shippingPrice: shipping.price, presentment, now });
+    const refunded = order.refunds.reduce((sum, refund) => sum + parseFloat(refund.transactions[0].amount), 0);
+    if (order.refunds.length > 0) {
+      // Within a cent, line amounts are rounded one by one
+      const total = parseFloat(order.total_price_set.presentment_money.amount);
+      order.financial_status = refunded >= total - 0.01 ? 'refunded' : 'partially_refunded';
+    }
+  }
+
+  order.updated_at = iso(Math.max(
+    createdAt,
+    ...order.fulfillments.map(f => Date.parse(f.updated_at)),
+    ...order.refunds.map(refund => Date.parse(refund.created_at))
+  ));
+  return { order, events };
+}
+
+// A store with `orders` orders spread over the `days` before `now`, oldest
+// first. Fulfillment events are keyed by fulfillment id since order
+// payloads do not carry them.
+function generateShopData({ seed = 1, orders: count = 500, days = 365, now = new Date() } = {}) {
+  const random = createRandom(seed);
+  const nowMs = new Date(now).getTime();
+  const customers = createCustomers(random, Math.max(1, Math.ceil(count / 2)));
+
+  const times = Array.from({ length: count }, () => nowMs - random.next() * days * DAY_MS).sort((a, b) => a - b);
+  const orders = [];
+  const fulfillmentEvents = {};
+  times.forEach((createdAt, index) => {
+    const { order, events } = createOrder(random, index, { createdAt, customer: random.pick(customers), now: nowMs });
+    orders.push(order);
+    Object.assign(fulfillmentEvents, events);
+  });
+
+  return {
+    shop: {
+      id: 68801790181,
+      name: 'HearSound Demo',
+      myshopify_domain: 'hearsound-demo.myshopify.com',
+      iana_timezone: 'America/New_York',
+      currency: 'USD',
+      primary_locale: 'en',
+      country_code: 'US'
+    },
+    products: PRODUCTS.map(({ id, title, product_type: productType }) => ({ id, title, product_type: productType })),
+    orders,
+    fulfillmentEvents
+  };
+}
+
+module.exports = { generateShopData, createRandom };
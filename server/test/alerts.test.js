@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { validateRule, evaluateRule } = require('../alertRules');
+const { createAlertManager } = require('../alerts');
+const { normalizeOrder } = require('../normalize');
+const { logger } = require('../logger');
+const build = require('./builders');
+
+const NOW = new Date('2025-03-15T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// An order of `quantity` units of `sku`, placed on `placed` and refunded in
+// full on `refunded` when given
+function skuOrder(sku, { placed = '2025-03-10', refunded, quantity = 1 } = {}) {
+  const item = build.lineItem({ sku, quantity });
+  return normalizeOrder(build.order({
+    created_at: `${placed}T10:00:00Z`,
+    lineItems: [item],
+    ...(refunded && {
+      financial_status: 'refunded',
+      refunds: [build.refund({ createdAt: `${refunded}T10:00:00Z`, lines: [{ item }] })]
+    })
+  }));
+}
+
+const evaluate = (input, orders) => evaluateRule(validateRule(input), orders, NOW, 'UTC');
+
+test('rules fill in their type defaults and refuse malformed bodies', () => {
+  assert.deepEqual(validateRule({ type: 'refund_rate' }), {
+    type: 'refund_rate',
+    name: null,
+    shop: 'all',
+    threshold: 10,
+    windowDays: 7,
+    minOrders: 20,
+    cooldownHours: 24,
+    transport: null,
+    recipients: [],
+    enabled: true
+  });
+
+  const rejects = (input, message) => assert.throws(() => validateRule(input), { status: 400, message });
+  rejects(null, /must be an object/);
+  rejects({ type: 'refund_spike' }, /type must be one of/);
+  rejects({ type: 'refund_rate', threshold: '10' }, /threshold must be a positive number/);
+  rejects({ type: 'refund_rate', threshold: 0 }, /threshold must be a positive number/);
+  rejects({ type: 'refund_rate', windowDays: 0 }, /windowDays must be 1 to 365 days/);
+  rejects({ type: 'sku_refund_increase', baselineDays: 1.5 }, /baselineDays must be 1 to 365 days/);
+  rejects({ type: 'sku_refund_increase', minUnits: -1 }, /minUnits must be a whole number/);
+  rejects({ type: 'zscore', metric: 'orders' }, /metric must be one of/);
+  rejects({ type: 'refund_rate', cooldownHours: '5' }, /cooldownHours must be a number/);
+  rejects({ type: 'refund_rate', cooldownHours: -1 }, /cooldownHours must be a number/);
+});
+
+test('a refund rate fires once it crosses the threshold with enough orders', () => {
+  const orders = [
+    skuOrder('HS-PRO-01', { refunded: '2025-03-12' }),
+    skuOrder('HS-PRO-01'),
+    skuOrder('HS-PRO-01'),
+    skuOrder('HS-PRO-01')
+  ];
+
+  const [finding] = evaluate({ type: 'refund_rate', threshold: 20, minOrders: 4 }, orders);
+  assert.equal(finding.subject, null);
+  assert.equal(finding.value, 25);
+  assert.match(finding.message, /1 of 4 orders/);
+
+  assert.deepEqual(evaluate({ type: 'refund_rate', threshold: 25, minOrders: 4 }, orders), []);
+  assert.deepEqual(evaluate({ type: 'refund_rate', threshold: 20, minOrders: 5 }, orders), []);
+});
+
+test('SKU increases are measured against the baseline days before the window', () => {
+  const refunds = (sku, refunded, count) => Array.from({ length: count }, () => skuOrder(sku, { placed: '2025-02-01', refunded }));
+  const orders = [
+    // 4 units over the 28 baseline days expects 1 in the 7-day window
+    ...refunds('HS-PRO-01', '2025-02-20', 4),
+    ...refunds('HS-PRO-01', '2025-03-12', 3),
+    // 12 expects 3, and 3 is no increase
+    ...refunds('HS-TIPS-06', '2025-02-20', 12),
+    ...refunds('HS-TIPS-06', '2025-03-12', 3),
+    // Nothing in the baseline at all
+    ...refunds('HS-CLEAN-01', '2025-03-12', 3),
+    // Too few units to judge
+    ...refunds('HS-CASE-02', '2025-03-12', 2)
+  ];
+
+  const findings = evaluate({ type: 'sku_refund_increase', threshold: 50, minUnits: 3 }, orders);
+  assert.deepEqual(findings.map(({ subject, value }) => [subject, value]).sort(), [
+    ['HS-CLEAN-01', null],
+    ['HS-PRO-01', 200]
+  ]);
+  assert.match(findings.find(f => f.subject === 'HS-CLEAN-01').message, /up from none/);
+});
+
+test('a z-score fires on a spike yesterday and stays quiet over a flat history', () => {
+  const spike = Array.from({ length: 5 }, () => skuOrder('HS-PRO-01', { placed: '2025-03-01', refunded: '2025-03-14' }));
+  const rule = { type: 'zscore', metric: 'refunds', windowDays: 7, threshold: 3 };
+
+  // Seven days without a single refund have no spread to measure against
+  assert.deepEqual(evaluate(rule, spike), []);
+
+  const orders = [...spike, skuOrder('HS-PRO-01', { placed: '2025-03-01', refunded: '2025-03-08' })];
+  const [finding] = evaluate(rule, orders);
+  assert.equal(finding.subject, '2025-03-14');
+  assert.equal(finding.value, 12.85);
+  assert.deepEqual(evaluate({ ...rule, threshold: 13 }, orders), []);
+});
+
+// The manager and its routes over an alerts file in a temp dir, with every
+// shop selection loading `orders`
+function setup(t, { state } = {}) {
+  t.mock.method(logger, 'warn', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'alerts.json');
+  if (state) fs.writeFileSync(file, JSON.stringify(state));
+
+  const orders = [skuOrder('HS-PRO-01', { refunded: '2025-03-12' }), skuOrder('HS-PRO-01')];
+  const manager = createAlertManager({
+    file,
+    transports: { get: () => ({ validate: () => {} }), names: () => [] },
+    shops: { resolve: () => [], info: () => ({ timezone: 'UTC' }) },
+    loadOrders: async () => orders,
+    interval: HOUR_MS
+  });
+  manager.start();
+  t.after(() => manager.stop());
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', manager.router);
+  return { app, manager };
+}
+
+const rateRule = { type: 'refund_rate', threshold: 10, minOrders: 1, cooldownHours: 24 };
+const later = (hours) => new Date(NOW.getTime() + hours * HOUR_MS);
+
+test('a condition that fired stays quiet for the cooldown, then fires again', async (t) => {
+  const { app, manager } = setup(t);
+  await request(app).post('/api/alerts/rules').send(rateRule).expect(201);
+
+  assert.equal((await manager.evaluate(NOW)).length, 1);
+  assert.equal((await manager.evaluate(later(1))).length, 0);
+  assert.equal((await manager.evaluate(later(23))).length, 0);
+  assert.equal((await manager.evaluate(later(24))).length, 1);
+
+  const { body } = await request(app).get('/api/alerts').expect(200);
+  assert.equal(body.open, 2);
+});
+
+test('the cooldown holds after the firing has left the history', async (t) => {
+  const rule = { id: 'rule-1', ...validateRule(rateRule), createdAt: NOW.toISOString() };
+  const { manager } = setup(t, {
+    state: { rules: [rule], history: [], lastFiredAt: { 'rule-1:': later(-2).toISOString() } }
+  });
+
+  assert.equal((await manager.evaluate(NOW)).length, 0);
+  assert.equal((await manager.evaluate(later(22))).length, 1);
+});
+
+test('invalid rule bodies are refused by the API', async (t) => {
+  const { app } = setup(t);
+  await request(app).post('/api/alerts/rules').send({ ...rateRule, cooldownHours: '5' })
+    .expect(400, { error: 'cooldownHours must be a number, not negative' });
+  await request(app).post('/api/alerts/rules').send({ type: 'refund_rate', threshold: -5 })
+    .expect(400, { error: 'threshold must be a positive number' });
+  await request(app).put('/api/alerts/rules/missing').send(rateRule).expect(404);
+});
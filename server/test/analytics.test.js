@@ -0,0 +1,257 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analytics = require('../analytics');
+const { normalizeOrder } = require('../normalize');
+const build = require('./builders');
+
+const delivered = (at) => build.fulfillment({
+  shipment_status: 'delivered',
+  events: [build.trackingEvent('delivered', at)]
+});
+
+const pro = () => build.lineItem();
+
+// Fully refunded in two goes that straddle the end of January
+function splitRefund() {
+  const item = pro();
+  const kit = build.lineItem({ title: 'Cleaning Kit', sku: 'HS-CLEAN-01', price: '15.00' });
+  return normalizeOrder(build.order({
+    created_at: '2025-01-10T14:00:00Z',
+    lineItems: [item, kit],
+    financial_status: 'refunded',
+    fulfillments: [delivered('2025-01-14T18:00:00Z')],
+    refunds: [
+      build.refund({ createdAt: '2025-01-18T09:00:00Z', lines: [{ item: kit }] }),
+      build.refund({ createdAt: '2025-02-01T09:00:00Z', lines: [{ item }] })
+    ]
+  }));
+}
+
+function partialRefund() {
+  const tips = build.lineItem({ title: 'Ear Tips', sku: 'HS-TIPS-06', price: '19.00', quantity: 2 });
+  return normalizeOrder(build.order({
+    created_at: '2025-01-20T12:00:00Z',
+    lineItems: [pro(), tips],
+    financial_status: 'partially_refunded',
+    fulfillments: [delivered('2025-01-24T12:00:00Z')],
+    refunds: [build.refund({ createdAt: '2025-02-03T12:00:00Z', lines: [{ item: tips, quantity: 1 }] })]
+  }));
+}
+
+function refundedBeforeDelivery() {
+  const item = pro();
+  return normalizeOrder(build.order({
+    created_at: '2025-01-12T10:00:00Z',
+    lineItems: [item],
+    financial_status: 'refunded',
+    fulfillments: [delivered('2025-01-16T18:00:00Z')],
+    refunds: [build.refund({ createdAt: '2025-01-13T08:00:00Z', lines: [{ item }] })]
+  }));
+}
+
+// Placed on the 31st in UTC, still the 30th in New York
+const lateNight = () => normalizeOrder(build.order({ created_at: '2025-01-31T03:00:00Z' }));
+
+const orders = [splitRefund(), partialRefund(), refundedBeforeDelivery(), lateNight()];
+const range = (start, end, timezone = 'UTC') => analytics.resolveRange({ start, end, timezone });
+
+test('a full refund counts once, in the window of the refund that completed it', () => {
+  const january = analytics.summarize(orders, range('2025-01-01', '2025-01-31'));
+  assert.equal(january.totalOrders, 4);
+  assert.equal(january.fullRefunds, 1);
+  assert.equal(january.partialRefunds, 0);
+  // The first half of the split refund is money paid back in January all the same
+  assert.equal(january.fullRefundAmount, 264);
+  assert.equal(january.totalRefundAmount, 264);
+
+  const february = analytics.summarize(orders, range('2025-02-01', '2025-02-28'));
+  assert.equal(february.totalOrders, 0);
+  assert.equal(february.fullRefunds, 1);
+  assert.equal(february.partialRefunds, 1);
+  assert.equal(february.fullRefundAmount, 249);
+  assert.equal(february.partialRefundAmount, 19);
+  assert.equal(february.refundRate, 0);
+});
+
+test('revenue is what orders placed in the range took, less the refunds counted in it', () => {
+  const summary = analytics.summarize(orders, range('2025-01-01', '2025-01-31'));
+  assert.equal(summary.grossRevenue, 1049);
+  assert.equal(summary.netRevenue, 785);
+  assert.equal(summary.refundToRevenue, (264 / 1049) * 100);
+  assert.equal(summary.avgOrderValue, 1049 / 4);
+  assert.equal(summary.avgOrderValueAfterRefunds, 785 / 4);
+});
+
+test('refunds before delivery are left out of the average days to refund', () => {
+  assert.equal(analytics.summarize(orders, range('2025-01-01', '2025-01-31')).avgDaysToRefund, 0);
+  // 4 days for the split refund, 10 for the partial one
+  assert.equal(analytics.summarize(orders, range('2025-02-01', '2025-02-28')).avgDaysToRefund, 7);
+});
+
+test('the order date basis counts every refund against the month the order was placed', () => {
+  const summary = analytics.summarize(orders, range('2025-01-01', '2025-01-31'), { basis: 'order_date' });
+  assert.equal(summary.totalRefunds, 3);
+  assert.equal(summary.fullRefunds, 2);
+  assert.equal(summary.partialRefunds, 1);
+  assert.equal(summary.totalRefundAmount, 532);
+  assert.equal(summary.refundRate, 75);
+});
+
+test('days are whole days in the requested timezone', () => {
+  assert.equal(analytics.summarize(orders, range('2025-01-31', '2025-01-31')).totalOrders, 1);
+  assert.equal(analytics.summarize(orders, range('2025-01-31', '2025-01-31', 'America/New_York')).totalOrders, 0);
+  assert.equal(analytics.summarize(orders, range('2025-01-30', '2025-01-30', 'America/New_York')).totalOrders, 1);
+
+  const newYork = range('2025-01-15', '2025-01-15', 'America/New_York');
+  assert.equal(newYork.start.toISOString(), '2025-01-15T05:00:00.000Z');
+  assert.equal(newYork.end.toISOString(), '2025-01-16T04:59:59.999Z');
+});
+
+test('resolveRange rejects unknown timezones and backwards ranges', () => {
+  assert.throws(() => range('2025-01-01', '2025-01-31', 'Mars/Olympus'), { status: 400, message: /Unknown timezone/ });
+  assert.throws(() => range('2025-01-31', '2025-01-01'), { status: 400, message: /end must not be before start/ });
+  assert.throws(() => range('2025-01-01', 'soon'), { status: 400 });
+  assert.throws(() => analytics.parseQuery({ start: '2025-01-01', end: '2025-01-31', basis: 'ship_date' }), { status: 400 });
+});
+
+test('timeseries buckets are clipped to the range', () => {
+  const points = analytics.timeseries(orders, range('2025-01-15', '2025-02-10'), { bucket: 'month' });
+  assert.deepEqual(
+    points.map(point => [point.bucketStart, point.bucketEnd]),
+    [
+      ['2025-01-15T00:00:00.000+00:00', '2025-01-31T23:59:59.999+00:00'],
+      ['2025-02-01T00:00:00.000+00:00', '2025-02-10T23:59:59.999+00:00']
+    ]
+  );
+  assert.deepEqual(points.map(point => point.orders), [2, 0]);
+  assert.deepEqual(points.map(point => point.refunds), [0, 2]);
+  assert.deepEqual(points.map(point => point.refundAmount), [15, 268]);
+  assert.deepEqual(points.map(point => point.grossRevenue), [536, 0]);
+});
+
+test('daily buckets follow the timezone', () => {
+  const points = analytics.timeseries(orders, range('2025-01-30', '2025-01-31', 'America/New_York'));
+  assert.deepEqual(points.map(point => point.bucketStart), ['2025-01-30T00:00:00.000-05:00', '2025-01-31T00:00:00.000-05:00']);
+  assert.deepEqual(points.map(point => point.orders), [1, 0]);
+});
+
+test('product breakdown counts partial quantities and keeps items without a product or SKU apart', () => {
+  const pair = build.lineItem({ quantity: 2 });
+  const black = build.lineItem({ sku: 'HS-PRO-01-BLK' });
+  const engraving = build.lineItem({ product_id: null, sku: null, title: 'Engraving', price: '10.00' });
+  const engravingRefund = build.refund({ createdAt: '2025-01-20T10:00:00Z', lines: [{ item: engraving }] });
+  engravingRefund.refund_line_items[0].restock_type = 'no_restock';
+  const placed = [
+    normalizeOrder(build.order({
+      lineItems: [pair],
+      refunds: [build.refund({ createdAt: '2025-01-20T10:00:00Z', lines: [{ item: pair, quantity: 1 }] })]
+    })),
+    normalizeOrder(build.order({ lineItems: [black, engraving], refunds: [engravingRefund] }))
+  ];
+  const units = ({ key, unitsSold, unitsRefunded, unitsRestocked, refundedRevenue, refundRate }) =>
+    ({ key, unitsSold, unitsRefunded, unitsRestocked, refundedRevenue, refundRate });
+
+  const bySku = analytics.productBreakdown(placed, range('2025-01-01', '2025-01-31'));
+  assert.deepEqual(bySku.map(units), [
+    { key: 'HS-PRO-01', unitsSold: 2, unitsRefunded: 1, unitsRestocked: 1, refundedRevenue: 249, refundRate: 50 },
+    { key: 'N/A', unitsSold: 1, unitsRefunded: 1, unitsRestocked: 0, refundedRevenue: 10, refundRate: 100 },
+    { key: 'HS-PRO-01-BLK', unitsSold: 1, unitsRefunded: 0, unitsRestocked: 0, refundedRevenue: 0, refundRate: 0 }
+  ]);
+  assert.equal(bySku[1].productId, null);
+  assert.equal(bySku[1].title, 'Engraving');
+
+  // Variants of one product add up; an item with no product is known by its title
+  const byProduct = analytics.productBreakdown(placed, range('2025-01-01', '2025-01-31'), { groupBy: 'product' });
+  assert.deepEqual(byProduct.map(units), [
+    { key: '8123456789012', unitsSold: 3, unitsRefunded: 1, unitsRestocked: 1, refundedRevenue: 249, refundRate: (1 / 3) * 100 },
+    { key: 'Engraving', unitsSold: 1, unitsRefunded: 1, unitsRestocked: 0, refundedRevenue: 10, refundRate: 100 }
+  ]);
+  assert.equal(byProduct[0].sku, null);
+});
+
+test('cohorts take each order in the month it was placed in shop time', () => {
+  const refundedPro = (createdAt, refundedAt, extra = {}) => {
+    const item = pro();
+    return normalizeOrder(build.order({
+      created_at: createdAt,
+      lineItems: [item],
+      financial_status: 'refunded',
+      refunds: [build.refund({ createdAt: refundedAt, lines: [{ item }] })],
+      ...extra
+    }));
+  };
+  const placed = [
+    // 22:00 on 31 January in New York, 03:00 on 1 February in UTC
+    normalizeOrder(build.order({ created_at: '2025-02-01T03:00:00Z' })),
+    // 01:00 on 1 February in New York
+    refundedPro('2025-02-01T06:00:00Z', '2025-02-05T10:00:00Z'),
+    refundedPro('2025-02-10T12:00:00Z', '2025-03-20T12:00:00Z', { fulfillments: [delivered('2025-02-14T12:00:00Z')] })
+  ];
+  const months = range('2025-01-01', '2025-02-28', 'America/New_York');
+  const summary = (rows) => rows.map(row => ({
+    cohortStart: row.cohortStart,
+    orders: row.orders,
+    excluded: row.excluded,
+    cells: row.cells.map(cell => cell.refunds)
+  }));
+
+  const byPurchase = analytics.cohorts(placed, months, { anchor: 'purchase', marks: [7, 60], now: new Date('2025-06-01T00:00:00Z') });
+  assert.deepEqual(summary(byPurchase), [
+    { cohortStart: '2025-01-01T00:00:00.000-05:00', orders: 1, excluded: 0, cells: [0, 0] },
+    { cohortStart: '2025-02-01T00:00:00.000-05:00', orders: 2, excluded: 0, cells: [1, 2] }
+  ]);
+  assert.equal(byPurchase[1].cells[0].refundRate, 50);
+  assert.equal(byPurchase[1].cells[1].refundAmount, 498);
+  // The same orders in UTC put the late-night one in February
+  const inUtc = analytics.cohorts(placed, range('2025-01-01', '2025-02-28'), { anchor: 'purchase', marks: [7] });
+  assert.deepEqual(inUtc.map(row => row.orders), [0, 3]);
+
+  // Orders not delivered have nothing to count from; marks the newest
+  // delivery has not reached yet stay empty
+  const byDelivery = analytics.cohorts(placed, months, { marks: [7, 60], now: new Date('2025-03-01T00:00:00Z') });
+  assert.deepEqual(summary(byDelivery), [
+    { cohortStart: '2025-01-01T00:00:00.000-05:00', orders: 0, excluded: 1, cells: [null, null] },
+    { cohortStart: '2025-02-01T00:00:00.000-05:00', orders: 1, excluded: 1, cells: [0, null] }
+  ]);
+});
+
+test('geo breakdown groups by country and province, with unknown places kept apart', () => {
+  const shippedTo = (address, refundedAt) => {
+    const item = pro();
+    return normalizeOrder(build.order({
+      lineItems: [item],
+      shipping_address: address,
+      ...(refundedAt && {
+        financial_status: 'refunded',
+        fulfillments: [delivered('2025-01-14T18:00:00Z')],
+        refunds: [build.refund({ createdAt: refundedAt, lines: [{ item }] })]
+      })
+    }));
+  };
+  const illinois = { country: 'United States', country_code: 'US', province: 'Illinois', province_code: 'IL', zip: '62704' };
+  const placed = [
+    shippedTo(illinois, '2025-01-20T18:00:00Z'),
+    shippedTo(illinois),
+    shippedTo({ ...illinois, province: null, province_code: null }),
+    shippedTo({ country: 'Canada', country_code: 'CA', province: 'Ontario', province_code: 'ON', zip: 'M5V 2T6' }, '2025-01-18T18:00:00Z'),
+    shippedTo(null)
+  ];
+  const january = range('2025-01-01', '2025-01-31');
+  const regions = (rows) => rows.map(({ key, countryCode, name, orders: count, refunds, refundAmount, avgDaysToRefund }) =>
+    ({ key, countryCode, name, orders: count, refunds, refundAmount, avgDaysToRefund }));
+
+  assert.deepEqual(regions(analytics.geoBreakdown(placed, january)), [
+    { key: 'US', countryCode: 'US', name: 'United States', orders: 3, refunds: 1, refundAmount: 249, avgDaysToRefund: 6 },
+    { key: 'CA', countryCode: 'CA', name: 'Canada', orders: 1, refunds: 1, refundAmount: 249, avgDaysToRefund: 4 },
+    { key: 'unknown', countryCode: null, name: null, orders: 1, refunds: 0, refundAmount: 0, avgDaysToRefund: null }
+  ]);
+
+  const states = analytics.geoBreakdown(placed, january, { level: 'province', country: 'US' });
+  assert.deepEqual(states.map(({ key, code, orders: count, refundRate }) => ({ key, code, orders: count, refundRate })), [
+    { key: 'US-IL', code: 'IL', orders: 2, refundRate: 50 },
+    { key: 'US-unknown', code: null, orders: 1, refundRate: 0 }
+  ]);
+
+  const zips = analytics.geoBreakdown(placed, january, { level: 'zip3' });
+  assert.deepEqual(zips.map(row => row.key), ['US-627', 'CA-M5V', 'unknown-unknown']);
+});
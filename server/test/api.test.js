@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The logger reads its level on load; keep request lines out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const request = require('supertest');
+const { createAuth } = require('../auth');
+const { startMockShopify } = require('../mockShopify');
+const { generateShopData } = require('../synthetic');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'refund-api-test-'));
+const origin = 'http://localhost:3000';
+const data = generateShopData({ seed: 7, orders: 60 });
+
+let shopify;
+let server;
+
+// The server reads its configuration on require, so it is loaded once the
+// stand-in Shopify is up and the environment points at it
+test.before(async () => {
+  shopify = await startMockShopify({ data, leakPerSecond: 40 });
+  Object.assign(process.env, {
+    DATA_SOURCE: 'fixture',
+    DATA_DIR: dataDir,
+    SHOPIFY_API_URL: shopify.url,
+    PORT: '0',
+    SYNC_INTERVAL_MS: String(60 * 60 * 1000),
+    ALERT_INTERVAL_MS: String(60 * 60 * 1000)
+  });
+
+  // Users exist up front so the server does not bootstrap its own admin
+  const auth = createAuth({ dataDir });
+  await auth.createUser({ username: 'admin', password: 'admin-password', role: 'admin' });
+  await auth.createUser({ username: 'viewer', password: 'viewer-password', role: 'viewer' });
+
+  server = require('../index');
+});
+
+test.after(async () => {
+  await server.close();
+  await new Promise(resolve => shopify.server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function signIn(username, password) {
+  const agent = request.agent(server.app);
+  await agent.post('/api/auth/login').set('Origin', origin).send({ username, password }).expect(200);
+  return agent;
+}
+
+// Every synthetic order falls inside the last year, give or take a timezone
+const everything = () => ({
+  shop: 'demo',
+  start: moment.utc().subtract(400, 'days').format('YYYY-MM-DD'),
+  end: moment.utc().add(1, 'day').format('YYYY-MM-DD')
+});
+
+test('the API refuses requests without a session', async () => {
+  await request(server.app).get('/api/analytics/summary').query(everything()).expect(401);
+  await request(server.app)
+    .post('/api/auth/login')
+    .set('Origin', origin)
+    .send({ username: 'admin', password: 'wrong-password' })
+    .expect(401);
+});
+
+test('the summary covers every order synced from Shopify', async () => {
+  const agent = await signIn('viewer', 'viewer-password');
+  const { body } = await agent.get('/api/analytics/summary').query(everything()).expect(200);
+
+  assert.equal(body.shop, 'demo');
+  assert.equal(body.currency, data.shop.currency);
+  assert.equal(body.totalOrders, data.orders.length);
+  assert.ok(body.totalRefunds > 0);
+  assert.equal(body.totalRefunds, body.fullRefunds + body.partialRefunds);
+  assert.equal(body.netRevenue, Math.round((body.grossRevenue - body.totalRefundAmount) * 100) / 100);
+});
+
+test('shipping performance compares refunds on late and on-time deliveries', async () => {
+  const agent = await signIn('viewer', 'viewer-password');
+  const { body } = await agent.get('/api/analytics/shipping').query(everything()).expect(200);
+
+  assert.ok(body.totals.late > 0);
+  assert.ok(body.totals.late < body.totals.delivered);
+  assert.equal(typeof body.totals.lateRefundRate, 'number');
+});
+
+test('stuck shipments are listed oldest first, filtered by stuckDays', async () => {
+  const agent = await signIn('viewer', 'viewer-password');
+  const { body } = await agent.get('/api/shipments/stuck').query({ shop: 'demo', stuckDays: 3 }).expect(200);
+
+  assert.equal(body.stuckDays, 3);
+  assert.ok(body.shipments.length > 0);
+  const waits = body.shipments.map(shipment => shipment.daysSinceShipped);
+  assert.deepEqual(waits, [...waits].sort((a, b) => b - a));
+  body.shipments.forEach(shipment => {
+    assert.notEqual(shipment.status, 'delivered');
+    if (shipment.issue === 'stuck') assert.ok(shipment.daysSinceShipped >= 3);
+  });
+
+  // The longest wait leaves only failing deliveries
+  const { body: longest } = await agent.get('/api/shipments/stuck').query({ shop: 'demo', stuckDays: 365 }).expect(200);
+  assert.ok(longest.shipments.every(shipment => shipment.issue === 'failing'));
+  assert.ok(longest.shipments.length < body.shipments.length);
+
+  await agent.get('/api/shipments/stuck').query({ shop: 'demo', stuckDays: 'soon' })
+    .expect(400, { error: 'stuckDays must be 1 to 365 days' });
+});
+
+test('orders lists the refunded orders in the range, a page at a time', async () => {
+  const agent = await signIn('viewer', 'viewer-password');
+  const { body: summary } = await agent.get('/api/analytics/summary').query(everything()).expect(200);
+  const { body } = await agent.get('/api/orders').query({ ...everything(), pageSize: 5 }).expect(200);
+
+  assert.equal(body.total, summary.totalRefunds);
+  assert.equal(body.orders.length, Math.min(5, body.total));
+  body.orders.forEach(order => {
+    assert.equal(order.shop, 'demo');
+    assert.ok(['full', 'partial'].includes(order.refundType));
+    assert.ok(order.refunds.length > 0);
+  });
+});
+
+test('export summaries give the range in the shop timezone', async () => {
+  const agent = await signIn('viewer', 'viewer-password');
+  const { body } = await agent.get('/api/export')
+    .query({ shop: 'demo', start: '2024-03-01', end: '2024-03-31', format: 'json' })
+    .expect(200);
+
+  assert.equal(body.summary.timezone, data.shop.iana_timezone);
+  assert.equal(body.summary.start, '2024-03-01T00:00:00-05:00');
+  assert.equal(body.summary.end, '2024-03-31T23:59:59-04:00');
+});
+
+test('bad query parameters are a 400 naming the problem', async () => {
+  const agent = await signIn('viewer', 'viewer-password');
+  const cases = [
+    [{ ...everything(), start: undefined }, /start and end are required/],
+    [{ ...everything(), timezone: 'Mars/Olympus' }, /Unknown timezone/],
+    [{ ...everything(), basis: 'ship_date' }, /basis must be one of/],
+    [{ ...everything(), start: '2025-02-01', end: '2025-01-01' }, /end must not be before start/],
+    [{ ...everything(), start: '1970-01-01' }, /start must be within the last \d+ days/],
+    [{ ...everything(), shop: 'nowhere' }, /shop/i]
+  ];
+
+  for (const [query, message] of cases) {
+    const { body } = await agent.get('/api/analytics/summary').query(query).expect(400);
+    assert.match(body.error, message);
+  }
+});
+
+test('writes from origins outside the allow list are refused', async () => {
+  const agent = await signIn('admin', 'admin-password');
+  await agent
+    .put('/api/policy')
+    .set('Origin', 'https://attacker.example')
+    .send({ windowDays: 60, startBasis: 'delivery', rules: [] })
+    .expect(403, { error: 'Origin not allowed' });
+  await request(server.app)
+    .post('/api/auth/login')
+    .set('Origin', 'https://attacker.example')
+    .send({ username: 'admin', password: 'admin-password' })
+    .expect(403);
+  // Reads are left to CORS, which hides the response from the page
+  await agent.get('/api/shops').set('Origin', 'https://attacker.example').expect(200);
+});
+
+test('viewers cannot change settings', async () => {
+  const agent = await signIn('viewer', 'viewer-password');
+  await agent.put('/api/policy').set('Origin', origin).send({ windowDays: 60, startBasis: 'delivery', rules: [] }).expect(403);
+});
+
+test('a re-tagged refund comes back in the currency the table shows', async (t) => {
+  const agent = await signIn('admin', 'admin-password');
+  const put = (path, body, query = {}) => agent.put(path).set('Origin', origin).query(query).send(body);
+  await put('/api/currency-rates', { base: data.shop.currency, rates: { EUR: 0.5 } }).expect(200);
+  t.after(() => put('/api/currency-rates', { base: data.shop.currency, rates: {} }));
+
+  const { body: { orders: [order] } } = await agent.get('/api/orders').query({ ...everything(), pageSize: 1 }).expect(200);
+  const { body: { options } } = await agent.get('/api/reasons').expect(200);
+  const url = `/api/orders/${order.shop}/${order.id}/refunds/${order.refunds[0].id}/reason`;
+
+  const { body } = await put(url, { reason: options[0].key }, { currency: 'EUR' }).expect(200);
+  assert.equal(body.currency, 'EUR');
+  assert.equal(body.refundAmount, Math.round(order.refundAmount * 50) / 100);
+  assert.equal(body.refunds[0].reason, options[0].key);
+
+  await put(url, { reason: null }, { currency: 'euros' }).expect(400, { error: 'currency must be a 3-letter ISO code' });
+  assert.equal((await put(url, { reason: null }).expect(200)).body.currency, data.shop.currency);
+});
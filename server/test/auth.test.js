@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createAuth } = require('../auth');
+const { logger } = require('../logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Login and a session-guarded route, as the server mounts them, over a data
+// dir holding one admin and whatever sessions `sessions` lists. `passwordHash`
+// replaces the admin's stored hash.
+async function setup(t, { sessions, passwordHash } = {}) {
+  t.mock.method(logger, 'warn', () => {});
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const admin = await createAuth({ dataDir }).createUser({ username: 'admin', password: 'admin-password', role: 'admin' });
+  if (sessions) {
+    fs.writeFileSync(path.join(dataDir, 'sessions.json'), JSON.stringify(sessions(admin)));
+  }
+  if (passwordHash) {
+    const usersFile = path.join(dataDir, 'users.json');
+    const users = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+    fs.writeFileSync(usersFile, JSON.stringify(users.map(user => ({ ...user, passwordHash }))));
+  }
+
+  const auth = createAuth({ dataDir });
+  const app = express();
+  app.use(express.json());
+  app.use('/api', auth.router);
+  app.use('/api', auth.requireAuth);
+  app.get('/api/test', (req, res) => res.json({ user: req.user.username }));
+  return { app, dataDir };
+}
+
+const login = (app, password) => request(app).post('/api/auth/login').send({ username: 'admin', password });
+
+test('a session cookie that does not decode is treated as absent', async (t) => {
+  const { app } = await setup(t);
+  await request(app).get('/api/test').set('Cookie', 'hs_session=%E0%A4%A').expect(401, { error: 'Authentication required' });
+  await request(app).get('/api/auth/me').set('Cookie', 'theme=dark; hs_session=%E0%A4%A').expect(401);
+});
+
+test('a username is locked out after repeated bad passwords', async (t) => {
+  const { app } = await setup(t);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await login(app, 'wrong-password').expect(401);
+  }
+  // Even the right password waits out the lockout
+  await login(app, 'admin-password').expect(429, { error: 'Too many failed logins, try again later' });
+});
+
+test('bad passwords sent together each count towards the lockout', async (t) => {
+  const { app } = await setup(t);
+  const responses = await Promise.all(Array.from({ length: 10 }, () => login(app, 'wrong-password')));
+  const statuses = responses.map(response => response.status).sort();
+  assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429, 429, 429, 429, 429]);
+  await login(app, 'admin-password').expect(429);
+});
+
+test('a stored hash that decodes to nothing matches no password', async (t) => {
+  const { app } = await setup(t, { passwordHash: 'scrypt:ab:zz' });
+  await login(app, 'any-password-at-all').expect(401, { error: 'Invalid username or password' });
+});
+
+test('a lockout ends after its time and the failures before it stop counting', async (t) => {
+  const { app } = await setup(t);
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await login(app, 'wrong-password').expect(401);
+  }
+  await login(app, 'admin-password').expect(429);
+
+  now += 15 * 60 * 1000;
+  // One more slip is a plain failure, not a fresh lockout
+  await login(app, 'wrong-password').expect(401);
+  await login(app, 'admin-password').expect(200);
+});
+
+test('unknown usernames are refused like wrong passwords', async (t) => {
+  const { app } = await setup(t);
+  await request(app).post('/api/auth/login').send({ username: 'nobody', password: 'admin-password' })
+    .expect(401, { error: 'Invalid username or password' });
+  await login(app, undefined).expect(401, { error: 'Invalid username or password' });
+});
+
+test('a good login before the limit clears the failure count', async (t) => {
+  const { app } = await setup(t);
+  for (let attempt = 0; attempt < 4; attempt++) {
+    await login(app, 'wrong-password').expect(401);
+  }
+  await login(app, 'admin-password').expect(200);
+  await login(app, 'wrong-password').expect(401);
+  await login(app, 'admin-password').expect(200);
+});
+
+test('expired sessions are refused and forgotten, live ones let the request through', async (t) => {
+  const expired = crypto.randomBytes(32).toString('hex');
+  const live = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const { app, dataDir } = await setup(t, {
+    sessions: (admin) => ({
+      [expired]: { userId: admin.id, createdAt: now - 13 * HOUR_MS, expiresAt: now - HOUR_MS },
+      [live]: { userId: admin.id, createdAt: now, expiresAt: now + HOUR_MS }
+    })
+  });
+
+  await request(app).get('/api/test').set('Cookie', `hs_session=${expired}`).expect(401);
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'sessions.json'), 'utf8'));
+  assert.deepEqual(Object.keys(stored), [live]);
+
+  await request(app).get('/api/test').set('Cookie', `hs_session=${live}`).expect(200, { user: 'admin' });
+});
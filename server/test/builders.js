@@ -0,0 +1,86 @@
+// Raw Shopify orders for tests, in the shape the Admin REST API returns them.
+// Each builder takes overrides for whatever a test cares about.
+
+let nextId = 1000;
+const id = () => nextId++;
+
+function lineItem(overrides = {}) {
+  return {
+    id: id(),
+    product_id: 8123456789012,
+    title: 'HearSound Pro',
+    sku: 'HS-PRO-01',
+    quantity: 1,
+    price: '249.00',
+    ...overrides
+  };
+}
+
+// A carrier scan; `status` is the tracking status such as in_transit or delivered
+function trackingEvent(status, happenedAt) {
+  return { id: id(), status, happened_at: happenedAt, created_at: happenedAt };
+}
+
+function fulfillment({ createdAt = '2025-01-11T15:00:00Z', events, ...overrides } = {}) {
+  return {
+    id: id(),
+    status: 'success',
+    shipment_status: null,
+    created_at: createdAt,
+    updated_at: createdAt,
+    tracking_company: 'USPS',
+    tracking_number: `9400${id()}`,
+    tracking_url: null,
+    ...(events && { events }),
+    ...overrides
+  };
+}
+
+// A refund of `lines` ({ item, quantity }) paid back by one transaction,
+// for the lines' total unless `amount` says otherwise
+function refund({ createdAt, lines = [], amount, currency = 'USD', ...overrides }) {
+  const merchandise = lines.reduce((total, { item, quantity = item.quantity }) => total + parseFloat(item.price) * quantity, 0);
+  return {
+    id: id(),
+    created_at: createdAt,
+    note: null,
+    refund_line_items: lines.map(({ item, quantity = item.quantity }) => ({
+      id: id(),
+      line_item_id: item.id,
+      quantity,
+      restock_type: 'return',
+      subtotal: parseFloat(item.price) * quantity,
+      total_tax: 0
+    })),
+    order_adjustments: [],
+    transactions: [{
+      id: id(),
+      kind: 'refund',
+      status: 'success',
+      amount: (amount === undefined ? merchandise : amount).toFixed(2),
+      currency
+    }],
+    ...overrides
+  };
+}
+
+function order({ lineItems = [lineItem()], ...overrides } = {}) {
+  const total = lineItems.reduce((sum, item) => sum + parseFloat(item.price) * item.quantity, 0);
+  return {
+    id: id(),
+    order_number: id(),
+    created_at: '2025-01-10T14:00:00Z',
+    updated_at: '2025-01-10T14:00:00Z',
+    financial_status: 'paid',
+    fulfillment_status: null,
+    currency: 'USD',
+    total_price: total.toFixed(2),
+    shipping_address: { name: 'Test Customer', zip: '62704', province_code: 'IL', country_code: 'US' },
+    line_items: lineItems,
+    fulfillments: [],
+    refunds: [],
+    ...overrides
+  };
+}
+
+module.exports = { lineItem, trackingEvent, fulfillment, refund, order };
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const customers = require('../customers');
+const { loadEmailKey, emailKeyId, hashEmail, scrubCustomer } = customers;
+const { prepareOrder } = require('../prepare');
+const refundReasons = require('../reasons');
+const build = require('./builders');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'customers-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('emails are not hashed before a key is loaded', () => {
+  assert.equal(emailKeyId(), null);
+  assert.throws(() => hashEmail('ada@example.com'), /Email hash key is not loaded/);
+});
+
+test('emails hash with a private key made once and kept in the data dir', (t) => {
+  const file = path.join(tempDir(t), 'email-hash-key.json');
+  loadEmailKey(file);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const hash = hashEmail(' Ada@Example.com ');
+  assert.equal(hash, hashEmail('ada@example.com'));
+  assert.notEqual(hash, sha256('ada@example.com'));
+  const keyId = emailKeyId();
+
+  // The same file gives the same hashes after a restart
+  loadEmailKey(file);
+  assert.equal(hashEmail('ada@example.com'), hash);
+  assert.equal(emailKeyId(), keyId);
+
+  loadEmailKey(path.join(tempDir(t), 'email-hash-key.json'));
+  assert.notEqual(hashEmail('ada@example.com'), hash);
+  assert.notEqual(emailKeyId(), keyId);
+});
+
+test('stored orders keep a customer id and an email hash only', (t) => {
+  loadEmailKey(path.join(tempDir(t), 'email-hash-key.json'));
+  const order = scrubCustomer({ id: 1, email: 'ada@example.com', customer: { id: 77, email: 'ada@example.com', first_name: 'Ada' } });
+  assert.deepEqual(order, { id: 1, customer: { id: 77 }, email_hash: hashEmail('ada@example.com') });
+});
+
+test('a complete order without an address clears its hash, a partial payload keeps it', (t) => {
+  loadEmailKey(path.join(tempDir(t), 'email-hash-key.json'));
+  assert.deepEqual(scrubCustomer({ id: 1, customer: { id: 77 } }, { complete: true }), { id: 1, customer: { id: 77 }, email_hash: null });
+  assert.deepEqual(scrubCustomer({ id: 1, financial_status: 'refunded' }), { id: 1, financial_status: 'refunded' });
+});
+
+const reasons = { taxonomy: refundReasons.DEFAULT_TAXONOMY, compiled: refundReasons.compile(refundReasons.DEFAULT_TAXONOMY), overrides: {} };
+
+// An order as the API prepares it from the store: `refund` is 'full' for the
+// HearSound Pro back, 'partial' for the cleaning kit alone
+function placed({ shop = 'demo', email = 'ada@example.com', customerId = 77, refund = null, name = 'Ada Lovelace' } = {}) {
+  const pro = build.lineItem();
+  const kit = build.lineItem({ title: 'Cleaning Kit', sku: 'HS-CLEAN-01', price: '15.00' });
+  const refunded = refund === 'full' ? [pro, kit] : [kit];
+  const raw = build.order({
+    lineItems: [pro, kit],
+    email,
+    customer: customerId ? { id: customerId } : null,
+    shipping_address: { name, zip: '62704', country_code: 'US' },
+    ...(refund && {
+      financial_status: refund === 'full' ? 'refunded' : 'partially_refunded',
+      refunds: [build.refund({ createdAt: '2025-01-20T10:00:00Z', lines: refunded.map(item => ({ item })) })]
+    })
+  });
+  return prepareOrder(scrubCustomer(raw), {
+    shop: { id: shop, currency: 'USD', adminOrderUrl: (id) => `https://${shop}.myshopify.com/admin/orders/${id}` },
+    policy: { windowDays: 30, startBasis: 'delivery', rules: [] },
+    productTypes: {},
+    reasons,
+    rates: { base: 'USD', rates: {} }
+  });
+}
+
+const repeat = (count, options) => Array.from({ length: count }, () => placed(options));
+
+test('a serial returner reaches every threshold, one short of any is not', (t) => {
+  loadEmailKey(path.join(tempDir(t), 'email-hash-key.json'));
+  const serial = (orders, thresholds) => customers.customerDimension(orders, thresholds)[0].serial;
+
+  // Two refunded orders of four is exactly at both defaults
+  assert.equal(serial([...repeat(2, { refund: 'full' }), ...repeat(2)]), true);
+  // One refunded order short
+  assert.equal(serial([placed({ refund: 'full' }), placed()]), false);
+  // Two of five is a 40% rate, under the 50% minimum
+  assert.equal(serial([...repeat(2, { refund: 'full' }), ...repeat(3)]), false);
+
+  const orders = [...repeat(2, { refund: 'full' }), ...repeat(2)];
+  const thresholds = { minRefundedOrders: 2, minRefundRate: 50, minRefundAmount: 528 };
+  assert.equal(serial(orders, thresholds), true);
+  assert.equal(serial(orders, { ...thresholds, minRefundAmount: 528.01 }), false);
+});
+
+test('a partly refunded order counts as refunded, for what was paid back', (t) => {
+  loadEmailKey(path.join(tempDir(t), 'email-hash-key.json'));
+  const [customer] = customers.customerDimension([placed({ refund: 'partial' }), placed({ refund: 'full' }), placed(), placed()]);
+  assert.equal(customer.orders, 4);
+  assert.equal(customer.refundedOrders, 2);
+  assert.equal(customer.refundRate, 50);
+  assert.equal(customer.refundAmount, 15 + 264);
+  assert.equal(customer.orderTotal, 4 * 264);
+});
+
+test('one email across two shops is one customer, a customer id alone stays per shop', (t) => {
+  loadEmailKey(path.join(tempDir(t), 'email-hash-key.json'));
+  const dimension = customers.customerDimension([
+    placed({ shop: 'demo', email: 'ada@example.com', customerId: 77, refund: 'full' }),
+    placed({ shop: 'eu', email: ' ADA@example.com', customerId: 12, refund: 'full' }),
+    placed({ shop: 'demo', email: null, customerId: 88 }),
+    placed({ shop: 'eu', email: null, customerId: 88 })
+  ]);
+
+  assert.equal(dimension.length, 3);
+  const [ada] = dimension;
+  assert.equal(ada.key, hashEmail('ada@example.com'));
+  assert.deepEqual(ada.shops, ['demo', 'eu']);
+  assert.deepEqual(ada.customerIds, [{ shop: 'demo', id: 77 }, { shop: 'eu', id: 12 }]);
+  assert.equal(ada.serial, true);
+  assert.deepEqual(dimension.slice(1).map(customer => customer.key).sort(), ['demo-88', 'eu-88']);
+});
+
+test('customers are found by email, name or id without the email ever coming back', (t) => {
+  loadEmailKey(path.join(tempDir(t), 'email-hash-key.json'));
+  const dimension = customers.customerDimension([
+    ...repeat(2, { refund: 'full' }),
+    placed({ email: 'grace@example.com', customerId: 91, name: 'Grace Hopper' })
+  ]);
+  const found = (search, view) => customers.listCustomers(dimension, { search, view }).customers.map(customer => customer.name);
+
+  assert.deepEqual(found(''), ['Ada Lovelace']);
+  assert.deepEqual(found('', 'all'), ['Ada Lovelace', 'Grace Hopper']);
+  // A search looks past the serial view
+  assert.deepEqual(found('Grace@Example.com'), ['Grace Hopper']);
+  assert.deepEqual(found('hopper'), ['Grace Hopper']);
+  assert.deepEqual(found('91'), ['Grace Hopper']);
+  assert.deepEqual(found('nobody@example.com'), []);
+
+  const result = customers.listCustomers(dimension, { search: 'grace@example.com' });
+  assert.doesNotMatch(JSON.stringify(result), /grace@/i);
+  assert.equal(result.total, 1);
+});
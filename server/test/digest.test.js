@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { periodFor } = require('../digest');
+const { dueAt } = require('../digestScheduler');
+
+// Clocks go forward on 9 March 2025 and back on 2 November 2025 here
+const TIMEZONE = 'America/New_York';
+
+const period = (frequency, now) => {
+  const { key, range, previous } = periodFor(frequency, new Date(now), TIMEZONE);
+  return {
+    key,
+    range: [range.start.toISOString(), range.end.toISOString()],
+    previous: [previous.start.toISOString(), previous.end.toISOString()]
+  };
+};
+
+const due = (schedule, now) => dueAt(schedule, new Date(now), TIMEZONE).toISOString();
+
+test('a weekly period spanning the spring DST change runs Monday to Sunday in shop time', () => {
+  assert.deepEqual(period('weekly', '2025-03-12T12:00:00Z'), {
+    key: 'weekly:2025-03-03',
+    // Starts on EST and ends on EDT, an hour short of a full week
+    range: ['2025-03-03T05:00:00.000Z', '2025-03-10T03:59:59.999Z'],
+    previous: ['2025-02-24T05:00:00.000Z', '2025-03-03T04:59:59.999Z']
+  });
+});
+
+test('the weekly period moves on at local midnight, not UTC midnight', () => {
+  // Still Sunday evening in New York
+  assert.equal(period('weekly', '2025-03-10T03:59:00Z').key, 'weekly:2025-02-24');
+  assert.equal(period('weekly', '2025-03-10T04:00:00Z').key, 'weekly:2025-03-03');
+});
+
+test('a monthly period spanning the autumn DST change ends at local month end', () => {
+  // 23:59 on 30 November in New York
+  assert.equal(period('monthly', '2025-12-01T04:59:00Z').key, 'monthly:2025-10-01');
+  assert.deepEqual(period('monthly', '2025-12-01T05:00:00Z'), {
+    key: 'monthly:2025-11-01',
+    range: ['2025-11-01T04:00:00.000Z', '2025-12-01T04:59:59.999Z'],
+    previous: ['2025-10-01T04:00:00.000Z', '2025-11-01T03:59:59.999Z']
+  });
+});
+
+test('send times are the configured local hour on either side of a DST change', () => {
+  const weekly = { frequency: 'weekly', dayOfWeek: 1, hour: 8 };
+  assert.equal(due(weekly, '2025-03-05T12:00:00Z'), '2025-03-03T13:00:00.000Z');
+  assert.equal(due(weekly, '2025-03-12T12:00:00Z'), '2025-03-10T12:00:00.000Z');
+
+  const monthly = { frequency: 'monthly', dayOfMonth: 1, hour: 0 };
+  assert.equal(due(monthly, '2025-11-15T12:00:00Z'), '2025-11-01T04:00:00.000Z');
+  assert.equal(due(monthly, '2025-12-15T12:00:00Z'), '2025-12-01T05:00:00.000Z');
+});
+
+test('a send hour the clocks skip falls forward and a repeated one comes once', () => {
+  // 02:00 does not exist on 9 March, the digest goes at 03:00 EDT
+  assert.equal(due({ frequency: 'weekly', dayOfWeek: 7, hour: 2 }, '2025-03-09T12:00:00Z'), '2025-03-09T07:00:00.000Z');
+  // 01:00 happens twice on 2 November, the digest goes at the first
+  assert.equal(due({ frequency: 'weekly', dayOfWeek: 7, hour: 1 }, '2025-11-02T12:00:00Z'), '2025-11-02T05:00:00.000Z');
+});
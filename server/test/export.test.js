@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough, Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const exporter = require('../export');
+const { normalizeOrder } = require('../normalize');
+const build = require('./builders');
+
+// A response stand-in that keeps what is written to it
+function response() {
+  const chunks = [];
+  const res = new PassThrough();
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.on('data', chunk => chunks.push(chunk));
+  res.body = () => Buffer.concat(chunks);
+  return res;
+}
+
+const hostile = () => {
+  const item = build.lineItem();
+  return {
+    ...normalizeOrder(build.order({
+      lineItems: [item],
+      tags: '@SUM(1+1)',
+      shipping_address: { name: '=HYPERLINK("http://example.com","Refund")', country_code: 'US' },
+      financial_status: 'refunded',
+      refunds: [build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item }], note: '+1 555 0100' })]
+    })),
+    // Negative numbers are numbers, not formulas
+    refundAmount: -249
+  };
+};
+
+const options = (format, orders) => ({
+  format,
+  orders,
+  columns: exporter.parseExportQuery({ format, columns: 'shippingName,refundNotes,tags,refundAmount' }).columns,
+  summary: [{ key: 'shop', label: 'Shop', value: '-demo' }],
+  context: { currencyFor: () => 'USD' },
+  filename: 'refunds'
+});
+
+test('CSV cells that would run as formulas are quoted as text', async () => {
+  const res = response();
+  await exporter.streamExport(res, options('csv', [hostile()]));
+  const [, row] = res.body().toString().split('\r\n');
+  assert.equal(row, `"'=HYPERLINK(""http://example.com"",""Refund"")",'+1 555 0100,'@SUM(1+1),-249`);
+});
+
+test('XLSX cells that would run as formulas are written as strings', async () => {
+  const res = response();
+  await exporter.streamExport(res, options('xlsx', [hostile()]));
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(res.body());
+  const row = workbook.getWorksheet('Refunds').getRow(2);
+  assert.equal(row.getCell(1).type, ExcelJS.ValueType.String);
+  assert.equal(row.getCell(1).value, '=HYPERLINK("http://example.com","Refund")');
+  assert.equal(row.getCell(3).type, ExcelJS.ValueType.String);
+  assert.equal(row.getCell(4).value, -249);
+});
+
+test('an aborted download settles the export', async () => {
+  const res = new Writable({
+    highWaterMark: 1,
+    write(chunk, encoding, callback) {
+      // A client going away closes the response without an error
+      this.destroy();
+      callback();
+    }
+  });
+  res.setHeader = () => {};
+  const orders = Array.from({ length: 50 }, hostile);
+  await assert.rejects(exporter.streamExport(res, options('csv', orders)));
+});
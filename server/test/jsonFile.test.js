@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../jsonFile');
+const { logger } = require('../logger');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'settings.json');
+}
+
+test('writes replace the file whole and leave no temp file behind', (t) => {
+  const file = tempFile(t);
+  writeJsonFile(file, { windowDays: 30 });
+  writeJsonFile(file, { windowDays: 45 }, { mode: 0o600 });
+
+  assert.deepEqual(readJsonFile(file), { windowDays: 45 });
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['settings.json']);
+});
+
+test('a missing, corrupt or rejected file reads as the fallback', (t) => {
+  const file = tempFile(t);
+  const logged = t.mock.method(logger, 'error', () => {});
+  const fallback = { windowDays: 30 };
+  assert.equal(readJsonFile(file, { fallback }), fallback);
+
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, '{"windowDays": 4');
+  assert.equal(readJsonFile(file, { fallback }), fallback);
+
+  writeJsonFile(file, { windowDays: -1 });
+  const validate = (value) => {
+    if (value.windowDays < 0) throw new Error('windowDays must be positive');
+    return value;
+  };
+  assert.equal(readJsonFile(file, { fallback, validate }), fallback);
+  assert.equal(logged.mock.callCount(), 2);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, redact } = require('../logger');
+const { createMetrics, toPrometheus } = require('../metrics');
+
+test('secrets are redacted however deep they sit and however their keys are spelled', () => {
+  const lines = [];
+  const log = createLogger({ level: 'debug', write: line => lines.push(JSON.parse(line)) });
+  log.info('Shop added', {
+    shop: {
+      id: 'default',
+      accessToken: 'shpat_123',
+      webhook_secret: 'whsec',
+      SHOPIFY_WEBHOOK_SECRET: 'whsec'
+    },
+    request: {
+      headers: { 'X-Shopify-Access-Token': 'shpat_123', Cookie: 'sid=abc', 'set-cookie': ['sid=abc'], authorization: 'Bearer t' },
+      body: { username: 'admin', password: 'hunter2', nested: [{ token: 't0k3n' }] }
+    }
+  });
+
+  const [entry] = lines;
+  assert.deepEqual(entry.shop, {
+    id: 'default',
+    accessToken: '[redacted]',
+    webhook_secret: '[redacted]',
+    SHOPIFY_WEBHOOK_SECRET: '[redacted]'
+  });
+  assert.deepEqual(entry.request, {
+    headers: { 'X-Shopify-Access-Token': '[redacted]', Cookie: '[redacted]', 'set-cookie': '[redacted]', authorization: '[redacted]' },
+    body: { username: 'admin', password: '[redacted]', nested: [{ token: '[redacted]' }] }
+  });
+  assert.doesNotMatch(JSON.stringify(entry), /shpat_123|whsec|sid=abc|hunter2|t0k3n/);
+});
+
+test('customer details are dropped and emails masked in free text and errors', () => {
+  assert.deepEqual(redact({ order: { id: 1, email: 'a@b.com', shipping_address: { name: 'Ann', city: 'Paris' } } }), {
+    order: { id: 1, email: '[redacted]', shipping_address: '[redacted]' }
+  });
+  const error = Object.assign(new Error('No customer ann@example.com'), { status: 404 });
+  const { message, status } = redact(error);
+  assert.deepEqual({ message, status }, { message: 'No customer [redacted]', status: 404 });
+  // Empty values say nothing and are kept as they are
+  assert.deepEqual(redact({ token: null, email: undefined }), { token: null, email: undefined });
+});
+
+// Snapshot of a few requests, Shopify calls and cache lookups
+function recorded() {
+  const metrics = createMetrics();
+  metrics.recordRequest({ method: 'GET', route: '/api/orders', status: 200, durationMs: 12 });
+  metrics.recordRequest({ method: 'GET', route: '/api/orders', status: 500, durationMs: 30 });
+  metrics.recordShopifyCall({ shop: 'default', resource: 'order.list', status: 200, durationMs: 250 });
+  metrics.recordShopifyCall({ shop: 'default', resource: 'order.list', status: 429, durationMs: 40 });
+  metrics.recordCacheLookup('default', true);
+  metrics.recordCacheLookup('default', true);
+  metrics.recordCacheLookup('default', false);
+  return metrics.snapshot();
+}
+
+test('the metrics snapshot summarizes each series', () => {
+  const { requests, shopify, cache } = recorded();
+  assert.deepEqual(requests, [{
+    method: 'GET', route: '/api/orders', count: 2, errors: 1, avgMs: 21, p50Ms: 12, p90Ms: 30, p99Ms: 30, maxMs: 30
+  }]);
+  assert.deepEqual(shopify[0].statuses, { 200: 1, 429: 1 });
+  assert.equal(shopify[0].errors, 1);
+  assert.deepEqual(cache, { hitRate: 66.7, shops: [{ shop: 'default', hits: 2, misses: 1, hitRate: 66.7 }] });
+});
+
+test('the Prometheus output is well formed, with labels escaped and unknown values left out', () => {
+  const sync = [
+    { shop: 'default', lagSeconds: 90, syncing: false },
+    { shop: 'new "shop"\\', lagSeconds: null, syncing: true }
+  ];
+  const text = toPrometheus(recorded(), sync);
+
+  assert.ok(text.endsWith('\n'));
+  const lines = text.trimEnd().split('\n');
+  const sample = /^[a-z_]+\{([a-z_]+="(?:[^"\\\n]|\\["\\n])*")(,[a-z_]+="(?:[^"\\\n]|\\["\\n])*")*\} -?\d+(\.\d+)?$/;
+  lines.forEach(line => assert.match(line, line.startsWith('#') ? /^# (HELP|TYPE) [a-z_]+ \S/ : sample));
+
+  // Every metric announces its type before its samples
+  const typed = lines.filter(line => line.startsWith('# TYPE')).map(line => line.split(' ')[2]);
+  lines.filter(line => !line.startsWith('#'))
+    .forEach(line => assert.ok(typed.includes(line.split('{')[0]), line));
+
+  assert.ok(lines.includes('http_requests_total{method="GET",route="/api/orders"} 2'));
+  assert.ok(lines.includes('shopify_calls_total{shop="default",resource="order.list",status="429"} 1'));
+  assert.ok(lines.includes('sync_running{shop="new \\"shop\\"\\\\"} 1'));
+  assert.ok(lines.includes('sync_lag_seconds{shop="default"} 90'));
+  assert.equal(lines.filter(line => line.startsWith('sync_lag_seconds{')).length, 1);
+});
@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeOrder } = require('../normalize');
+const { applyPolicy } = require('../policy');
+const build = require('./builders');
+
+const delivered = (at) => build.fulfillment({
+  shipment_status: 'delivered',
+  events: [build.trackingEvent('in_transit', '2025-01-12T10:00:00Z'), build.trackingEvent('delivered', at)]
+});
+
+test('partial refund of one line item', () => {
+  const pro = build.lineItem();
+  const tips = build.lineItem({ title: 'Ear Tips', sku: 'HS-TIPS-06', price: '19.00', quantity: 2 });
+  const order = normalizeOrder(build.order({
+    lineItems: [pro, tips],
+    financial_status: 'partially_refunded',
+    fulfillments: [delivered('2025-01-14T18:00:00Z')],
+    refunds: [build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item: tips, quantity: 1 }] })]
+  }));
+
+  assert.equal(order.refundType, 'partial');
+  assert.equal(order.refundStatus, 'Partially Refunded');
+  assert.equal(order.totalPrice, 287);
+  assert.equal(order.refundAmount, 19);
+  assert.equal(order.refunds.length, 1);
+  assert.deepEqual(
+    { amount: order.refunds[0].amount, merchandise: order.refunds[0].merchandise, quantity: order.refunds[0].quantity },
+    { amount: 19, merchandise: 19, quantity: 1 }
+  );
+  assert.equal(order.refunds[0].lineItems[0].sku, 'HS-TIPS-06');
+  assert.equal(order.daysToRefund, 6);
+});
+
+test('multiple refunds are separate events, oldest first', () => {
+  const pro = build.lineItem();
+  const kit = build.lineItem({ title: 'Cleaning Kit', sku: 'HS-CLEAN-01', price: '15.00' });
+  const order = normalizeOrder(build.order({
+    lineItems: [pro, kit],
+    financial_status: 'refunded',
+    fulfillments: [delivered('2025-01-14T18:00:00Z')],
+    // Shopify does not promise any order
+    refunds: [
+      build.refund({ createdAt: '2025-02-01T09:00:00Z', lines: [{ item: pro }] }),
+      build.refund({ createdAt: '2025-01-18T09:00:00Z', lines: [{ item: kit }] })
+    ]
+  }));
+
+  assert.equal(order.refundType, 'full');
+  assert.deepEqual(order.refunds.map(refund => refund.amount), [15, 249]);
+  assert.equal(order.refundAmount, 264);
+  assert.equal(order.refundDate, '2025-01-18T09:00:00Z');
+  assert.equal(order.lastRefundDate, '2025-02-01T09:00:00Z');
+  // Days to refund run from delivery to the first refund
+  assert.equal(order.daysToRefund, 4);
+  assert.deepEqual(order.refunds.map(refund => refund.daysToRefund), [4, 18]);
+});
+
+test('an order without fulfillments has no delivery or days to refund', () => {
+  const item = build.lineItem();
+  const order = normalizeOrder(build.order({
+    lineItems: [item],
+    financial_status: 'refunded',
+    refunds: [build.refund({ createdAt: '2025-01-11T08:00:00Z', lines: [{ item }] })]
+  }));
+
+  assert.equal(order.fulfillmentStatus, 'unfulfilled');
+  assert.equal(order.fulfillmentDate, null);
+  assert.equal(order.trackingNumber, null);
+  assert.equal(order.transitStatus, null);
+  assert.equal(order.deliveryDate, null);
+  assert.equal(order.daysToRefund, null);
+  assert.equal(order.refundType, 'full');
+  assert.equal(order.refundAmount, 249);
+});
+
+test('a refund issued before delivery is marked as such', () => {
+  const item = build.lineItem();
+  const order = normalizeOrder(build.order({
+    lineItems: [item],
+    financial_status: 'refunded',
+    fulfillments: [delivered('2025-01-16T18:00:00Z')],
+    refunds: [build.refund({ createdAt: '2025-01-12T08:00:00Z', lines: [{ item }] })]
+  }));
+
+  assert.equal(order.deliveryDate, '2025-01-16T18:00:00Z');
+  assert.equal(order.daysToRefund, 'before_delivery');
+  assert.equal(order.refunds[0].daysToRefund, 'before_delivery');
+  assert.equal(applyPolicy(order, { windowDays: 30, startBasis: 'delivery', rules: [] }).policyStatus, 'before_delivery');
+});
+
+test('a refund hours after delivery is 0 days, within the return window', () => {
+  const item = build.lineItem();
+  const order = normalizeOrder(build.order({
+    lineItems: [item],
+    financial_status: 'refunded',
+    fulfillments: [delivered('2025-01-14T08:00:00Z')],
+    refunds: [build.refund({ createdAt: '2025-01-14T18:00:00Z', lines: [{ item }] })]
+  }));
+
+  assert.equal(order.daysToRefund, 0);
+  assert.equal(order.refunds[0].daysToRefund, 0);
+  assert.equal(applyPolicy(order, { windowDays: 30, startBasis: 'delivery', rules: [] }).policyStatus, 'within_window');
+});
+
+test('delivery comes from the delivered event, else from the shipment status', () => {
+  const fromEvent = normalizeOrder(build.order({ fulfillments: [delivered('2025-01-14T18:00:00Z')] }));
+  assert.equal(fromEvent.deliveryDate, '2025-01-14T18:00:00Z');
+  assert.equal(fromEvent.deliverySource, 'event');
+
+  const fromStatus = normalizeOrder(build.order({
+    fulfillments: [build.fulfillment({ shipment_status: 'delivered', updated_at: '2025-01-15T07:00:00Z' })]
+  }));
+  assert.equal(fromStatus.deliveryDate, '2025-01-15T07:00:00Z');
+  assert.equal(fromStatus.deliverySource, 'shipment_status');
+});
+
+test('an order is delivered only once every live fulfillment is', () => {
+  const inTransit = build.fulfillment({ shipment_status: 'in_transit', events: [build.trackingEvent('in_transit', '2025-01-12T10:00:00Z')] });
+  const pending = normalizeOrder(build.order({ fulfillments: [delivered('2025-01-14T18:00:00Z'), inTransit] }));
+  assert.equal(pending.deliveryDate, null);
+
+  const cancelled = build.fulfillment({ status: 'cancelled' });
+  const done = normalizeOrder(build.order({ fulfillments: [delivered('2025-01-14T18:00:00Z'), cancelled] }));
+  assert.equal(done.deliveryDate, '2025-01-14T18:00:00Z');
+});
+
+test('refunded shipping and tax are split out of the amount', () => {
+  const item = build.lineItem();
+  const order = normalizeOrder(build.order({
+    lineItems: [item],
+    financial_status: 'refunded',
+    refunds: [build.refund({
+      createdAt: '2025-01-20T12:00:00Z',
+      lines: [{ item }],
+      amount: 276.95,
+      refund_shipping_lines: [{ subtotal_amount_set: { shop_money: { amount: '9.95' } } }],
+      refund_line_items: [{ line_item_id: item.id, quantity: 1, subtotal: 249, total_tax: 18 }]
+    })]
+  }));
+
+  const [refund] = order.refunds;
+  assert.deepEqual(
+    { amount: refund.amount, merchandise: refund.merchandise, shipping: refund.shipping, tax: refund.tax },
+    { amount: 276.95, merchandise: 249, shipping: 9.95, tax: 18 }
+  );
+  assert.equal(order.refundedShipping, 9.95);
+  assert.equal(order.refundedTax, 18);
+});
+
+test('only successful refund transactions count towards the amount', () => {
+  const item = build.lineItem();
+  const failed = build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item }] });
+  failed.transactions.push({ id: 1, kind: 'refund', status: 'failure', amount: '249.00', currency: 'USD' });
+  const order = normalizeOrder(build.order({ lineItems: [item], financial_status: 'refunded', refunds: [failed] }));
+  assert.equal(order.refundAmount, 249);
+});
+
+test('a refund whose transactions all failed is not a refund', () => {
+  const item = build.lineItem();
+  const failed = build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item }] });
+  failed.transactions[0].status = 'failure';
+  const order = normalizeOrder(build.order({ lineItems: [item], refunds: [failed] }));
+  assert.deepEqual(order.refunds, []);
+  assert.equal(order.refundAmount, 0);
+  assert.equal(order.refundType, null);
+});
+
+test('a refund still pending pays nothing back yet but counts', () => {
+  const item = build.lineItem();
+  const pending = build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item }] });
+  pending.transactions[0].status = 'pending';
+  const order = normalizeOrder(build.order({ lineItems: [item], refunds: [pending] }));
+  assert.equal(order.refunds[0].amount, 0);
+  assert.equal(order.refundType, 'partial');
+});
+
+test('a restock-only refund with no transactions paid nothing back', () => {
+  const item = build.lineItem();
+  const order = normalizeOrder(build.order({
+    lineItems: [item],
+    refunds: [build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item }], transactions: [] })]
+  }));
+  assert.equal(order.refunds[0].amount, 0);
+  assert.equal(order.refunds[0].restocked, 1);
+  assert.equal(order.refundAmount, 0);
+});
+
+test('a refund payload without transactions falls back to the itemized amount', () => {
+  const item = build.lineItem();
+  const refund = build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item }] });
+  delete refund.transactions;
+  const order = normalizeOrder(build.order({ lineItems: [item], financial_status: 'refunded', refunds: [refund] }));
+  assert.equal(order.refundAmount, 249);
+});
+
+test('refunds that moved no money and no items are dropped', () => {
+  const order = normalizeOrder(build.order({
+    refunds: [build.refund({ createdAt: '2025-01-20T12:00:00Z', amount: 0 })]
+  }));
+  assert.equal(order.refunds.length, 0);
+  assert.equal(order.refundType, null);
+});
+
+test('refunds paid in the customer currency convert at the checkout rate', () => {
+  const item = build.lineItem({
+    price: '100.00',
+    price_set: { shop_money: { amount: '100.00' }, presentment_money: { amount: '92.00' } }
+  });
+  const order = normalizeOrder(build.order({
+    lineItems: [item],
+    presentment_currency: 'EUR',
+    total_price_set: { shop_money: { amount: '100.00' }, presentment_money: { amount: '92.00' } },
+    financial_status: 'partially_refunded',
+    refunds: [build.refund({ createdAt: '2025-01-20T12:00:00Z', amount: 46, currency: 'EUR' })]
+  }));
+
+  assert.equal(order.currency, 'USD');
+  assert.equal(order.presentmentCurrency, 'EUR');
+  assert.equal(order.presentmentTotal, 92);
+  assert.equal(order.refunds[0].amount, 50);
+  assert.deepEqual(order.refunds[0].presentment, { amount: 46, currency: 'EUR' });
+});
+
+test('stored rates convert refunds the order has no rate for, else the itemized amount stands', () => {
+  const item = build.lineItem({ price: '100.00' });
+  const raw = build.order({
+    lineItems: [item],
+    financial_status: 'refunded',
+    refunds: [build.refund({ createdAt: '2025-01-20T12:00:00Z', lines: [{ item }], amount: 150, currency: 'CAD' })]
+  });
+
+  const withRates = normalizeOrder(raw, { rates: { base: 'USD', rates: { CAD: 1.5 } } });
+  assert.equal(withRates.refunds[0].amount, 100);
+
+  const withoutRates = normalizeOrder(raw, { rates: { base: 'USD', rates: {} } });
+  assert.equal(withoutRates.refunds[0].amount, 100);
+  assert.deepEqual(withoutRates.refunds[0].presentment, { amount: 150, currency: 'CAD' });
+});
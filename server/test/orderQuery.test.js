@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const orderQuery = require('../orderQuery');
+
+// The fields of a prepared order that the table filters and sorts on
+const row = (orderNumber, overrides = {}) => ({
+  orderNumber,
+  shippingName: 'Ada Lovelace',
+  orderDate: '2025-01-10T14:00:00Z',
+  deliveryDate: '2025-01-14T18:00:00Z',
+  refundDate: '2025-01-20T09:00:00Z',
+  daysToRefund: 5,
+  refundAmount: 249,
+  refundType: 'full',
+  transitStatus: 'delivered',
+  policyStatus: 'within_window',
+  reasons: ['defect'],
+  products: [{ id: 8123456789012, sku: 'HS-PRO-01', title: 'HearSound Pro' }],
+  fulfillments: [{ trackingNumber: `9400${orderNumber}` }],
+  ...overrides
+});
+
+const numbers = (orders) => orders.map(order => order.orderNumber);
+const query = (params) => orderQuery.parseOrderQuery(params);
+
+test('days to refund fall in buckets whose upper bound is inclusive', () => {
+  const bucket = (daysToRefund) => orderQuery.daysBucket({ daysToRefund });
+  assert.equal(bucket(0), '0-7');
+  assert.equal(bucket(7), '0-7');
+  assert.equal(bucket(8), '8-14');
+  assert.equal(bucket(30), '15-30');
+  assert.equal(bucket(31), '31-60');
+  assert.equal(bucket(61), '60+');
+  assert.equal(bucket('before_delivery'), 'before_delivery');
+  assert.equal(bucket(null), 'unknown');
+});
+
+test('orders missing the sort value go last in either direction', () => {
+  const orders = [
+    row(1, { deliveryDate: '2025-01-14T18:00:00Z' }),
+    row(2, { deliveryDate: null }),
+    row(3, { deliveryDate: '2025-01-12T18:00:00Z' }),
+    row(4, { deliveryDate: undefined })
+  ];
+  const sorted = (direction) => numbers(orderQuery.sortOrders(orders, { key: 'deliveryDate', direction }));
+  assert.deepEqual(sorted('asc'), [3, 1, 2, 4]);
+  assert.deepEqual(sorted('desc'), [1, 3, 2, 4]);
+
+  // Refunds before delivery sort ahead of any day count, unknowns still last
+  const days = [row(1, { daysToRefund: 3 }), row(2, { daysToRefund: null }), row(3, { daysToRefund: 'before_delivery' })];
+  assert.deepEqual(numbers(orderQuery.sortOrders(days, { key: 'daysToRefund', direction: 'asc' })), [3, 1, 2]);
+  assert.deepEqual(numbers(orderQuery.sortOrders(days, { key: 'daysToRefund', direction: 'desc' })), [1, 3, 2]);
+});
+
+test('filters combine, each one narrowing what the others let through', () => {
+  const orders = [
+    row(1),
+    row(2, { refundType: 'partial', daysToRefund: 20 }),
+    row(3, { refundType: 'partial', daysToRefund: 3, reasons: ['battery'] }),
+    row(4, { refundType: 'partial', daysToRefund: 4, transitStatus: null, shippingName: 'Grace Hopper' }),
+    row(5, { refundType: 'partial', daysToRefund: 6, products: [{ id: 1, sku: 'HS-TIPS-06', title: 'Ear Tips' }] })
+  ];
+  const filtered = (params) => numbers(orderQuery.filterOrders(orders, query(params)));
+
+  assert.deepEqual(filtered({ refundType: 'partial', daysBucket: '0-7' }), [3, 4, 5]);
+  assert.deepEqual(filtered({ refundType: 'partial', daysBucket: '0-7', reason: 'defect,returned' }), [4, 5]);
+  assert.deepEqual(filtered({ refundType: 'partial', daysBucket: '0-7', reason: 'defect', product: 'HS-PRO-01' }), [4]);
+  // An order without a transit status is filtered as unknown
+  assert.deepEqual(filtered({ transitStatus: 'unknown' }), [4]);
+  assert.deepEqual(filtered({ daysBucket: '0-7,15-30', search: 'grace' }), [4]);
+  assert.deepEqual(filtered({ search: '94005' }), [5]);
+  assert.deepEqual(filtered({ refundType: 'full', policyStatus: 'late' }), []);
+});
+
+test('pages past the end give the last page and page sizes are capped', () => {
+  const orders = Array.from({ length: 7 }, (_, index) => row(index + 1));
+  const page = (params) => orderQuery.queryOrders(orders, query({ sort: 'orderNumber', direction: 'asc', ...params }));
+
+  const second = page({ page: '2', pageSize: '5' });
+  assert.deepEqual([second.total, second.page, numbers(second.orders)], [7, 2, [6, 7]]);
+  const past = page({ page: '9', pageSize: '5' });
+  assert.deepEqual([past.page, numbers(past.orders)], [2, [6, 7]]);
+
+  assert.equal(query({ pageSize: '5000' }).pageSize, 200);
+  assert.equal(query({}).pageSize, 25);
+  // No matches is still page 1
+  assert.equal(orderQuery.queryOrders([], query({ page: '3' })).page, 1);
+
+  assert.throws(() => query({ page: '0' }), { status: 400, message: 'page must be a positive whole number' });
+  assert.throws(() => query({ pageSize: '-5' }), { status: 400, message: 'pageSize must be a positive whole number' });
+  assert.throws(() => query({ daysBucket: '0-10' }), { status: 400 });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const returnPolicy = require('../policy');
+const { normalizeOrder } = require('../normalize');
+const { logger } = require('../logger');
+const build = require('./builders');
+
+const delivered = (at) => build.fulfillment({
+  shipment_status: 'delivered',
+  events: [build.trackingEvent('delivered', at)]
+});
+
+const pro = () => build.lineItem();
+const tips = () => build.lineItem({ product_id: 8123456789099, title: 'Ear Tips', sku: 'HS-TIPS-06', price: '19.00' });
+
+// Delivered on 14 January and refunded `items` on `refundedAt`
+function refunded(items, refundedAt, { lineItems = items } = {}) {
+  return normalizeOrder(build.order({
+    created_at: '2025-01-10T14:00:00Z',
+    lineItems,
+    financial_status: 'partially_refunded',
+    fulfillments: [delivered('2025-01-14T18:00:00Z')],
+    refunds: [build.refund({ createdAt: refundedAt, lines: items.map(item => ({ item })) })]
+  }));
+}
+
+const policy = (overrides = {}) => returnPolicy.validatePolicy({ windowDays: 30, startBasis: 'delivery', rules: [], ...overrides });
+
+test('the store window runs from delivery and a refund past it is late by whole days', () => {
+  const item = pro();
+  const within = returnPolicy.evaluateOrder(refunded([item], '2025-02-13T17:00:00Z'), policy());
+  assert.equal(within.status, 'within_window');
+  assert.equal(within.deadline, '2025-02-13T18:00:00.000Z');
+
+  const late = returnPolicy.evaluateOrder(refunded([item], '2025-02-15T09:00:00Z'), policy());
+  assert.equal(late.status, 'late');
+  assert.equal(late.daysOver, 2);
+});
+
+test('a SKU or product type rule sets the window, the first match winning', () => {
+  const item = tips();
+  const order = refunded([item], '2025-03-01T12:00:00Z');
+  const productTypes = { [item.product_id]: 'Accessories' };
+
+  assert.equal(returnPolicy.evaluateOrder(order, policy(), productTypes).status, 'late');
+
+  const bySku = policy({ rules: [{ sku: 'HS-TIPS-06', windowDays: 60 }] });
+  const { status, windowDays } = returnPolicy.evaluateOrder(order, bySku, productTypes);
+  assert.deepEqual({ status, windowDays }, { status: 'within_window', windowDays: 60 });
+
+  const byType = policy({ rules: [{ productType: 'Accessories', windowDays: 10 }, { sku: 'HS-TIPS-06', windowDays: 60 }] });
+  assert.equal(returnPolicy.evaluateOrder(order, byType, productTypes).windowDays, 10);
+
+  // A rule's own basis replaces the store's
+  const fromOrder = policy({ rules: [{ sku: 'HS-TIPS-06', windowDays: 45, startBasis: 'order' }] });
+  const verdict = returnPolicy.evaluateOrder(order, fromOrder, productTypes);
+  assert.equal(verdict.startBasis, 'order');
+  assert.equal(verdict.deadline, '2025-02-24T14:00:00.000Z');
+});
+
+test('only refunded items decide the terms, the most generous of them winning', () => {
+  const device = pro();
+  const accessory = tips();
+  const rules = [{ sku: 'HS-PRO-01', windowDays: 90 }, { sku: 'HS-TIPS-06', windowDays: 7 }];
+
+  // The device's long window does not cover a refund of the tips alone
+  const tipsOnly = refunded([accessory], '2025-02-01T12:00:00Z', { lineItems: [device, accessory] });
+  assert.equal(returnPolicy.evaluateOrder(tipsOnly, policy({ rules })).windowDays, 7);
+
+  const both = refunded([device, accessory], '2025-02-01T12:00:00Z');
+  assert.equal(returnPolicy.evaluateOrder(both, policy({ rules })).windowDays, 90);
+});
+
+test('refunds before delivery or without a start date are told apart from late ones', () => {
+  const early = refunded([pro()], '2025-01-12T12:00:00Z');
+  assert.equal(returnPolicy.evaluateOrder(early, policy()).status, 'before_delivery');
+
+  const item = pro();
+  const undelivered = normalizeOrder(build.order({
+    lineItems: [item],
+    refunds: [build.refund({ createdAt: '2025-03-01T12:00:00Z', lines: [{ item }] })]
+  }));
+  assert.equal(returnPolicy.evaluateOrder(undelivered, policy()).status, 'delivery_unknown');
+  assert.equal(returnPolicy.evaluateOrder(undelivered, policy({ startBasis: 'order' })).status, 'late');
+  assert.equal(returnPolicy.evaluateOrder(normalizeOrder(build.order()), policy()).status, 'not_refunded');
+});
+
+test('policy bodies with unknown bases, bad windows or matchless rules are refused', () => {
+  const rejects = (input, message) => assert.throws(() => returnPolicy.validatePolicy(input), { status: 400, message });
+  rejects(null, /must be an object/);
+  rejects({ windowDays: 30, startBasis: 'delivered' }, /startBasis must be one of/);
+  rejects({ windowDays: -1, startBasis: 'delivery' }, /windowDays must be a whole number/);
+  rejects({ windowDays: 30, startBasis: 'delivery', rules: {} }, /rules must be an array/);
+  rejects({ windowDays: 30, startBasis: 'delivery', rules: [{ windowDays: 60 }] }, /rules\[0\] needs a sku or productType/);
+  rejects({ windowDays: 30, startBasis: 'delivery', rules: [{ sku: 'A', startBasis: 'ship' }] }, /rules\[0\]\.startBasis/);
+});
+
+test('return window settings from the environment are checked like policy bodies', (t) => {
+  const warn = t.mock.method(logger, 'warn', () => {});
+  assert.deepEqual(returnPolicy.envPolicy({}), { windowDays: 30, startBasis: 'delivery', rules: [] });
+  assert.deepEqual(
+    returnPolicy.envPolicy({ RETURN_WINDOW_DAYS: '45', RETURN_WINDOW_BASIS: 'fulfillment' }),
+    { windowDays: 45, startBasis: 'fulfillment', rules: [] }
+  );
+  assert.equal(warn.mock.callCount(), 0);
+
+  assert.deepEqual(
+    returnPolicy.envPolicy({ RETURN_WINDOW_DAYS: 'thirty', RETURN_WINDOW_BASIS: 'delivered' }),
+    { windowDays: 30, startBasis: 'delivery', rules: [] }
+  );
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+    'Invalid RETURN_WINDOW_DAYS, using 30 days',
+    'Invalid RETURN_WINDOW_BASIS, using delivery'
+  ]);
+});
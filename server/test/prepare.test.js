@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prepare = require('../prepare');
+const refundReasons = require('../reasons');
+const build = require('./builders');
+
+const shop = { id: 'demo', currency: 'USD', adminOrderUrl: (id) => `https://demo.myshopify.com/admin/orders/${id}` };
+const reasons = {
+  taxonomy: refundReasons.DEFAULT_TAXONOMY,
+  compiled: refundReasons.compile(refundReasons.DEFAULT_TAXONOMY),
+  overrides: {}
+};
+const rates = { base: 'USD', rates: { EUR: 0.9, CAD: 1.35 }, updatedAt: '2025-01-01T00:00:00.000Z' };
+const context = { shop, policy: { windowDays: 30, startBasis: 'delivery', rules: [] }, productTypes: {}, reasons, rates };
+
+function refundedLate() {
+  const item = build.lineItem();
+  return build.order({
+    lineItems: [item],
+    financial_status: 'refunded',
+    customer: { id: 77 },
+    fulfillments: [build.fulfillment({
+      shipment_status: 'delivered',
+      events: [build.trackingEvent('delivered', '2025-01-14T18:00:00Z')]
+    })],
+    refunds: [build.refund({ createdAt: '2025-03-01T12:00:00Z', lines: [{ item }], note: 'Whistling in the left ear' })]
+  });
+}
+
+test('prepareOrder applies the return policy and refund reasons', () => {
+  const raw = refundedLate();
+  const order = prepare.prepareOrder(raw, context);
+
+  assert.equal(order.policyStatus, 'late');
+  assert.equal(order.policy.daysOver, 16);
+  assert.equal(order.refunds[0].reason, 'sound_quality');
+  assert.equal(order.refunds[0].reasonSource, 'note');
+  assert.equal(order.shop, 'demo');
+  assert.equal(order.adminUrl, `https://demo.myshopify.com/admin/orders/${raw.id}`);
+  assert.equal(order.customerKey, 'demo-77');
+});
+
+test('prepareOrder prefers the email hash as the customer key and falls back to the shop currency', () => {
+  const raw = build.order({ email_hash: 'abc123', customer: { id: 77 } });
+  delete raw.currency;
+  const order = prepare.prepareOrder(raw, { ...context, shop: { ...shop, currency: 'CAD' } });
+  assert.equal(order.customerKey, 'abc123');
+  assert.equal(order.currency, 'CAD');
+});
+
+test('inCurrency converts with the stored rates and leaves uncovered currencies alone', () => {
+  const order = prepare.prepareOrder(refundedLate(), context);
+
+  const euros = prepare.inCurrency(order, 'EUR', rates);
+  assert.equal(euros.currency, 'EUR');
+  assert.equal(euros.totalPrice, 224.1);
+  assert.equal(euros.refunds[0].amount, 224.1);
+
+  assert.equal(prepare.inCurrency(order, 'USD', rates), order);
+  assert.equal(prepare.inCurrency(order, 'GBP', rates), order);
+  assert.equal(prepare.inCurrency(order, null, rates), order);
+});
+
+test('selectionInfo reports mixed currencies in the base currency once rates cover them', () => {
+  const defaults = { rates, timezone: 'UTC', locale: 'en-US' };
+  const us = { timezone: 'America/New_York', currency: 'USD', locale: 'en-US' };
+  const de = { timezone: 'Europe/Berlin', currency: 'EUR', locale: 'de-DE' };
+  const uk = { timezone: 'Europe/London', currency: 'GBP', locale: 'en-GB' };
+
+  assert.deepEqual(prepare.selectionInfo([de], defaults), { timezone: 'Europe/Berlin', locale: 'de-DE', currency: 'EUR' });
+  assert.deepEqual(prepare.selectionInfo([us, de], defaults), {
+    timezone: 'UTC',
+    locale: 'en-US',
+    currency: 'USD',
+    conversion: { from: ['USD', 'EUR'], to: 'USD', ratesUpdatedAt: rates.updatedAt }
+  });
+
+  const mixed = prepare.selectionInfo([us, uk], defaults);
+  assert.equal(mixed.currency, null);
+  assert.equal(mixed.warning, 'Amounts mix currencies: USD, GBP');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const reasons = require('../reasons');
+const { normalizeOrder } = require('../normalize');
+const build = require('./builders');
+
+const taxonomy = reasons.validateTaxonomy(reasons.DEFAULT_TAXONOMY);
+const SHOP = 'demo';
+
+// A raw order refunded in full, the refund carrying `refund` fields such as its note
+function refundedOrder({ refund = {}, returnReason, ...overrides } = {}) {
+  const item = build.lineItem();
+  const raw = build.order({ lineItems: [item], financial_status: 'refunded', ...overrides });
+  const made = build.refund({ createdAt: '2025-01-20T10:00:00Z', lines: [{ item }], ...refund });
+  if (returnReason) made.refund_line_items[0].return_reason = returnReason;
+  raw.refunds = [made];
+  return raw;
+}
+
+const reasonOf = (raw, overrides) => {
+  const [refund] = reasons.applyReasons(normalizeOrder(raw), { taxonomy, overrides, shopId: SHOP }).refunds;
+  return [refund.reason, refund.reasonSource];
+};
+
+test('return reasons win over the note, which wins over the order tags', () => {
+  assert.deepEqual(reasonOf(refundedOrder({ returnReason: 'SIZE_TOO_SMALL', refund: { note: 'Battery died' }, tags: 'defect' })),
+    ['fit_comfort', 'return_reason']);
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'Battery died' }, tags: 'defect' })), ['battery', 'note']);
+  assert.deepEqual(reasonOf(refundedOrder({ tags: 'VIP, Defective unit' })), ['defect', 'tags']);
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'Customer asked nicely' } })), [reasons.UNCATEGORIZED, null]);
+});
+
+test('keywords match whole words, starred ones any word they start, and the first matching category wins', () => {
+  // "whistl*" catches "whistling" but "fit" does not catch "benefit"
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'Constant whistling' } })), ['sound_quality', 'note']);
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'No benefit' } })), [reasons.UNCATEGORIZED, null]);
+  // Battery comes before defect in the taxonomy
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'Broken charger' } })), ['battery', 'note']);
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'Way too loose' } })), ['fit_comfort', 'note']);
+});
+
+test('longer words that start with a keyword are not that keyword', () => {
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'I was charged twice' } })), [reasons.UNCATEGORIZED, null]);
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'Missed the deadline' } })), [reasons.UNCATEGORIZED, null]);
+  assert.deepEqual(reasonOf(refundedOrder({ refund: { note: 'Arrived dead' } })), ['defect', 'note']);
+});
+
+test('a manual re-tag holds when the order is synced again with a new note', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reasons-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'refund-reason-overrides.json');
+
+  const raw = refundedOrder({ refund: { note: 'Battery died' } });
+  const refundId = raw.refunds[0].id;
+  reasons.saveOverrides(file, { [reasons.overrideKey(SHOP, refundId)]: { reason: 'changed_mind', by: 'admin' } });
+  const overrides = reasons.loadOverrides(file);
+
+  const resynced = { ...raw, updated_at: '2025-01-21T10:00:00Z', refunds: [{ ...raw.refunds[0], note: 'Stopped working' }] };
+  const [refund] = reasons.applyReasons(normalizeOrder(resynced), { taxonomy, overrides, shopId: SHOP }).refunds;
+  assert.deepEqual([refund.reason, refund.reasonSource, refund.reasonSetBy], ['changed_mind', 'manual', 'admin']);
+
+  // Keyed by shop, so the same refund id elsewhere is matched as usual
+  const elsewhere = reasons.applyReasons(normalizeOrder(resynced), { taxonomy, overrides, shopId: 'outlet' });
+  assert.deepEqual(elsewhere.reasons, ['defect']);
+});
+
+test('taxonomy bodies with bad keys, keywords or patterns are refused', () => {
+  const rejects = (categories, message) => assert.throws(() => reasons.validateTaxonomy({ categories }), { status: 400, message });
+  assert.throws(() => reasons.validateTaxonomy(null), { status: 400, message: /must be an object/ });
+  rejects({}, /categories must be an array/);
+  rejects([{ key: 'Battery' }], /categories\[0\]\.key must be lowercase/);
+  rejects([{ key: 'uncategorized' }], /is reserved/);
+  rejects([{ key: 'battery' }, { key: 'battery' }], /categories\[1\]\.key battery is used twice/);
+  rejects([{ key: 'battery', keywords: ['ok', ' '] }], /keywords must be a list of non-empty strings/);
+  rejects([{ key: 'battery', keywords: ['charg*', ' *'] }], /categories\[0\]\.keywords needs text before a trailing \*/);
+  rejects([{ key: 'battery', patterns: 'charg' }], /patterns must be a list of non-empty strings/);
+  rejects([{ key: 'battery', patterns: ['charg(e'] }], /invalid regular expression: charg\(e/);
+
+  assert.deepEqual(reasons.validateTaxonomy({ categories: [{ key: 'battery', keywords: [' Charger '] }] }), {
+    categories: [{ key: 'battery', label: 'battery', keywords: ['charger'], patterns: [] }]
+  });
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const shipping = require('../shipping');
+const { normalizeOrder } = require('../normalize');
+const { DAY_MS } = require('../numbers');
+const build = require('./builders');
+
+const PLACED = '2025-01-10T10:00:00Z';
+const SHIPPED = new Date('2025-01-11T10:00:00Z');
+const range = { start: new Date('2025-01-01T00:00:00Z'), end: new Date('2025-01-31T23:59:59Z') };
+
+const after = (from, days) => new Date(new Date(from).getTime() + days * DAY_MS).toISOString();
+
+// An order placed on 10 January and shipped a day later. `transitDays`
+// delivers it that long after shipping, `events` add scans of an open one.
+function shippedOrder({
+  carrier = 'USPS', service = 'Standard', shippedAt = SHIPPED, transitDays, estimate, events = [],
+  status = 'success', ...overrides
+} = {}) {
+  const scans = [...events];
+  if (estimate) scans.push({ ...build.trackingEvent('in_transit', after(shippedAt, 0.5)), estimated_delivery_at: estimate });
+  if (transitDays !== undefined) scans.push(build.trackingEvent('delivered', after(shippedAt, transitDays)));
+  return normalizeOrder(build.order({
+    created_at: PLACED,
+    shipping_lines: [{ title: service }],
+    fulfillments: [build.fulfillment({ createdAt: new Date(shippedAt).toISOString(), tracking_company: carrier, status, events: scans })],
+    ...overrides
+  }));
+}
+
+test('transit times are summarized per carrier, busiest carrier first', () => {
+  const orders = [
+    ...[1, 2, 3, 4, 10].map(transitDays => shippedOrder({ transitDays })),
+    ...[2, 6].map(transitDays => shippedOrder({ carrier: 'UPS', transitDays }))
+  ];
+  const { totals, carriers } = shipping.carrierPerformance(orders, range, { now: new Date('2025-02-15T00:00:00Z') });
+
+  assert.deepEqual(carriers.map(({ carrier, service, shipments, medianTransitDays, p90TransitDays }) =>
+    [carrier, service, shipments, medianTransitDays, p90TransitDays]), [
+    ['USPS', null, 5, 3, 10],
+    ['UPS', null, 2, 2, 6]
+  ]);
+  assert.equal(totals.delivered, 7);
+  assert.equal(totals.medianOrderToShipDays, 1);
+
+  // Orders placed outside the range are left out
+  const outside = shipping.carrierPerformance(orders, { start: new Date('2025-02-01T00:00:00Z'), end: range.end });
+  assert.equal(outside.totals.shipments, 0);
+});
+
+test('grouping by service splits a carrier by the shipping line its orders chose', () => {
+  const orders = [
+    shippedOrder({ transitDays: 4 }),
+    shippedOrder({ transitDays: 5 }),
+    shippedOrder({ service: 'Express', transitDays: 1 })
+  ];
+  const { carriers } = shipping.carrierPerformance(orders, range, { groupBy: 'service' });
+  assert.deepEqual(carriers.map(({ carrier, service, shipments }) => [carrier, service, shipments]), [
+    ['USPS', 'Standard', 2],
+    ['USPS', 'Express', 1]
+  ]);
+});
+
+const pick = ({ late, onTime }) => ({ late, onTime });
+
+test('late goes by the carrier estimate with a day of grace, else by lateAfterDays', () => {
+  const estimate = after(SHIPPED, 3);
+  const lateness = (orders, options) => shipping.carrierPerformance(orders, range, options).totals;
+
+  // A day and a half past the estimate is late, half a day past it is not
+  assert.deepEqual(pick(lateness([shippedOrder({ transitDays: 4.5, estimate })])), { late: 1, onTime: 0 });
+  assert.deepEqual(pick(lateness([shippedOrder({ transitDays: 3.5, estimate })])), { late: 0, onTime: 1 });
+  // With an estimate the fallback does not apply, however long it took
+  assert.deepEqual(pick(lateness([shippedOrder({ transitDays: 9, estimate: after(SHIPPED, 8.5) })])), { late: 0, onTime: 1 });
+
+  const withoutEstimate = [shippedOrder({ transitDays: 5 }), shippedOrder({ transitDays: 6 })];
+  assert.deepEqual(pick(lateness(withoutEstimate)), { late: 1, onTime: 1 });
+  assert.deepEqual(pick(lateness(withoutEstimate, { lateAfterDays: 7 })), { late: 0, onTime: 2 });
+});
+
+const NOW = new Date(SHIPPED.getTime() + 10 * DAY_MS);
+
+// Open shipments in every state the stuck list has to tell apart
+function openShipments() {
+  const item = build.lineItem();
+  return {
+    stuck: shippedOrder({ order_number: 1 }),
+    failing: shippedOrder({
+      order_number: 2,
+      shippedAt: after(SHIPPED, 7),
+      events: [build.trackingEvent('attempted_delivery', after(SHIPPED, 9))]
+    }),
+    recent: shippedOrder({ order_number: 3, shippedAt: after(SHIPPED, 7) }),
+    olderStuck: shippedOrder({ order_number: 4, shippedAt: after(SHIPPED, -5) }),
+    delivered: shippedOrder({ order_number: 5, shippedAt: after(SHIPPED, -5), transitDays: 12 }),
+    cancelled: shippedOrder({ order_number: 6, status: 'cancelled' }),
+    refunded: shippedOrder({
+      order_number: 7,
+      lineItems: [item],
+      financial_status: 'refunded',
+      refunds: [build.refund({ createdAt: after(SHIPPED, 2), lines: [{ item }] })]
+    })
+  };
+}
+
+test('stuck shipments are open past stuckDays or failing, oldest first', () => {
+  const orders = openShipments();
+  const listed = shipping.stuckShipments(Object.values(orders), { now: NOW });
+
+  assert.deepEqual(listed.map(({ orderNumber, daysSinceShipped, issue }) => [orderNumber, daysSinceShipped, issue]), [
+    [4, 15, 'stuck'],
+    [1, 10, 'stuck'],
+    [2, 3, 'failing']
+  ]);
+  assert.equal(listed[2].status, 'success');
+  assert.equal(listed[2].lastEventMessage, null);
+  assert.equal(listed[2].lastEventAt, after(SHIPPED, 9));
+
+  // A longer wait leaves the merely slow ones out, never the failing one
+  assert.deepEqual(shipping.stuckShipments(Object.values(orders), { now: NOW, stuckDays: 12 }).map(s => s.orderNumber), [4, 2]);
+});
+
+test('shipping performance counts stuck and failing shipments apart', () => {
+  const { stuck, failing, recent } = openShipments();
+  const { totals } = shipping.carrierPerformance([stuck, failing, recent], range, { now: NOW });
+  assert.deepEqual(
+    { shipments: totals.shipments, stuck: totals.stuck, failing: totals.failing, delivered: totals.delivered },
+    { shipments: 3, stuck: 1, failing: 1, delivered: 0 }
+  );
+});
+
+test('shipping queries take a known grouping and whole-day thresholds', () => {
+  assert.deepEqual(shipping.parseShippingQuery({}), { groupBy: 'carrier', stuckDays: 7, lateAfterDays: 5 });
+  assert.deepEqual(shipping.parseShippingQuery({ groupBy: 'service', stuckDays: '14', lateAfterDays: '3' }),
+    { groupBy: 'service', stuckDays: 14, lateAfterDays: 3 });
+  assert.throws(() => shipping.parseShippingQuery({ groupBy: 'zone' }), { status: 400 });
+  assert.throws(() => shipping.parseShippingQuery({ stuckDays: '2.5' }), { status: 400, message: 'stuckDays must be 1 to 365 days' });
+  assert.throws(() => shipping.parseShippingQuery({ lateAfterDays: '0' }), { status: 400 });
+});
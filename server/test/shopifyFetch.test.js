@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createShopifyFetcher, isRetryable, retryDelay } = require('../shopifyFetch');
+const { logger } = require('../logger');
+
+// An error as shopify-api-node throws it for an HTTP status
+const httpError = (statusCode, headers = {}) => Object.assign(new Error(`Response code ${statusCode}`), {
+  response: { statusCode, headers }
+});
+
+// Lets pending promise callbacks run; setImmediate is left unmocked
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A fetcher over a stand-in client, with setTimeout under the test's control
+// and a request that fails with each of `failures` in turn before succeeding
+function setup(t, failures = []) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.mock.method(logger, 'warn', () => {});
+  const shopify = Object.assign(new EventEmitter(), { options: { shopName: 'hearsound-demo' } });
+  const fetcher = createShopifyFetcher(shopify);
+  const retries = [];
+  let calls = 0;
+  const request = async () => {
+    calls++;
+    if (failures.length > 0) throw failures.shift();
+    return 'ok';
+  };
+  const call = () => fetcher.call(request, { onRetry: info => retries.push(info) });
+  return { shopify, call, retries, calls: () => calls };
+}
+
+test('throttling, server errors and dropped connections are retryable, client errors are not', () => {
+  [408, 429, 500, 503, 504].forEach(status => assert.equal(isRetryable(httpError(status)), true, `HTTP ${status}`));
+  [400, 401, 403, 404, 422].forEach(status => assert.equal(isRetryable(httpError(status)), false, `HTTP ${status}`));
+  assert.equal(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryable(Object.assign(new Error('slow'), { name: 'TimeoutError' })), true);
+  assert.equal(isRetryable(new Error('Unexpected token < in JSON')), false);
+});
+
+test('backoff doubles per attempt up to its cap and never undercuts Retry-After', (t) => {
+  t.mock.method(Math, 'random', () => 1);
+  assert.equal(retryDelay(httpError(503), 0), 1000);
+  assert.equal(retryDelay(httpError(503), 3), 8000);
+  assert.equal(retryDelay(httpError(503), 10), 30000);
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(retryDelay(httpError(429, { 'retry-after': '2.5' }), 0), 2500);
+  assert.equal(retryDelay(httpError(429, { 'retry-after': 'soon' }), 0), 0);
+});
+
+test('a 429 waits out its Retry-After before trying again', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const { call, retries, calls } = setup(t, [httpError(429, { 'retry-after': '2' })]);
+  const result = call();
+
+  await flush();
+  assert.deepEqual(retries, [{ attempt: 1, maxRetries: 5, delayMs: 2000, reason: 'HTTP 429' }]);
+  t.mock.timers.tick(1999);
+  await flush();
+  assert.equal(calls(), 1);
+
+  t.mock.timers.tick(1);
+  assert.equal(await result, 'ok');
+  assert.equal(calls(), 2);
+});
+
+test('server errors back off exponentially between attempts', async (t) => {
+  t.mock.method(Math, 'random', () => 1);
+  const { call, retries } = setup(t, [httpError(503), httpError(502)]);
+  const result = call();
+
+  await flush();
+  t.mock.timers.tick(1000);
+  await flush();
+  t.mock.timers.tick(2000);
+  assert.equal(await result, 'ok');
+  assert.deepEqual(retries.map(({ delayMs, reason }) => [delayMs, reason]), [[1000, 'HTTP 503'], [2000, 'HTTP 502']]);
+});
+
+test('a client error is thrown at once without a retry', async (t) => {
+  const { call, retries, calls } = setup(t, [httpError(404)]);
+  await assert.rejects(call(), { message: 'Response code 404' });
+  assert.equal(calls(), 1);
+  assert.deepEqual(retries, []);
+});
+
+test('an almost empty call bucket is left to leak before the next call', async (t) => {
+  const { shopify, call, calls } = setup(t);
+  shopify.emit('callLimits', { remaining: 1, current: 39, max: 40 });
+  const result = call();
+
+  await flush();
+  assert.equal(calls(), 0);
+  // Three calls short of the reserve at two calls a second
+  t.mock.timers.tick(1500);
+  assert.equal(await result, 'ok');
+
+  // The wait is assumed to have refilled the reserve until Shopify says otherwise
+  assert.equal(await call(), 'ok');
+  assert.equal(calls(), 2);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createShopRegistry, validateShopConfig } = require('../shops');
+const { logger } = require('../logger');
+
+const shop = (overrides = {}) => ({ id: 'default', shopName: 'hearsound', accessToken: 'shpat_old', ...overrides });
+
+test('a shop may only send its token to a stand-in API host when that is allowed', () => {
+  const rejects = (apiUrl) => assert.throws(() => validateShopConfig(shop({ apiUrl })), {
+    status: 400,
+    message: /apiUrl must be an https:\/\/\*\.myshopify\.com URL/
+  });
+  rejects('http://127.0.0.1:3005');
+  rejects('https://collector.example.com');
+  rejects('https://hearsound.myshopify.com.example.com');
+  rejects('http://hearsound.myshopify.com');
+
+  assert.equal(validateShopConfig(shop({ apiUrl: 'https://hearsound.myshopify.com' })).apiUrl, 'https://hearsound.myshopify.com');
+  assert.equal(validateShopConfig(shop({ apiUrl: 'http://127.0.0.1:3005' }), { allowCustomApiUrl: true }).apiUrl, 'http://127.0.0.1:3005');
+  assert.throws(() => validateShopConfig(shop({ apiUrl: 'ftp://127.0.0.1' }), { allowCustomApiUrl: true }), /http\(s\) URL/);
+});
+
+// A registry over a shops file holding `stored`, never started
+function setup(t, stored, options = {}) {
+  const info = t.mock.method(logger, 'info', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shops-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'shops.json');
+  fs.writeFileSync(file, JSON.stringify(stored));
+  const registry = createShopRegistry({ file, dataDir: dir, fields: 'id', syncInterval: 60000, ...options });
+  t.after(() => registry.stopAll());
+  return { registry, info };
+}
+
+test('environment settings apply over the stored shop they seeded', (t) => {
+  const other = shop({ id: 'outlet', shopName: 'hearsound-outlet', accessToken: 'shpat_outlet' });
+  const { registry, info } = setup(t, [shop({ timezone: 'Europe/London' }), other], {
+    defaults: [{ id: 'default', shopName: 'hearsound-eu', accessToken: 'shpat_new', timezone: undefined }]
+  });
+
+  const { config } = registry.get('default');
+  assert.equal(config.shopName, 'hearsound-eu');
+  assert.equal(config.accessToken, 'shpat_new');
+  // Settings left unset keep their stored values
+  assert.equal(config.timezone, 'Europe/London');
+  assert.equal(registry.get('outlet').config.accessToken, 'shpat_outlet');
+
+  const [message, details] = info.mock.calls[0].arguments;
+  assert.equal(message, 'Stored shop updated from the environment');
+  assert.deepEqual(details, { shop: 'default', fields: ['shopName', 'accessToken'] });
+});
+
+test('a stored stand-in API host loads only when custom hosts are allowed', (t) => {
+  const stored = [shop({ apiUrl: 'http://127.0.0.1:3005' })];
+  assert.throws(() => setup(t, stored, { defaults: [] }), { status: 400 });
+  const { registry } = setup(t, stored, { defaults: [], allowCustomApiUrl: true });
+  assert.equal(registry.get('default').config.apiUrl, 'http://127.0.0.1:3005');
+});
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOrderStore } = require('../store');
+const { loadEmailKey, hashEmail } = require('../customers');
+const { createLogger } = require('../logger');
+const { DAY_MS } = require('../numbers');
+const build = require('./builders');
+
+const logger = createLogger({ write: () => {} });
+const coverFrom = '2025-01-01T00:00:00.000Z';
+
+// An error shaped like the ones the Shopify client throws for a response
+const httpError = (statusCode) => Object.assign(new Error(`Response code ${statusCode}`), { response: { statusCode } });
+
+// A store file left behind by a backfill that stopped three pages in
+function storeWithCheckpoint(checkpoint) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-test-'));
+  const file = path.join(dir, 'orders-demo.json');
+  fs.writeFileSync(file, JSON.stringify({
+    orders: {},
+    coveredFrom: null,
+    fields: 'id',
+    crawl: { kind: 'backfill', coverFrom, next: { page_info: 'expired' }, pages: 3, orders: 750, total: 1000, ...checkpoint }
+  }));
+  return { dir, file };
+}
+
+// Shopify listing that rejects the expired cursor with `status` and serves
+// one page of orders for anything else
+function fakeShopify(status) {
+  const calls = [];
+  const order = build.order({ created_at: '2025-02-01T10:00:00Z' });
+  const fetchOrders = async (params, { onPage }) => {
+    calls.push(params);
+    if (params.page_info === 'expired') throw httpError(status);
+    await onPage([order], null);
+  };
+  return { calls, fetchOrders };
+}
+
+test('a checkpoint whose cursor is rejected starts its crawl over from the original params', async (t) => {
+  const params = { status: 'any', created_at_min: coverFrom, limit: 250, fields: 'id' };
+  const { dir, file } = storeWithCheckpoint({ params });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const shopify = fakeShopify(400);
+  const store = createOrderStore({ file, fetchOrders: shopify.fetchOrders, fields: 'id', logger });
+  store.load();
+  await store.ensureCoverage(coverFrom);
+
+  assert.deepEqual(shopify.calls[1], params);
+  const status = store.status();
+  assert.equal(status.resumeFrom, null);
+  assert.equal(status.coveredFrom, coverFrom);
+  assert.equal(status.orders, 1);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).crawl, null);
+});
+
+test('a rejected checkpoint saved without its params rebuilds them', async (t) => {
+  const { dir, file } = storeWithCheckpoint({});
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const shopify = fakeShopify(422);
+  const store = createOrderStore({ file, fetchOrders: shopify.fetchOrders, fields: 'id', logger });
+  store.load();
+  await store.sync();
+
+  assert.equal(shopify.calls[1].created_at_min, coverFrom);
+  assert.equal(store.status().resumeFrom, null);
+  assert.equal(store.status().coveredFrom, coverFrom);
+});
+
+test('a checkpoint that hits a retryable error is kept for the next sync', async (t) => {
+  const { dir, file } = storeWithCheckpoint({});
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const shopify = fakeShopify(503);
+  const store = createOrderStore({ file, fetchOrders: shopify.fetchOrders, fields: 'id', logger });
+  store.load();
+  await assert.rejects(store.sync(), /503/);
+
+  assert.equal(shopify.calls.length, 1);
+  assert.deepEqual(store.status().resumeFrom, { kind: 'backfill', pages: 3, orders: 750 });
+});
+
+test('orders arriving by webhook do not move the incremental sync cursor', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Shopify's copy of each order, listed by updated_at_min like the API does
+  const shopifyOrders = [build.order({ id: 1, created_at: '2025-02-01T10:00:00Z', updated_at: '2025-02-01T10:00:00Z' })];
+  const fetchOrders = async (params, { onPage }) => {
+    const since = new Date(params.updated_at_min || params.created_at_min);
+    await onPage(shopifyOrders.filter(order => new Date(order.updated_at) >= since), null);
+  };
+  const store = createOrderStore({ file: path.join(dir, 'orders-demo.json'), fetchOrders, fields: 'id', logger });
+  await store.sync({ coverFrom });
+
+  // Order 2 changes and its webhook is dropped, then order 3's webhook arrives
+  shopifyOrders.push(build.order({ id: 2, created_at: '2025-02-01T10:30:00Z', updated_at: '2025-02-01T11:00:00Z' }));
+  const delivered = build.order({ id: 3, created_at: '2025-02-01T11:30:00Z', updated_at: '2025-02-01T12:00:00Z' });
+  shopifyOrders.push(delivered);
+  store.upsert(delivered);
+  assert.equal(store.status().lastUpdatedAt, '2025-02-01T10:00:00Z');
+
+  await store.sync();
+  assert.ok(store.get(2), 'the sync picks up the change whose webhook was dropped');
+  assert.equal(store.status().lastUpdatedAt, '2025-02-01T12:00:00Z');
+});
+
+test('a store whose email hashes were made with another key is fetched again', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  loadEmailKey(path.join(dir, 'email-hash-key.json'));
+  const file = path.join(dir, 'orders-demo.json');
+  const stored = build.order({ id: 1, created_at: '2025-02-01T10:00:00Z', email_hash: 'made-with-plain-sha256' });
+  fs.writeFileSync(file, JSON.stringify({ orders: { 1: stored }, coveredFrom: coverFrom, lastUpdatedAt: stored.updated_at, fields: 'id' }));
+
+  const calls = [];
+  const fetchOrders = async (params, { onPage }) => {
+    calls.push(params);
+    await onPage([{ ...stored, email: 'ada@example.com' }], null);
+  };
+  const store = createOrderStore({ file, fetchOrders, fields: 'id', logger });
+  store.load();
+  await store.sync();
+
+  assert.equal(calls[0].created_at_min, coverFrom);
+  assert.equal(store.get(1).email_hash, hashEmail('ada@example.com'));
+
+  // Hashed with the current key, the next sync only asks for updates
+  await store.sync();
+  assert.equal(calls.length, 3);
+  assert.ok(calls[2].updated_at_min);
+});
+
+test('an email removed in Shopify drops its hash on the next sync but not on a webhook', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  loadEmailKey(path.join(dir, 'email-hash-key.json'));
+
+  let listed = build.order({ id: 1, created_at: '2025-02-01T10:00:00Z', updated_at: '2025-02-01T10:00:00Z', email: 'ada@example.com' });
+  const fetchOrders = async (params, { onPage }) => onPage([listed], null);
+  const store = createOrderStore({ file: path.join(dir, 'orders-demo.json'), fetchOrders, fields: 'id', logger });
+  await store.sync({ coverFrom });
+  assert.equal(store.get(1).email_hash, hashEmail('ada@example.com'));
+
+  // A webhook payload without the email says nothing about it
+  store.upsert({ id: 1, updated_at: '2025-02-01T11:00:00Z', financial_status: 'refunded' });
+  assert.equal(store.get(1).email_hash, hashEmail('ada@example.com'));
+
+  listed = { ...listed, updated_at: '2025-02-01T12:00:00Z', email: null };
+  await store.sync();
+  assert.equal(store.get(1).email_hash, null);
+});
+
+test('a range older than the store holds is backfilled in the background, no further back than allowed', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Backfills of older orders hang until released
+  const calls = [];
+  let release = null;
+  const fetchOrders = async (params, { onPage }) => {
+    calls.push(params);
+    if (params.created_at_max) await new Promise(resolve => { release = resolve; });
+    await onPage([], null);
+  };
+  const store = createOrderStore({ file: path.join(dir, 'orders-demo.json'), fetchOrders, fields: 'id', maxLookbackDays: 1000, logger });
+  const recent = new Date(Date.now() - 30 * DAY_MS).toISOString();
+  await store.sync({ coverFrom: recent });
+  const kinds = [];
+  store.subscribe(progress => kinds.push(progress.kind));
+
+  // Answered from what is held while the older orders load
+  assert.equal(await store.ensureCoverage('1970-01-01T00:00:00Z'), false);
+  while (!release) await new Promise(resolve => setImmediate(resolve));
+  assert.equal(store.status().syncing, true);
+  const backfill = calls[calls.length - 1];
+  assert.equal(backfill.created_at_max, recent);
+  assert.ok(Math.abs(new Date(backfill.created_at_min) - (Date.now() - 1000 * DAY_MS)) < 60 * 1000);
+
+  release();
+  await store.sync();
+  assert.ok(kinds.includes('backfill'));
+  assert.equal(store.status().coveredFrom, backfill.created_at_min);
+  assert.equal(await store.ensureCoverage('1970-01-01T00:00:00Z'), true);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTransports } = require('../transports');
+
+const message = { id: 'digest-1', subject: 'Weekly refunds', text: '3 refunds', html: '<p>3 refunds</p>', data: {} };
+
+// A local endpoint that answers after `delayMs`, or never when it is null
+async function endpoint(t, delayMs) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.url);
+    if (delayMs !== null) setTimeout(() => res.end('ok'), delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { url: `http://127.0.0.1:${server.address().port}`, received };
+}
+
+test('webhook deliveries post to every recipient', async (t) => {
+  const { url, received } = await endpoint(t, 0);
+  const webhook = createTransports({ webhookTimeoutMs: 1000 }).get('webhook');
+  await webhook.send(message, [`${url}/a`, `${url}/b`]);
+  assert.deepEqual(received.sort(), ['/a', '/b']);
+});
+
+test('an endpoint that never answers fails the delivery once the timeout passes', async (t) => {
+  const { url } = await endpoint(t, null);
+  const webhook = createTransports({ webhookTimeoutMs: 100 }).get('webhook');
+  await assert.rejects(webhook.send(message, [url]), { message: `Webhook ${url} did not respond within 100ms` });
+});
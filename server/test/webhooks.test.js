@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createWebhookRouter } = require('../webhooks');
+const { createOrderStore } = require('../store');
+const { createLogger } = require('../logger');
+
+const SECRET = 'test-webhook-secret';
+const DOMAIN = 'hearsound-demo.myshopify.com';
+const ORDER_ID = 5891337879796;
+const FULFILLMENT_ID = 5123456789012;
+
+const fixture = (topic) => fs.readFileSync(path.join(__dirname, '../fixtures/webhooks', `${topic.replace('/', '-')}.json`));
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const OTHER_DOMAIN = 'hearsound-eu.myshopify.com';
+
+// A store in a temp dir that has backfilled orders from `coveredFrom` on
+function createStore(t, coveredFrom) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+  const file = path.join(dir, 'orders-demo.json');
+  fs.writeFileSync(file, JSON.stringify({ orders: {}, coveredFrom }));
+  const store = createOrderStore({ file, logger: createLogger({ write: () => {} }) });
+  store.load();
+  t.after(() => {
+    store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { store, file };
+}
+
+// The router behind the same raw-body JSON parser the server uses, for two
+// shops whose stores cover the fixture orders unless `coveredFrom` is later
+function setup(t, { coveredFrom = '2025-01-01T00:00:00.000Z' } = {}) {
+  const { store, file } = createStore(t, coveredFrom);
+  const other = createStore(t, coveredFrom).store;
+  const stores = { [DOMAIN]: store, [OTHER_DOMAIN]: other };
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/webhooks', createWebhookRouter({
+    resolveShop: (domain) => (stores[domain] ? { store: stores[domain], secret: SECRET } : null),
+    fields: 'id,order_number,created_at,updated_at,financial_status,fulfillments,refunds,line_items.id'
+  }));
+  return { app, store, other, file };
+}
+
+function post(app, topic, { body = fixture(topic), signature = sign(body), domain = DOMAIN, id = crypto.randomUUID() } = {}) {
+  return request(app)
+    .post(`/webhooks/${topic}`)
+    .set('Content-Type', 'application/json')
+    .set('X-Shopify-Hmac-Sha256', signature)
+    .set('X-Shopify-Shop-Domain', domain)
+    .set('X-Shopify-Webhook-Id', id)
+    .send(body.toString());
+}
+
+test('signed fixture payloads are applied to the stored order', async (t) => {
+  const { app, store } = setup(t);
+
+  assert.deepEqual((await post(app, 'orders/updated').expect(200)).body, { ok: true, applied: true });
+  assert.equal(store.get(ORDER_ID).order_number, 1692);
+  assert.equal(store.get(ORDER_ID).shipping_address, undefined);
+
+  await post(app, 'fulfillments/update').expect(200, { ok: true, applied: true });
+  assert.equal(store.get(ORDER_ID).fulfillments[0].shipment_status, 'in_transit');
+  // The customer's email and address in the payload stay out of the store
+  const stored = store.get(ORDER_ID).fulfillments[0];
+  assert.equal(stored.email, undefined);
+  assert.equal(stored.destination, undefined);
+  assert.deepEqual(stored.line_items, [{ id: 14876543210001 }]);
+  assert.doesNotMatch(JSON.stringify(store.get(ORDER_ID)), /ada\.lovelace|Elm Street/);
+
+  await post(app, 'fulfillment_events/create').expect(200, { ok: true, applied: true });
+  const [fulfillment] = store.get(ORDER_ID).fulfillments;
+  assert.equal(fulfillment.shipment_status, 'delivered');
+  assert.deepEqual(fulfillment.events.map(event => event.status), ['delivered']);
+
+  // The order payload already carried the refund; it arrives on its own here
+  store.get(ORDER_ID).refunds = [];
+  await post(app, 'refunds/create').expect(200, { ok: true, applied: true });
+  assert.deepEqual(store.get(ORDER_ID).refunds.map(refund => refund.id), [JSON.parse(fixture('refunds/create')).id]);
+});
+
+test('payloads for orders or fulfillments not held yet are acknowledged but not applied', async (t) => {
+  const { app, store } = setup(t);
+  await post(app, 'refunds/create').expect(200, { ok: true, applied: false });
+
+  await post(app, 'orders/updated').expect(200);
+  const event = { ...JSON.parse(fixture('fulfillment_events/create')), fulfillment_id: FULFILLMENT_ID + 1 };
+  const body = Buffer.from(JSON.stringify(event));
+  await post(app, 'fulfillment_events/create', { body }).expect(200, { ok: true, applied: false });
+  assert.equal(store.get(ORDER_ID).fulfillments[0].events, undefined);
+});
+
+test('a bad signature or an unknown shop is a 401 and changes nothing', async (t) => {
+  const { app, store } = setup(t);
+
+  await post(app, 'orders/updated', { signature: sign(fixture('orders/updated'), 'wrong-secret') })
+    .expect(401, { error: 'Invalid webhook signature' });
+  // Signed, then altered on the way
+  const tampered = Buffer.from(fixture('orders/updated').toString().replace('"refunded"', '"paid"'));
+  await post(app, 'orders/updated', { body: tampered, signature: sign(fixture('orders/updated')) }).expect(401);
+  await post(app, 'orders/updated', { domain: 'someone-else.myshopify.com' }).expect(401, { error: 'Unknown shop' });
+
+  assert.equal(store.get(ORDER_ID), null);
+});
+
+test('a repeated webhook id is acknowledged once and not applied again', async (t) => {
+  const { app, store } = setup(t);
+  await post(app, 'orders/updated').expect(200);
+
+  await post(app, 'fulfillment_events/create', { id: 'webhook-1' }).expect(200, { ok: true, applied: true });
+  store.get(ORDER_ID).fulfillments[0].events = [];
+  await post(app, 'fulfillment_events/create', { id: 'webhook-1' }).expect(200, { ok: true, duplicate: true });
+  assert.deepEqual(store.get(ORDER_ID).fulfillments[0].events, []);
+});
+
+test('the same webhook id from another shop is not a duplicate', async (t) => {
+  const { app, store, other } = setup(t);
+  await post(app, 'orders/updated', { id: 'webhook-1' }).expect(200, { ok: true, applied: true });
+  await post(app, 'orders/updated', { id: 'webhook-1', domain: OTHER_DOMAIN }).expect(200, { ok: true, applied: true });
+  assert.equal(store.get(ORDER_ID).order_number, 1692);
+  assert.equal(other.get(ORDER_ID).order_number, 1692);
+});
+
+test('orders created before the store\'s coverage are left to the backfill that reaches them', async (t) => {
+  const { app, store } = setup(t, { coveredFrom: '2025-02-01T00:00:00.000Z' });
+  await post(app, 'orders/updated').expect(200, { ok: true, applied: false });
+  assert.equal(store.get(ORDER_ID), null);
+  assert.deepEqual(store.query(), []);
+});
+
+test('a burst of webhooks writes the store once, after the burst', async (t) => {
+  const { app, file } = setup(t);
+  const written = () => Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).orders);
+  const writes = t.mock.method(fs, 'renameSync');
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  await post(app, 'orders/updated').expect(200);
+  await post(app, 'fulfillments/update').expect(200);
+  await post(app, 'fulfillment_events/create').expect(200);
+  assert.equal(writes.mock.callCount(), 0);
+  assert.deepEqual(written(), []);
+
+  t.mock.timers.tick(2000);
+  assert.equal(writes.mock.callCount(), 1);
+  assert.deepEqual(written(), [String(ORDER_ID)]);
+});
+
+test('unsupported topics are a 404', async (t) => {
+  const { app } = setup(t);
+  const body = Buffer.from('{}');
+  await request(app).post('/webhooks/products/delete').set('X-Shopify-Hmac-Sha256', sign(body)).send(body.toString()).expect(404);
+});
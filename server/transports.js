@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { badRequest } = require('./errors');
+const { logger } = require('./logger');
+
+// An endpoint that never answers must not hold up a digest run or an alert
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// A transport delivers a rendered message ({ subject, text, html, data }) to
+// a schedule's recipients. `validate` checks the recipients when a schedule
+// is saved, `send` does the delivery.
+
+function createSmtpTransport() {
+  let mailer = null;
+  const getMailer = () => {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not configured');
+    mailer = mailer || nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return mailer;
+  };
+
+  return {
+    validate(recipients) {
+      if (!recipients.length || recipients.some(r => !/^[^@\s]+@[^@\s]+$/.test(r))) {
+        throw badRequest('smtp recipients must be email addresses');
+      }
+    },
+    async send(message, recipients) {
+      await getMailer().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: recipients.join(', '),
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+    }
+  };
+}
+
+// Posts JSON to each URL. `text` makes it readable by Slack-style incoming webhooks.
+function createWebhookTransport({ timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  return {
+    validate(recipients) {
+      if (!recipients.length || recipients.some(r => !/^https?:\/\//.test(r))) {
+        throw badRequest('webhook recipients must be http(s) URLs');
+      }
+    },
+    async send(message, recipients) {
+      await Promise.all(recipients.map(async url => {
+        let response;
+        try {
+          response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: message.text, subject: message.subject, data: message.data }),
+            signal: AbortSignal.timeout(timeoutMs)
+          });
+        } catch (error) {
+          if (error.name === 'TimeoutError') throw new Error(`Webhook ${url} did not respond within ${timeoutMs}ms`);
+          throw error;
+        }
+        if (!response.ok) throw new Error(`Webhook ${url} responded ${response.status}`);
+      }));
+    }
+  };
+}
+
+// Writes each message to the outbox directory instead of sending it
+function createFileTransport({ outboxDir }) {
+  return {
+    validate() {},
+    async send(message, recipients) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const file = path.join(outboxDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ to: recipients, ...message }, null, 2));
+      logger.info('Wrote message to outbox', { file });
+    }
+  };
+}
+
+function createTransports({ outboxDir, webhookTimeoutMs }) {
+  const transports = {
+    smtp: createSmtpTransport(),
+    webhook: createWebhookTransport({ timeoutMs: webhookTimeoutMs }),
+    file: createFileTransport({ outboxDir })
+  };
+
+  return {
+    names: () => Object.keys(transports),
+    get(name) {
+      if (!transports[name]) throw badRequest(`transport must be one of: ${Object.keys(transports).join(', ')}`);
+      return transports[name];
+    },
+    register(name, transport) {
+      transports[name] = transport;
+    }
+  };
+}
+
+module.exports = { createTransports };
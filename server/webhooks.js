@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('./logger');
+
+const DEDUPE_TTL = 24 * 60 * 60 * 1000; // Shopify retries for up to 48h, but rarely past a day
+
+// Shopify signs the raw request body with the app's webhook secret
+function verifyWebhook(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+  return received.length === digest.length && crypto.timingSafeEqual(received, digest);
+}
+
+// Keep only the top-level fields we also request when syncing
+function pickFields(order, fields) {
+  const keys = new Set(fields.split(',').map(field => field.split('.')[0]));
+  return Object.fromEntries(Object.entries(order).filter(([key]) => keys.has(key)));
+}
+
+// What a stored fulfillment keeps of a fulfillment payload. Payloads also
+// carry the customer's email and destination address, which are never stored.
+const FULFILLMENT_FIELDS = [
+  'id', 'order_id', 'status', 'shipment_status', 'created_at', 'updated_at', 'estimated_delivery_at',
+  'tracking_company', 'tracking_number', 'tracking_numbers', 'tracking_url', 'tracking_urls'
+];
+
+function pickFulfillment(fulfillment) {
+  const picked = Object.fromEntries(FULFILLMENT_FIELDS.filter(key => key in fulfillment).map(key => [key, fulfillment[key]]));
+  if (Array.isArray(fulfillment.line_items)) picked.line_items = fulfillment.line_items.map(item => ({ id: item.id }));
+  return picked;
+}
+
+function replaceById(list = [], item) {
+  const index = list.findIndex(existing => existing.id === item.id);
+  if (index === -1) return [...list, item];
+  const next = [...list];
+  next[index] = { ...list[index], ...item };
+  return next;
+}
+
+// Each handler applies one topic's payload to the order store
+const handlers = {
+  'orders/updated': (store, payload, { fields }) => {
+    // Older orders arrive with the backfill that extends coverage to them
+    if (!store.covers(payload)) return false;
+    return store.upsert(pickFields(payload, fields));
+  },
+
+  'refunds/create': (store, refund) => {
+    return store.update(refund.order_id, order => {
+      order.refunds = replaceById(order.refunds, refund);
+    });
+  },
+
+  'fulfillments/update': (store, payload) => {
+    const fulfillment = pickFulfillment(payload);
+    return store.update(fulfillment.order_id, order => {
+      const existing = (order.fulfillments || []).find(f => f.id === fulfillment.id);
+      // Keep events recorded by fulfillment_events/create across updates
+      order.fulfillments = replaceById(order.fulfillments, {
+        ...fulfillment,
+        events: existing ? existing.events : fulfillment.events,
+        events_synced_for: existing ? existing.events_synced_for : undefined
+      });
+    });
+  },
+
+  'fulfillment_events/create': (store, event) => {
+    const order = store.get(event.order_id);
+    // An event for a fulfillment we do not hold yet waits for the next sync
+    if (!order || !(order.fulfillments || []).some(f => f.id === event.fulfillment_id)) return false;
+    return store.update(event.order_id, stored => {
+      const fulfillment = stored.fulfillments.find(f => f.id === event.fulfillment_id);
+      fulfillment.events = replaceById(fulfillment.events, event);
+      fulfillment.shipment_status = event.status;
+    });
+  }
+};
+
+// resolveShop maps the X-Shopify-Shop-Domain header to { store, secret }
+function createWebhookRouter({ resolveShop, fields }) {
+  const router = express.Router();
+  // Shop domain and webhook id -> time received. Best effort: it is lost on
+  // restart, and handlers are safe to apply twice anyway.
+  const seen = new Map();
+
+  router.post('/:resource/:event', (req, res) => {
+    const topic = `${req.params.resource}/${req.params.event}`;
+    const handler = handlers[topic];
+    if (!handler) {
+      return res.status(404).json({ error: `Unsupported webhook topic: ${topic}` });
+    }
+
+    const domain = req.get('X-Shopify-Shop-Domain');
+    const shop = domain && resolveShop(domain);
+    if (!shop) {
+      logger.warn('Rejected webhook from unknown shop', { topic, domain });
+      return res.status(401).json({ error: 'Unknown shop' });
+    }
+    const { store, secret } = shop;
+
+    // Verify against the raw bytes kept by the JSON body parser
+    if (!verifyWebhook(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+      logger.warn('Rejected webhook with invalid signature', { topic, domain });
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const now = Date.now();
+    for (const [key, receivedAt] of seen.entries()) {
+      if (now - receivedAt > DEDUPE_TTL) seen.delete(key);
+    }
+
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+    const seenKey = `${domain}:${webhookId}`;
+    if (webhookId && seen.has(seenKey)) {
+      logger.info('Ignoring duplicate webhook', { topic, webhookId });
+      return res.json({ ok: true, duplicate: true });
+    }
+
+    try {
+      const applied = handler(store, req.body, { fields });
+      if (applied) store.saveSoon();
+      if (webhookId) seen.set(seenKey, now);
+      logger.info('Processed webhook', { topic, domain, webhookId, applied });
+      // Unknown orders are picked up by the next sync, still acknowledge them
+      res.json({ ok: true, applied });
+    } catch (error) {
+      logger.error('Error processing webhook', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter, verifyWebhook, topics: Object.keys(handlers) };